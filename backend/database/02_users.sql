@@ -1,10 +1,24 @@
 -- SEED: User Profiles
 -- Using placeholders for password_hash; in a real app, these would be bcrypt hashes.
-INSERT INTO users (username, email, password_hash, name, bio, credit) VALUES 
-('brutal_builder', 'alex@skillcast.com', 'hash_123', 'Alex Rivera', 'Design engineer obsessed with high-contrast UI.', 250),
-('code_caster', 'dev_j@skillcast.com', 'hash_123', 'Jordan Tech', 'Full-stack developer teaching modern web.', 180),
-('film_fanatic', 'sam@skillcast.com', 'hash_123', 'Sam Visuals', 'Capturing the city one frame at a time.', 95),
-('green_thumb', 'grow@skillcast.com', 'hash_123', 'Casey Green', 'Urban gardener turning balconies into jungles.', 40),
-('pixel_purist', 'pixel@skillcast.com', 'hash_123', 'Dana Dot', 'Illustrator and icon designer.', 120),
-('chef_noir', 'kitchen@skillcast.com', 'hash_123', 'Marco Pierre', 'Experimental vegan cooking.', 65),
-('sys_admin', 'root@skillcast.com', 'hash_123', 'Root User', 'Infrastructure and security specialist.', 300);
\ No newline at end of file
+INSERT INTO users (username, email, password_hash, name, bio) VALUES 
+('brutal_builder', 'alex@skillcast.com', 'hash_123', 'Alex Rivera', 'Design engineer obsessed with high-contrast UI.'),
+('code_caster', 'dev_j@skillcast.com', 'hash_123', 'Jordan Tech', 'Full-stack developer teaching modern web.'),
+('film_fanatic', 'sam@skillcast.com', 'hash_123', 'Sam Visuals', 'Capturing the city one frame at a time.'),
+('green_thumb', 'grow@skillcast.com', 'hash_123', 'Casey Green', 'Urban gardener turning balconies into jungles.'),
+('pixel_purist', 'pixel@skillcast.com', 'hash_123', 'Dana Dot', 'Illustrator and icon designer.'),
+('chef_noir', 'kitchen@skillcast.com', 'hash_123', 'Marco Pierre', 'Experimental vegan cooking.'),
+('sys_admin', 'root@skillcast.com', 'hash_123', 'Root User', 'Infrastructure and security specialist.');
+
+-- Opening credit balances go through the ledger (users.credit is derived from it)
+INSERT INTO credit_transactions (user_id, amount, reason, memo)
+SELECT u.id, v.amount, 'OPENING_BALANCE', 'Seed balance'
+FROM (VALUES
+  ('brutal_builder', 250),
+  ('code_caster', 180),
+  ('film_fanatic', 95),
+  ('green_thumb', 40),
+  ('pixel_purist', 120),
+  ('chef_noir', 65),
+  ('sys_admin', 300)
+) AS v(username, amount)
+JOIN users u ON u.username = v.username;
@@ -47,4 +47,38 @@ INSERT INTO casts (creator_id, skill_id, title, description, meeting_link, statu
   'Hardening your images for production environments.',
   'https://vimeo.com/event/123456789',
   'PAUSED'
-);
\ No newline at end of file
+);
+
+-- SEED: Upcoming (scheduled) cast announced ahead of time
+INSERT INTO casts (creator_id, skill_id, title, description, meeting_link, status, starts_at, ends_at) VALUES
+(
+  (SELECT id FROM users WHERE username = 'film_fanatic'),
+  (SELECT id FROM skills WHERE name = 'Analog Photography'),
+  'DARKROOM_DEVELOPING_NIGHT',
+  'Developing black and white film at home, step by step.',
+  'https://zoom.us/j/5554443332',
+  'SCHEDULED',
+  NOW() + INTERVAL '2 days',
+  NOW() + INTERVAL '2 days 2 hours'
+);
+-- SEED: Premium cast - learners redeem credit to see the meeting link
+INSERT INTO casts (creator_id, skill_id, title, description, meeting_link, status, credit_cost) VALUES
+(
+  (SELECT id FROM users WHERE username = 'brutal_builder'),
+  (SELECT id FROM skills WHERE name = 'Neo-Brutalist UI'),
+  'BRUTAL_PORTFOLIO_REVIEWS',
+  'Live one-on-one critiques of your portfolio layouts. Limited seats.',
+  'https://meet.google.com/brt-prtf-rvw',
+  'LIVE',
+  50
+);
+
+-- SEED: Platform of each meeting link (the API detects it on save, see meetingLinks.js)
+UPDATE casts SET meeting_platform = CASE
+  WHEN meeting_link ~ '^https://([a-z0-9-]+\.)*zoom\.us/' THEN 'zoom'
+  WHEN meeting_link ~ '^https://meet\.google\.com/' THEN 'meet'
+  WHEN meeting_link ~ '^https://(www\.)?(youtube\.com|youtu\.be)/' THEN 'youtube'
+  WHEN meeting_link ~ '^https://(www\.)?twitch\.tv/' THEN 'twitch'
+  WHEN meeting_link ~ '^https://(www\.)?discord\.(gg|com)/' THEN 'discord'
+  WHEN meeting_link ~ '^https://(www\.)?vimeo\.com/' THEN 'vimeo'
+END;
@@ -36,3 +36,9 @@ INSERT INTO notes (cast_id, sender_id, content) VALUES
   (SELECT id FROM users WHERE username = 'brutal_builder'),
   'Security vulnerabilities in our CI/CD pipeline fixed after this session. Best knowledge share we''ve had.'
 );
+
+-- Credit each host +10 per seeded note (the app records this when a note is sent)
+INSERT INTO credit_transactions (user_id, amount, reason, note_id, cast_id, actor_id)
+SELECT c.creator_id, 10, 'NOTE_RECEIVED', n.id, c.id, n.sender_id
+FROM notes n
+JOIN casts c ON n.cast_id = c.id;
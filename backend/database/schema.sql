@@ -7,6 +7,21 @@ ALTER DATABASE skillcast_db SET timezone TO 'Asia/Singapore';
 -- ===========================================================================
 -- 2. CLEANUP
 -- ===========================================================================
+DROP TABLE IF EXISTS notifications CASCADE;
+DROP TABLE IF EXISTS follows CASCADE;
+DROP TABLE IF EXISTS user_badges CASCADE;
+DROP TABLE IF EXISTS app_settings CASCADE;
+DROP TABLE IF EXISTS abuse_flags CASCADE;
+DROP TABLE IF EXISTS credit_transactions CASCADE;
+DROP TABLE IF EXISTS cast_redemptions CASCADE;
+DROP TABLE IF EXISTS cast_attendees CASCADE;
+DROP TABLE IF EXISTS security_events CASCADE;
+DROP TABLE IF EXISTS login_throttles CASCADE;
+DROP TABLE IF EXISTS oidc_login_states CASCADE;
+DROP TABLE IF EXISTS user_identities CASCADE;
+DROP TABLE IF EXISTS recovery_codes CASCADE;
+DROP TABLE IF EXISTS email_verification_tokens CASCADE;
+DROP TABLE IF EXISTS password_reset_tokens CASCADE;
 DROP TABLE IF EXISTS refresh_tokens CASCADE;
 DROP TABLE IF EXISTS notes CASCADE;
 DROP TABLE IF EXISTS casts CASCADE; -- Renamed from pulses
@@ -26,21 +41,42 @@ CREATE TABLE users (
     password_hash TEXT NOT NULL,
     name VARCHAR(100),
     bio TEXT,
-    credit INT DEFAULT 0, -- Replaced Karma/Trust with 'Credit'
+    credit INT DEFAULT 0, -- Cached balance: sum of credit_transactions, maintained by tr_apply_credit
     role VARCHAR(10) DEFAULT 'member' CHECK (role IN ('member', 'admin')),
+    email_preferences JSONB NOT NULL DEFAULT '{}', -- { note_digest, cast_reminder }; missing keys = on
+    note_digest_sent_at TIMESTAMPTZ, -- Notes after this go in the next digest email
+    email_verified_at TIMESTAMPTZ, -- NULL until the emailed verification link is used
+    totp_secret TEXT, -- Base32 TOTP secret; set on enroll, kept pending until totp_enabled_at is set
+    totp_enabled_at TIMESTAMPTZ, -- NULL = two-factor auth off (required for admins)
+    totp_last_step BIGINT, -- Last accepted TOTP time step, so a code can't be replayed
     created_at TIMESTAMPTZ DEFAULT NOW(),
-    updated_at TIMESTAMPTZ DEFAULT NOW()
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Full-text search: username/name weighted above bio (see /api/search)
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(username, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(bio, '')), 'B')
+    ) STORED
 );
 
+CREATE INDEX idx_users_search ON users USING GIN (search_vector);
+
 -- SKILLS: The catalog of subjects (e.g., 'React', 'Cooking')
 CREATE TABLE skills (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     name VARCHAR(50) UNIQUE NOT NULL,
-    category VARCHAR(50) NOT NULL 
+    category VARCHAR(50) NOT NULL,
+    -- Full-text search on the skill name (see /api/search)
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        to_tsvector('english', coalesce(name, ''))
+    ) STORED
 );
 
+CREATE INDEX idx_skills_search ON skills USING GIN (search_vector);
+
 -- CASTS: The "Live Now" broadcasting sessions
--- Status workflow: LIVE (active, default) → PAUSED (hidden) → ENDED (inactive) → ARCHIVED (soft deleted)
+-- Status workflow: SCHEDULED (upcoming) → LIVE (active, default) → PAUSED (hidden) → ENDED (inactive) → ARCHIVED (soft deleted)
+-- SCHEDULED casts flip to LIVE automatically once starts_at passes (see castScheduler.js)
 CREATE TABLE casts (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     creator_id UUID REFERENCES users(id) ON DELETE CASCADE,
@@ -48,19 +84,149 @@ CREATE TABLE casts (
     title VARCHAR(100) NOT NULL,
     description TEXT,
     meeting_link TEXT NOT NULL,
-    status VARCHAR(10) DEFAULT 'LIVE' CHECK (status IN ('LIVE', 'PAUSED', 'ENDED', 'ARCHIVED')),
+    meeting_platform VARCHAR(20), -- Detected from meeting_link on save (zoom, meet, twitch, ...; see meetingLinks.js)
+    credit_cost INT NOT NULL DEFAULT 0 CHECK (credit_cost >= 0), -- 0 = free; otherwise learners redeem credit to see meeting_link
+    status VARCHAR(10) DEFAULT 'LIVE' CHECK (status IN ('SCHEDULED', 'LIVE', 'PAUSED', 'ENDED', 'ARCHIVED')),
+    starts_at TIMESTAMPTZ DEFAULT NOW(),
+    ends_at TIMESTAMPTZ,
+    reminder_sent_at TIMESTAMPTZ, -- Set once the "starting soon" email has gone out
     created_at TIMESTAMPTZ DEFAULT NOW(),
-    updated_at TIMESTAMPTZ DEFAULT NOW()
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Full-text search: title weighted above description (see /api/search)
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED,
+    CONSTRAINT casts_schedule_check CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX idx_casts_status_starts_at ON casts (status, starts_at);
+CREATE INDEX idx_casts_search ON casts USING GIN (search_vector);
+
+-- CAST ATTENDEES: RSVPs ("Going") so hosts know how many learners to expect
+CREATE TABLE cast_attendees (
+    cast_id UUID REFERENCES casts(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (cast_id, user_id)
 );
 
+CREATE INDEX idx_cast_attendees_user ON cast_attendees (user_id);
+
+-- CAST REDEMPTIONS: Seats bought with credit on premium casts (credit_cost > 0)
+-- One row per learner per cast; the credit transfer lives in credit_transactions
+CREATE TABLE cast_redemptions (
+    cast_id UUID REFERENCES casts(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    amount INT NOT NULL CHECK (amount > 0), -- Price paid (credit_cost at redemption time)
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (cast_id, user_id)
+);
+
+CREATE INDEX idx_cast_redemptions_user ON cast_redemptions (user_id);
+
 -- REFRESH TOKENS: Session persistence and revocation
+-- Tokens are single-use: each refresh rotates to a new row in the same family (= one signed-in device)
 CREATE TABLE refresh_tokens (
     token TEXT PRIMARY KEY,
+    id UUID NOT NULL DEFAULT gen_random_uuid() UNIQUE,
+    family_id UUID NOT NULL, -- Session id (access tokens carry it as sid)
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     expires_at TIMESTAMPTZ NOT NULL,
+    user_agent TEXT, -- Device that last used the session
+    ip TEXT,
+    last_used_at TIMESTAMPTZ DEFAULT NOW(), -- Login or latest refresh
+    rotated_at TIMESTAMPTZ, -- Set when exchanged for a newer token; presenting it again revokes the family
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens (user_id);
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id);
+
+-- PASSWORD RESET TOKENS: Emailed single-use reset links (only the SHA-256 hash is stored)
+CREATE TABLE password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ, -- Set when the token is redeemed; a used token never works again
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens (user_id);
+
+-- EMAIL VERIFICATION TOKENS: Emailed single-use verification links (only the SHA-256 hash is stored)
+CREATE TABLE email_verification_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_verification_tokens_user ON email_verification_tokens (user_id, created_at DESC);
+
+-- RECOVERY CODES: Single-use two-factor backup codes (only the SHA-256 hash is stored)
+CREATE TABLE recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMPTZ, -- Set when the code is used to log in
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, code_hash)
+);
+
+-- USER IDENTITIES: OpenID Connect accounts linked to a user (several providers per user)
+CREATE TABLE user_identities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL, -- Provider id from OIDC_PROVIDERS
+    subject TEXT NOT NULL, -- The provider's stable user id (sub claim)
+    email VARCHAR(100), -- Email the provider reported when linked
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_login_at TIMESTAMPTZ,
+    UNIQUE (provider, subject)
+);
+
+CREATE INDEX idx_user_identities_user ON user_identities (user_id);
+
+-- OIDC LOGIN STATES: In-flight provider sign-ins (state, PKCE verifier, nonce), single-use
+CREATE TABLE oidc_login_states (
+    state_hash TEXT PRIMARY KEY, -- SHA-256 of the state parameter
+    provider VARCHAR(50) NOT NULL,
+    code_verifier TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    binding_hash TEXT NOT NULL, -- SHA-256 of the httpOnly cookie set on the browser that started the sign-in
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- Set when linking to a logged-in user
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- LOGIN THROTTLES: Failed login counters for brute-force protection (see shared/services/loginThrottle.js)
+-- Keys: 'account:<lowercased email>' (also for unknown emails) and 'ip:<client ip>'
+CREATE TABLE login_throttles (
+    key TEXT PRIMARY KEY,
+    failures INT NOT NULL DEFAULT 0, -- Failures in the current window
+    last_failure_at TIMESTAMPTZ,
+    locked_until TIMESTAMPTZ -- Account locked until then (admins can unlock)
+);
+
+-- SECURITY EVENTS: Failed logins, throttling and lockouts, for admins to review
+-- Types: see SECURITY_EVENT_TYPES in shared/services/securityEvents.js
+CREATE TABLE security_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    type VARCHAR(30) NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Account involved, when known
+    email VARCHAR(100), -- Email the attempt used
+    ip VARCHAR(64),
+    user_agent VARCHAR(512),
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_security_events_created ON security_events (created_at DESC, id DESC);
+
 -- NOTES: Peer feedback/Thank you notes
 CREATE TABLE notes (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -70,6 +236,95 @@ CREATE TABLE notes (
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Per-sender lookups for the note abuse limits (see noteAbuse.js)
+CREATE INDEX idx_notes_sender ON notes (sender_id, created_at DESC);
+
+-- CREDIT TRANSACTIONS: Append-only ledger behind users.credit
+-- Rows are written by the app (see shared/services/creditLedger.js); corrections are new rows, never edits
+-- note_id has no foreign key so reversals keep pointing at the deleted note
+CREATE TABLE credit_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount INT NOT NULL CHECK (amount <> 0),
+    reason VARCHAR(30) NOT NULL CHECK (reason IN ('OPENING_BALANCE', 'NOTE_RECEIVED', 'NOTE_REVERSED', 'ADMIN_ADJUSTMENT', 'SEAT_PURCHASED', 'SEAT_SOLD')),
+    note_id UUID,
+    cast_id UUID REFERENCES casts(id) ON DELETE SET NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Who caused it (note sender, admin)
+    memo TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_credit_transactions_user ON credit_transactions (user_id, created_at DESC);
+CREATE INDEX idx_credit_transactions_note ON credit_transactions (note_id);
+
+-- ABUSE FLAGS: Suspected note-based credit farming, reviewed by admins
+-- Raised by shared/services/noteAbuse.js; repeat hits bump the open flag instead of adding rows
+-- CREDIT_RING flags store the user pair in sorted order (user_id < related_user_id)
+CREATE TABLE abuse_flags (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('DAILY_LIMIT', 'CREDIT_RING')),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    related_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    cast_id UUID REFERENCES casts(id) ON DELETE SET NULL, -- Cast of the latest triggering note
+    details JSONB NOT NULL DEFAULT '{}',
+    hits INT NOT NULL DEFAULT 1,
+    status VARCHAR(10) NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'DISMISSED', 'RESOLVED')),
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_abuse_flags_open ON abuse_flags (kind, user_id, COALESCE(related_user_id, user_id)) WHERE status = 'OPEN';
+CREATE INDEX idx_abuse_flags_status ON abuse_flags (status, last_seen_at DESC);
+
+-- USER BADGES: Achievements earned from cast and note activity
+-- Badge codes and rules live in shared/services/badges.js
+CREATE TABLE user_badges (
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    badge VARCHAR(40) NOT NULL,
+    awarded_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, badge)
+);
+
+-- FOLLOWS: Who follows which creator (powers the "following" cast feed)
+CREATE TABLE follows (
+    follower_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    followee_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (follower_id, followee_id),
+    CHECK (follower_id <> followee_id)
+);
+
+CREATE INDEX idx_follows_followee ON follows (followee_id);
+
+-- NOTIFICATIONS: In-app messages for the navbar bell
+-- Types: NOTE_RECEIVED, CAST_LIVE, ROLE_CHANGED (see shared/services/notifications.js)
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    cast_id UUID REFERENCES casts(id) ON DELETE CASCADE,
+    data JSONB NOT NULL DEFAULT '{}',
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_notifications_user ON notifications (user_id, created_at DESC, id DESC);
+CREATE INDEX idx_notifications_unread ON notifications (user_id) WHERE read_at IS NULL;
+-- One "went live" notification per follower per cast
+CREATE UNIQUE INDEX idx_notifications_cast_live ON notifications (user_id, cast_id) WHERE type = 'CAST_LIVE';
+
+-- APP SETTINGS: Admin-tunable configuration, one JSONB document per key
+-- Keys: credit_rules (see shared/services/creditRules.js); missing keys fall back to code defaults
+CREATE TABLE app_settings (
+    key VARCHAR(50) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ===========================================================================
 -- 4. AUTOMATION
 -- ===========================================================================
@@ -86,13 +341,14 @@ CREATE TRIGGER tr_update_users BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCT
 CREATE TRIGGER tr_update_casts BEFORE UPDATE ON casts FOR EACH ROW EXECUTE FUNCTION update_timestamp();
 
 
--- Credit Reward Logic: +10 Credit when a Cast receives a note
-CREATE OR REPLACE FUNCTION award_credit() RETURNS TRIGGER AS $$
+-- Credit Balance: apply each ledger row to the cached users.credit balance
+-- Reward amounts are decided in application code (shared/services/creditRules.js)
+CREATE OR REPLACE FUNCTION apply_credit() RETURNS TRIGGER AS $$
 BEGIN
-    UPDATE users SET credit = credit + 10 
-    WHERE id = (SELECT creator_id FROM casts WHERE id = NEW.cast_id);
+    UPDATE users SET credit = COALESCE(credit, 0) + NEW.amount
+    WHERE id = NEW.user_id;
     RETURN NEW;
 END;
 $$ language 'plpgsql';
 
-CREATE TRIGGER tr_award_credit AFTER INSERT ON notes FOR EACH ROW EXECUTE FUNCTION award_credit();
+CREATE TRIGGER tr_apply_credit AFTER INSERT ON credit_transactions FOR EACH ROW EXECUTE FUNCTION apply_credit();
@@ -0,0 +1,47 @@
+/**
+ * BADGE BACKFILL SCRIPT
+ * Awards badges for activity that happened before badges existed
+ * (e.g., right after loading the seed data)
+ *
+ * Usage: npm run badges:backfill
+ *
+ * Safe to re-run - badges a user already has are skipped
+ */
+
+import { query } from "../src/shared/config/db.js";
+import { evaluateBadges } from "../src/shared/services/badges.js";
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Evaluates every user once and reports what was awarded
+ */
+const backfillBadges = async () => {
+  try {
+    const users = await query(
+      "SELECT id, username FROM users ORDER BY created_at",
+    );
+
+    let awarded = 0;
+    for (const user of users.rows) {
+      const codes = await evaluateBadges(user.id);
+      if (codes.length > 0) {
+        awarded += codes.length;
+        console.log(`  ${user.username}: ${codes.join(", ")}`);
+      }
+    }
+
+    console.log(
+      `✓ Checked ${users.rows.length} users, awarded ${awarded} badges`,
+    );
+    process.exit(0);
+  } catch (err) {
+    console.error("✗ Failed to backfill badges:", err.message);
+    process.exit(1);
+  }
+};
+
+// Execute the backfill
+backfillBadges();
@@ -0,0 +1,227 @@
+/**
+ * LOCAL MOCK OIDC ISSUER
+ * A minimal OpenID Connect provider for testing "Sign in with ..." locally:
+ * discovery, JWKS, an authorize page where you type any email, and a token
+ * endpoint that checks the PKCE verifier and returns an RS256 id_token
+ *
+ * Usage: npm run oidc:mock
+ * Then set OIDC_PROVIDERS=mock, OIDC_MOCK_ISSUER=http://localhost:9400,
+ * OIDC_MOCK_CLIENT_ID=skillcast-dev (and optionally OIDC_MOCK_NAME=Mock)
+ *
+ * Signing keys and codes live in memory - restart it and old tokens are
+ * useless. No TLS and no real login - never expose it beyond localhost
+ */
+
+import crypto from "crypto";
+import http from "http";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+const PORT = Number(process.env.OIDC_MOCK_PORT) || 9400;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_MOCK_CLIENT_ID || "skillcast-dev";
+// Only checked when set, like a confidential client
+const CLIENT_SECRET = process.env.OIDC_MOCK_CLIENT_SECRET || null;
+const CODE_TTL_MS = 60 * 1000;
+
+// Fresh signing key per run
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+// Issued authorization codes: code → { redirectUri, nonce, codeChallenge, user, expiresAt }
+const codes = new Map();
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+};
+
+const redirect = (res, url) => {
+  res.writeHead(302, { Location: url });
+  res.end();
+};
+
+const readForm = async (req) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  return Object.fromEntries(new URLSearchParams(body));
+};
+
+/**
+ * GET /authorize - login form that "authenticates" whoever you type in
+ */
+const renderAuthorize = (res, params) => {
+  if (params.client_id !== CLIENT_ID) {
+    return sendJson(res, 400, { error: "unauthorized_client" });
+  }
+  if (params.code_challenge_method !== "S256" || !params.code_challenge) {
+    return sendJson(res, 400, {
+      error: "invalid_request",
+      error_description: "PKCE (S256) is required",
+    });
+  }
+
+  const hidden = ["redirect_uri", "state", "nonce", "code_challenge"]
+    .map(
+      (name) =>
+        `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`,
+    )
+    .join("");
+
+  res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(`<!doctype html>
+<title>Mock OIDC sign-in</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:22rem;margin:4rem auto;display:grid;gap:.75rem">
+  <h1>Mock OIDC</h1>
+  ${hidden}
+  <label>Email <input name="email" type="email" required value="mock.user@example.com"></label>
+  <label>Name <input name="name" value="Mock User"></label>
+  <label><input name="email_verified" type="checkbox" checked> Email verified</label>
+  <button name="decision" value="allow">Sign in</button>
+  <button name="decision" value="deny">Cancel</button>
+</form>`);
+};
+
+/**
+ * POST /authorize - issues a code and sends the browser back to the client
+ */
+const handleAuthorize = async (req, res) => {
+  const form = await readForm(req);
+  const back = new URL(form.redirect_uri);
+  back.searchParams.set("state", form.state);
+
+  if (form.decision !== "allow") {
+    back.searchParams.set("error", "access_denied");
+    return redirect(res, back.toString());
+  }
+
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, {
+    redirectUri: form.redirect_uri,
+    nonce: form.nonce,
+    codeChallenge: form.code_challenge,
+    user: {
+      // Same email → same subject across runs
+      sub: `mock-${crypto.createHash("sha256").update(form.email.toLowerCase()).digest("hex").slice(0, 16)}`,
+      email: form.email,
+      email_verified: form.email_verified === "on",
+      name: form.name || undefined,
+      preferred_username: form.email.split("@")[0],
+    },
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  back.searchParams.set("code", code);
+  console.log(`🔑 Signed in ${form.email} → ${back.origin}`);
+  redirect(res, back.toString());
+};
+
+/**
+ * POST /token - exchanges a code (once) for an id_token
+ */
+const handleToken = async (req, res) => {
+  const form = await readForm(req);
+  const grant = codes.get(form.code);
+  codes.delete(form.code);
+
+  if (form.grant_type !== "authorization_code" || !grant) {
+    return sendJson(res, 400, { error: "invalid_grant" });
+  }
+  if (
+    grant.expiresAt < Date.now() ||
+    grant.redirectUri !== form.redirect_uri ||
+    form.client_id !== CLIENT_ID ||
+    (CLIENT_SECRET && form.client_secret !== CLIENT_SECRET)
+  ) {
+    return sendJson(res, 400, { error: "invalid_grant" });
+  }
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(form.code_verifier || "")
+    .digest("base64url");
+  if (challenge !== grant.codeChallenge) {
+    return sendJson(res, 400, {
+      error: "invalid_grant",
+      error_description: "PKCE verification failed",
+    });
+  }
+
+  const idToken = jwt.sign({ ...grant.user, nonce: grant.nonce }, privateKey, {
+    algorithm: "RS256",
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: "5m",
+  });
+
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(24).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (
+      req.method === "GET" &&
+      url.pathname === "/.well-known/openid-configuration"
+    ) {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        code_challenge_methods_supported: ["S256"],
+        scopes_supported: ["openid", "email", "profile"],
+      });
+    }
+    if (req.method === "GET" && url.pathname === "/jwks") {
+      const jwk = publicKey.export({ format: "jwk" });
+      return sendJson(res, 200, {
+        keys: [{ ...jwk, kid: KEY_ID, use: "sig", alg: "RS256" }],
+      });
+    }
+    if (req.method === "GET" && url.pathname === "/authorize") {
+      return renderAuthorize(res, Object.fromEntries(url.searchParams));
+    }
+    if (req.method === "POST" && url.pathname === "/authorize") {
+      return await handleAuthorize(req, res);
+    }
+    if (req.method === "POST" && url.pathname === "/token") {
+      return await handleToken(req, res);
+    }
+    sendJson(res, 404, { error: "not_found" });
+  } catch (err) {
+    console.error("Mock OIDC request failed:", err);
+    sendJson(res, 500, { error: "server_error" });
+  }
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`✓ Mock OIDC issuer at ${ISSUER} (client_id: ${CLIENT_ID})`);
+});
@@ -10,6 +10,7 @@
  * - Password: AdminPass123!
  * - Role: admin
  * - Starting credit: 500
+ * Admins must enable two-factor auth, so the first login walks through setup
  */
 
 import bcrypt from "bcrypt";
@@ -48,9 +49,16 @@ const seedAdmin = async () => {
 
     // Create admin user with elevated role and starting credits
     // Admin role enables access to skill catalog management and user administration
+    // The seeded address is trusted, so it starts out verified
     const result = await query(
-      "INSERT INTO users (username, email, password_hash, name, role, credit) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, username, email, role",
-      [adminUsername, adminEmail, hashedPwd, "Admin", "admin", 500],
+      "INSERT INTO users (username, email, password_hash, name, role, email_verified_at) VALUES ($1, $2, $3, $4, $5, NOW()) RETURNING id, username, email, role",
+      [adminUsername, adminEmail, hashedPwd, "Admin", "admin"],
+    );
+
+    // Starting credit goes through the ledger (users.credit is derived from it)
+    await query(
+      "INSERT INTO credit_transactions (user_id, amount, reason, memo) VALUES ($1, $2, 'OPENING_BALANCE', 'Admin seed balance')",
+      [result.rows[0].id, 500],
     );
 
     // Success feedback with login credentials
@@ -59,6 +67,7 @@ const seedAdmin = async () => {
     console.log(`  Password: ${adminPassword}`);
     console.log(`  Username: ${adminUsername}`);
     console.log(`  Role: ${result.rows[0].role}`);
+    console.log("  Two-factor setup is required on first login");
     process.exit(0);
   } catch (err) {
     // Error handling with diagnostic information
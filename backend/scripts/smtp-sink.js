@@ -0,0 +1,103 @@
+/**
+ * LOCAL SMTP SINK
+ * A minimal SMTP server that accepts every message and saves it as an .eml
+ * file - a local stand-in for a real mail server when testing MAIL_TRANSPORT=smtp
+ *
+ * Usage: npm run mail:sink
+ * Then set MAIL_TRANSPORT=smtp, SMTP_HOST=localhost, SMTP_PORT=2525
+ *
+ * No TLS or authentication - never expose it beyond localhost
+ */
+
+import fs from "fs/promises";
+import net from "net";
+import path from "path";
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+const PORT = Number(process.env.SMTP_PORT) || 2525;
+const OUT_DIR = process.env.MAIL_FILE_DIR || "tmp/mail";
+
+/**
+ * Handles one SMTP conversation (HELO/EHLO, MAIL, RCPT, DATA, QUIT)
+ *
+ * @param {net.Socket} socket - Client connection
+ */
+const handleConnection = (socket) => {
+  let buffer = "";
+  let inData = false;
+  let envelope = { from: null, to: [] };
+  let dataLines = [];
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const saveMessage = async ({ from, to }, lines) => {
+    await fs.mkdir(OUT_DIR, { recursive: true });
+    const file = path.join(OUT_DIR, `${Date.now()}-smtp.eml`);
+    await fs.writeFile(file, lines.join("\n"));
+    console.log(`📧 ${from} → ${to.join(", ")} saved to ${file}`);
+  };
+
+  const handleLine = (line) => {
+    if (inData) {
+      if (line === ".") {
+        inData = false;
+        saveMessage(envelope, dataLines).catch((err) =>
+          console.error("SMTP sink failed to save message:", err),
+        );
+        envelope = { from: null, to: [] };
+        dataLines = [];
+        return reply("250 OK: message saved");
+      }
+      // Dot-stuffing: a leading ".." stands for a literal "."
+      return dataLines.push(line.startsWith("..") ? line.slice(1) : line);
+    }
+
+    const command = line.slice(0, 4).toUpperCase();
+    if (command === "EHLO" || command === "HELO") return reply("250 smtp-sink");
+    if (command === "MAIL") {
+      envelope.from = line.slice(line.indexOf(":") + 1).trim();
+      return reply("250 OK");
+    }
+    if (command === "RCPT") {
+      envelope.to.push(line.slice(line.indexOf(":") + 1).trim());
+      return reply("250 OK");
+    }
+    if (command === "DATA") {
+      inData = true;
+      return reply("354 End data with <CR><LF>.<CR><LF>");
+    }
+    if (command === "RSET") {
+      envelope = { from: null, to: [] };
+      return reply("250 OK");
+    }
+    if (command === "NOOP") return reply("250 OK");
+    if (command === "QUIT") {
+      reply("221 Bye");
+      return socket.end();
+    }
+    return reply("502 Command not implemented");
+  };
+
+  // Commands can arrive split or batched across packets - process full lines only
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      handleLine(line);
+    }
+  });
+
+  socket.on("error", (err) => console.error("SMTP sink socket error:", err));
+  reply("220 smtp-sink ready");
+};
+
+net.createServer(handleConnection).listen(PORT, "127.0.0.1", () => {
+  console.log(
+    `✓ SMTP sink listening on localhost:${PORT}, saving to ${OUT_DIR}`,
+  );
+});
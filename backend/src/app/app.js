@@ -4,6 +4,7 @@
  */
 import express from "express";
 import cors from "cors";
+import cookieParser from "cookie-parser";
 import dotenv from "dotenv";
 import { logError } from "../shared/utils/logger.js";
 
@@ -13,10 +14,27 @@ import castRoutes from "../features/casts/routes/castRoutes.js";
 import skillRoutes from "../features/skills/routes/skillRoutes.js";
 import noteRoutes from "../features/notes/routes/noteRoutes.js";
 import userRoutes from "../features/users/routes/userRoutes.js";
+import eventRoutes from "../features/events/routes/eventRoutes.js";
+import searchRoutes from "../features/search/routes/searchRoutes.js";
+import settingsRoutes from "../features/settings/routes/settingsRoutes.js";
+import notificationRoutes from "../features/notifications/routes/notificationRoutes.js";
+
+// Background jobs
+import { startCastScheduler } from "../features/casts/jobs/castScheduler.js";
+import { startNoteDigest } from "../features/notes/jobs/noteDigest.js";
 
 // Database connection helper
 import { query } from "../shared/config/db.js";
 
+// Refuses mail settings that are unsafe for production
+import { assertMailConfig } from "../shared/services/mailer.js";
+
+// CSRF check for cookie-based auth (AUTH_COOKIE_MODE)
+import { csrfProtection } from "../shared/middleware/csrfMiddleware.js";
+
+// Token-bucket rate limiting, one policy per route group
+import { apiRateLimit } from "../shared/middleware/rateLimitMiddleware.js";
+
 // Load environment variables from .env file
 dotenv.config();
 
@@ -31,6 +49,7 @@ const PORT = process.env.PORT || 5001; // Default to 5001 if no PORT env var
 /**
  * Creates refresh_tokens table if it doesn't exist
  * Prevents 500 errors on fresh database installations
+ * Also adds the session and rotation columns to tables created before they existed
  */
 const ensureRefreshTokensTable = async () => {
   try {
@@ -41,6 +60,15 @@ const ensureRefreshTokensTable = async () => {
         expires_at TIMESTAMPTZ NOT NULL,
         created_at TIMESTAMPTZ DEFAULT NOW()
       );
+      ALTER TABLE refresh_tokens
+        ADD COLUMN IF NOT EXISTS id UUID NOT NULL DEFAULT gen_random_uuid() UNIQUE,
+        ADD COLUMN IF NOT EXISTS user_agent TEXT,
+        ADD COLUMN IF NOT EXISTS ip TEXT,
+        ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ DEFAULT NOW(),
+        ADD COLUMN IF NOT EXISTS family_id UUID,
+        ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMPTZ;
+      UPDATE refresh_tokens SET family_id = id WHERE family_id IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family_id);
     `);
   } catch (err) {
     logError("ensureRefreshTokensTable", err);
@@ -70,12 +98,29 @@ app.use(
       return callback(null, true);
     },
     credentials: true, // Allow cookies and authentication headers
+    // Let the frontend read rate limit state
+    exposedHeaders: [
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+      "Retry-After",
+    ],
   }),
 );
 
+// Rate limit every API request (429 once the client's bucket is empty)
+app.use("/api", apiRateLimit);
+
 // Parse JSON request bodies (for POST/PUT requests)
 app.use(express.json());
 
+// Parse cookies (refresh token and CSRF cookies in cookie mode)
+app.use(cookieParser());
+
+// Reject state-changing requests without a matching CSRF token (cookie mode only)
+app.use("/api", csrfProtection);
+
 // Initialize database tables (non-blocking)
 ensureRefreshTokensTable();
 
@@ -97,9 +142,13 @@ app.get("/api/health", (req, res) => {
 // Mount feature routes with their respective base paths
 app.use("/api/auth", authRoutes); // Authentication: /api/auth/login, /api/auth/register, etc.
 app.use("/api/users", userRoutes); // User management: /api/users/profile, /api/users/leaderboard, etc.
-app.use("/api/casts", castRoutes); // Live casts: /api/casts/, /api/casts/:id, etc.
+app.use("/api/casts", castRoutes); // Live casts: /api/casts/, /api/casts/upcoming, /api/casts/:id, etc.
 app.use("/api/skills", skillRoutes); // Skill catalog: /api/skills/, /api/skills/add, etc.
 app.use("/api/notes", noteRoutes); // Notes: /api/notes/, /api/notes/sent, etc.
+app.use("/api/search", searchRoutes); // Full-text search: /api/search?q=
+app.use("/api/events", eventRoutes); // Real-time feed updates: /api/events (SSE stream)
+app.use("/api/settings", settingsRoutes); // Admin settings: /api/settings/credit-rules
+app.use("/api/notifications", notificationRoutes); // In-app notifications: /api/notifications, /api/notifications/:id/read
 
 // ==========================================
 // ERROR HANDLING
@@ -124,12 +173,21 @@ app.use((err, req, res, next) => {
 // SERVER STARTUP
 // ==========================================
 
+// Fail fast on a mail transport that would leak reset/verification links
+assertMailConfig();
+
 /**
  * Start the Express server and listen on specified port
  */
 app.listen(PORT, () => {
   console.log(`✓ SkillCast Server listening on port ${PORT}`);
   console.log(`  Health check: http://localhost:${PORT}/api/health`);
+
+  // Move scheduled casts to LIVE (and expired casts to ENDED) on a timer
+  startCastScheduler();
+
+  // Email hosts a digest of the notes they received
+  startNoteDigest();
 });
 
 export default app;
@@ -1,44 +1,82 @@
 /**
  * AUTHENTICATION CONTROLLER
- * Handles user registration, login, token refresh, logout, and password changes
+ * Handles user registration, login, token refresh, logout, password changes,
+ * emailed password resets, email verification and per-device sessions
+ * Two-factor login and enrollment live in twoFactorController.js
  * Uses JWT tokens for stateless authentication with refresh token pattern
  */
 
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
-import { query } from "../../../shared/config/db.js";
 import { logError } from "../../../shared/utils/logger.js";
-
-// JWT secret keys with fallback defaults for development
-// In production, these should always be set via environment variables
-const ACCESS_SECRET = process.env.JWT_SECRET || "dev_access_secret";
-const REFRESH_SECRET =
-  process.env.JWT_REFRESH_SECRET ||
-  process.env.JWT_SECRET ||
-  "dev_refresh_secret";
+import { query, withTransaction } from "../../../shared/config/db.js";
+import { sendMail } from "../../../shared/services/mailer.js";
+import {
+  welcomeEmail,
+  passwordResetEmail,
+  verificationEmail,
+} from "../../../shared/services/emails.js";
+import { generateToken, hashToken } from "../../../shared/utils/tokens.js";
+import {
+  AUTH_COOKIE_MODE,
+  setAuthCookies,
+  clearAuthCookies,
+  readRefreshToken,
+} from "../../../shared/utils/authCookies.js";
+import {
+  ACCESS_SECRET,
+  REFRESH_SECRET,
+  generateTokens,
+  storeRefreshToken,
+  clientInfo,
+  completeLogin,
+} from "../sessions/authSessions.js";
+import {
+  guardLoginAttempt,
+  loginFailed,
+  loginCheckPassed,
+  loginSucceeded,
+} from "../sessions/loginGuard.js";
+import { SECURITY_EVENT_TYPES } from "../../../shared/services/securityEvents.js";
+import { unlockAccount } from "../../../shared/services/loginThrottle.js";
+
+// Password reset links expire after this many minutes (default: 30)
+const PASSWORD_RESET_TTL_MINUTES =
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// Email verification links expire after this many hours (default: 48)
+const EMAIL_VERIFICATION_TTL_HOURS =
+  Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+// Minimum seconds between verification emails for one user
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+// A just-rotated refresh token presented again within this window is treated
+// as a race between tabs (409) rather than theft (default: 10 seconds)
+const REFRESH_REUSE_GRACE_SECONDS =
+  Number(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10;
 
 /**
- * Generates JWT access and refresh tokens for authenticated users
- * Access tokens are short-lived (15 minutes) for security
- * Refresh tokens are long-lived (7 days) for user convenience
+ * Replaces a user's outstanding verification token with a fresh one
  *
- * @param {object} user - User object containing id and role
- * @returns {object} Object containing accessToken and refreshToken
+ * @param {object} client - Transaction client from withTransaction
+ * @param {string} userId - User UUID
+ * @returns {Promise<string>} - Raw token to email (only its hash is stored)
  */
-const generateTokens = (user) => {
-  const accessToken = jwt.sign(
-    { id: user.id, role: user.role }, // Include user ID and role in token payload
-    ACCESS_SECRET,
-    { expiresIn: "15m" }, // Short-lived for security
-  );
+const issueVerificationToken = async (client, userId) => {
+  const token = generateToken();
 
-  const refreshToken = jwt.sign(
-    { id: user.id }, // Only include user ID in refresh token
-    REFRESH_SECRET,
-    { expiresIn: "7d" }, // Long-lived for convenience
+  await client.query(
+    "DELETE FROM email_verification_tokens WHERE user_id = $1 AND used_at IS NULL",
+    [userId],
+  );
+  await client.query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(hours => $3))`,
+    [userId, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS],
   );
 
-  return { accessToken, refreshToken };
+  return token;
 };
 
 // ==========================================
@@ -47,18 +85,11 @@ const generateTokens = (user) => {
 
 /**
  * Creates a new user account with hashed password
- * Validates required fields and handles duplicate username/email errors
+ * Fields are checked by the route schema; duplicate username/email errors are handled here
  */
 export const register = async (req, res) => {
   const { username, email, password, name } = req.body;
 
-  // Validate required fields are present
-  if (!username || !email || !password) {
-    return res
-      .status(400)
-      .json({ error: "Missing required registration fields" });
-  }
-
   try {
     // Generate salt for password hashing (12 rounds = strong security)
     const salt = await bcrypt.genSalt(12);
@@ -66,14 +97,24 @@ export const register = async (req, res) => {
     // Hash the password with the salt
     const hashedPwd = await bcrypt.hash(password, salt);
 
-    // Insert new user into database
-    const newUser = await query(
-      "INSERT INTO users (username, email, password_hash, name) VALUES ($1, $2, $3, $4) RETURNING id, username, role",
-      [username, email, hashedPwd, name],
-    );
+    // Insert new user and their first verification token together
+    const { user, verifyToken } = await withTransaction(async (client) => {
+      const newUser = await client.query(
+        "INSERT INTO users (username, email, password_hash, name) VALUES ($1, $2, $3, $4) RETURNING id, username, role, email_verified_at",
+        [username, email, hashedPwd, name],
+      );
+      const user = newUser.rows[0];
+      return {
+        user,
+        verifyToken: await issueVerificationToken(client, user.id),
+      };
+    });
 
     // Return the created user (without password)
-    res.status(201).json(newUser.rows[0]);
+    res.status(201).json(user);
+
+    // Welcome email with the verification link - delivery problems are logged, never surfaced
+    sendMail(welcomeEmail({ email, username, name }, verifyToken));
   } catch (err) {
     // Log error with context for debugging
     logError("authController.register", err, { email, username });
@@ -105,42 +146,36 @@ export const login = async (req, res) => {
       });
     }
 
+    // Brute-force protection: backoff, lockout and per-IP limit (429)
+    if (!(await guardLoginAttempt(req, res, { email }))) return;
+
     // Find user by email
     const userRes = await query("SELECT * FROM users WHERE email = $1", [
       email,
     ]);
-    if (userRes.rows.length === 0) {
-      return res.status(401).json({ error: "Invalid Credentials" });
-    }
-
     const user = userRes.rows[0];
 
     // Compare provided password with hashed password in database
-    const isMatch = await bcrypt.compare(password, user.password_hash);
+    const isMatch =
+      user && (await bcrypt.compare(password, user.password_hash));
     if (!isMatch) {
+      await loginFailed(req, {
+        type: SECURITY_EVENT_TYPES.LOGIN_FAILED,
+        email,
+        userId: user?.id,
+      });
       return res.status(401).json({ error: "Invalid Credentials" });
     }
 
-    // Generate JWT tokens for the authenticated user
-    const { accessToken, refreshToken } = generateTokens(user);
+    // Two-factor accounts (and admins, who must enroll) get a challenge instead
+    const result = await completeLogin(req, res, user);
 
-    // Store refresh token in database for revocation capability
-    await query(
-      "INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES ($1, $2, NOW() + INTERVAL '7 days')",
-      [user.id, refreshToken],
-    );
-
-    // Return tokens and safe user data (no password)
-    res.json({
-      accessToken,
-      refreshToken,
-      user: {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        credit: user.credit,
-      },
-    });
+    // Failures are only cleared once a session is issued, so logging in again
+    // with the password can't reset the count of wrong two-factor codes
+    await (result.mfa_token
+      ? loginCheckPassed(req, email)
+      : loginSucceeded(req, email));
+    res.json(result);
   } catch (err) {
     logError("authController.login", err, { email });
     res.status(500).json({ error: "Login server error" });
@@ -152,40 +187,118 @@ export const login = async (req, res) => {
 // ==========================================
 
 /**
- * Generates a new access token using a valid refresh token
- * Validates refresh token exists in database and hasn't been revoked
+ * Rotates a refresh token: returns a new access token AND a new refresh token
+ * The presented token is marked rotated and can't be used again
+ *
+ * Reuse detection: a rotated token coming back means it was copied, so the
+ * whole family (session) is revoked and both holders must log in again.
+ * A token rotated within REFRESH_REUSE_GRACE_SECONDS only gets a 409, since
+ * two tabs refreshing at once is far more likely than theft
+ *
+ * The token comes from the refresh cookie in cookie mode, else from the body
  */
 export const refreshToken = async (req, res) => {
-  const { token } = req.body;
+  const token = readRefreshToken(req);
 
   if (!token) {
     return res.status(401).json({ error: "Refresh token required" });
   }
 
   try {
-    // Verify refresh token exists in database (not revoked)
-    const tokenInDb = await query(
-      "SELECT * FROM refresh_tokens WHERE token = $1",
-      [token],
-    );
-
-    if (tokenInDb.rows.length === 0) {
-      return res.status(403).json({ error: "Token revoked" });
-    }
-
     // Verify the refresh token signature and expiration
     const decoded = jwt.verify(token, REFRESH_SECRET);
 
-    // Get current user data for new token
-    const user = await query("SELECT id, role FROM users WHERE id = $1", [
-      decoded.id,
-    ]);
+    const outcome = await withTransaction(async (client) => {
+      // Verify refresh token exists in database (not revoked)
+      // FOR UPDATE serializes concurrent refreshes of the same token
+      const tokenInDb = await client.query(
+        `SELECT family_id, user_id, rotated_at,
+                rotated_at > NOW() - make_interval(secs => $2) AS in_grace
+         FROM refresh_tokens
+         WHERE token = $1
+         FOR UPDATE`,
+        [token, REFRESH_REUSE_GRACE_SECONDS],
+      );
+      if (tokenInDb.rows.length === 0) return { status: "revoked" };
+
+      const stored = tokenInDb.rows[0];
+      if (stored.rotated_at) {
+        if (stored.in_grace) return { status: "raced" };
+
+        // Reuse of a rotated token - revoke the whole session
+        await client.query("DELETE FROM refresh_tokens WHERE family_id = $1", [
+          stored.family_id,
+        ]);
+        return { status: "reused", familyId: stored.family_id };
+      }
+
+      // Get current user data for new token
+      const user = await client.query(
+        "SELECT id, role, totp_enabled_at FROM users WHERE id = $1",
+        [decoded.id],
+      );
+
+      // Admin sessions from before two-factor auth was required end here
+      if (user.rows[0].role === "admin" && !user.rows[0].totp_enabled_at) {
+        await client.query("DELETE FROM refresh_tokens WHERE family_id = $1", [
+          stored.family_id,
+        ]);
+        return { status: "mfa_setup_required" };
+      }
+
+      const tokens = generateTokens(user.rows[0], stored.family_id);
+      await client.query(
+        "UPDATE refresh_tokens SET rotated_at = NOW() WHERE token = $1",
+        [token],
+      );
+      await storeRefreshToken(client, {
+        familyId: stored.family_id,
+        userId: stored.user_id,
+        token: tokens.refreshToken,
+        ...clientInfo(req),
+      });
+      return { status: "rotated", tokens };
+    });
+
+    if (outcome.status === "revoked") {
+      clearAuthCookies(res);
+      return res.status(403).json({ error: "Token revoked" });
+    }
+    if (outcome.status === "raced") {
+      return res
+        .status(409)
+        .json({ error: "Refresh token was already rotated" });
+    }
+    if (outcome.status === "mfa_setup_required") {
+      clearAuthCookies(res);
+      return res.status(403).json({
+        error:
+          "Admins must set up two-factor authentication. Please log in again.",
+        code: "MFA_SETUP_REQUIRED",
+      });
+    }
+    if (outcome.status === "reused") {
+      logError(
+        "authController.refreshToken",
+        new Error("Refresh token reuse detected - session revoked"),
+        { userId: decoded.id, familyId: outcome.familyId },
+      );
+      clearAuthCookies(res);
+      return res
+        .status(403)
+        .json({ error: "Refresh token reuse detected. Please log in again." });
+    }
 
-    // Generate new access token (refresh token stays the same)
-    const newTokens = generateTokens(user.rows[0]);
-    res.json({ accessToken: newTokens.accessToken });
+    setAuthCookies(req, res, outcome.tokens.refreshToken);
+    res.json({
+      accessToken: outcome.tokens.accessToken,
+      ...(AUTH_COOKIE_MODE
+        ? {}
+        : { refreshToken: outcome.tokens.refreshToken }),
+    });
   } catch (err) {
     logError("authController.refreshToken", err);
+    clearAuthCookies(res);
     res.status(403).json({ error: "Invalid refresh token" });
   }
 };
@@ -195,15 +308,20 @@ export const refreshToken = async (req, res) => {
 // ==========================================
 
 /**
- * Logs out user by removing refresh token from database
- * This prevents the refresh token from being used again
+ * Logs out user by removing the refresh token's whole session from database
+ * This prevents the refresh token (and its rotated predecessors) from being used again
  */
 export const logout = async (req, res) => {
-  const { token } = req.body;
+  const token = readRefreshToken(req);
 
   try {
-    // Remove refresh token from database (revoke session)
-    await query("DELETE FROM refresh_tokens WHERE token = $1", [token]);
+    // Remove the token's family from database (revoke session)
+    await query(
+      `DELETE FROM refresh_tokens
+       WHERE family_id = (SELECT family_id FROM refresh_tokens WHERE token = $1)`,
+      [token],
+    );
+    clearAuthCookies(res);
     res.json({ message: "Logged out successfully" });
   } catch (err) {
     logError("authController.logout", err);
@@ -211,6 +329,66 @@ export const logout = async (req, res) => {
   }
 };
 
+// ==========================================
+// SESSION ENDPOINTS
+// ==========================================
+
+/**
+ * Lists the user's signed-in devices, most recently used first
+ * A session is a token family; its live (unrotated) token carries the latest device details
+ * The session behind the current access token is flagged with current: true
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT t.family_id AS id, t.user_agent, t.ip, t.last_used_at, t.expires_at,
+              (SELECT MIN(f.created_at) FROM refresh_tokens f
+               WHERE f.family_id = t.family_id) AS created_at
+       FROM refresh_tokens t
+       WHERE t.user_id = $1 AND t.rotated_at IS NULL AND t.expires_at > NOW()
+       ORDER BY t.last_used_at DESC NULLS LAST, t.created_at DESC`,
+      [req.user.id],
+    );
+
+    res.json(
+      result.rows.map((session) => ({
+        ...session,
+        current: session.id === req.user.sid,
+      })),
+    );
+  } catch (err) {
+    logError("authController.getSessions", err, { userId: req.user.id });
+    res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+};
+
+/**
+ * Signs out one of the user's devices by deleting its token family
+ * That device's current access token keeps working until it expires (15 minutes)
+ */
+export const revokeSession = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await query(
+      "DELETE FROM refresh_tokens WHERE family_id = $1 AND user_id = $2 RETURNING id",
+      [id, req.user.id],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    res.json({ message: "Session revoked", id });
+  } catch (err) {
+    logError("authController.revokeSession", err, {
+      id,
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
+};
+
 // ==========================================
 // PASSWORD CHANGE ENDPOINT
 // ==========================================
@@ -223,20 +401,6 @@ export const changePassword = async (req, res) => {
   const userId = req.user?.id; // From authenticateToken middleware
   const { currentPassword, newPassword } = req.body;
 
-  // Validate required fields
-  if (!currentPassword || !newPassword) {
-    return res
-      .status(400)
-      .json({ error: "Current and new password are required" });
-  }
-
-  // Enforce minimum password length
-  if (newPassword.length < 8) {
-    return res
-      .status(400)
-      .json({ error: "New password must be at least 8 characters" });
-  }
-
   try {
     // Get current user data
     const userRes = await query(
@@ -275,3 +439,194 @@ export const changePassword = async (req, res) => {
     res.status(500).json({ error: "Failed to update password" });
   }
 };
+
+// ==========================================
+// PASSWORD RESET ENDPOINTS
+// ==========================================
+
+/**
+ * Emails a single-use password reset link
+ * Always answers the same way so the endpoint can't reveal which emails exist
+ * Requesting a new link invalidates any earlier unused one
+ */
+export const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const userRes = await query(
+      "SELECT id, email, username, name FROM users WHERE email = $1",
+      [email],
+    );
+
+    if (userRes.rows.length > 0) {
+      const user = userRes.rows[0];
+      const token = generateToken();
+
+      await withTransaction(async (client) => {
+        await client.query(
+          "DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL",
+          [user.id],
+        );
+        await client.query(
+          `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+          [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES],
+        );
+      });
+
+      sendMail(passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES));
+    }
+
+    res.json({
+      message: "If that email has an account, a reset link is on its way.",
+    });
+  } catch (err) {
+    logError("authController.forgotPassword", err, { email });
+    res.status(500).json({ error: "Failed to start password reset" });
+  }
+};
+
+/**
+ * Sets a new password using an emailed reset token
+ * The token is consumed atomically, so it works exactly once
+ * Invalidates all refresh tokens to force re-authentication, like changePassword
+ */
+export const resetPassword = async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  try {
+    // Hash before the transaction so bcrypt doesn't hold the row lock
+    const salt = await bcrypt.genSalt(12);
+    const hashed = await bcrypt.hash(newPassword, salt);
+
+    const userId = await withTransaction(async (client) => {
+      // Claim the token: unused, unexpired, and marked used in the same statement
+      const claimed = await client.query(
+        `UPDATE password_reset_tokens
+         SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token)],
+      );
+      if (claimed.rows.length === 0) return null;
+
+      const { user_id } = claimed.rows[0];
+      const updated = await client.query(
+        "UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2 RETURNING email",
+        [hashed, user_id],
+      );
+
+      // A fresh password also lifts any login lockout
+      await unlockAccount(client, updated.rows[0].email);
+
+      // Invalidate all existing refresh tokens to force re-authentication
+      await client.query("DELETE FROM refresh_tokens WHERE user_id = $1", [
+        user_id,
+      ]);
+      return user_id;
+    });
+
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ error: "Reset link is invalid or has expired" });
+    }
+
+    res.json({ message: "Password reset. Please log in." });
+  } catch (err) {
+    logError("authController.resetPassword", err);
+    res.status(500).json({ error: "Failed to reset password" });
+  }
+};
+
+// ==========================================
+// EMAIL VERIFICATION ENDPOINTS
+// ==========================================
+
+/**
+ * Confirms a user's email address with an emailed verification token
+ * Public so the link works in any browser; the token identifies the user
+ */
+export const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    const verified = await withTransaction(async (client) => {
+      // Claim the token: unused, unexpired, and marked used in the same statement
+      const claimed = await client.query(
+        `UPDATE email_verification_tokens
+         SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token)],
+      );
+      if (claimed.rows.length === 0) return null;
+
+      const result = await client.query(
+        `UPDATE users
+         SET email_verified_at = COALESCE(email_verified_at, NOW())
+         WHERE id = $1
+         RETURNING id, email_verified_at`,
+        [claimed.rows[0].user_id],
+      );
+      return result.rows[0];
+    });
+
+    if (!verified) {
+      return res
+        .status(400)
+        .json({ error: "Verification link is invalid or has expired" });
+    }
+
+    res.json({ message: "Email verified", ...verified });
+  } catch (err) {
+    logError("authController.verifyEmail", err);
+    res.status(500).json({ error: "Failed to verify email" });
+  }
+};
+
+/**
+ * Emails the logged-in user a new verification link
+ * Earlier links stop working; requests are limited to one per cooldown
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    const userRes = await query(
+      `SELECT u.id, u.email, u.username, u.name, u.email_verified_at,
+              EXISTS (
+                SELECT 1 FROM email_verification_tokens t
+                WHERE t.user_id = u.id
+                  AND t.created_at > NOW() - make_interval(secs => $2)
+              ) AS recently_sent
+       FROM users u
+       WHERE u.id = $1`,
+      [req.user.id, VERIFICATION_RESEND_COOLDOWN_SECONDS],
+    );
+
+    if (userRes.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const user = userRes.rows[0];
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+    if (user.recently_sent) {
+      return res.status(429).json({
+        error: "A verification email was just sent. Please wait a minute.",
+      });
+    }
+
+    const token = await withTransaction((client) =>
+      issueVerificationToken(client, user.id),
+    );
+    sendMail(verificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS));
+
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    logError("authController.resendVerification", err, {
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to send verification email" });
+  }
+};
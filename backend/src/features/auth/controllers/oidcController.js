@@ -0,0 +1,356 @@
+/**
+ * OPENID CONNECT CONTROLLER
+ * "Sign in with <provider>" for any configured OIDC provider, plus linking
+ * several providers to one account (see shared/services/oidc.js for setup)
+ *
+ * Flow: the frontend asks for an authorization URL, the provider sends the
+ * browser back to APP_URL/auth/oidc/callback, and that page posts the code
+ * and state here. The state row holds the PKCE verifier and nonce, and the
+ * hash of an httpOnly cookie set when the sign-in started, so the callback
+ * only works for the browser that started it. A link callback must also come
+ * from the user who started the link, so a link URL passed to someone else
+ * can't attach their provider account to the sender's
+ */
+
+import bcrypt from "bcrypt";
+import { logError } from "../../../shared/utils/logger.js";
+import { query, withTransaction } from "../../../shared/config/db.js";
+import { generateToken, hashToken } from "../../../shared/utils/tokens.js";
+import {
+  OIDC_BINDING_COOKIE,
+  setOidcBindingCookie,
+  clearOidcBindingCookie,
+} from "../../../shared/utils/authCookies.js";
+import { sendMail } from "../../../shared/services/mailer.js";
+import { welcomeEmail } from "../../../shared/services/emails.js";
+import {
+  listOidcProviders,
+  getOidcProvider,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+} from "../../../shared/services/oidc.js";
+import { completeLogin } from "../sessions/authSessions.js";
+
+// A started sign-in must come back within this many minutes
+const OIDC_STATE_TTL_MINUTES = 10;
+
+/**
+ * Stores a new sign-in attempt, binds it to this browser with a cookie and
+ * builds the provider URL for it
+ *
+ * @param {object} res - Express response object (receives the binding cookie)
+ * @param {object} provider - Provider config
+ * @param {string|null} userId - Logged-in user to link to (null = sign in)
+ * @returns {Promise<string>} - Authorization URL
+ */
+const startAuthorization = async (res, provider, userId) => {
+  const state = generateToken();
+  const nonce = generateToken();
+  const binding = generateToken();
+  const { verifier, challenge } = createPkcePair();
+
+  // Abandoned attempts are cleared as new ones start
+  await query("DELETE FROM oidc_login_states WHERE expires_at < NOW()");
+  await query(
+    `INSERT INTO oidc_login_states (state_hash, provider, code_verifier, nonce, binding_hash, user_id, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7))`,
+    [
+      hashToken(state),
+      provider.id,
+      verifier,
+      nonce,
+      hashToken(binding),
+      userId,
+      OIDC_STATE_TTL_MINUTES,
+    ],
+  );
+  setOidcBindingCookie(res, binding, OIDC_STATE_TTL_MINUTES * 60 * 1000);
+
+  return buildAuthorizationUrl(provider, {
+    state,
+    nonce,
+    codeChallenge: challenge,
+  });
+};
+
+/**
+ * Turns provider claims into an available username (3-50 chars, [a-z0-9_])
+ *
+ * @param {object} client - Transaction client
+ * @param {object} claims - ID token claims
+ * @returns {Promise<string>} - Username not yet taken
+ */
+const pickUsername = async (client, claims) => {
+  const base = (
+    claims.preferred_username ||
+    claims.email?.split("@")[0] ||
+    "user"
+  )
+    .toLowerCase()
+    .replace(/[^a-z0-9_]/g, "_")
+    .slice(0, 40)
+    .padEnd(3, "_");
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate =
+      attempt === 0
+        ? base
+        : `${base}_${generateToken(3)
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, "")}`;
+    const taken = await client.query(
+      "SELECT 1 FROM users WHERE username = $1",
+      [candidate],
+    );
+    if (taken.rows.length === 0) return candidate;
+  }
+  throw new Error("Could not find a free username");
+};
+
+// ==========================================
+// PUBLIC OIDC ENDPOINTS
+// ==========================================
+
+/**
+ * Lists the configured sign-in providers (empty when none are set up)
+ */
+export const getOidcProviders = (req, res) => {
+  res.json(listOidcProviders());
+};
+
+/**
+ * Starts a sign-in: returns the provider URL to send the browser to
+ */
+export const startOidcLogin = async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: "Unknown sign-in provider" });
+  }
+
+  try {
+    res.json({ url: await startAuthorization(res, provider, null) });
+  } catch (err) {
+    logError("oidcController.startOidcLogin", err, { provider: provider.id });
+    res.status(502).json({ error: `Could not reach ${provider.name}` });
+  }
+};
+
+/**
+ * Finishes a sign-in or link when the provider sends the browser back
+ *
+ * Signing in:
+ * - A linked identity logs its user in (same response as POST /login,
+ *   including the two-factor challenge)
+ * - Otherwise a new account is created from the provider's verified email,
+ *   unless that email already has an account (409: log in and link instead)
+ * Linking: the identity is added to the user who started it, who must also
+ * be the one logged in now (optionalAuth on the route)
+ *
+ * Either way the browser must hold the binding cookie set when it started
+ */
+export const oidcCallback = async (req, res) => {
+  const { code, state } = req.body ?? {};
+  const binding = req.cookies?.[OIDC_BINDING_COOKIE];
+  clearOidcBindingCookie(res);
+
+  try {
+    // Each state works once, whatever the outcome
+    const stateRes = await query(
+      `DELETE FROM oidc_login_states WHERE state_hash = $1
+       RETURNING provider, code_verifier, nonce, binding_hash, user_id, expires_at > NOW() AS live`,
+      [hashToken(state)],
+    );
+    const pending = stateRes.rows[0];
+    const provider = pending && getOidcProvider(pending.provider);
+    if (!pending?.live || !provider) {
+      return res
+        .status(400)
+        .json({ error: "Sign-in expired. Please try again." });
+    }
+
+    // Started in another browser (e.g., a sign-in or link URL someone sent)
+    if (!binding || hashToken(binding) !== pending.binding_hash) {
+      return res.status(403).json({
+        error: "This sign-in was started in another browser. Please try again.",
+      });
+    }
+    if (pending.user_id && req.user?.id !== pending.user_id) {
+      return res.status(403).json({
+        error: "Log in as the account that started linking, then try again.",
+      });
+    }
+
+    let claims;
+    try {
+      claims = await exchangeCode(provider, {
+        code,
+        codeVerifier: pending.code_verifier,
+        nonce: pending.nonce,
+      });
+    } catch (err) {
+      logError("oidcController.oidcCallback", err, { provider: provider.id });
+      return res
+        .status(401)
+        .json({ error: `Sign-in with ${provider.name} failed` });
+    }
+
+    // 🔗 LINK TO THE LOGGED-IN USER
+    if (pending.user_id) {
+      const linked = await query(
+        `INSERT INTO user_identities (user_id, provider, subject, email)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (provider, subject) DO UPDATE SET email = EXCLUDED.email
+         WHERE user_identities.user_id = EXCLUDED.user_id
+         RETURNING id`,
+        [pending.user_id, provider.id, claims.sub, claims.email || null],
+      );
+      if (linked.rows.length === 0) {
+        return res.status(409).json({
+          error: `This ${provider.name} account is linked to another user`,
+        });
+      }
+      return res.json({ linked: true, provider: provider.id });
+    }
+
+    // 🔑 SIGN IN WITH A LINKED IDENTITY
+    const existing = await query(
+      `UPDATE user_identities SET last_login_at = NOW()
+       WHERE provider = $1 AND subject = $2
+       RETURNING user_id`,
+      [provider.id, claims.sub],
+    );
+    if (existing.rows.length > 0) {
+      const userRes = await query("SELECT * FROM users WHERE id = $1", [
+        existing.rows[0].user_id,
+      ]);
+      return res.json(await completeLogin(req, res, userRes.rows[0]));
+    }
+
+    // 🆕 SIGN UP - only with an address the provider has verified
+    if (!claims.email || claims.email_verified !== true) {
+      return res.status(400).json({
+        error: `${provider.name} didn't share a verified email address`,
+      });
+    }
+
+    const taken = await query(
+      "SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)",
+      [claims.email],
+    );
+    if (taken.rows.length > 0) {
+      return res.status(409).json({
+        error: `An account with this email already exists. Log in with your password, then link ${provider.name} from your profile.`,
+        code: "OIDC_EMAIL_TAKEN",
+      });
+    }
+
+    // Nobody knows this password; "forgot password" can set a real one
+    const unusablePassword = await bcrypt.hash(generateToken(), 12);
+
+    const user = await withTransaction(async (client) => {
+      const newUser = await client.query(
+        `INSERT INTO users (username, email, password_hash, name, email_verified_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         RETURNING *`,
+        [
+          await pickUsername(client, claims),
+          claims.email,
+          unusablePassword,
+          claims.name || null,
+        ],
+      );
+      await client.query(
+        `INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+         VALUES ($1, $2, $3, $4, NOW())`,
+        [newUser.rows[0].id, provider.id, claims.sub, claims.email],
+      );
+      return newUser.rows[0];
+    });
+
+    res.status(201).json(await completeLogin(req, res, user));
+
+    // Welcome email (no verification link needed) - delivery problems are logged, never surfaced
+    sendMail(welcomeEmail(user));
+  } catch (err) {
+    logError("oidcController.oidcCallback", err);
+    res.status(500).json({ error: "Sign-in server error" });
+  }
+};
+
+// ==========================================
+// PROTECTED IDENTITY ENDPOINTS
+// ==========================================
+
+/**
+ * Starts linking a provider to the logged-in account
+ * Returns the provider URL; the callback then links instead of signing in
+ */
+export const startOidcLink = async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: "Unknown sign-in provider" });
+  }
+
+  try {
+    res.json({ url: await startAuthorization(res, provider, req.user.id) });
+  } catch (err) {
+    logError("oidcController.startOidcLink", err, {
+      provider: provider.id,
+      userId: req.user.id,
+    });
+    res.status(502).json({ error: `Could not reach ${provider.name}` });
+  }
+};
+
+/**
+ * Lists the providers linked to the logged-in account
+ */
+export const getIdentities = async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, provider, email, created_at, last_login_at
+       FROM user_identities
+       WHERE user_id = $1
+       ORDER BY created_at`,
+      [req.user.id],
+    );
+
+    res.json(
+      result.rows.map((identity) => ({
+        ...identity,
+        provider_name:
+          getOidcProvider(identity.provider)?.name || identity.provider,
+      })),
+    );
+  } catch (err) {
+    logError("oidcController.getIdentities", err, { userId: req.user.id });
+    res.status(500).json({ error: "Failed to fetch linked accounts" });
+  }
+};
+
+/**
+ * Unlinks a provider from the logged-in account
+ */
+export const unlinkIdentity = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await query(
+      "DELETE FROM user_identities WHERE id = $1 AND user_id = $2 RETURNING id",
+      [id, req.user.id],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Linked account not found" });
+    }
+
+    res.json({ message: "Account unlinked", id });
+  } catch (err) {
+    logError("oidcController.unlinkIdentity", err, {
+      id,
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to unlink account" });
+  }
+};
@@ -0,0 +1,412 @@
+/**
+ * TWO-FACTOR CONTROLLER
+ * Optional TOTP two-factor authentication (authenticator app codes) with
+ * single-use recovery codes. Admin accounts must have it enabled
+ *
+ * Login with two-factor auth on is two steps: POST /login checks the password
+ * and returns an mfa_token, then POST /login/2fa checks the code and starts
+ * the session. An admin without two-factor auth uses the mfa_token to enroll
+ * (POST /2fa/enroll + /2fa/verify) and gets the session once it is enabled
+ */
+
+import crypto from "crypto";
+import { logError } from "../../../shared/utils/logger.js";
+import { query, withTransaction } from "../../../shared/config/db.js";
+import { hashToken } from "../../../shared/utils/tokens.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  totpUri,
+} from "../../../shared/utils/totp.js";
+import { startSession, verifyMfaToken } from "../sessions/authSessions.js";
+import {
+  guardLoginAttempt,
+  loginFailed,
+  loginCheckPassed,
+  loginSucceeded,
+} from "../sessions/loginGuard.js";
+import { SECURITY_EVENT_TYPES } from "../../../shared/services/securityEvents.js";
+
+// Name authenticator apps show next to the code
+const TOTP_ISSUER = "SkillCast";
+
+// Recovery codes issued per batch (each works once)
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalizes a recovery code as typed (case, spaces and dashes are ignored)
+ *
+ * @param {string} code - Recovery code from the user
+ * @returns {string} - Lowercase letters and digits only
+ */
+const normalizeRecoveryCode = (code) =>
+  String(code ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Replaces a user's recovery codes with a fresh batch
+ *
+ * @param {object} client - Transaction client
+ * @param {string} userId - User UUID
+ * @returns {Promise<string[]>} - Raw codes to show the user once (xxxxx-xxxxx)
+ */
+const replaceRecoveryCodes = async (client, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await client.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+  await client.query(
+    `INSERT INTO recovery_codes (user_id, code_hash)
+     SELECT $1, unnest($2::text[])`,
+    [userId, codes.map((code) => hashToken(normalizeRecoveryCode(code)))],
+  );
+  return codes;
+};
+
+/**
+ * Accepts a TOTP code at most once
+ * Remembers the matched time step so the same code can't be replayed
+ *
+ * @param {object} db - Pool (query) or transaction client
+ * @param {object} user - users row (id, totp_secret)
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<boolean>} - Whether the code was valid and unused
+ */
+const consumeTotpCode = async (db, user, code) => {
+  const step = verifyTotp(user.totp_secret, code);
+  if (step === null) return false;
+
+  const result = await db.query(
+    `UPDATE users SET totp_last_step = $2
+     WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)`,
+    [user.id, step],
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Checks a second factor: a TOTP code, or else a recovery code (used up)
+ *
+ * @param {object} db - Pool (query) or transaction client
+ * @param {object} user - users row (id, totp_secret)
+ * @param {object} input - { code, recovery_code }
+ * @returns {Promise<boolean>} - Whether the second factor was accepted
+ */
+const consumeSecondFactor = async (db, user, { code, recovery_code }) => {
+  if (code) return consumeTotpCode(db, user, code);
+  if (!recovery_code) return false;
+
+  const result = await db.query(
+    `UPDATE recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+    [user.id, hashToken(normalizeRecoveryCode(recovery_code))],
+  );
+  return result.rowCount > 0;
+};
+
+// ==========================================
+// TWO-FACTOR LOGIN ENDPOINT
+// ==========================================
+
+/**
+ * Second login step: checks the code for the user behind an mfa_token and
+ * starts the session (same response as POST /login without two-factor auth)
+ */
+export const loginTwoFactor = async (req, res) => {
+  const userId = verifyMfaToken(req.body?.mfa_token);
+
+  if (!userId) {
+    return res
+      .status(401)
+      .json({ error: "Login expired. Please log in again." });
+  }
+
+  try {
+    const userRes = await query("SELECT * FROM users WHERE id = $1", [userId]);
+    const user = userRes.rows[0];
+    if (!user?.totp_enabled_at) {
+      return res
+        .status(401)
+        .json({ error: "Login expired. Please log in again." });
+    }
+
+    // Code guesses count against the account like password guesses
+    const identity = { email: user.email, userId: user.id };
+    if (!(await guardLoginAttempt(req, res, identity))) return;
+
+    if (!(await consumeSecondFactor({ query }, user, req.body))) {
+      await loginFailed(req, {
+        ...identity,
+        type: SECURITY_EVENT_TYPES.MFA_FAILED,
+      });
+      return res.status(401).json({ error: "Invalid two-factor code" });
+    }
+
+    await loginSucceeded(req, user.email);
+    res.json(await startSession(req, res, user));
+  } catch (err) {
+    logError("twoFactorController.loginTwoFactor", err, { userId });
+    res.status(500).json({ error: "Login server error" });
+  }
+};
+
+// ==========================================
+// TWO-FACTOR SETTINGS ENDPOINTS
+// ==========================================
+
+/**
+ * Returns whether two-factor auth is on and how many recovery codes are left
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT u.role, u.totp_enabled_at,
+              COUNT(rc.id) FILTER (WHERE rc.used_at IS NULL)::int AS recovery_codes_remaining
+       FROM users u
+       LEFT JOIN recovery_codes rc ON rc.user_id = u.id
+       WHERE u.id = $1
+       GROUP BY u.id`,
+      [req.user.id],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const { role, totp_enabled_at, recovery_codes_remaining } = result.rows[0];
+    res.json({
+      enabled: Boolean(totp_enabled_at),
+      enabled_at: totp_enabled_at,
+      required: role === "admin",
+      recovery_codes_remaining,
+    });
+  } catch (err) {
+    logError("twoFactorController.getTwoFactorStatus", err, {
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to fetch two-factor status" });
+  }
+};
+
+/**
+ * Starts enrollment: stores a new pending secret and returns it for the
+ * authenticator app. Nothing changes for logins until POST /2fa/verify
+ * Accepts an access token or a pending login's mfa_token
+ */
+export const enrollTwoFactor = async (req, res) => {
+  try {
+    const userRes = await query(
+      "SELECT email, totp_enabled_at FROM users WHERE id = $1",
+      [req.user.id],
+    );
+    const user = userRes.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user.totp_enabled_at) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateTotpSecret();
+    await query(
+      "UPDATE users SET totp_secret = $2, totp_last_step = NULL WHERE id = $1",
+      [req.user.id, secret],
+    );
+
+    res.json({
+      secret,
+      otpauth_url: totpUri({ secret, label: user.email, issuer: TOTP_ISSUER }),
+    });
+  } catch (err) {
+    logError("twoFactorController.enrollTwoFactor", err, {
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to start two-factor setup" });
+  }
+};
+
+/**
+ * Finishes enrollment with a code from the authenticator app
+ * Returns the recovery codes (shown once); during login (mfa_token) the
+ * response also carries the new session, like POST /login
+ */
+export const verifyTwoFactor = async (req, res) => {
+  const { code } = req.body ?? {};
+
+  try {
+    const userRes = await query("SELECT * FROM users WHERE id = $1", [
+      req.user.id,
+    ]);
+    const user = userRes.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user.totp_enabled_at) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: "Start two-factor setup first" });
+    }
+
+    // Codes checked here share the login throttle, so a stolen token or
+    // mfa_token doesn't buy unlimited guesses
+    const identity = { email: user.email, userId: user.id };
+    if (!(await guardLoginAttempt(req, res, identity))) return;
+
+    const step = verifyTotp(user.totp_secret, code);
+    if (step === null) {
+      await loginFailed(req, {
+        ...identity,
+        type: SECURITY_EVENT_TYPES.MFA_FAILED,
+      });
+      return res.status(400).json({ error: "Invalid two-factor code" });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const enabled = await client.query(
+        `UPDATE users SET totp_enabled_at = NOW(), totp_last_step = $2
+         WHERE id = $1 AND totp_enabled_at IS NULL
+         RETURNING *`,
+        [user.id, step],
+      );
+      if (enabled.rows.length === 0) return null;
+
+      return {
+        user: enabled.rows[0],
+        recoveryCodes: await replaceRecoveryCodes(client, user.id),
+      };
+    });
+
+    // Failures are cleared only when this finishes a login with a session
+    await (outcome && req.mfaPending
+      ? loginSucceeded(req, user.email)
+      : loginCheckPassed(req, user.email));
+    if (!outcome) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recovery_codes: outcome.recoveryCodes,
+      ...(req.mfaPending ? await startSession(req, res, outcome.user) : {}),
+    });
+  } catch (err) {
+    logError("twoFactorController.verifyTwoFactor", err, {
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to enable two-factor auth" });
+  }
+};
+
+/**
+ * Turns two-factor auth off (not allowed for admins)
+ * Body: { code } or { recovery_code }
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const userRes = await query("SELECT * FROM users WHERE id = $1", [
+      req.user.id,
+    ]);
+    const user = userRes.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (user.role === "admin") {
+      return res
+        .status(403)
+        .json({ error: "Admins must keep two-factor authentication on" });
+    }
+    if (!user.totp_enabled_at) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    const identity = { email: user.email, userId: user.id };
+    if (!(await guardLoginAttempt(req, res, identity))) return;
+
+    const disabled = await withTransaction(async (client) => {
+      if (!(await consumeSecondFactor(client, user, req.body ?? {}))) {
+        return false;
+      }
+
+      await client.query(
+        `UPDATE users
+         SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+         WHERE id = $1`,
+        [user.id],
+      );
+      await client.query("DELETE FROM recovery_codes WHERE user_id = $1", [
+        user.id,
+      ]);
+      return true;
+    });
+    if (!disabled) {
+      await loginFailed(req, {
+        ...identity,
+        type: SECURITY_EVENT_TYPES.MFA_FAILED,
+      });
+      return res.status(400).json({ error: "Invalid two-factor code" });
+    }
+
+    await loginCheckPassed(req, user.email);
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    logError("twoFactorController.disableTwoFactor", err, {
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to disable two-factor auth" });
+  }
+};
+
+/**
+ * Replaces all recovery codes (the old ones stop working)
+ * Body: { code } - a current authenticator code
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const userRes = await query("SELECT * FROM users WHERE id = $1", [
+      req.user.id,
+    ]);
+    const user = userRes.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (!user.totp_enabled_at) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    const identity = { email: user.email, userId: user.id };
+    if (!(await guardLoginAttempt(req, res, identity))) return;
+
+    const codes = await withTransaction(async (client) => {
+      if (!(await consumeTotpCode(client, user, req.body?.code))) return null;
+      return replaceRecoveryCodes(client, user.id);
+    });
+    if (!codes) {
+      await loginFailed(req, {
+        ...identity,
+        type: SECURITY_EVENT_TYPES.MFA_FAILED,
+      });
+      return res.status(400).json({ error: "Invalid two-factor code" });
+    }
+
+    await loginCheckPassed(req, user.email);
+    res.json({ recovery_codes: codes });
+  } catch (err) {
+    logError("twoFactorController.regenerateRecoveryCodes", err, {
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to regenerate recovery codes" });
+  }
+};
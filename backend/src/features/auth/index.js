@@ -1,3 +1,5 @@
 // Auth Feature Exports
 export { default as authRoutes } from "./routes/authRoutes.js";
 export * from "./controllers/authController.js";
+export * from "./controllers/twoFactorController.js";
+export * from "./controllers/oidcController.js";
@@ -1,7 +1,9 @@
 /**
  * AUTHENTICATION ROUTES
  * Defines all authentication-related endpoints
- * Handles user registration, login, logout, token refresh, and password changes
+ * Handles user registration, login, logout, token refresh, password changes and resets,
+ * email verification, per-device sessions, two-factor authentication and
+ * OpenID Connect sign-in
  */
 
 import express from "express";
@@ -11,12 +13,112 @@ import {
   refreshToken,
   changePassword,
   logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession,
 } from "../controllers/authController.js";
-import { authenticateToken } from "../../../shared/middleware/authMiddleware.js";
+import {
+  loginTwoFactor,
+  getTwoFactorStatus,
+  enrollTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactorController.js";
+import {
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  startOidcLink,
+  getIdentities,
+  unlinkIdentity,
+} from "../controllers/oidcController.js";
+import {
+  authenticateToken,
+  authenticateTokenOrMfa,
+  optionalAuth,
+} from "../../../shared/middleware/authMiddleware.js";
+import { validate } from "../../../shared/middleware/validateMiddleware.js";
 
 // Create Express router for auth endpoints
 const router = express.Router();
 
+// ==========================================
+// VALIDATION SCHEMAS
+// ==========================================
+
+// A second factor is an authenticator code or, failing that, a recovery code
+const secondFactor = {
+  code: { type: "string", max: 20 },
+  recovery_code: { type: "string", max: 20 },
+};
+const requireSecondFactor = ({ body }) =>
+  body.code || body.recovery_code
+    ? {}
+    : { code: "Enter an authenticator or recovery code" };
+
+const schemas = {
+  register: {
+    body: {
+      username: {
+        type: "string",
+        required: true,
+        min: 3,
+        max: 50,
+        pattern: /^[A-Za-z0-9_]+$/,
+        message: "Use letters, numbers and underscores only",
+      },
+      email: { type: "email", required: true },
+      password: { type: "password", required: true },
+      name: { type: "string", max: 100 },
+    },
+  },
+  login: {
+    // Any stored password may log in - strength rules apply when setting one
+    body: {
+      email: { type: "string", required: true, max: 100 },
+      password: { type: "string", required: true, max: 200 },
+    },
+  },
+  loginTwoFactor: {
+    body: { mfa_token: { type: "string", required: true }, ...secondFactor },
+    check: requireSecondFactor,
+  },
+  email: { body: { email: { type: "email", required: true } } },
+  resetPassword: {
+    body: {
+      token: { type: "string", required: true, max: 200 },
+      newPassword: { type: "password", required: true },
+    },
+  },
+  token: { body: { token: { type: "string", required: true, max: 200 } } },
+  oidcProvider: {
+    params: { provider: { type: "string", required: true, max: 50 } },
+  },
+  oidcCallback: {
+    body: {
+      code: { type: "string", required: true, max: 2048 },
+      state: { type: "string", required: true, max: 200 },
+    },
+  },
+  changePassword: {
+    body: {
+      currentPassword: { type: "string", required: true, max: 200 },
+      newPassword: { type: "password", required: true },
+    },
+    check: ({ body }) =>
+      body.currentPassword === body.newPassword
+        ? { newPassword: "Must be different from the current password" }
+        : {},
+  },
+  idParam: { params: { id: { type: "uuid", required: true } } },
+  totpCode: { body: { code: { type: "string", required: true, max: 20 } } },
+  secondFactor: { body: secondFactor, check: requireSecondFactor },
+};
+
 // ==========================================
 // PUBLIC AUTHENTICATION ROUTES
 // ==========================================
@@ -26,24 +128,92 @@ const router = express.Router();
  * Creates a new user account
  * Body: { username, email, password, name }
  */
-router.post("/register", register);
+router.post("/register", validate(schemas.register), register);
 
 /**
  * POST /api/auth/login
  * Authenticates user and returns JWT tokens
  * Body: { email, password }
- * Returns: { accessToken, refreshToken, user }
+ * Returns: { accessToken, refreshToken, user } (cookie mode: refreshToken is set as a cookie)
+ *   or { mfa_required, mfa_token } when two-factor auth is on (finish at POST /login/2fa)
+ *   or { mfa_setup_required, mfa_token } for admins without it (enroll at POST /2fa/enroll)
+ */
+router.post("/login", validate(schemas.login), login);
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step for accounts with two-factor auth
+ * Body: { mfa_token, code } or { mfa_token, recovery_code }
+ * Returns: same as POST /login
  */
-router.post("/login", login);
+router.post("/login/2fa", validate(schemas.loginTwoFactor), loginTwoFactor);
 
 /**
  * POST /api/auth/refresh
- * Generates new access token using refresh token
- * Body: { token: refreshToken }
- * Returns: { accessToken }
+ * Rotates the refresh token and issues a new access token
+ * Reusing an already-rotated refresh token revokes its whole session
+ * Body: { token: refreshToken } (cookie mode: read from the httpOnly refresh cookie instead)
+ * Returns: { accessToken, refreshToken } (cookie mode: refreshToken is set as a cookie)
  */
 router.post("/refresh", refreshToken);
 
+/**
+ * POST /api/auth/forgot-password
+ * Emails a single-use password reset link (same response whether or not the email exists)
+ * Body: { email }
+ * Returns: { message }
+ */
+router.post("/forgot-password", validate(schemas.email), forgotPassword);
+
+/**
+ * POST /api/auth/reset-password
+ * Sets a new password with a reset token and revokes all refresh tokens
+ * Body: { token, newPassword }
+ * Returns: { message }
+ */
+router.post("/reset-password", validate(schemas.resetPassword), resetPassword);
+
+/**
+ * POST /api/auth/verify-email
+ * Confirms the account's email address with the emailed verification token
+ * Body: { token }
+ * Returns: { message, id, email_verified_at }
+ */
+router.post("/verify-email", validate(schemas.token), verifyEmail);
+
+/**
+ * GET /api/auth/oidc/providers
+ * Lists the configured OpenID Connect sign-in providers
+ * Returns: [{ id, name }]
+ */
+router.get("/oidc/providers", getOidcProviders);
+
+/**
+ * GET /api/auth/oidc/:provider/authorize
+ * Starts signing in (or signing up) with a provider
+ * Returns: { url } - send the browser there
+ */
+router.get(
+  "/oidc/:provider/authorize",
+  validate(schemas.oidcProvider),
+  startOidcLogin,
+);
+
+/**
+ * POST /api/auth/oidc/callback
+ * Finishes a provider sign-in or link (posted by the frontend callback page)
+ * Needs the binding cookie set by /authorize or /link; links also need the
+ * Authorization header of the user who started them
+ * Body: { code, state }
+ * Returns: same as POST /login (201 for a new account), or { linked, provider }
+ */
+router.post(
+  "/oidc/callback",
+  optionalAuth,
+  validate(schemas.oidcCallback),
+  oidcCallback,
+);
+
 // ==========================================
 // PROTECTED AUTHENTICATION ROUTES
 // ==========================================
@@ -54,14 +224,140 @@ router.post("/refresh", refreshToken);
  * Headers: Authorization: Bearer <accessToken>
  * Body: { currentPassword, newPassword }
  */
-router.post("/change-password", authenticateToken, changePassword);
+router.post(
+  "/change-password",
+  authenticateToken,
+  validate(schemas.changePassword),
+  changePassword,
+);
 
 /**
  * POST /api/auth/logout
  * Revokes refresh token and ends session (requires authentication)
  * Headers: Authorization: Bearer <accessToken>
- * Body: { token: refreshToken }
+ * Body: { token: refreshToken } (cookie mode: the refresh cookie is read, then cleared)
  */
 router.post("/logout", authenticateToken, logout);
 
+/**
+ * POST /api/auth/resend-verification
+ * Emails a new verification link (at most one per minute)
+ * Headers: Authorization: Bearer <accessToken>
+ * Returns: { message }
+ */
+router.post("/resend-verification", authenticateToken, resendVerification);
+
+/**
+ * GET /api/auth/sessions
+ * Lists the user's signed-in devices
+ * Headers: Authorization: Bearer <accessToken>
+ * Returns: [{ id, user_agent, ip, created_at, last_used_at, expires_at, current }]
+ */
+router.get("/sessions", authenticateToken, getSessions);
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Signs out one device by revoking its refresh token
+ * Headers: Authorization: Bearer <accessToken>
+ * Returns: { message, id }
+ */
+router.delete(
+  "/sessions/:id",
+  authenticateToken,
+  validate(schemas.idParam),
+  revokeSession,
+);
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status for the settings page
+ * Headers: Authorization: Bearer <accessToken>
+ * Returns: { enabled, enabled_at, required, recovery_codes_remaining }
+ */
+router.get("/2fa", authenticateToken, getTwoFactorStatus);
+
+/**
+ * POST /api/auth/2fa/enroll
+ * Creates a pending TOTP secret for an authenticator app
+ * Headers: Authorization: Bearer <accessToken> (or Body: { mfa_token } during an admin's first login)
+ * Returns: { secret, otpauth_url }
+ */
+router.post("/2fa/enroll", authenticateTokenOrMfa, enrollTwoFactor);
+
+/**
+ * POST /api/auth/2fa/verify
+ * Enables two-factor auth once a code from the app checks out
+ * Headers: Authorization: Bearer <accessToken> (or Body: { mfa_token } during an admin's first login)
+ * Body: { code }
+ * Returns: { message, recovery_codes } (with mfa_token: plus the POST /login session response)
+ */
+router.post(
+  "/2fa/verify",
+  authenticateTokenOrMfa,
+  validate(schemas.totpCode),
+  verifyTwoFactor,
+);
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turns two-factor auth off (admins can't)
+ * Headers: Authorization: Bearer <accessToken>
+ * Body: { code } or { recovery_code }
+ * Returns: { message }
+ */
+router.post(
+  "/2fa/disable",
+  authenticateToken,
+  validate(schemas.secondFactor),
+  disableTwoFactor,
+);
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replaces the recovery codes
+ * Headers: Authorization: Bearer <accessToken>
+ * Body: { code }
+ * Returns: { recovery_codes }
+ */
+router.post(
+  "/2fa/recovery-codes",
+  authenticateToken,
+  validate(schemas.totpCode),
+  regenerateRecoveryCodes,
+);
+
+/**
+ * POST /api/auth/oidc/:provider/link
+ * Starts linking a provider to this account
+ * Headers: Authorization: Bearer <accessToken>
+ * Returns: { url } - send the browser there
+ */
+router.post(
+  "/oidc/:provider/link",
+  authenticateToken,
+  validate(schemas.oidcProvider),
+  startOidcLink,
+);
+
+/**
+ * GET /api/auth/identities
+ * Lists the providers linked to this account
+ * Headers: Authorization: Bearer <accessToken>
+ * Returns: [{ id, provider, provider_name, email, created_at, last_login_at }]
+ */
+router.get("/identities", authenticateToken, getIdentities);
+
+/**
+ * DELETE /api/auth/identities/:id
+ * Unlinks a provider
+ * Headers: Authorization: Bearer <accessToken>
+ * Returns: { message, id }
+ */
+router.delete(
+  "/identities/:id",
+  authenticateToken,
+  validate(schemas.idParam),
+  unlinkIdentity,
+);
+
 export default router;
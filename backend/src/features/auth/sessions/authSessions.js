@@ -0,0 +1,166 @@
+/**
+ * AUTH SESSIONS
+ * Token issuing shared by the password and OpenID Connect logins, the
+ * two-factor login step and two-factor enrollment during login
+ *
+ * A session is a refresh token family (see refreshToken in authController.js);
+ * access tokens carry its id as `sid`
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { query } from "../../../shared/config/db.js";
+import {
+  AUTH_COOKIE_MODE,
+  setAuthCookies,
+} from "../../../shared/utils/authCookies.js";
+
+// JWT secret keys with fallback defaults for development
+// In production, these should always be set via environment variables
+export const ACCESS_SECRET = process.env.JWT_SECRET || "dev_access_secret";
+export const REFRESH_SECRET =
+  process.env.JWT_REFRESH_SECRET ||
+  process.env.JWT_SECRET ||
+  "dev_refresh_secret";
+
+// Pending two-factor logins use their own key so an mfa_token can never pass
+// as an access token (must match authMiddleware.js)
+const MFA_SECRET = `${ACCESS_SECRET}:mfa`;
+
+/**
+ * Generates JWT access and refresh tokens for authenticated users
+ * Access tokens are short-lived (15 minutes) for security
+ * Refresh tokens are long-lived (7 days) for user convenience and single-use (rotated on refresh)
+ *
+ * @param {object} user - User object containing id and role
+ * @param {string} sessionId - refresh_tokens.family_id, lets the API tell which session is "this device"
+ * @returns {object} Object containing accessToken and refreshToken
+ */
+export const generateTokens = (user, sessionId) => {
+  const accessToken = jwt.sign(
+    { id: user.id, role: user.role, sid: sessionId }, // Include user ID, role and session in token payload
+    ACCESS_SECRET,
+    { expiresIn: "15m" }, // Short-lived for security
+  );
+
+  const refreshToken = jwt.sign(
+    { id: user.id, jti: crypto.randomUUID() }, // User ID plus a unique id so rotated tokens never collide
+    REFRESH_SECRET,
+    { expiresIn: "7d" }, // Long-lived for convenience
+  );
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Stores a refresh token as the live token of a session (token family)
+ *
+ * @param {object} db - Pool (query) or transaction client
+ * @param {object} session - { familyId, userId, token, userAgent, ip }
+ */
+export const storeRefreshToken = (
+  db,
+  { familyId, userId, token, userAgent, ip },
+) =>
+  db.query(
+    `INSERT INTO refresh_tokens (family_id, user_id, token, expires_at, user_agent, ip)
+     VALUES ($1, $2, $3, NOW() + INTERVAL '7 days', $4, $5)`,
+    [familyId, userId, token, userAgent, ip],
+  );
+
+/**
+ * Describes the device making a request, for the sessions list
+ *
+ * @param {object} req - Express request object
+ * @returns {object} - { userAgent, ip }
+ */
+export const clientInfo = (req) => ({
+  userAgent: (req.get("user-agent") || "").slice(0, 512) || null,
+  ip: req.ip || null,
+});
+
+/**
+ * Starts a new session and builds the login response body
+ * Sets the refresh cookie in cookie mode (the body then omits refreshToken)
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {object} user - users row (id, username, role, credit, email_verified_at, totp_enabled_at)
+ * @returns {Promise<object>} - { accessToken, refreshToken?, user }
+ */
+export const startSession = async (req, res, user) => {
+  // Each login starts a new session (token family) that rotation keeps
+  const familyId = crypto.randomUUID();
+  const { accessToken, refreshToken } = generateTokens(user, familyId);
+
+  // Store refresh token in database for revocation capability
+  // The device details show up in the user's sessions list
+  await storeRefreshToken(
+    { query },
+    { familyId, userId: user.id, token: refreshToken, ...clientInfo(req) },
+  );
+
+  // In cookie mode the refresh token only travels as an httpOnly cookie
+  setAuthCookies(req, res, refreshToken);
+
+  // Return tokens and safe user data (no password)
+  return {
+    accessToken,
+    ...(AUTH_COOKIE_MODE ? {} : { refreshToken }),
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      credit: user.credit,
+      email_verified_at: user.email_verified_at,
+      totp_enabled: Boolean(user.totp_enabled_at),
+    },
+  };
+};
+
+/**
+ * Issues the short-lived token that stands for "password checked, second
+ * factor pending" between the two login steps
+ *
+ * @param {string} userId - User UUID
+ * @returns {string} - Signed mfa_token (5 minutes)
+ */
+export const createMfaToken = (userId) =>
+  jwt.sign({ id: userId, purpose: "mfa" }, MFA_SECRET, { expiresIn: "5m" });
+
+/**
+ * Finishes a first-factor login (password or OpenID Connect)
+ * Accounts with two-factor auth finish at POST /login/2fa; admins without it
+ * must enroll first (POST /2fa/enroll + /2fa/verify)
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {object} user - users row
+ * @returns {Promise<object>} - startSession body, or { mfa_required | mfa_setup_required, mfa_token }
+ */
+export const completeLogin = async (req, res, user) => {
+  if (user.totp_enabled_at || user.role === "admin") {
+    return {
+      ...(user.totp_enabled_at
+        ? { mfa_required: true }
+        : { mfa_setup_required: true }),
+      mfa_token: createMfaToken(user.id),
+    };
+  }
+  return startSession(req, res, user);
+};
+
+/**
+ * Reads the user id from an mfa_token
+ *
+ * @param {string} token - mfa_token from createMfaToken
+ * @returns {string|null} - User UUID, or null when invalid or expired
+ */
+export const verifyMfaToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token), MFA_SECRET);
+    return payload.purpose === "mfa" ? payload.id : null;
+  } catch {
+    return null;
+  }
+};
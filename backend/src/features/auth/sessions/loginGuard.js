@@ -0,0 +1,99 @@
+/**
+ * LOGIN GUARD
+ * Applies the login throttle (shared/services/loginThrottle.js) to the
+ * password and two-factor login steps (and to two-factor codes checked from
+ * account settings) and logs what happened as security events
+ *
+ * All of them count against the same account, so a stolen password or access
+ * token doesn't buy unlimited guesses at the two-factor code
+ */
+
+import {
+  startLoginAttempt,
+  recordLoginSuccess,
+  releaseLoginAttempt,
+  recordLoginFailure,
+} from "../../../shared/services/loginThrottle.js";
+import {
+  SECURITY_EVENT_TYPES,
+  recordSecurityEvent,
+} from "../../../shared/services/securityEvents.js";
+
+// Error codes clients can branch on when an attempt is refused
+const THROTTLE_CODES = {
+  locked: "ACCOUNT_LOCKED",
+  backoff: "LOGIN_THROTTLED",
+  ip: "LOGIN_THROTTLED",
+};
+
+/**
+ * Lets a login attempt through or answers 429 with Retry-After
+ *
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} attempt - { email, userId? }
+ * @returns {Promise<boolean>} - Whether the caller may check the credentials
+ */
+export const guardLoginAttempt = async (req, res, { email, userId = null }) => {
+  const check = await startLoginAttempt({ email, ip: req.ip });
+  if (check.allowed) return true;
+
+  recordSecurityEvent({
+    type: SECURITY_EVENT_TYPES.LOGIN_THROTTLED,
+    userId,
+    email,
+    req,
+    details: { reason: check.reason, retry_after: check.retryAfter },
+  });
+
+  res.set("Retry-After", String(check.retryAfter));
+  res.status(429).json({
+    error:
+      check.reason === "locked"
+        ? "Account temporarily locked after too many failed logins. Try again later or reset your password."
+        : "Too many login attempts. Please wait and try again.",
+    code: THROTTLE_CODES[check.reason],
+    retry_after: check.retryAfter,
+  });
+  return false;
+};
+
+/**
+ * Records a failed password or two-factor check (locks the account at the threshold)
+ *
+ * @param {object} req - Express request
+ * @param {object} failure - { type: LOGIN_FAILED | MFA_FAILED, email, userId? }
+ */
+export const loginFailed = async (req, { type, email, userId = null }) => {
+  recordSecurityEvent({ type, userId, email, req });
+
+  const lockedUntil = await recordLoginFailure({ email });
+  if (lockedUntil) {
+    recordSecurityEvent({
+      type: SECURITY_EVENT_TYPES.ACCOUNT_LOCKED,
+      userId,
+      email,
+      req,
+      details: { locked_until: lockedUntil },
+    });
+  }
+};
+
+/**
+ * Uncounts a correct check that doesn't start a session (the password step
+ * of a two-factor login, or a code checked from account settings)
+ *
+ * @param {object} req - Express request
+ * @param {string} email - Account email
+ */
+export const loginCheckPassed = (req, email) =>
+  releaseLoginAttempt({ email, ip: req.ip });
+
+/**
+ * Clears the account's failures once a session is issued
+ *
+ * @param {object} req - Express request
+ * @param {string} email - Email the login used
+ */
+export const loginSucceeded = (req, email) =>
+  recordLoginSuccess({ email, ip: req.ip });
@@ -6,87 +6,454 @@
 
 import { query } from "../../../shared/config/db.js";
 import { logError } from "../../../shared/utils/logger.js";
+import {
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+} from "../../../shared/utils/pagination.js";
+import {
+  toPrefixTsQuery,
+  omitSearchVector,
+} from "../../../shared/utils/search.js";
+import { publishCastEvent, publishCastArchived } from "../events/castEvents.js";
+import { checkBadges } from "../../../shared/services/badges.js";
+import { notifyFollowersLive } from "../../../shared/services/notifications.js";
+import {
+  checkMeetingLink,
+  loadMeetingPlatforms,
+} from "../../../shared/services/meetingLinks.js";
+
+// Feed sort modes: optional primary sort column (all sorts fall back to newest first)
+const FEED_SORTS = {
+  newest: { key: null },
+  most_noted: { key: "note_count" },
+  top_creator: { key: "credit" },
+};
+
+// How far back the feed reaches by default, and the largest window allowed (hours)
+const DEFAULT_FEED_WINDOW_HOURS =
+  Number(process.env.CAST_FEED_WINDOW_HOURS) || 24;
+const MAX_FEED_WINDOW_HOURS = 24 * 30;
+
+/**
+ * Parses optional schedule fields from a request body
+ * Empty values are treated as "not provided"
+ *
+ * @param {string} startsAt - ISO date string for the scheduled start
+ * @param {string} endsAt - ISO date string for the scheduled end
+ * @returns {object} { startsAt, endsAt, error } with Date objects or null
+ */
+const parseSchedule = (startsAt, endsAt) => {
+  const start = startsAt ? new Date(startsAt) : null;
+  const end = endsAt ? new Date(endsAt) : null;
+
+  if (start && Number.isNaN(start.getTime())) {
+    return { error: "starts_at must be a valid date" };
+  }
+  if (end && Number.isNaN(end.getTime())) {
+    return { error: "ends_at must be a valid date" };
+  }
+  if (start && end && end <= start) {
+    return { error: "ends_at must be after starts_at" };
+  }
+
+  return { startsAt: start, endsAt: end };
+};
+
+/**
+ * Checks a meeting link against the admin's platform allowlist
+ *
+ * @param {string} link - meeting_link from the request body
+ * @returns {Promise<object>} { platform, error } - Detected platform, or why it was refused
+ */
+const parseMeetingLink = async (link) =>
+  checkMeetingLink(link, await loadMeetingPlatforms());
+
+/**
+ * Sends the 400 for a refused meeting link (same shape as validate())
+ *
+ * @param {object} res - Express response object
+ * @param {string} error - Reason from parseMeetingLink
+ */
+const rejectMeetingLink = (res, error) =>
+  res.status(400).json({
+    error: `meeting_link: ${error}`,
+    code: "VALIDATION_FAILED",
+    errors: { meeting_link: error },
+  });
+
+/**
+ * Builds the RSVP columns shared by the feed queries
+ * is_going is only computed when the viewer is logged in (optionalAuth)
+ *
+ * @param {array} params - Query params array (viewer id is appended to it)
+ * @param {string} userId - Logged-in viewer id, if any
+ * @returns {string} - SQL select fragment
+ */
+const rsvpColumns = (params, userId) => {
+  const countSql = `(SELECT COUNT(*)::int FROM cast_attendees ca WHERE ca.cast_id = c.id) AS attendee_count`;
+  if (!userId) return `${countSql}, FALSE AS is_going`;
+
+  params.push(userId);
+  return `${countSql},
+      EXISTS (SELECT 1 FROM cast_attendees ca WHERE ca.cast_id = c.id AND ca.user_id = $${params.length}) AS is_going`;
+};
+
+/**
+ * Builds the has_access column shared by the feed queries
+ * Viewers can see meeting_link for free casts, their own casts, casts they
+ * redeemed, or any cast when they are admin
+ *
+ * @param {array} params - Query params array (viewer id is appended to it)
+ * @param {object} user - Logged-in viewer from optionalAuth, if any
+ * @returns {string} - SQL select fragment
+ */
+const accessColumn = (params, user) => {
+  if (!user) return `(c.credit_cost = 0) AS has_access`;
+  if (user.role === "admin") return `TRUE AS has_access`;
+
+  params.push(user.id);
+  const idx = params.length;
+  return `(c.credit_cost = 0 OR c.creator_id = $${idx}
+      OR EXISTS (SELECT 1 FROM cast_redemptions r WHERE r.cast_id = c.id AND r.user_id = $${idx})) AS has_access`;
+};
+
+/**
+ * Builds the "following" feed filter (casts from creators the viewer follows)
+ *
+ * @param {array} params - Query params array (viewer id is appended to it)
+ * @param {string} userId - Logged-in viewer id
+ * @returns {string} - SQL WHERE fragment
+ */
+const followingFilter = (params, userId) => {
+  params.push(userId);
+  return ` AND c.creator_id IN (SELECT followee_id FROM follows WHERE follower_id = $${params.length})`;
+};
+
+/**
+ * Validates the feed scope query parameter
+ * "following" needs a logged-in viewer (optionalAuth)
+ *
+ * @param {string} feed - Raw feed value (all or following)
+ * @param {object} user - Logged-in viewer, if any
+ * @returns {object} { following, status, error }
+ */
+const parseFeedScope = (feed = "all", user) => {
+  if (!["all", "following"].includes(feed)) {
+    return { status: 400, error: "feed must be all or following" };
+  }
+  if (feed === "following" && !user) {
+    return { status: 401, error: "Log in to see casts from people you follow" };
+  }
+  return { following: feed === "following" };
+};
+
+/**
+ * Shapes a cast row for the client
+ * Hides meeting_link on premium casts the viewer hasn't redeemed
+ *
+ * @param {object} row - Cast row including has_access
+ * @returns {object} - Cast safe to send to the viewer
+ */
+const toViewerCast = (row) => {
+  const cast = omitSearchVector(row);
+  return cast.has_access ? cast : { ...cast, meeting_link: null };
+};
+
+/**
+ * Parses an optional credit cost from a request body
+ *
+ * @param {*} value - Raw credit_cost value
+ * @returns {object} { creditCost, error } - creditCost is null when not provided
+ */
+const parseCreditCost = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return { creditCost: null };
+  }
+  const creditCost = Number(value);
+  if (!Number.isInteger(creditCost) || creditCost < 0) {
+    return { error: "credit_cost must be a whole number of 0 or more" };
+  }
+  return { creditCost };
+};
 
 // ==========================================
 // PUBLIC CAST ENDPOINTS
 // ==========================================
 
 /**
- * Retrieves active casts with filtering and search capabilities
+ * Retrieves active casts with filtering, sorting and cursor pagination
  * Shows LIVE and ENDED casts to all users (PAUSED casts are hidden from feed)
  * Supports filtering by skill category and text search
+ * Includes RSVP count, plus is_going when the viewer is logged in
+ * meeting_link is null on premium casts the viewer hasn't redeemed
  *
  * Query parameters:
+ * - feed: all (default) or following (creators the viewer follows; login required)
  * - category: Filter by skill category
- * - q: Search in title, description, username, or skill name
+ * - q: Full-text search over title/description, creator, and skill name
+ * - sort: newest (default), most_noted, or top_creator
+ * - window_hours: How far back the feed reaches (default 24, max 720)
+ * - limit: Page size (default 20, max 50)
+ * - cursor: nextCursor from the previous page
+ *
+ * Returns: { items, nextCursor } - nextCursor is null on the last page
  */
 export const getAllCasts = async (req, res) => {
-  const { category, q } = req.query;
+  const { category, q, cursor } = req.query;
+  const sort = req.query.sort || "newest";
+
+  // Validate sort mode
+  if (!FEED_SORTS[sort]) {
+    return res.status(400).json({
+      error: `sort must be one of: ${Object.keys(FEED_SORTS).join(", ")}`,
+    });
+  }
+
+  // Validate time window (hours)
+  const windowHours = req.query.window_hours
+    ? Number(req.query.window_hours)
+    : DEFAULT_FEED_WINDOW_HOURS;
+  if (
+    !Number.isInteger(windowHours) ||
+    windowHours < 1 ||
+    windowHours > MAX_FEED_WINDOW_HOURS
+  ) {
+    return res.status(400).json({
+      error: `window_hours must be a whole number between 1 and ${MAX_FEED_WINDOW_HOURS}`,
+    });
+  }
+
+  // Validate cursor (opaque sort key of the previous page's last row)
+  // A cursor only works with the sort mode that produced it
+  const { key } = FEED_SORTS[sort];
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && (!after || (key && after.k === undefined))) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
+
+  const scope = parseFeedScope(req.query.feed, req.user);
+  if (scope.error) {
+    return res.status(scope.status).json({ error: scope.error });
+  }
+
+  const limit = parseLimit(req.query.limit);
 
   try {
-    // Base query: Get LIVE and ENDED casts (exclude PAUSED and ARCHIVED) from last 24 hours
-    let queryText = `
-      SELECT c.*, u.username, u.credit, s.name as skill_name, s.category
+    const params = [];
+
+    // Base query: Get LIVE and ENDED casts (exclude SCHEDULED, PAUSED and ARCHIVED) inside the time window
+    // Scheduled casts count from their start time, not from when they were announced
+    // created_at is also selected as text so the cursor keeps full microsecond precision
+    let innerQuery = `
+      SELECT c.*, u.username, COALESCE(u.credit, 0) AS credit, s.name as skill_name, s.category,
+      ${rsvpColumns(params, req.user?.id)},
+      ${accessColumn(params, req.user)},
+      (SELECT COUNT(*)::int FROM notes n WHERE n.cast_id = c.id) AS note_count,
+      c.created_at::text AS cursor_ts
       FROM casts c
       JOIN users u ON c.creator_id = u.id
       JOIN skills s ON c.skill_id = s.id
-      WHERE c.status IN ('LIVE', 'ENDED')
-      AND c.created_at > NOW() - INTERVAL '24 hours'`;
+      WHERE c.status IN ('LIVE', 'ENDED')`;
 
-    const params = [];
+    params.push(windowHours);
+    innerQuery += ` AND COALESCE(c.starts_at, c.created_at) > NOW() - make_interval(hours => $${params.length})`;
+
+    // Personalized feed: only creators the viewer follows
+    if (scope.following) {
+      innerQuery += followingFilter(params, req.user.id);
+    }
 
     // Add category filter if specified
     if (category) {
       params.push(category);
-      queryText += ` AND s.category = $${params.length}`;
+      innerQuery += ` AND s.category = $${params.length}`;
     }
 
-    // Add text search across multiple fields if specified
-    if (q) {
-      params.push(`%${q}%`);
+    // Add full-text search across cast, creator and skill if specified
+    // Uses the GIN-indexed search_vector columns with prefix matching
+    const tsQuery = toPrefixTsQuery(q);
+    if (tsQuery) {
+      params.push(tsQuery);
       const idx = params.length;
-      queryText += ` AND (c.title ILIKE $${idx} OR c.description ILIKE $${idx} OR u.username ILIKE $${idx} OR s.name ILIKE $${idx})`;
+      innerQuery += ` AND (c.search_vector @@ to_tsquery('english', $${idx})
+        OR u.search_vector @@ to_tsquery('english', $${idx})
+        OR s.search_vector @@ to_tsquery('english', $${idx}))`;
     }
 
-    // Order by most recent first
-    queryText += ` ORDER BY c.created_at DESC`;
+    // Sort columns: optional primary key, then newest first, then id as tie-breaker
+    const sortColumns = key
+      ? [`feed.${key}`, "feed.created_at", "feed.id"]
+      : ["feed.created_at", "feed.id"];
 
-    const casts = await query(queryText, params);
-    res.json(casts.rows);
+    let queryText = `SELECT * FROM (${innerQuery}) feed`;
+
+    // Seek past the previous page using a row comparison on the sort key
+    if (after) {
+      const values = key ? [after.k, after.ts, after.id] : [after.ts, after.id];
+      const types = key
+        ? ["::int", "::timestamptz", "::uuid"]
+        : ["::timestamptz", "::uuid"];
+      const placeholders = values.map((value, i) => {
+        params.push(value);
+        return `$${params.length}${types[i]}`;
+      });
+      queryText += ` WHERE (${sortColumns.join(", ")}) < (${placeholders.join(", ")})`;
+    }
+
+    // Fetch one extra row to know whether another page exists
+    params.push(limit + 1);
+    queryText += ` ORDER BY ${sortColumns.map((col) => `${col} DESC`).join(", ")}
+      LIMIT $${params.length}`;
+
+    const result = await query(queryText, params);
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+
+    const last = rows[rows.length - 1];
+    const nextCursor =
+      hasMore && last
+        ? encodeCursor({
+            ...(key && { k: last[key] }),
+            ts: last.cursor_ts,
+            id: last.id,
+          })
+        : null;
+
+    res.json({
+      items: rows.map(({ cursor_ts, ...cast }) => toViewerCast(cast)),
+      nextCursor,
+    });
   } catch (err) {
-    logError("castController.getAllCasts", err, { category, q });
+    logError("castController.getAllCasts", err, { category, q, sort });
     res.status(500).json({ error: "Failed to fetch cast feed" });
   }
 };
 
+/**
+ * Retrieves scheduled casts that have not started yet
+ * Powers the "Upcoming" section so hosts can announce sessions ahead of time
+ * Ordered by start time so the next session comes first
+ *
+ * Query parameters:
+ * - feed: all (default) or following (creators the viewer follows; login required)
+ * - category: Filter by skill category
+ */
+export const getUpcomingCasts = async (req, res) => {
+  const { category } = req.query;
+
+  const scope = parseFeedScope(req.query.feed, req.user);
+  if (scope.error) {
+    return res.status(scope.status).json({ error: scope.error });
+  }
+
+  try {
+    const params = [];
+
+    let queryText = `
+      SELECT c.*, u.username, COALESCE(u.credit, 0) AS credit, s.name as skill_name, s.category,
+      ${rsvpColumns(params, req.user?.id)},
+      ${accessColumn(params, req.user)}
+      FROM casts c
+      JOIN users u ON c.creator_id = u.id
+      JOIN skills s ON c.skill_id = s.id
+      WHERE c.status = 'SCHEDULED'
+      AND c.starts_at > NOW()`;
+
+    // Personalized feed: only creators the viewer follows
+    if (scope.following) {
+      queryText += followingFilter(params, req.user.id);
+    }
+
+    // Add category filter if specified
+    if (category) {
+      params.push(category);
+      queryText += ` AND s.category = $${params.length}`;
+    }
+
+    // Soonest sessions first
+    queryText += ` ORDER BY c.starts_at ASC`;
+
+    const casts = await query(queryText, params);
+    res.json(casts.rows.map(toViewerCast));
+  } catch (err) {
+    logError("castController.getUpcomingCasts", err, { category });
+    res.status(500).json({ error: "Failed to fetch upcoming casts" });
+  }
+};
+
 // ==========================================
 // PROTECTED CAST ENDPOINTS
 // ==========================================
 
 /**
- * Creates a new live broadcast session
+ * Creates a new broadcast session
  * Requires authentication and validates essential fields
  * Meeting link is mandatory for live sessions
+ *
+ * Casts with a future starts_at are created as SCHEDULED and go LIVE
+ * automatically at their start time; otherwise they are LIVE immediately
+ *
+ * credit_cost > 0 makes the cast premium: learners redeem credit to see the link
+ * meeting_link must be an https link on an allowed platform, which is stored
+ * as meeting_platform
  */
 export const createCast = async (req, res) => {
-  const { skill_id, title, description, meeting_link } = req.body;
+  const {
+    skill_id,
+    title,
+    description,
+    meeting_link,
+    starts_at,
+    ends_at,
+    credit_cost,
+  } = req.body;
+
+  // Validate optional schedule window
+  const schedule = parseSchedule(starts_at, ends_at);
+  if (schedule.error) {
+    return res.status(400).json({ error: schedule.error });
+  }
 
-  // Validate required fields
-  if (!meeting_link || !title) {
-    return res
-      .status(400)
-      .json({ error: "Title and Meeting Link are required" });
+  // Validate optional seat price
+  const cost = parseCreditCost(credit_cost);
+  if (cost.error) {
+    return res.status(400).json({ error: cost.error });
   }
 
+  const startsAt = schedule.startsAt || new Date();
+  const status = startsAt > new Date() ? "SCHEDULED" : "LIVE";
+
   try {
+    // Only links on an allowed platform reach the feed
+    const link = await parseMeetingLink(meeting_link);
+    if (link.error) return rejectMeetingLink(res, link.error);
+
     // Create new cast with authenticated user as creator
     const newCast = await query(
-      `INSERT INTO casts (creator_id, skill_id, title, description, meeting_link) 
-       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [req.user.id, skill_id, title, description, meeting_link],
+      `INSERT INTO casts (creator_id, skill_id, title, description, meeting_link, meeting_platform, status, starts_at, ends_at, credit_cost) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [
+        req.user.id,
+        skill_id,
+        title,
+        description,
+        meeting_link,
+        link.platform,
+        status,
+        startsAt,
+        schedule.endsAt,
+        cost.creditCost ?? 0,
+      ],
     );
 
-    res.status(201).json(newCast.rows[0]);
+    res.status(201).json(omitSearchVector(newCast.rows[0]));
+
+    // Push the new cast to connected feeds
+    publishCastEvent("cast:created", newCast.rows[0].id);
+    if (status === "LIVE") notifyFollowersLive(newCast.rows[0].id);
+    // Hosting counts toward FIRST_CAST, MULTI_CATEGORY_3 and STREAK_7
+    checkBadges(req.user.id);
   } catch (err) {
     logError("castController.createCast", err, { skill_id, title });
     res.status(500).json({ error: "Could not start cast" });
@@ -97,22 +464,77 @@ export const createCast = async (req, res) => {
  * Updates an existing cast's details
  * Only the cast creator or admins can update cast information
  * Uses COALESCE to update only provided fields
+ *
+ * Going LIVE early on a SCHEDULED cast moves its start time to now, and
+ * moving a LIVE cast's start time into the future puts it back on the schedule
+ * A changed meeting_link is checked like on create and re-detects meeting_platform
  */
 export const updateCast = async (req, res) => {
   const { id } = req.params;
-  const { skill_id, title, description, meeting_link, status } = req.body;
+  const {
+    skill_id,
+    title,
+    description,
+    meeting_link,
+    status,
+    starts_at,
+    ends_at,
+    credit_cost,
+  } = req.body;
+
+  // Validate optional schedule window
+  const schedule = parseSchedule(starts_at, ends_at);
+  if (schedule.error) {
+    return res.status(400).json({ error: schedule.error });
+  }
+
+  // Validate optional seat price (existing redemptions keep the price they paid)
+  const cost = parseCreditCost(credit_cost);
+  if (cost.error) {
+    return res.status(400).json({ error: cost.error });
+  }
 
   try {
+    // Links already on the cast stay as they are; changed ones must pass the
+    // allowlist (edit forms resend the stored link with every save)
+    let link = {};
+    if (meeting_link) {
+      const current = await query(
+        "SELECT meeting_link FROM casts WHERE id = $1",
+        [id],
+      );
+      if (meeting_link !== current.rows[0]?.meeting_link) {
+        link = await parseMeetingLink(meeting_link);
+        if (link.error) return rejectMeetingLink(res, link.error);
+      }
+    }
+
     // Update cast with permission check in WHERE clause
     const updated = await query(
-      `UPDATE casts
+      `WITH previous AS (SELECT status FROM casts WHERE id = $1)
+       UPDATE casts
        SET skill_id = COALESCE($3, skill_id),
            title = COALESCE($4, title),
            description = COALESCE($5, description),
            meeting_link = COALESCE($6, meeting_link),
-           status = COALESCE($7, status)
+           meeting_platform = COALESCE($12, meeting_platform),
+           status = CASE
+             WHEN $9::timestamptz > NOW() AND COALESCE($7, status) = 'LIVE' AND status <> 'SCHEDULED' THEN 'SCHEDULED'
+             ELSE COALESCE($7, status)
+           END,
+           starts_at = CASE
+             WHEN $7 = 'LIVE' AND status = 'SCHEDULED' THEN NOW()
+             ELSE COALESCE($9, starts_at)
+           END,
+           ends_at = COALESCE($10, ends_at),
+           -- A new start time earns a new reminder email
+           reminder_sent_at = CASE
+             WHEN $9::timestamptz IS NOT NULL THEN NULL
+             ELSE reminder_sent_at
+           END,
+           credit_cost = COALESCE($11, credit_cost)
        WHERE id = $1 AND (creator_id = $2 OR $8 = 'admin')
-       RETURNING *`,
+       RETURNING casts.*, (SELECT status FROM previous) AS previous_status`,
       [
         id,
         req.user.id,
@@ -122,6 +544,10 @@ export const updateCast = async (req, res) => {
         meeting_link,
         status,
         req.user.role,
+        schedule.startsAt,
+        schedule.endsAt,
+        cost.creditCost,
+        link.platform,
       ],
     );
 
@@ -132,8 +558,20 @@ export const updateCast = async (req, res) => {
         .json({ error: "Cast not found or permission denied" });
     }
 
-    res.json(updated.rows[0]);
+    const { previous_status, ...cast } = updated.rows[0];
+    res.json(omitSearchVector(cast));
+
+    // Push status/detail changes to connected feeds; feeds only add cards
+    // for casts that just went live, other updates patch listed cards
+    const wentLive = cast.status === "LIVE" && previous_status !== "LIVE";
+    publishCastEvent("cast:updated", id, wentLive ? { went_live: true } : {});
+    // Followers hear about a cast once, so re-saving a LIVE cast is harmless
+    if (cast.status === "LIVE") notifyFollowersLive(id);
   } catch (err) {
+    // Schedule CHECK constraint (ends_at must follow starts_at)
+    if (err.code === "23514" && err.constraint === "casts_schedule_check") {
+      return res.status(400).json({ error: "ends_at must be after starts_at" });
+    }
     logError("castController.updateCast", err, { id });
     res.status(500).json({ error: "Could not update cast" });
   }
@@ -160,7 +598,13 @@ export const deleteCast = async (req, res) => {
         .json({ error: "Cast not found or permission denied" });
     }
 
-    res.json({ message: "Cast archived successfully", cast: result.rows[0] });
+    res.json({
+      message: "Cast archived successfully",
+      cast: omitSearchVector(result.rows[0]),
+    });
+
+    // Remove the cast from connected feeds
+    publishCastArchived(req.params.id);
   } catch (err) {
     logError("castController.deleteCast", err, { id: req.params.id });
     res.status(500).json({ error: "Archive failed" });
@@ -171,22 +615,25 @@ export const deleteCast = async (req, res) => {
  * Get archived/past casts for a specific user
  * Returns all casts with ARCHIVED status for the specified user
  * Accessible by the user themselves or admins
+ * meeting_link is hidden on premium casts the viewer hasn't redeemed
  */
 export const getPastCasts = async (req, res) => {
   const { userId } = req.params;
 
   try {
     // Get archived casts for this user
+    const params = [userId];
     const pastCasts = await query(
-      `SELECT c.*, s.name as skill_name, s.channel
+      `SELECT c.*, s.name as skill_name, s.channel,
+       ${accessColumn(params, req.user)}
        FROM casts c
        JOIN skills s ON c.skill_id = s.id
        WHERE c.creator_id = $1 AND c.status = 'ARCHIVED'
        ORDER BY c.updated_at DESC`,
-      [userId],
+      params,
     );
 
-    res.json(pastCasts.rows);
+    res.json(pastCasts.rows.map(toViewerCast));
   } catch (err) {
     logError("castController.getPastCasts", err, { userId });
     res.status(500).json({ error: "Failed to fetch past casts" });
@@ -0,0 +1,140 @@
+/**
+ * CAST REDEMPTION CONTROLLER
+ * Lets learners spend credit to reserve a seat in premium casts (credit_cost > 0)
+ * A redemption reveals the meeting_link and moves credit from learner to host
+ */
+
+import { withTransaction } from "../../../shared/config/db.js";
+import { logError } from "../../../shared/utils/logger.js";
+import {
+  CREDIT_REASONS,
+  recordCredit,
+} from "../../../shared/services/creditLedger.js";
+import { publishCastEvent } from "../events/castEvents.js";
+
+// Casts that still sell seats - ended/archived sessions are closed
+const OPEN_STATUSES = ["SCHEDULED", "LIVE", "PAUSED"];
+
+// ==========================================
+// PROTECTED REDEMPTION ENDPOINTS
+// ==========================================
+
+/**
+ * Redeems credit for a seat in a premium cast
+ * Runs in one transaction: balance check, redemption row, both ledger
+ * entries and the RSVP commit together or not at all
+ * Idempotent: redeeming again returns the link without charging twice
+ *
+ * Path parameters:
+ * - id: UUID of the cast to redeem
+ *
+ * Returns: { cast_id, meeting_link, amount, credit, is_going }
+ */
+export const redeemCast = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const castRes = await client.query(
+        "SELECT id, creator_id, status, credit_cost, meeting_link FROM casts WHERE id = $1",
+        [id],
+      );
+      if (castRes.rows.length === 0) {
+        return { status: 404, error: "Cast not found" };
+      }
+
+      const cast = castRes.rows[0];
+      if (cast.creator_id === req.user.id) {
+        return { status: 400, error: "You are hosting this cast" };
+      }
+      if (cast.credit_cost === 0) {
+        return { status: 400, error: "This cast is free to join" };
+      }
+
+      // Lock the learner's balance so concurrent redemptions can't overspend
+      const buyerRes = await client.query(
+        "SELECT credit FROM users WHERE id = $1 FOR UPDATE",
+        [req.user.id],
+      );
+      const balance = buyerRes.rows[0]?.credit ?? 0;
+
+      // Already redeemed - hand back the link without charging again
+      const existing = await client.query(
+        "SELECT amount FROM cast_redemptions WHERE cast_id = $1 AND user_id = $2",
+        [id, req.user.id],
+      );
+      if (existing.rows.length > 0) {
+        return {
+          cast,
+          amount: existing.rows[0].amount,
+          credit: balance,
+          charged: false,
+        };
+      }
+
+      if (!OPEN_STATUSES.includes(cast.status)) {
+        return { status: 400, error: "This cast is no longer open" };
+      }
+      if (balance < cast.credit_cost) {
+        return {
+          status: 400,
+          error: `Not enough credit: this cast costs ${cast.credit_cost}, you have ${balance}`,
+        };
+      }
+
+      // Record the seat, then move the credit from learner to host
+      await client.query(
+        "INSERT INTO cast_redemptions (cast_id, user_id, amount) VALUES ($1, $2, $3)",
+        [id, req.user.id, cast.credit_cost],
+      );
+      await recordCredit(client, {
+        userId: req.user.id,
+        amount: -cast.credit_cost,
+        reason: CREDIT_REASONS.SEAT_PURCHASED,
+        castId: id,
+        actorId: req.user.id,
+      });
+      await recordCredit(client, {
+        userId: cast.creator_id,
+        amount: cast.credit_cost,
+        reason: CREDIT_REASONS.SEAT_SOLD,
+        castId: id,
+        actorId: req.user.id,
+      });
+
+      // A reserved seat counts as "Going"
+      await client.query(
+        "INSERT INTO cast_attendees (cast_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+        [id, req.user.id],
+      );
+
+      return {
+        cast,
+        amount: cast.credit_cost,
+        credit: balance - cast.credit_cost,
+        charged: true,
+      };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.status(outcome.charged ? 201 : 200).json({
+      cast_id: id,
+      meeting_link: outcome.cast.meeting_link,
+      amount: outcome.amount,
+      credit: outcome.credit,
+      is_going: true,
+    });
+
+    // Push the new attendee count to connected feeds
+    if (outcome.charged) publishCastEvent("cast:updated", id);
+  } catch (err) {
+    logError("redemptionController.redeemCast", err, {
+      id,
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Could not redeem cast" });
+  }
+};
@@ -0,0 +1,201 @@
+/**
+ * CAST RSVP CONTROLLER
+ * Handles attendance registration ("Going") for scheduled and live casts
+ * Gives hosts an early signal of how many learners to expect
+ */
+
+import { query } from "../../../shared/config/db.js";
+import { logError } from "../../../shared/utils/logger.js";
+import { publishCastEvent } from "../events/castEvents.js";
+
+// Casts that can still be joined - ended/archived sessions are closed
+const OPEN_STATUSES = ["SCHEDULED", "LIVE", "PAUSED"];
+
+/**
+ * Counts current attendees for a cast
+ *
+ * @param {string} castId - Cast UUID
+ * @returns {Promise<number>} - Number of RSVPs
+ */
+const countAttendees = async (castId) => {
+  const result = await query(
+    "SELECT COUNT(*)::int AS count FROM cast_attendees WHERE cast_id = $1",
+    [castId],
+  );
+  return result.rows[0].count;
+};
+
+// ==========================================
+// PUBLIC-FACING RSVP ENDPOINTS (Authenticated)
+// ==========================================
+
+/**
+ * Registers the authenticated user as attending a cast
+ * Idempotent: RSVPing twice keeps a single attendance row
+ * Hosts cannot RSVP to their own casts
+ * Premium casts require a redemption first (see redemptionController)
+ *
+ * Path parameters:
+ * - id: UUID of the cast to attend
+ */
+export const joinCast = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // Verify the cast exists and is still open for RSVPs
+    const castRes = await query(
+      `SELECT c.id, c.creator_id, c.status, c.credit_cost,
+              EXISTS (SELECT 1 FROM cast_redemptions r WHERE r.cast_id = c.id AND r.user_id = $2) AS redeemed
+       FROM casts c WHERE c.id = $1`,
+      [id, req.user.id],
+    );
+    if (castRes.rows.length === 0) {
+      return res.status(404).json({ error: "Cast not found" });
+    }
+
+    const cast = castRes.rows[0];
+    if (cast.creator_id === req.user.id) {
+      return res.status(400).json({ error: "You are hosting this cast" });
+    }
+    if (!OPEN_STATUSES.includes(cast.status)) {
+      return res.status(400).json({ error: "This cast is no longer open" });
+    }
+    // Premium casts: a seat is reserved by redeeming credit, not a free RSVP
+    if (cast.credit_cost > 0 && !cast.redeemed) {
+      return res
+        .status(400)
+        .json({ error: "Redeem credit to reserve a seat in this cast" });
+    }
+
+    // Record attendance, ignore if already going
+    await query(
+      "INSERT INTO cast_attendees (cast_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+      [id, req.user.id],
+    );
+
+    res.status(201).json({
+      cast_id: id,
+      is_going: true,
+      attendee_count: await countAttendees(id),
+    });
+
+    // Push the new attendee count to connected feeds
+    publishCastEvent("cast:updated", id);
+  } catch (err) {
+    logError("rsvpController.joinCast", err, { id, userId: req.user.id });
+    res.status(500).json({ error: "Could not RSVP to cast" });
+  }
+};
+
+/**
+ * Removes the authenticated user's RSVP from a cast
+ *
+ * Path parameters:
+ * - id: UUID of the cast to leave
+ */
+export const leaveCast = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    await query(
+      "DELETE FROM cast_attendees WHERE cast_id = $1 AND user_id = $2",
+      [id, req.user.id],
+    );
+
+    res.json({
+      cast_id: id,
+      is_going: false,
+      attendee_count: await countAttendees(id),
+    });
+
+    // Push the new attendee count to connected feeds
+    publishCastEvent("cast:updated", id);
+  } catch (err) {
+    logError("rsvpController.leaveCast", err, { id, userId: req.user.id });
+    res.status(500).json({ error: "Could not cancel RSVP" });
+  }
+};
+
+// ==========================================
+// HOST-ONLY RSVP ENDPOINTS
+// ==========================================
+
+/**
+ * Lists who signed up for a single cast
+ * Only the cast creator or admins can see the attendee list
+ *
+ * Path parameters:
+ * - id: UUID of the cast
+ */
+export const getCastAttendees = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const castRes = await query("SELECT creator_id FROM casts WHERE id = $1", [
+      id,
+    ]);
+    if (castRes.rows.length === 0) {
+      return res.status(404).json({ error: "Cast not found" });
+    }
+    if (
+      castRes.rows[0].creator_id !== req.user.id &&
+      req.user.role !== "admin"
+    ) {
+      return res.status(403).json({ error: "Only the host can view RSVPs" });
+    }
+
+    const attendees = await query(
+      `SELECT u.id, u.username, u.name, ca.created_at
+       FROM cast_attendees ca
+       JOIN users u ON ca.user_id = u.id
+       WHERE ca.cast_id = $1
+       ORDER BY ca.created_at ASC`,
+      [id],
+    );
+
+    res.json(attendees.rows);
+  } catch (err) {
+    logError("rsvpController.getCastAttendees", err, { id });
+    res.status(500).json({ error: "Failed to fetch attendees" });
+  }
+};
+
+/**
+ * Lists RSVPs across all of a creator's open casts
+ * Powers the "who signed up" section on the creator's profile
+ * Accessible by the creator themselves or admins
+ *
+ * Path parameters:
+ * - userId: UUID of the cast creator
+ */
+export const getCreatorAttendees = async (req, res) => {
+  const { userId } = req.params;
+
+  if (req.user.id?.toString() !== userId && req.user.role !== "admin") {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  try {
+    // One row per RSVP, grouped by cast on the client
+    const result = await query(
+      `SELECT c.id AS cast_id,
+              c.title AS cast_title,
+              c.status AS cast_status,
+              c.starts_at,
+              u.id AS user_id,
+              u.username,
+              ca.created_at
+       FROM casts c
+       JOIN cast_attendees ca ON ca.cast_id = c.id
+       JOIN users u ON ca.user_id = u.id
+       WHERE c.creator_id = $1 AND c.status = ANY($2)
+       ORDER BY c.starts_at ASC, ca.created_at ASC`,
+      [userId, OPEN_STATUSES],
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    logError("rsvpController.getCreatorAttendees", err, { userId });
+    res.status(500).json({ error: "Failed to fetch attendees" });
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * CAST EVENTS
+ * Publishes cast changes to connected feed clients over SSE
+ * Payloads use the same joined shape as the feed endpoints
+ */
+
+import { query } from "../../../shared/config/db.js";
+import { broadcast } from "../../../shared/utils/realtime.js";
+import { logError } from "../../../shared/utils/logger.js";
+import { omitSearchVector } from "../../../shared/utils/search.js";
+
+/**
+ * Loads a cast with the joined fields the feed renders
+ * (creator username/credit, skill name/category, RSVP count)
+ *
+ * @param {string} castId - Cast UUID
+ * @returns {Promise<object|null>} - Feed row or null if not found
+ */
+const fetchFeedCast = async (castId) => {
+  const result = await query(
+    `SELECT c.*, u.username, COALESCE(u.credit, 0) AS credit, s.name as skill_name, s.category,
+            (SELECT COUNT(*)::int FROM cast_attendees ca WHERE ca.cast_id = c.id) AS attendee_count
+     FROM casts c
+     JOIN users u ON c.creator_id = u.id
+     JOIN skills s ON c.skill_id = s.id
+     WHERE c.id = $1`,
+    [castId],
+  );
+  return omitSearchVector(result.rows[0]) || null;
+};
+
+/**
+ * Removes meeting_link from premium casts before broadcasting
+ * Events go to every viewer, so only free links are safe to push
+ * (the key is dropped, not nulled, so clients keep a link they already redeemed)
+ *
+ * @param {object} cast - Feed row
+ * @returns {object} - Payload safe for all viewers
+ */
+const toPublicPayload = (cast) => {
+  if (cast.credit_cost === 0) return cast;
+  const { meeting_link, ...rest } = cast;
+  return rest;
+};
+
+/**
+ * Broadcasts a cast event with the full feed row
+ * Failures are logged only - a missed push must never fail the request
+ *
+ * @param {string} event - 'cast:created' or 'cast:updated'
+ * @param {string} castId - Cast UUID
+ * @param {object} [extra] - Flags merged into the payload (e.g. { went_live: true })
+ */
+export const publishCastEvent = async (event, castId, extra = {}) => {
+  try {
+    const cast = await fetchFeedCast(castId);
+    if (cast) broadcast(event, { ...toPublicPayload(cast), ...extra });
+  } catch (err) {
+    logError("castEvents.publishCastEvent", err, { event, castId });
+  }
+};
+
+/**
+ * Broadcasts that a cast was archived (removed from feeds)
+ *
+ * @param {string} castId - Cast UUID
+ */
+export const publishCastArchived = (castId) => {
+  broadcast("cast:archived", { id: castId });
+};
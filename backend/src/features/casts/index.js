@@ -1,3 +1,7 @@
 // Casts Feature Exports
 export { default as castRoutes } from "./routes/castRoutes.js";
 export * from "./controllers/castController.js";
+export * from "./controllers/rsvpController.js";
+export * from "./controllers/redemptionController.js";
+export * from "./jobs/castScheduler.js";
+export * from "./events/castEvents.js";
@@ -0,0 +1,64 @@
+/**
+ * CAST REMINDERS
+ * Emails hosts and RSVP'd attendees shortly before a scheduled cast starts
+ * Runs as part of each cast scheduler pass
+ */
+
+import { query } from "../../../shared/config/db.js";
+import { sendMail } from "../../../shared/services/mailer.js";
+import {
+  castReminderEmail,
+  emailPreferenceEnabled,
+} from "../../../shared/services/emails.js";
+
+// How long before starts_at the reminder goes out (default: 60 minutes)
+const REMINDER_LEAD_MINUTES =
+  Number(process.env.CAST_REMINDER_LEAD_MINUTES) || 60;
+
+/**
+ * Marks scheduled casts that are about to start as reminded
+ * Marking first means each cast is reminded once, even across overlapping passes
+ *
+ * @returns {Promise<array>} - [{ id, title, starts_at, creator_id, host_username }]
+ */
+const claimDueCasts = async () => {
+  const result = await query(
+    `UPDATE casts c
+     SET reminder_sent_at = NOW()
+     FROM users h
+     WHERE h.id = c.creator_id
+       AND c.status = 'SCHEDULED'
+       AND c.reminder_sent_at IS NULL
+       AND c.starts_at <= NOW() + make_interval(mins => $1)
+     RETURNING c.id, c.title, c.starts_at, c.creator_id, h.username AS host_username`,
+    [REMINDER_LEAD_MINUTES],
+  );
+  return result.rows;
+};
+
+/**
+ * Sends reminders for every cast starting within the lead time
+ *
+ * @returns {Promise<array>} - Casts that were reminded
+ */
+export const sendCastReminders = async () => {
+  const casts = await claimDueCasts();
+
+  for (const cast of casts) {
+    const recipients = await query(
+      `SELECT u.id, u.email, u.username, u.name
+       FROM users u
+       WHERE (u.id = $2
+              OR u.id IN (SELECT user_id FROM cast_attendees WHERE cast_id = $1))
+         AND ${emailPreferenceEnabled("cast_reminder")}`,
+      [cast.id, cast.creator_id],
+    );
+
+    for (const user of recipients.rows) {
+      await sendMail(
+        castReminderEmail(user, cast, user.id === cast.creator_id),
+      );
+    }
+  }
+  return casts;
+};
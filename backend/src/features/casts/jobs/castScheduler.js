@@ -0,0 +1,85 @@
+/**
+ * CAST SCHEDULER
+ * Background job that moves scheduled casts through their lifecycle
+ * SCHEDULED casts go LIVE at starts_at, LIVE/PAUSED casts end at ends_at
+ * Reminder emails for casts about to start go out on the same pass
+ */
+
+import { query } from "../../../shared/config/db.js";
+import { logError } from "../../../shared/utils/logger.js";
+import { publishCastEvent } from "../events/castEvents.js";
+import { notifyFollowersLive } from "../../../shared/services/notifications.js";
+import { sendCastReminders } from "./castReminders.js";
+
+// How often the scheduler checks for casts to transition (default: 30 seconds)
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Switches SCHEDULED casts whose start time has passed to LIVE
+ *
+ * @returns {Promise<array>} - Casts that just went live
+ */
+export const activateScheduledCasts = async () => {
+  const result = await query(
+    `UPDATE casts
+     SET status = 'LIVE'
+     WHERE status = 'SCHEDULED' AND starts_at <= NOW()
+     RETURNING *`,
+  );
+  return result.rows;
+};
+
+/**
+ * Ends LIVE or PAUSED casts whose scheduled end time has passed
+ *
+ * @returns {Promise<array>} - Casts that were just ended
+ */
+export const endExpiredCasts = async () => {
+  const result = await query(
+    `UPDATE casts
+     SET status = 'ENDED'
+     WHERE status IN ('LIVE', 'PAUSED') AND ends_at IS NOT NULL AND ends_at <= NOW()
+     RETURNING *`,
+  );
+  return result.rows;
+};
+
+/**
+ * Runs a single scheduler pass
+ * Errors are logged and swallowed so one failed pass doesn't stop the loop
+ */
+export const runCastScheduler = async () => {
+  try {
+    // Remind before activating so casts due right now still get a reminder
+    await sendCastReminders();
+
+    const activated = await activateScheduledCasts();
+    const ended = await endExpiredCasts();
+
+    // Push each transition to connected feeds, and tell followers who went live
+    await Promise.all([
+      ...activated.map((cast) =>
+        publishCastEvent("cast:updated", cast.id, { went_live: true }),
+      ),
+      ...ended.map((cast) => publishCastEvent("cast:updated", cast.id)),
+      ...activated.map((cast) => notifyFollowersLive(cast.id)),
+    ]);
+  } catch (err) {
+    logError("castScheduler.run", err);
+  }
+};
+
+/**
+ * Starts the recurring scheduler loop
+ * Runs one pass immediately so casts due during downtime are caught up
+ *
+ * @param {number} intervalMs - Milliseconds between passes
+ * @returns {NodeJS.Timeout} - Interval handle (use clearInterval to stop)
+ */
+export const startCastScheduler = (
+  intervalMs = Number(process.env.CAST_SCHEDULER_INTERVAL_MS) ||
+    DEFAULT_INTERVAL_MS,
+) => {
+  runCastScheduler();
+  return setInterval(runCastScheduler, intervalMs);
+};
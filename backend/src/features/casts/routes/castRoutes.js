@@ -5,31 +5,125 @@
  */
 
 import express from "express";
-import { authenticateToken } from "../../../shared/middleware/authMiddleware.js";
+import {
+  authenticateToken,
+  optionalAuth,
+  requireVerifiedEmail,
+} from "../../../shared/middleware/authMiddleware.js";
 import {
   createCast,
   getAllCasts,
+  getUpcomingCasts,
   updateCast,
   deleteCast,
   getPastCasts,
 } from "../controllers/castController.js";
+import {
+  joinCast,
+  leaveCast,
+  getCastAttendees,
+  getCreatorAttendees,
+} from "../controllers/rsvpController.js";
+import { redeemCast } from "../controllers/redemptionController.js";
+import { validate } from "../../../shared/middleware/validateMiddleware.js";
 
 const router = express.Router();
 
+// ==========================================
+// VALIDATION SCHEMAS
+// ==========================================
+
+// Cast fields shared by create (with required ones) and update (all optional)
+const castFields = {
+  skill_id: { type: "uuid" },
+  title: { type: "string", max: 100 },
+  description: { type: "string", max: 5000 },
+  meeting_link: { type: "url" },
+  starts_at: { type: "date" },
+  ends_at: { type: "date" },
+  credit_cost: { type: "integer", min: 0, max: 100000 },
+};
+
+// When both ends of the schedule are sent, the end must come after the start
+const checkSchedule = ({ body }) =>
+  body.starts_at &&
+  body.ends_at &&
+  new Date(body.ends_at) <= new Date(body.starts_at)
+    ? { ends_at: "Must be after the start time" }
+    : {};
+
+const schemas = {
+  feed: {
+    query: {
+      feed: { type: "string", oneOf: ["all", "following"] },
+      category: { type: "string", max: 50 },
+      q: { type: "string", max: 200 },
+      limit: { type: "integer", min: 1 },
+      cursor: { type: "string", max: 500 },
+    },
+  },
+  upcoming: { query: { category: { type: "string", max: 50 } } },
+  userParam: { params: { userId: { type: "uuid", required: true } } },
+  idParam: { params: { id: { type: "uuid", required: true } } },
+  createCast: {
+    body: {
+      ...castFields,
+      skill_id: { type: "uuid", required: true },
+      title: { type: "string", required: true, max: 100 },
+      meeting_link: { type: "url", required: true },
+    },
+    check: checkSchedule,
+  },
+  updateCast: {
+    params: { id: { type: "uuid", required: true } },
+    body: {
+      ...castFields,
+      status: {
+        type: "string",
+        oneOf: ["SCHEDULED", "LIVE", "PAUSED", "ENDED", "ARCHIVED"],
+      },
+    },
+    check: checkSchedule,
+  },
+};
+
 // ==========================================
 // PUBLIC ENDPOINTS - No Authentication Required
 // ==========================================
 
 /**
  * GET /api/casts/
- * Retrieves the public cast feed with filtering capabilities
- * Shows active live broadcasts from the last 24 hours
+ * Retrieves the public cast feed with filtering, sorting and pagination
+ * Shows active live broadcasts from the last 24 hours (configurable)
  *
  * Query Parameters:
  * - category: Filter by skill channel/category
  * - q: Search query for title, description, username, or skill name
+ * - sort: newest (default), most_noted, or top_creator
+ * - window_hours: Feed time window in hours (default 24, max 720)
+ * - limit: Page size (default 20, max 50)
+ * - cursor: nextCursor from the previous response
+ *
+ * Returns { items, nextCursor }
+ *
+ * Logged-in viewers also get is_going for their own RSVPs
  */
-router.get("/", getAllCasts);
+router.get("/", optionalAuth, validate(schemas.feed), getAllCasts);
+
+/**
+ * GET /api/casts/upcoming
+ * Retrieves scheduled casts that haven't started yet
+ * Ordered by start time (soonest first)
+ *
+ * Query Parameters:
+ * - category: Filter by skill channel/category
+ */
+router.get(
+  "/upcoming",
+  optionalAuth,
+  validate(schemas.upcoming),
+  getUpcomingCasts,
+);
 
 /**
  * GET /api/casts/past/:userId
@@ -39,7 +133,12 @@ router.get("/", getAllCasts);
  * Path Parameters:
  * - userId: User UUID to get past casts for
  */
-router.get("/past/:userId", getPastCasts);
+router.get(
+  "/past/:userId",
+  optionalAuth,
+  validate(schemas.userParam),
+  getPastCasts,
+);
 
 // ==========================================
 // PROTECTED ENDPOINTS - Authentication Required
@@ -47,16 +146,90 @@ router.get("/past/:userId", getPastCasts);
 
 /**
  * POST /api/casts/
- * Creates a new live broadcast session
- * Requires authentication - creator must be logged in
+ * Creates a new broadcast session (LIVE now, or SCHEDULED for later)
+ * Requires authentication - creator must be logged in with a verified email
  *
  * Body Parameters:
  * - skill_id: Required - Which skill is being taught
  * - title: Required - Cast session title
  * - description: Optional - Detailed description
  * - meeting_link: Required - Live session meeting URL
+ * - starts_at: Optional - Future start time (ISO date) to schedule the cast
+ * - ends_at: Optional - Planned end time (ISO date), cast ends automatically
+ * - credit_cost: Optional - Credits learners spend to see the meeting link (default 0 = free)
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requireVerifiedEmail,
+  validate(schemas.createCast),
+  createCast,
+);
+
+/**
+ * GET /api/casts/attendees/:userId
+ * Lists RSVPs across a creator's open casts (creator or admin only)
+ *
+ * Path Parameters:
+ * - userId: Creator UUID
+ */
+router.get(
+  "/attendees/:userId",
+  authenticateToken,
+  validate(schemas.userParam),
+  getCreatorAttendees,
+);
+
+/**
+ * GET /api/casts/:id/rsvp
+ * Lists who signed up for a cast (host or admin only)
+ *
+ * Path Parameters:
+ * - id: Cast UUID
+ */
+router.get(
+  "/:id/rsvp",
+  authenticateToken,
+  validate(schemas.idParam),
+  getCastAttendees,
+);
+
+/**
+ * POST /api/casts/:id/rsvp
+ * Marks the authenticated user as "Going" to a cast
+ * Returns: { cast_id, is_going, attendee_count }
+ */
+router.post(
+  "/:id/rsvp",
+  authenticateToken,
+  validate(schemas.idParam),
+  joinCast,
+);
+
+/**
+ * DELETE /api/casts/:id/rsvp
+ * Removes the authenticated user's RSVP
+ * Returns: { cast_id, is_going, attendee_count }
+ */
+router.delete(
+  "/:id/rsvp",
+  authenticateToken,
+  validate(schemas.idParam),
+  leaveCast,
+);
+
+/**
+ * POST /api/casts/:id/redeem
+ * Spends credit_cost credits to reserve a seat in a premium cast
+ * Transfers the credit to the host and reveals the meeting link (atomic)
+ * Returns: { cast_id, meeting_link, amount, credit, is_going }
  */
-router.post("/", authenticateToken, createCast);
+router.post(
+  "/:id/redeem",
+  authenticateToken,
+  validate(schemas.idParam),
+  redeemCast,
+);
 
 /**
  * PUT /api/casts/:id
@@ -71,9 +244,11 @@ router.post("/", authenticateToken, createCast);
  * - title: Update cast title
  * - description: Update cast description
  * - meeting_link: Update meeting URL
- * - is_live: Toggle live status (end broadcast)
+ * - status: Change status (LIVE on a SCHEDULED cast starts it early)
+ * - starts_at / ends_at: Reschedule the cast (a future start takes a LIVE cast back to SCHEDULED)
+ * - credit_cost: Change the seat price (0 = free)
  */
-router.put("/:id", authenticateToken, updateCast);
+router.put("/:id", authenticateToken, validate(schemas.updateCast), updateCast);
 
 /**
  * DELETE /api/casts/:id
@@ -84,6 +259,6 @@ router.put("/:id", authenticateToken, updateCast);
  * Path Parameters:
  * - id: Cast UUID to delete
  */
-router.delete("/:id", authenticateToken, deleteCast);
+router.delete("/:id", authenticateToken, validate(schemas.idParam), deleteCast);
 
 export default router;
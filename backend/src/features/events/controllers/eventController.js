@@ -0,0 +1,39 @@
+/**
+ * REAL-TIME EVENTS CONTROLLER
+ * Opens a Server-Sent Events stream so the feed updates without reloading
+ * Pushes cast status changes, new casts and new notes as they happen
+ */
+
+import { addClient, removeClient } from "../../../shared/utils/realtime.js";
+
+/**
+ * Opens a long-lived SSE stream for the requesting browser
+ * The connection stays open until the client disconnects
+ *
+ * Events sent:
+ * - cast:created  - New LIVE or SCHEDULED cast (joined feed row)
+ * - cast:updated  - Status/details/RSVP count changed (joined feed row)
+ * - cast:archived - Cast soft deleted ({ id })
+ * - note:created  - Note sent ({ cast_id, creator_id, credit })
+ *
+ * Sent only to the logged-in recipient:
+ * - notification:created - New notification (same shape as GET /api/notifications items)
+ */
+export const streamEvents = (req, res) => {
+  // SSE headers: keep the connection open and disable proxy buffering
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  // Tell EventSource to reconnect after 5 seconds if the stream drops
+  res.write("retry: 5000\n\n");
+
+  const clientId = addClient(res, req.user?.id);
+
+  // Clean up when the browser closes the tab or navigates away
+  req.on("close", () => removeClient(clientId));
+};
@@ -0,0 +1,3 @@
+// Events Feature Exports
+export { default as eventRoutes } from "./routes/eventRoutes.js";
+export * from "./controllers/eventController.js";
@@ -0,0 +1,33 @@
+/**
+ * REAL-TIME EVENT ROUTES
+ * Server-Sent Events endpoint for live feed updates
+ */
+
+import express from "express";
+import { optionalStreamAuth } from "../../../shared/middleware/authMiddleware.js";
+import { streamEvents } from "../controllers/eventController.js";
+import { validate } from "../../../shared/middleware/validateMiddleware.js";
+
+const router = express.Router();
+
+// ==========================================
+// VALIDATION SCHEMAS
+// ==========================================
+
+const schemas = {
+  stream: { query: { token: { type: "string", max: 2048 } } },
+};
+
+// ==========================================
+// PUBLIC ENDPOINTS - No Authentication Required
+// ==========================================
+
+/**
+ * GET /api/events
+ * Opens an SSE stream (use the browser EventSource API)
+ * Pushes cast status changes and new notes to every connected client
+ * Query: { token? } - access token; adds the user's own notifications
+ */
+router.get("/", optionalStreamAuth, validate(schemas.stream), streamEvents);
+
+export default router;
@@ -0,0 +1,103 @@
+/**
+ * ABUSE FLAGS CONTROLLER
+ * Admin review queue for suspected note-based credit farming
+ * Flags are raised automatically by createNote (see shared/services/noteAbuse.js)
+ */
+
+import { query } from "../../../shared/config/db.js";
+import { logError } from "../../../shared/utils/logger.js";
+
+// Statuses an admin can close a flag with
+const REVIEW_STATUSES = ["DISMISSED", "RESOLVED"];
+const LIST_STATUSES = ["OPEN", ...REVIEW_STATUSES];
+
+// ==========================================
+// ADMIN-ONLY ENDPOINTS
+// ==========================================
+
+/**
+ * Lists abuse flags, most recently triggered first
+ * Joins usernames and cast title so the admin panel can render directly
+ *
+ * Query parameters:
+ * - status: OPEN (default), DISMISSED, RESOLVED or ALL
+ */
+export const getAbuseFlags = async (req, res) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({ error: "Forbidden - Admin only" });
+  }
+
+  const status = (req.query.status || "OPEN").toUpperCase();
+  if (status !== "ALL" && !LIST_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "Invalid status filter" });
+  }
+
+  try {
+    const result = await query(
+      `SELECT f.id, f.kind, f.status, f.hits, f.details,
+              f.created_at, f.last_seen_at, f.reviewed_at,
+              f.user_id, u.username,
+              f.related_user_id, ru.username AS related_username,
+              f.cast_id, c.title AS cast_title,
+              rv.username AS reviewed_by_username
+       FROM abuse_flags f
+       JOIN users u ON f.user_id = u.id
+       LEFT JOIN users ru ON f.related_user_id = ru.id
+       LEFT JOIN casts c ON f.cast_id = c.id
+       LEFT JOIN users rv ON f.reviewed_by = rv.id
+       WHERE ($1 = 'ALL' OR f.status = $1)
+       ORDER BY f.last_seen_at DESC
+       LIMIT 200`,
+      [status],
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    logError("abuseController.getAbuseFlags", err, { status });
+    res.status(500).json({ error: "Failed to fetch abuse flags" });
+  }
+};
+
+/**
+ * Closes an open abuse flag
+ * Credit is not touched here - admins correct balances through PUT /api/users/admin/:id
+ *
+ * Path parameters:
+ * - id: UUID of the flag
+ *
+ * Body parameters:
+ * - status: DISMISSED (false positive) or RESOLVED (action taken)
+ */
+export const reviewAbuseFlag = async (req, res) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({ error: "Forbidden - Admin only" });
+  }
+
+  const { id } = req.params;
+  const { status } = req.body;
+
+  if (!REVIEW_STATUSES.includes(status)) {
+    return res
+      .status(400)
+      .json({ error: "Status must be DISMISSED or RESOLVED" });
+  }
+
+  try {
+    const result = await query(
+      `UPDATE abuse_flags
+       SET status = $1, reviewed_by = $2, reviewed_at = NOW()
+       WHERE id = $3 AND status = 'OPEN'
+       RETURNING *`,
+      [status, req.user.id, id],
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Open flag not found" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    logError("abuseController.reviewAbuseFlag", err, { id });
+    res.status(500).json({ error: "Failed to update abuse flag" });
+  }
+};
@@ -1,24 +1,49 @@
 /**
  * NOTES CONTROLLER
  * Handles the appreciation system where users send thank-you notes to cast creators
- * Automatically triggers credit rewards through database triggers
- * Prevents self-notes and manages note CRUD operations
+ * Records credit rewards (and reversals) in the credit ledger
+ * Prevents self-notes and credit farming, and manages note CRUD operations
  */
 
-import { query } from "../../../shared/config/db.js";
+import { query, withTransaction } from "../../../shared/config/db.js";
+import {
+  CREDIT_REASONS,
+  recordCredit,
+  reverseNoteCredit,
+} from "../../../shared/services/creditLedger.js";
+import {
+  checkNoteLimits,
+  detectCreditRing,
+} from "../../../shared/services/noteAbuse.js";
+import {
+  calculateNoteReward,
+  loadCreditRules,
+} from "../../../shared/services/creditRules.js";
 import { logError } from "../../../shared/utils/logger.js";
+import { broadcast } from "../../../shared/utils/realtime.js";
+import { checkBadges } from "../../../shared/services/badges.js";
+import {
+  NOTIFICATION_TYPES,
+  notify,
+} from "../../../shared/services/notifications.js";
 
 // ==========================================
 // NOTES SYSTEM ENDPOINTS
 // ==========================================
 
 /**
- * Creates a new note and triggers automatic credit reward
- * When someone sends a note for a cast, the creator receives +10 credits
+ * Creates a new note and rewards the cast creator
+ * When someone sends a note for a cast, the creator receives credit
+ * The amount comes from the admin-configured credit rules (see creditRules.js)
  * Includes fraud prevention by blocking self-notes (except for admin users)
  * Admin users can send notes to any cast, including their own
  *
- * Database triggers handle the credit awarding automatically
+ * Anti-farming limits (see noteAbuse.js):
+ * - Too many notes from one sender on one cast are rejected (429)
+ * - Past the daily credited limit the note is kept but pays no credit
+ * - Reciprocal note trading between two users is flagged for admins
+ *
+ * The note and its NOTE_RECEIVED ledger entry are written in one transaction
  *
  * Body parameters:
  * - cast_id: UUID of the cast being appreciated
@@ -35,6 +60,9 @@ export const createNote = async (req, res) => {
       "SELECT creator_id FROM casts WHERE id = $1",
       [cast_id],
     );
+    if (castOwner.rows.length === 0) {
+      return res.status(404).json({ error: "Cast not found" });
+    }
     if (
       castOwner.rows[0].creator_id === req.user.id &&
       req.user.role !== "admin"
@@ -44,22 +72,101 @@ export const createNote = async (req, res) => {
         .json({ error: "You cannot send notes to your own cast" });
     }
 
-    // Insert the note - database trigger handles credit reward
-    const newNote = await query(
-      "INSERT INTO notes (cast_id, sender_id, content) VALUES ($1, $2, $3) RETURNING *",
-      [cast_id, req.user.id, content],
-    );
+    // Insert the note and credit the creator atomically
+    const outcome = await withTransaction(async (client) => {
+      const limits = await checkNoteLimits(client, {
+        senderId: req.user.id,
+        castId: cast_id,
+      });
+      if (!limits.allowed) return limits;
+
+      // Lock the cast so only one note can claim the first-note bonus
+      const castRes = await client.query(
+        `SELECT COALESCE(c.starts_at, c.created_at) AS started_at,
+                s.category,
+                NOT EXISTS (SELECT 1 FROM notes n WHERE n.cast_id = c.id) AS is_first_note
+         FROM casts c
+         LEFT JOIN skills s ON c.skill_id = s.id
+         WHERE c.id = $1
+         FOR UPDATE OF c`,
+        [cast_id],
+      );
+      const castInfo = castRes.rows[0];
+
+      const newNote = await client.query(
+        "INSERT INTO notes (cast_id, sender_id, content) VALUES ($1, $2, $3) RETURNING *",
+        [cast_id, req.user.id, content],
+      );
+
+      let reward = 0;
+      if (limits.credited) {
+        const rules = await loadCreditRules(client);
+        const { amount, applied } = calculateNoteReward(rules, {
+          category: castInfo.category,
+          castStartedAt: castInfo.started_at,
+          isFirstNote: castInfo.is_first_note,
+        });
+        reward = amount;
+
+        await recordCredit(client, {
+          userId: castOwner.rows[0].creator_id,
+          amount,
+          reason: CREDIT_REASONS.NOTE_RECEIVED,
+          noteId: newNote.rows[0].id,
+          castId: cast_id,
+          actorId: req.user.id,
+          memo: applied.length > 0 ? applied.join(", ") : null,
+        });
+      }
+
+      await detectCreditRing(client, {
+        senderId: req.user.id,
+        creatorId: castOwner.rows[0].creator_id,
+        castId: cast_id,
+      });
+
+      return { note: newNote.rows[0], credited: limits.credited, reward };
+    });
+
+    if (outcome.error) {
+      return res.status(429).json({ error: outcome.error });
+    }
 
     // Fetch creator info for user-friendly confirmation message
+    // (credit already includes the ledger reward)
     const creatorRes = await query(
-      "SELECT u.username FROM users u JOIN casts c ON u.id = c.creator_id WHERE c.id = $1",
+      "SELECT u.id, u.username, u.credit FROM users u JOIN casts c ON u.id = c.creator_id WHERE c.id = $1",
       [cast_id],
     );
+    const creator = creatorRes.rows[0];
 
     res.status(201).json({
-      message: `Note sent! ${creatorRes.rows[0].username} earned +10 Credit.`,
-      note: newNote.rows[0],
+      message: outcome.credited
+        ? `Note sent! ${creator.username} earned +${outcome.reward} Credit.`
+        : "Note sent! You've reached today's credited note limit, so no credit was awarded.",
+      note: outcome.note,
+      credited: outcome.credited,
+      reward: outcome.reward,
+    });
+
+    // Push the creator's new credit to connected feeds
+    broadcast("note:created", {
+      cast_id,
+      creator_id: creator.id,
+      credit: creator.credit,
     });
+
+    // Tell the host who left the note (and what it earned them)
+    notify({
+      userId: creator.id,
+      type: NOTIFICATION_TYPES.NOTE_RECEIVED,
+      actorId: req.user.id,
+      castId: cast_id,
+      data: { note_id: outcome.note.id, reward: outcome.reward },
+    });
+
+    // Host may reach NOTES_RECEIVED_10; sending keeps the sender's streak going
+    checkBadges(creator.id, req.user.id);
   } catch (err) {
     logError("noteController.createNote", err, { cast_id });
     res.status(500).json({ error: "Failed to send note" });
@@ -144,9 +251,6 @@ export const updateNote = async (req, res) => {
   const { id } = req.params;
   const { content } = req.body;
 
-  // Validate required content field
-  if (!content) return res.status(400).json({ error: "Content is required" });
-
   try {
     // Update note with permission check - sender or admin only
     const result = await query(
@@ -173,7 +277,7 @@ export const updateNote = async (req, res) => {
 };
 
 /**
- * Permanently deletes a note
+ * Permanently deletes a note and claws back the credit it earned
  * Multiple permission levels: sender, cast creator, or admin users
  * Uses JOIN to verify permissions across note and cast ownership
  *
@@ -188,14 +292,23 @@ export const deleteNote = async (req, res) => {
     // - Note sender can delete their own note
     // - Cast creator can moderate notes on their casts
     // - Admin users can delete any note
-    const result = await query(
-      `DELETE FROM notes n
-       USING casts c
-       WHERE n.id = $1
-         AND n.cast_id = c.id
-         AND (n.sender_id = $2 OR c.creator_id = $2 OR $3 = 'admin')`,
-      [id, req.user.id, req.user.role],
-    );
+    // Reversal and delete share a transaction so credit never drifts from notes
+    const result = await withTransaction(async (client) => {
+      const deleted = await client.query(
+        `DELETE FROM notes n
+         USING casts c
+         WHERE n.id = $1
+           AND n.cast_id = c.id
+           AND (n.sender_id = $2 OR c.creator_id = $2 OR $3 = 'admin')`,
+        [id, req.user.id, req.user.role],
+      );
+
+      // Only reverse when the note was actually deleted
+      if (deleted.rowCount > 0) {
+        await reverseNoteCredit(client, id, req.user.id);
+      }
+      return deleted;
+    });
 
     // Check if note was found and user has permission
     if (result.rowCount === 0) {
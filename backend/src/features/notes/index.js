@@ -1,3 +1,4 @@
 // Notes Feature Exports
 export { default as noteRoutes } from "./routes/noteRoutes.js";
 export * from "./controllers/noteController.js";
+export * from "./controllers/abuseController.js";
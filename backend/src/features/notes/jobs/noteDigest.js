@@ -0,0 +1,87 @@
+/**
+ * NOTE DIGEST
+ * Background job that emails hosts a summary of notes left on their casts
+ * Each run covers the notes received since that user's previous digest
+ */
+
+import { query } from "../../../shared/config/db.js";
+import { logError } from "../../../shared/utils/logger.js";
+import { sendMail } from "../../../shared/services/mailer.js";
+import {
+  emailPreferenceEnabled,
+  noteDigestEmail,
+} from "../../../shared/services/emails.js";
+
+// How often digests go out (default: hourly)
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Notes listed per digest email
+const MAX_NOTES_PER_DIGEST = 50;
+
+/**
+ * Claims every opted-in user with new notes and moves their digest mark forward
+ * Claiming first means overlapping runs never send the same notes twice
+ *
+ * @returns {Promise<array>} - [{ id, email, username, name, since, until }]
+ */
+const claimDigestRecipients = async () => {
+  const result = await query(
+    `WITH due AS (
+       SELECT u.id, COALESCE(u.note_digest_sent_at, u.created_at) AS since
+       FROM users u
+       WHERE ${emailPreferenceEnabled("note_digest")}
+         AND EXISTS (
+           SELECT 1 FROM notes n JOIN casts c ON n.cast_id = c.id
+           WHERE c.creator_id = u.id
+             AND n.created_at > COALESCE(u.note_digest_sent_at, u.created_at)
+         )
+       FOR UPDATE OF u SKIP LOCKED
+     )
+     UPDATE users u
+     SET note_digest_sent_at = NOW()
+     FROM due
+     WHERE u.id = due.id
+     RETURNING u.id, u.email, u.username, u.name, due.since, u.note_digest_sent_at AS until`,
+  );
+  return result.rows;
+};
+
+/**
+ * Sends one digest pass
+ * Errors are logged and swallowed so one failed pass doesn't stop the loop
+ */
+export const runNoteDigest = async () => {
+  try {
+    for (const recipient of await claimDigestRecipients()) {
+      const notes = await query(
+        `SELECT n.content, c.title AS cast_title, s.username AS sender_username,
+                COALESCE(ct.amount, 0)::int AS reward
+         FROM notes n
+         JOIN casts c ON n.cast_id = c.id
+         JOIN users s ON n.sender_id = s.id
+         LEFT JOIN credit_transactions ct
+           ON ct.note_id = n.id AND ct.reason = 'NOTE_RECEIVED'
+         WHERE c.creator_id = $1 AND n.created_at > $2 AND n.created_at <= $3
+         ORDER BY n.created_at
+         LIMIT $4`,
+        [recipient.id, recipient.since, recipient.until, MAX_NOTES_PER_DIGEST],
+      );
+      if (notes.rows.length > 0) {
+        await sendMail(noteDigestEmail(recipient, notes.rows));
+      }
+    }
+  } catch (err) {
+    logError("noteDigest.run", err);
+  }
+};
+
+/**
+ * Starts the recurring digest loop
+ *
+ * @param {number} intervalMs - Milliseconds between digests
+ * @returns {NodeJS.Timeout} - Interval handle (use clearInterval to stop)
+ */
+export const startNoteDigest = (
+  intervalMs = Number(process.env.NOTE_DIGEST_INTERVAL_MS) ||
+    DEFAULT_INTERVAL_MS,
+) => setInterval(runNoteDigest, intervalMs);
@@ -2,11 +2,14 @@
  * NOTES ROUTES CONFIGURATION
  * Defines all endpoints for the appreciation and feedback system
  * Manages thank-you notes that users send to cast creators
- * Includes automatic credit rewards through database triggers
+ * Includes automatic credit rewards recorded in the credit ledger
  */
 
 import express from "express";
-import { authenticateToken } from "../../../shared/middleware/authMiddleware.js";
+import {
+  authenticateToken,
+  requireVerifiedEmail,
+} from "../../../shared/middleware/authMiddleware.js";
 import {
   createNote,
   getUserNotes,
@@ -14,9 +17,48 @@ import {
   updateNote,
   deleteNote,
 } from "../controllers/noteController.js";
+import {
+  getAbuseFlags,
+  reviewAbuseFlag,
+} from "../controllers/abuseController.js";
+import { validate } from "../../../shared/middleware/validateMiddleware.js";
 
 const router = express.Router();
 
+// ==========================================
+// VALIDATION SCHEMAS
+// ==========================================
+
+// Note text limit
+const content = { type: "string", required: true, max: 1000 };
+const id = { type: "uuid", required: true };
+
+const schemas = {
+  userParam: { params: { userId: id } },
+  idParam: { params: { id } },
+  createNote: { body: { cast_id: id, content } },
+  updateNote: { params: { id }, body: { content } },
+  flagList: {
+    query: {
+      status: {
+        type: "string",
+        pattern: /^(open|dismissed|resolved|all)$/i,
+        message: "Must be OPEN, DISMISSED, RESOLVED or ALL",
+      },
+    },
+  },
+  reviewFlag: {
+    params: { id },
+    body: {
+      status: {
+        type: "string",
+        required: true,
+        oneOf: ["DISMISSED", "RESOLVED"],
+      },
+    },
+  },
+};
+
 // ==========================================
 // PUBLIC ENDPOINTS - No Authentication Required
 // ==========================================
@@ -30,7 +72,7 @@ const router = express.Router();
  * Path Parameters:
  * - userId: UUID of the user whose received notes to fetch
  */
-router.get("/user/:userId", getUserNotes);
+router.get("/user/:userId", validate(schemas.userParam), getUserNotes);
 
 // ==========================================
 // PROTECTED ENDPOINTS - Authentication Required
@@ -47,14 +89,22 @@ router.get("/sent", authenticateToken, getSentNotes);
 /**
  * POST /api/notes/
  * Creates a new note for a cast
- * Automatically triggers +10 credit reward for cast creator
- * Includes fraud prevention against self-notes
+ * Rewards the cast creator with credit per the admin credit rules
+ * Includes fraud prevention against self-notes and credit farming
+ * Returns 429 once the sender hits the per-cast note cap
+ * Returns 403 (code EMAIL_UNVERIFIED) until the sender verifies their email
  *
  * Body Parameters:
  * - cast_id: Required - UUID of the cast being appreciated
  * - content: Required - The thank-you message text
  */
-router.post("/", authenticateToken, createNote);
+router.post(
+  "/",
+  authenticateToken,
+  requireVerifiedEmail,
+  validate(schemas.createNote),
+  createNote,
+);
 
 /**
  * PUT /api/notes/:id
@@ -68,7 +118,7 @@ router.post("/", authenticateToken, createNote);
  * Body Parameters:
  * - content: Required - New note content
  */
-router.put("/:id", authenticateToken, updateNote);
+router.put("/:id", authenticateToken, validate(schemas.updateNote), updateNote);
 
 /**
  * DELETE /api/notes/:id
@@ -79,6 +129,38 @@ router.put("/:id", authenticateToken, updateNote);
  * Path Parameters:
  * - id: UUID of the note to delete
  */
-router.delete("/:id", authenticateToken, deleteNote);
+router.delete("/:id", authenticateToken, validate(schemas.idParam), deleteNote);
+
+// ==========================================
+// ADMIN ENDPOINTS - Admin Role Required
+// ==========================================
+
+/**
+ * GET /api/notes/admin/flags
+ * Lists suspected credit farming (daily limit hits, credit rings)
+ *
+ * Query Parameters:
+ * - status: Optional - OPEN (default), DISMISSED, RESOLVED or ALL
+ */
+router.get(
+  "/admin/flags",
+  authenticateToken,
+  validate(schemas.flagList),
+  getAbuseFlags,
+);
+
+/**
+ * PATCH /api/notes/admin/flags/:id
+ * Closes an open abuse flag
+ *
+ * Body Parameters:
+ * - status: Required - DISMISSED or RESOLVED
+ */
+router.patch(
+  "/admin/flags/:id",
+  authenticateToken,
+  validate(schemas.reviewFlag),
+  reviewAbuseFlag,
+);
 
 export default router;
@@ -0,0 +1,147 @@
+/**
+ * NOTIFICATION CONTROLLER
+ * Lists and marks read the logged-in user's notifications
+ * Notifications are created by shared/services/notifications.js
+ */
+
+import { query } from "../../../shared/config/db.js";
+import { NOTIFICATION_COLUMNS } from "../../../shared/services/notifications.js";
+import { logError } from "../../../shared/utils/logger.js";
+import {
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+} from "../../../shared/utils/pagination.js";
+
+/**
+ * Counts the user's unread notifications
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<number>} - Unread count
+ */
+const countUnread = async (userId) => {
+  const result = await query(
+    "SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL",
+    [userId],
+  );
+  return result.rows[0].count;
+};
+
+// ==========================================
+// PROTECTED NOTIFICATION ENDPOINTS
+// ==========================================
+
+/**
+ * Retrieves the user's notifications, newest first
+ *
+ * Query parameters:
+ * - unread: "true" to list unread notifications only
+ * - limit: Page size (default 20, max 50)
+ * - cursor: nextCursor from the previous page
+ */
+export const getNotifications = async (req, res) => {
+  const { cursor } = req.query;
+  const unreadOnly = req.query.unread === "true";
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
+
+  const limit = parseLimit(req.query.limit);
+
+  try {
+    const params = [req.user.id];
+    let filters = "";
+    if (unreadOnly) {
+      filters += " AND n.read_at IS NULL";
+    }
+    if (after) {
+      params.push(after.ts, after.id);
+      filters += ` AND (n.created_at, n.id) < ($2::timestamptz, $3::uuid)`;
+    }
+    params.push(limit + 1);
+
+    const result = await query(
+      `SELECT ${NOTIFICATION_COLUMNS}, n.created_at::text AS cursor_ts
+       FROM notifications n
+       LEFT JOIN users a ON n.actor_id = a.id
+       LEFT JOIN casts c ON n.cast_id = c.id
+       WHERE n.user_id = $1${filters}
+       ORDER BY n.created_at DESC, n.id DESC
+       LIMIT $${params.length}`,
+      params,
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    res.json({
+      items: rows.map(({ cursor_ts, ...notification }) => notification),
+      unread_count: await countUnread(req.user.id),
+      nextCursor:
+        hasMore && last
+          ? encodeCursor({ ts: last.cursor_ts, id: last.id })
+          : null,
+    });
+  } catch (err) {
+    logError("notificationController.getNotifications", err, {
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to fetch notifications" });
+  }
+};
+
+/**
+ * Marks one of the user's notifications as read
+ * Already-read notifications keep their original read_at
+ */
+export const markNotificationRead = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await query(
+      `UPDATE notifications
+       SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, read_at`,
+      [id, req.user.id],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+
+    res.json({
+      ...result.rows[0],
+      unread_count: await countUnread(req.user.id),
+    });
+  } catch (err) {
+    logError("notificationController.markNotificationRead", err, {
+      id,
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to update notification" });
+  }
+};
+
+/**
+ * Marks all of the user's unread notifications as read
+ */
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE notifications SET read_at = NOW()
+       WHERE user_id = $1 AND read_at IS NULL`,
+      [req.user.id],
+    );
+
+    res.json({ updated: result.rowCount, unread_count: 0 });
+  } catch (err) {
+    logError("notificationController.markAllNotificationsRead", err, {
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to update notifications" });
+  }
+};
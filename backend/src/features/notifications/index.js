@@ -0,0 +1,3 @@
+// Notifications Feature Exports
+export { default as notificationRoutes } from "./routes/notificationRoutes.js";
+export * from "./controllers/notificationController.js";
@@ -0,0 +1,63 @@
+/**
+ * NOTIFICATION ROUTES
+ * The logged-in user's in-app notifications (navbar bell)
+ */
+
+import express from "express";
+import { authenticateToken } from "../../../shared/middleware/authMiddleware.js";
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../controllers/notificationController.js";
+import { validate } from "../../../shared/middleware/validateMiddleware.js";
+
+const router = express.Router();
+
+// ==========================================
+// VALIDATION SCHEMAS
+// ==========================================
+
+const schemas = {
+  list: {
+    query: {
+      unread: { type: "boolean" },
+      limit: { type: "integer", min: 1 },
+      cursor: { type: "string", max: 500 },
+    },
+  },
+  idParam: { params: { id: { type: "uuid", required: true } } },
+};
+
+// ==========================================
+// PROTECTED ENDPOINTS - Authentication Required
+// ==========================================
+
+/**
+ * GET /api/notifications
+ * Lists the user's notifications (newest first) with the unread count
+ * Headers: Authorization: Bearer <accessToken>
+ * Query: { unread?: true, limit?, cursor? }
+ */
+router.get("/", authenticateToken, validate(schemas.list), getNotifications);
+
+/**
+ * POST /api/notifications/read-all
+ * Marks every unread notification as read
+ * Headers: Authorization: Bearer <accessToken>
+ */
+router.post("/read-all", authenticateToken, markAllNotificationsRead);
+
+/**
+ * PATCH /api/notifications/:id/read
+ * Marks one notification as read
+ * Headers: Authorization: Bearer <accessToken>
+ */
+router.patch(
+  "/:id/read",
+  authenticateToken,
+  validate(schemas.idParam),
+  markNotificationRead,
+);
+
+export default router;
@@ -0,0 +1,140 @@
+/**
+ * SEARCH CONTROLLER
+ * Unified full-text search across casts, users and skills
+ * Backed by GIN-indexed tsvector columns, ranked with ts_rank and highlighted with ts_headline
+ */
+
+import { query } from "../../../shared/config/db.js";
+import { logError } from "../../../shared/utils/logger.js";
+import { parseLimit } from "../../../shared/utils/pagination.js";
+import {
+  HEADLINE_OPTIONS,
+  toPrefixTsQuery,
+} from "../../../shared/utils/search.js";
+
+// Result types that can be requested via ?type=
+const SEARCH_TYPES = ["cast", "user", "skill"];
+
+/**
+ * Searches visible casts (SCHEDULED, LIVE, ENDED)
+ * PAUSED and ARCHIVED casts are never returned
+ *
+ * @param {string} tsQuery - Prefix tsquery from toPrefixTsQuery
+ * @param {number} limit - Maximum rows
+ * @returns {Promise<array>} - Ranked cast results
+ */
+const searchCasts = async (tsQuery, limit) => {
+  const result = await query(
+    `SELECT 'cast' AS type, c.id, c.status, c.starts_at, c.creator_id,
+            u.username, s.name AS skill_name, s.category,
+            ts_headline('english', c.title, q, $3::text || ', HighlightAll=true') AS title,
+            ts_headline('english', coalesce(c.description, ''), q, $3) AS snippet,
+            ts_rank(c.search_vector, q) AS rank
+     FROM casts c
+     JOIN users u ON c.creator_id = u.id
+     JOIN skills s ON c.skill_id = s.id,
+     to_tsquery('english', $1) q
+     WHERE c.search_vector @@ q
+       AND c.status IN ('SCHEDULED', 'LIVE', 'ENDED')
+     ORDER BY rank DESC, c.created_at DESC
+     LIMIT $2`,
+    [tsQuery, limit, HEADLINE_OPTIONS],
+  );
+  return result.rows;
+};
+
+/**
+ * Searches user profiles by username, name and bio
+ *
+ * @param {string} tsQuery - Prefix tsquery from toPrefixTsQuery
+ * @param {number} limit - Maximum rows
+ * @returns {Promise<array>} - Ranked user results
+ */
+const searchUsers = async (tsQuery, limit) => {
+  const result = await query(
+    `SELECT 'user' AS type, u.id, u.username, u.name, u.credit,
+            ts_headline('english', u.username, q, $3::text || ', HighlightAll=true') AS title,
+            ts_headline('english', coalesce(u.bio, ''), q, $3) AS snippet,
+            ts_rank(u.search_vector, q) AS rank
+     FROM users u, to_tsquery('english', $1) q
+     WHERE u.search_vector @@ q
+     ORDER BY rank DESC, u.credit DESC
+     LIMIT $2`,
+    [tsQuery, limit, HEADLINE_OPTIONS],
+  );
+  return result.rows;
+};
+
+/**
+ * Searches the skill catalog by name
+ *
+ * @param {string} tsQuery - Prefix tsquery from toPrefixTsQuery
+ * @param {number} limit - Maximum rows
+ * @returns {Promise<array>} - Ranked skill results
+ */
+const searchSkills = async (tsQuery, limit) => {
+  const result = await query(
+    `SELECT 'skill' AS type, s.id, s.name, s.category,
+            ts_headline('english', s.name, q, $3::text || ', HighlightAll=true') AS title,
+            '' AS snippet,
+            ts_rank(s.search_vector, q) AS rank
+     FROM skills s, to_tsquery('english', $1) q
+     WHERE s.search_vector @@ q
+     ORDER BY rank DESC, s.name ASC
+     LIMIT $2`,
+    [tsQuery, limit, HEADLINE_OPTIONS],
+  );
+  return result.rows;
+};
+
+// Search function per result type
+const SEARCHERS = {
+  cast: searchCasts,
+  user: searchUsers,
+  skill: searchSkills,
+};
+
+// ==========================================
+// PUBLIC SEARCH ENDPOINTS
+// ==========================================
+
+/**
+ * Runs a ranked full-text search across casts, users and skills
+ * Each word is prefix matched, so results appear while the user is still typing
+ * Highlighted matches in title/snippet are wrapped in <mark></mark>
+ *
+ * Query parameters:
+ * - q: Search text (required)
+ * - type: Limit results to cast, user or skill (default: all)
+ * - limit: Maximum results (default 10, max 25)
+ *
+ * Returns: { query, results: [{ type, id, title, snippet, rank, ... }] }
+ */
+export const search = async (req, res) => {
+  const { q, type } = req.query;
+
+  // Nothing searchable (empty or punctuation only) - return no results
+  const tsQuery = toPrefixTsQuery(q);
+  if (!tsQuery) {
+    return res.json({ query: q || "", results: [] });
+  }
+
+  const limit = parseLimit(req.query.limit, 10, 25);
+  const types = type ? [type] : SEARCH_TYPES;
+
+  try {
+    // Search each type in parallel, then merge by rank
+    const groups = await Promise.all(
+      types.map((t) => SEARCHERS[t](tsQuery, limit)),
+    );
+    const results = groups
+      .flat()
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, limit);
+
+    res.json({ query: q, results });
+  } catch (err) {
+    logError("searchController.search", err, { q, type });
+    res.status(500).json({ error: "Search failed" });
+  }
+};
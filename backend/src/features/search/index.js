@@ -0,0 +1,3 @@
+// Search Feature Exports
+export { default as searchRoutes } from "./routes/searchRoutes.js";
+export * from "./controllers/searchController.js";
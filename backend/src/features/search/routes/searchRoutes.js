@@ -0,0 +1,41 @@
+/**
+ * SEARCH ROUTES
+ * Unified full-text search endpoint used by the navbar search box
+ */
+
+import express from "express";
+import { search } from "../controllers/searchController.js";
+import { validate } from "../../../shared/middleware/validateMiddleware.js";
+
+const router = express.Router();
+
+// ==========================================
+// VALIDATION SCHEMAS
+// ==========================================
+
+const schemas = {
+  search: {
+    query: {
+      q: { type: "string", max: 200 },
+      type: { type: "string", oneOf: ["cast", "user", "skill"] },
+      limit: { type: "integer", min: 1 },
+    },
+  },
+};
+
+// ==========================================
+// PUBLIC ENDPOINTS - No Authentication Required
+// ==========================================
+
+/**
+ * GET /api/search
+ * Ranked full-text search over casts, users and skills
+ *
+ * Query Parameters:
+ * - q: Search text (prefix matched per word)
+ * - type: Optional filter - cast, user or skill
+ * - limit: Maximum results (default 10, max 25)
+ */
+router.get("/", validate(schemas.search), search);
+
+export default router;
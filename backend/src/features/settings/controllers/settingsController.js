@@ -0,0 +1,167 @@
+/**
+ * SETTINGS CONTROLLER
+ * Admin API for app-wide configuration stored in app_settings
+ * Exposes the credit rules that decide note rewards and the meeting platforms
+ * casts may link to
+ */
+
+import { query } from "../../../shared/config/db.js";
+import {
+  CREDIT_RULES_KEY,
+  DEFAULT_CREDIT_RULES,
+  validateCreditRules,
+} from "../../../shared/services/creditRules.js";
+import {
+  MEETING_PLATFORMS,
+  MEETING_PLATFORMS_KEY,
+  DEFAULT_MEETING_PLATFORMS,
+  validateMeetingPlatforms,
+} from "../../../shared/services/meetingLinks.js";
+import { setSetting } from "../../../shared/services/settings.js";
+import { logError } from "../../../shared/utils/logger.js";
+
+/**
+ * Reads a setting with the username of the admin who last changed it
+ *
+ * @param {string} key - Setting key
+ * @returns {Promise<object|null>} - { value, updated_at, updated_by_username } or null
+ */
+const fetchSetting = async (key) => {
+  const result = await query(
+    `SELECT s.value, s.updated_at, u.username AS updated_by_username
+     FROM app_settings s
+     LEFT JOIN users u ON s.updated_by = u.id
+     WHERE s.key = $1`,
+    [key],
+  );
+  return result.rows[0] || null;
+};
+
+// ==========================================
+// ADMIN-ONLY SETTINGS ENDPOINTS
+// ==========================================
+
+/**
+ * Returns the active credit rules (stored values merged over defaults)
+ * Also returns the defaults so the admin UI can offer a reset
+ */
+export const getCreditRules = async (req, res) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({ error: "Forbidden - Admin only" });
+  }
+
+  try {
+    const setting = await fetchSetting(CREDIT_RULES_KEY);
+    const { rules } = validateCreditRules(setting?.value);
+
+    res.json({
+      rules,
+      defaults: DEFAULT_CREDIT_RULES,
+      updated_at: setting?.updated_at ?? null,
+      updated_by_username: setting?.updated_by_username ?? null,
+    });
+  } catch (err) {
+    logError("settingsController.getCreditRules", err);
+    res.status(500).json({ error: "Failed to fetch credit rules" });
+  }
+};
+
+/**
+ * Replaces the credit rules
+ * Omitted fields fall back to the defaults
+ *
+ * Body parameters:
+ * - note_reward: Whole credit per note
+ * - first_note_bonus: Extra credit for the first note on a cast
+ * - category_multipliers: { [category]: multiplier }
+ * - decay: { grace_days, half_life_days, min_multiplier }
+ */
+export const updateCreditRules = async (req, res) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({ error: "Forbidden - Admin only" });
+  }
+
+  const { rules, errors } = validateCreditRules(req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ error: "Invalid credit rules", errors });
+  }
+
+  try {
+    await setSetting(CREDIT_RULES_KEY, rules, req.user.id);
+    const setting = await fetchSetting(CREDIT_RULES_KEY);
+
+    res.json({
+      rules,
+      defaults: DEFAULT_CREDIT_RULES,
+      updated_at: setting.updated_at,
+      updated_by_username: setting.updated_by_username,
+    });
+  } catch (err) {
+    logError("settingsController.updateCreditRules", err, {
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to update credit rules" });
+  }
+};
+
+/**
+ * Returns the allowed meeting platforms with the catalog of known ones
+ * (so the admin UI can list every platform with its domains)
+ */
+export const getMeetingPlatforms = async (req, res) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({ error: "Forbidden - Admin only" });
+  }
+
+  try {
+    const setting = await fetchSetting(MEETING_PLATFORMS_KEY);
+    const { settings } = validateMeetingPlatforms(setting?.value);
+
+    res.json({
+      settings,
+      platforms: MEETING_PLATFORMS,
+      defaults: DEFAULT_MEETING_PLATFORMS,
+      updated_at: setting?.updated_at ?? null,
+      updated_by_username: setting?.updated_by_username ?? null,
+    });
+  } catch (err) {
+    logError("settingsController.getMeetingPlatforms", err);
+    res.status(500).json({ error: "Failed to fetch meeting platforms" });
+  }
+};
+
+/**
+ * Replaces the meeting platform allowlist
+ * Applies to casts created or re-linked from now on; existing links stay
+ *
+ * Body parameters:
+ * - allowed: [platform key] - at least one key of MEETING_PLATFORMS
+ */
+export const updateMeetingPlatforms = async (req, res) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({ error: "Forbidden - Admin only" });
+  }
+
+  const { settings, errors } = validateMeetingPlatforms(req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ error: "Invalid meeting platforms", errors });
+  }
+
+  try {
+    await setSetting(MEETING_PLATFORMS_KEY, settings, req.user.id);
+    const setting = await fetchSetting(MEETING_PLATFORMS_KEY);
+
+    res.json({
+      settings,
+      platforms: MEETING_PLATFORMS,
+      defaults: DEFAULT_MEETING_PLATFORMS,
+      updated_at: setting.updated_at,
+      updated_by_username: setting.updated_by_username,
+    });
+  } catch (err) {
+    logError("settingsController.updateMeetingPlatforms", err, {
+      userId: req.user.id,
+    });
+    res.status(500).json({ error: "Failed to update meeting platforms" });
+  }
+};
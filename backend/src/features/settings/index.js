@@ -0,0 +1,3 @@
+// Settings Feature Exports
+export { default as settingsRoutes } from "./routes/settingsRoutes.js";
+export * from "./controllers/settingsController.js";
@@ -0,0 +1,82 @@
+/**
+ * SETTINGS ROUTES
+ * Admin-only endpoints for app-wide configuration
+ */
+
+import express from "express";
+import { authenticateToken } from "../../../shared/middleware/authMiddleware.js";
+import {
+  getCreditRules,
+  updateCreditRules,
+  getMeetingPlatforms,
+  updateMeetingPlatforms,
+} from "../controllers/settingsController.js";
+import { validate } from "../../../shared/middleware/validateMiddleware.js";
+
+const router = express.Router();
+
+// ==========================================
+// VALIDATION SCHEMAS
+// ==========================================
+
+// Individual rules are checked by validateCreditRules (shared/services/creditRules.js)
+const schemas = {
+  creditRules: {
+    body: {
+      note_reward: { type: "integer" },
+      first_note_bonus: { type: "integer" },
+      category_multipliers: { type: "object" },
+      decay: { type: "object" },
+    },
+  },
+  // Platform keys are checked by validateMeetingPlatforms (shared/services/meetingLinks.js)
+  meetingPlatforms: {
+    body: { allowed: { type: "array", required: true, min: 1 } },
+  },
+};
+
+// ==========================================
+// ADMIN ENDPOINTS - Admin Role Required
+// ==========================================
+
+/**
+ * GET /api/settings/credit-rules
+ * Returns the active credit rules, the defaults, and who last changed them
+ */
+router.get("/credit-rules", authenticateToken, getCreditRules);
+
+/**
+ * PUT /api/settings/credit-rules
+ * Replaces the credit rules (validated; 400 with per-field errors)
+ *
+ * Body Parameters:
+ * - note_reward, first_note_bonus, category_multipliers, decay
+ */
+router.put(
+  "/credit-rules",
+  authenticateToken,
+  validate(schemas.creditRules),
+  updateCreditRules,
+);
+
+/**
+ * GET /api/settings/meeting-platforms
+ * Returns the allowed meeting platforms and the catalog of known ones
+ */
+router.get("/meeting-platforms", authenticateToken, getMeetingPlatforms);
+
+/**
+ * PUT /api/settings/meeting-platforms
+ * Replaces the platforms cast meeting links may point to
+ *
+ * Body Parameters:
+ * - allowed: [platform key], e.g. ["zoom", "meet"]
+ */
+router.put(
+  "/meeting-platforms",
+  authenticateToken,
+  validate(schemas.meetingPlatforms),
+  updateMeetingPlatforms,
+);
+
+export default router;
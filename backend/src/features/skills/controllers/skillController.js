@@ -23,7 +23,7 @@ export const getAllSkills = async (req, res) => {
   try {
     // Get complete skill catalog ordered by category then name
     const result = await query(
-      "SELECT * FROM skills ORDER BY category, name ASC",
+      "SELECT id, name, category FROM skills ORDER BY category, name ASC",
     );
     res.json(result.rows);
   } catch (err) {
@@ -46,7 +46,7 @@ export const getUserSkills = async (req, res) => {
   try {
     // Join user_skills mapping table with skills for full details
     const result = await query(
-      `SELECT s.*
+      `SELECT s.id, s.name, s.category
        FROM user_skills us
        JOIN skills s ON us.skill_id = s.id
        WHERE us.user_id = $1
@@ -76,9 +76,6 @@ export const getUserSkills = async (req, res) => {
 export const addUserSkill = async (req, res) => {
   const { skillId } = req.body;
 
-  // Validate required skill ID
-  if (!skillId) return res.status(400).json({ error: "No Skill ID provided" });
-
   try {
     // Add skill to user's profile, ignore if already exists
     await query(
@@ -116,15 +113,10 @@ export const createSkill = async (req, res) => {
     return res.status(403).json({ error: "Admin access required" });
   }
 
-  // Validate required fields
-  if (!name || !category) {
-    return res.status(400).json({ error: "Name and category are required" });
-  }
-
   try {
     // Insert new skill into catalog
     const result = await query(
-      "INSERT INTO skills (name, category) VALUES ($1, $2) RETURNING *",
+      "INSERT INTO skills (name, category) VALUES ($1, $2) RETURNING id, name, category",
       [name, category],
     );
     res.status(201).json(result.rows[0]);
@@ -155,15 +147,10 @@ export const updateSkill = async (req, res) => {
     return res.status(403).json({ error: "Admin access required" });
   }
 
-  // Validate required fields
-  if (!name || !category) {
-    return res.status(400).json({ error: "Name and category are required" });
-  }
-
   try {
     // Update skill with new details
     const result = await query(
-      "UPDATE skills SET name = $1, category = $2 WHERE id = $3 RETURNING *",
+      "UPDATE skills SET name = $1, category = $2 WHERE id = $3 RETURNING id, name, category",
       [name, category, id],
     );
 
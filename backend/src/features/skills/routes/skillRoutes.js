@@ -15,9 +15,29 @@ import {
   updateSkill,
   deleteSkill,
 } from "../controllers/skillController.js";
+import { validate } from "../../../shared/middleware/validateMiddleware.js";
 
 const router = express.Router();
 
+// ==========================================
+// VALIDATION SCHEMAS
+// ==========================================
+
+// Skill name and category, as stored in the catalog
+const skillBody = {
+  name: { type: "string", required: true, max: 50 },
+  category: { type: "string", required: true, max: 50 },
+};
+const id = { type: "uuid", required: true };
+
+const schemas = {
+  userParam: { params: { userId: id } },
+  idParam: { params: { id } },
+  addUserSkill: { body: { skillId: id } },
+  createSkill: { body: skillBody },
+  updateSkill: { params: { id }, body: skillBody },
+};
+
 // ==========================================
 // PUBLIC ENDPOINTS - No Authentication Required
 // ==========================================
@@ -40,7 +60,7 @@ router.get("/", getAllSkills);
  * Path Parameters:
  * - userId: UUID of the user whose skills to fetch
  */
-router.get("/user/:userId", getUserSkills);
+router.get("/user/:userId", validate(schemas.userParam), getUserSkills);
 
 // ==========================================
 // PROTECTED USER ENDPOINTS - Authentication Required
@@ -55,7 +75,12 @@ router.get("/user/:userId", getUserSkills);
  * Body Parameters:
  * - skillId: Required - UUID of the skill to pin to profile
  */
-router.post("/add", authenticateToken, addUserSkill);
+router.post(
+  "/add",
+  authenticateToken,
+  validate(schemas.addUserSkill),
+  addUserSkill,
+);
 
 // ==========================================
 // ADMIN-ONLY ENDPOINTS - Admin Role Required
@@ -70,7 +95,7 @@ router.post("/add", authenticateToken, addUserSkill);
  * - name: Required - The skill/topic name (e.g., "React Hooks")
  * - category: Required - The category (e.g., "Programming", "Design")
  */
-router.post("/", authenticateToken, createSkill);
+router.post("/", authenticateToken, validate(schemas.createSkill), createSkill);
 
 /**
  * PUT /api/skills/:id
@@ -84,7 +109,12 @@ router.post("/", authenticateToken, createSkill);
  * - name: Required - Updated skill name
  * - category: Required - Updated category
  */
-router.put("/:id", authenticateToken, updateSkill);
+router.put(
+  "/:id",
+  authenticateToken,
+  validate(schemas.updateSkill),
+  updateSkill,
+);
 
 /**
  * DELETE /api/skills/:id
@@ -95,6 +125,11 @@ router.put("/:id", authenticateToken, updateSkill);
  * Path Parameters:
  * - id: UUID of the skill to delete
  */
-router.delete("/:id", authenticateToken, deleteSkill);
+router.delete(
+  "/:id",
+  authenticateToken,
+  validate(schemas.idParam),
+  deleteSkill,
+);
 
 export default router;
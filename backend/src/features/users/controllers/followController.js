@@ -0,0 +1,140 @@
+/**
+ * FOLLOW CONTROLLER
+ * Handles following/unfollowing creators and listing followers
+ * Follows power the "following" feed in GET /api/casts?feed=following
+ */
+
+import { query } from "../../../shared/config/db.js";
+import { logError } from "../../../shared/utils/logger.js";
+
+/**
+ * Counts a user's followers
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<number>} - Follower count
+ */
+const countFollowers = async (userId) => {
+  const result = await query(
+    "SELECT COUNT(*)::int AS count FROM follows WHERE followee_id = $1",
+    [userId],
+  );
+  return result.rows[0].count;
+};
+
+// ==========================================
+// PUBLIC FOLLOW ENDPOINTS
+// ==========================================
+
+/**
+ * Lists a user's followers or followees (newest follow first)
+ *
+ * @param {string} direction - "followers" or "following"
+ * @returns {Function} - Express handler
+ */
+const listFollows = (direction) => async (req, res) => {
+  const { id } = req.params;
+  // followers: rows where the user is followed; following: rows where they follow
+  const [matchColumn, otherColumn] =
+    direction === "followers"
+      ? ["followee_id", "follower_id"]
+      : ["follower_id", "followee_id"];
+
+  try {
+    const result = await query(
+      `SELECT u.id, u.username, u.name, f.created_at AS followed_at
+       FROM follows f
+       JOIN users u ON u.id = f.${otherColumn}
+       WHERE f.${matchColumn} = $1
+       ORDER BY f.created_at DESC`,
+      [id],
+    );
+    res.json(result.rows);
+  } catch (err) {
+    logError(`followController.${direction}`, err, { id });
+    res.status(500).json({ error: `Failed to fetch ${direction}` });
+  }
+};
+
+/**
+ * Retrieves the users following :id
+ */
+export const getFollowers = listFollows("followers");
+
+/**
+ * Retrieves the users :id follows
+ */
+export const getFollowing = listFollows("following");
+
+// ==========================================
+// PROTECTED FOLLOW ENDPOINTS
+// ==========================================
+
+/**
+ * Follows a user
+ * Idempotent - following someone already followed just returns the state
+ *
+ * @param {object} req - Express request with target user ID in params
+ * @param {object} res - Express response object
+ */
+export const followUser = async (req, res) => {
+  const { id } = req.params;
+
+  if (id === req.user.id) {
+    return res.status(400).json({ error: "You cannot follow yourself" });
+  }
+
+  try {
+    const target = await query("SELECT id FROM users WHERE id = $1", [id]);
+    if (target.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await query(
+      `INSERT INTO follows (follower_id, followee_id)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [req.user.id, id],
+    );
+
+    res.json({
+      user_id: id,
+      is_following: true,
+      follower_count: await countFollowers(id),
+    });
+  } catch (err) {
+    logError("followController.followUser", err, {
+      followerId: req.user.id,
+      id,
+    });
+    res.status(500).json({ error: "Failed to follow user" });
+  }
+};
+
+/**
+ * Unfollows a user (no-op if not following)
+ *
+ * @param {object} req - Express request with target user ID in params
+ * @param {object} res - Express response object
+ */
+export const unfollowUser = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    await query(
+      "DELETE FROM follows WHERE follower_id = $1 AND followee_id = $2",
+      [req.user.id, id],
+    );
+
+    res.json({
+      user_id: id,
+      is_following: false,
+      follower_count: await countFollowers(id),
+    });
+  } catch (err) {
+    logError("followController.unfollowUser", err, {
+      followerId: req.user.id,
+      id,
+    });
+    res.status(500).json({ error: "Failed to unfollow user" });
+  }
+};
@@ -0,0 +1,140 @@
+/**
+ * SECURITY CONTROLLER
+ * Admin view of login security: the security event log and account unlocks
+ * Events and lockouts come from the login throttle (see features/auth/sessions/loginGuard.js)
+ */
+
+import { query, withTransaction } from "../../../shared/config/db.js";
+import { logError } from "../../../shared/utils/logger.js";
+import {
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+} from "../../../shared/utils/pagination.js";
+import { unlockAccount } from "../../../shared/services/loginThrottle.js";
+import {
+  SECURITY_EVENT_TYPES,
+  recordSecurityEvent,
+} from "../../../shared/services/securityEvents.js";
+
+// ==========================================
+// ADMIN-ONLY ENDPOINTS
+// ==========================================
+
+/**
+ * Lists security events, newest first
+ *
+ * Query parameters:
+ * - type: Optional - one of SECURITY_EVENT_TYPES
+ * - limit: Page size (default 20, max 50)
+ * - cursor: nextCursor from the previous page
+ */
+export const getSecurityEvents = async (req, res) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({ error: "Forbidden - Admin only" });
+  }
+
+  const { type, cursor } = req.query;
+  if (type && !(type in SECURITY_EVENT_TYPES)) {
+    return res.status(400).json({ error: "Invalid event type" });
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
+
+  const limit = parseLimit(req.query.limit);
+
+  try {
+    const params = [];
+    const filters = [];
+    if (type) {
+      params.push(type);
+      filters.push(`e.type = $${params.length}`);
+    }
+    if (after) {
+      params.push(after.ts, after.id);
+      filters.push(
+        `(e.created_at, e.id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`,
+      );
+    }
+    params.push(limit + 1);
+
+    const result = await query(
+      `SELECT e.id, e.type, e.user_id, u.username, e.email, e.ip, e.user_agent,
+              e.details, e.created_at, e.created_at::text AS cursor_ts
+       FROM security_events e
+       LEFT JOIN users u ON e.user_id = u.id
+       ${filters.length ? `WHERE ${filters.join(" AND ")}` : ""}
+       ORDER BY e.created_at DESC, e.id DESC
+       LIMIT $${params.length}`,
+      params,
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    res.json({
+      items: rows.map(({ cursor_ts, ...event }) => event),
+      nextCursor:
+        hasMore && last
+          ? encodeCursor({ ts: last.cursor_ts, id: last.id })
+          : null,
+    });
+  } catch (err) {
+    logError("securityController.getSecurityEvents", err, { type });
+    res.status(500).json({ error: "Failed to fetch security events" });
+  }
+};
+
+/**
+ * Lifts a user's login lockout and backoff
+ *
+ * Path parameters:
+ * - id: UUID of the user
+ */
+export const unlockUser = async (req, res) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({ error: "Forbidden - Admin only" });
+  }
+
+  const { id } = req.params;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const userRes = await client.query(
+        "SELECT id, email FROM users WHERE id = $1",
+        [id],
+      );
+      const user = userRes.rows[0];
+      if (!user) return null;
+
+      return { user, wasLocked: await unlockAccount(client, user.email) };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    recordSecurityEvent({
+      type: SECURITY_EVENT_TYPES.ACCOUNT_UNLOCKED,
+      userId: outcome.user.id,
+      email: outcome.user.email,
+      req,
+      details: { by: req.user.id, was_locked: outcome.wasLocked },
+    });
+
+    res.json({
+      message: outcome.wasLocked
+        ? "Account unlocked"
+        : "Account was not locked",
+      id: outcome.user.id,
+      locked_until: null,
+    });
+  } catch (err) {
+    logError("securityController.unlockUser", err, { id });
+    res.status(500).json({ error: "Failed to unlock account" });
+  }
+};
@@ -4,8 +4,35 @@
  * Includes public endpoints (profiles, leaderboard) and admin-only operations
  */
 
-import { query } from "../../../shared/config/db.js";
+import { query, withTransaction } from "../../../shared/config/db.js";
 import { logError } from "../../../shared/utils/logger.js";
+import {
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+} from "../../../shared/utils/pagination.js";
+import {
+  CREDIT_REASONS,
+  recordCredit,
+} from "../../../shared/services/creditLedger.js";
+import { describeBadges } from "../../../shared/services/badges.js";
+import {
+  NOTIFICATION_TYPES,
+  notify,
+} from "../../../shared/services/notifications.js";
+import {
+  EMAIL_PREFERENCES,
+  resolveEmailPreferences,
+  validateEmailPreferences,
+} from "../../../shared/services/emails.js";
+import { accountThrottleKeySql } from "../../../shared/services/loginThrottle.js";
+
+// Leaderboard periods → look-back interval for note timestamps (null = all time)
+const LEADERBOARD_PERIODS = {
+  week: "7 days",
+  month: "30 days",
+  all: null,
+};
 
 // ==========================================
 // PUBLIC USER ENDPOINTS
@@ -13,7 +40,8 @@ import { logError } from "../../../shared/utils/logger.js";
 
 /**
  * Retrieves user profile with aggregated statistics
- * Shows user info, total casts created, and notes received
+ * Shows user info, total casts created, notes received, follow counts and earned badges
+ * A logged-in viewer also gets is_following for this profile
  *
  * @param {object} req - Express request object with user ID in params
  * @param {object} res - Express response object
@@ -30,10 +58,14 @@ export const getProfile = async (req, res) => {
           (SELECT COUNT(*) FROM casts WHERE creator_id = $1) as total_casts,
           (SELECT COUNT(*) FROM notes n 
            JOIN casts c ON n.cast_id = c.id 
-           WHERE c.creator_id = $1) as notes_received
+           WHERE c.creator_id = $1) as notes_received,
+          (SELECT COUNT(*) FROM follows WHERE followee_id = $1)::int as follower_count,
+          (SELECT COUNT(*) FROM follows WHERE follower_id = $1)::int as following_count,
+          EXISTS (SELECT 1 FROM follows
+                  WHERE follower_id = $2 AND followee_id = $1) as is_following
         FROM users u
         WHERE u.id = $1`,
-      [id],
+      [id, req.user?.id ?? null],
     );
 
     // Check if user exists
@@ -41,8 +73,13 @@ export const getProfile = async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
+    const badges = await query(
+      "SELECT badge, awarded_at FROM user_badges WHERE user_id = $1 ORDER BY awarded_at",
+      [id],
+    );
+
     // Return user profile with statistics
-    res.json(userStats.rows[0]);
+    res.json({ ...userStats.rows[0], badges: describeBadges(badges.rows) });
   } catch (err) {
     logError("userController.getProfile", err, { id });
     res.status(500).json({ error: "Failed to fetch user profile" });
@@ -50,18 +87,91 @@ export const getProfile = async (req, res) => {
 };
 
 /**
- * Retrieves the top 10 users by credit score for the leaderboard
- * Public endpoint - no authentication required
+ * Retrieves ranked users for the leaderboard
+ * Public endpoint - a logged-in viewer also gets their own rank in "me"
+ *
+ * Scoring:
+ * - period=all without category: current credit balance (the classic board)
+ * - otherwise: credit earned from notes received in the period, optionally
+ *   limited to casts in one skill category
+ *
+ * Query parameters:
+ * - period: week, month or all (default all)
+ * - category: Skill category to rank within (optional)
+ * - limit: Page size (default 10, max 50)
+ * - offset: Rows to skip (default 0)
  */
 export const getLeaderboard = async (req, res) => {
+  const period = req.query.period || "all";
+  const category = req.query.category || null;
+  const limit = parseLimit(req.query.limit, 10);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const interval = LEADERBOARD_PERIODS[period];
+  const params = [limit, offset, req.user?.id ?? null];
+
+  // Score source: cached balance for the all-time board, note credit otherwise
+  let scores;
+  if (!interval && !category) {
+    scores = `SELECT u.id AS user_id,
+                     COALESCE(u.credit, 0) AS score,
+                     (SELECT COUNT(*) FROM notes n JOIN casts c ON n.cast_id = c.id
+                      WHERE c.creator_id = u.id)::int AS note_count
+              FROM users u`;
+  } else {
+    params.push(interval, category);
+    scores = `SELECT c.creator_id AS user_id,
+                     COALESCE(SUM(ct.amount), 0)::int AS score,
+                     COUNT(n.id)::int AS note_count
+              FROM notes n
+              JOIN casts c ON n.cast_id = c.id
+              LEFT JOIN skills s ON c.skill_id = s.id
+              LEFT JOIN credit_transactions ct
+                ON ct.note_id = n.id AND ct.reason = 'NOTE_RECEIVED'
+              WHERE ($4::interval IS NULL OR n.created_at >= NOW() - $4::interval)
+                AND ($5::text IS NULL OR s.category = $5)
+              GROUP BY c.creator_id`;
+  }
+
   try {
-    // Get top 10 users ordered by credit score
-    const leaders = await query(
-      "SELECT id, username, credit FROM users ORDER BY credit DESC LIMIT 10",
+    // One pass: the requested page plus the viewer's own row, wherever it sits
+    const result = await query(
+      `WITH scores AS (${scores}),
+       ranked AS (
+         SELECT u.id, u.username, u.credit, sc.score, sc.note_count,
+                ARRAY(SELECT badge FROM user_badges b
+                      WHERE b.user_id = u.id ORDER BY b.awarded_at) AS badges,
+                RANK() OVER (ORDER BY sc.score DESC)::int AS rank,
+                ROW_NUMBER() OVER (ORDER BY sc.score DESC, sc.note_count DESC, u.username)::int AS position,
+                COUNT(*) OVER ()::int AS total
+         FROM scores sc
+         JOIN users u ON u.id = sc.user_id
+         WHERE sc.score > 0
+       )
+       SELECT * FROM ranked
+       WHERE (position > $2 AND position <= $2 + $1) OR id = $3
+       ORDER BY position`,
+      params,
     );
-    res.json(leaders.rows);
+
+    // Strip the window bookkeeping columns from each row
+    const toEntry = ({ position, total, ...row }) => row;
+    const rows = result.rows;
+    const total = rows[0]?.total ?? 0;
+    const me = rows.find((r) => r.id === req.user?.id);
+
+    res.json({
+      period,
+      category,
+      items: rows
+        .filter((r) => r.position > offset && r.position <= offset + limit)
+        .map(toEntry),
+      total,
+      nextOffset: offset + limit < total ? offset + limit : null,
+      me: me ? toEntry(me) : null,
+    });
   } catch (err) {
-    logError("userController.getLeaderboard", err);
+    logError("userController.getLeaderboard", err, { period, category });
     res.status(500).json({ error: "Failed to fetch leaderboard" });
   }
 };
@@ -107,6 +217,162 @@ export const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Retrieves a user's credit history from the ledger (newest first)
+ * Each entry includes the running balance after it was applied
+ * Visible to the user themselves or admins
+ *
+ * Query parameters:
+ * - limit: Page size (default 20, max 50)
+ * - cursor: nextCursor from the previous page
+ *
+ * Returns: { balance, items, nextCursor }
+ */
+export const getCreditHistory = async (req, res) => {
+  const { id } = req.params;
+  const { cursor } = req.query;
+
+  // Check if user owns this history or is an admin
+  const isOwner = req.user?.id?.toString() === id?.toString();
+  if (!isOwner && req.user?.role !== "admin") {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
+
+  const limit = parseLimit(req.query.limit);
+
+  try {
+    const userRes = await query("SELECT credit FROM users WHERE id = $1", [id]);
+    if (userRes.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const params = [id];
+    let cursorFilter = "";
+    if (after) {
+      params.push(after.ts, after.id);
+      cursorFilter = `WHERE (ledger.created_at, ledger.id) < ($2::timestamptz, $3::uuid)`;
+    }
+    params.push(limit + 1);
+
+    // Running balance is computed over the full history, then paged
+    const history = await query(
+      `SELECT * FROM (
+         SELECT t.id, t.amount, t.reason, t.memo, t.note_id, t.cast_id, t.actor_id, t.created_at,
+                t.created_at::text AS cursor_ts,
+                c.title AS cast_title,
+                a.username AS actor_username,
+                SUM(t.amount) OVER (ORDER BY t.created_at, t.id)::int AS balance_after
+         FROM credit_transactions t
+         LEFT JOIN casts c ON t.cast_id = c.id
+         LEFT JOIN users a ON t.actor_id = a.id
+         WHERE t.user_id = $1
+       ) ledger
+       ${cursorFilter}
+       ORDER BY ledger.created_at DESC, ledger.id DESC
+       LIMIT $${params.length}`,
+      params,
+    );
+
+    const hasMore = history.rows.length > limit;
+    const rows = history.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    res.json({
+      balance: userRes.rows[0].credit,
+      items: rows.map(({ cursor_ts, ...entry }) => entry),
+      nextCursor:
+        hasMore && last
+          ? encodeCursor({ ts: last.cursor_ts, id: last.id })
+          : null,
+    });
+  } catch (err) {
+    logError("userController.getCreditHistory", err, { id });
+    res.status(500).json({ error: "Failed to fetch credit history" });
+  }
+};
+
+/**
+ * Shapes email preferences for the client: resolved values plus the catalog
+ *
+ * @param {object} stored - users.email_preferences
+ * @returns {object} { preferences, options: [{ key, label, description }] }
+ */
+const emailPreferencesResponse = (stored) => ({
+  preferences: resolveEmailPreferences(stored),
+  options: Object.entries(EMAIL_PREFERENCES).map(([key, pref]) => ({
+    key,
+    label: pref.label,
+    description: pref.description,
+  })),
+});
+
+/**
+ * Retrieves the user's email preferences
+ * Only the user themselves can see them
+ */
+export const getEmailPreferences = async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.id?.toString() !== id?.toString()) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  try {
+    const result = await query(
+      "SELECT email_preferences FROM users WHERE id = $1",
+      [id],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json(emailPreferencesResponse(result.rows[0].email_preferences));
+  } catch (err) {
+    logError("userController.getEmailPreferences", err, { id });
+    res.status(500).json({ error: "Failed to fetch email preferences" });
+  }
+};
+
+/**
+ * Updates some or all of the user's email preferences
+ * Body: { [preference]: boolean } - keys not sent keep their current value
+ */
+export const updateEmailPreferences = async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.id?.toString() !== id?.toString()) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  const { preferences, errors } = validateEmailPreferences(req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ error: "Invalid email preferences", errors });
+  }
+
+  try {
+    const result = await query(
+      `UPDATE users
+       SET email_preferences = email_preferences || $2::jsonb, updated_at = NOW()
+       WHERE id = $1
+       RETURNING email_preferences`,
+      [id, preferences],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json(emailPreferencesResponse(result.rows[0].email_preferences));
+  } catch (err) {
+    logError("userController.updateEmailPreferences", err, { id });
+    res.status(500).json({ error: "Failed to update email preferences" });
+  }
+};
+
 // ==========================================
 // ADMIN-ONLY ENDPOINTS
 // ==========================================
@@ -123,10 +389,14 @@ export const getAllUsers = async (req, res) => {
 
   try {
     // Get all users with full details, ordered by registration date
+    // locked_until is set while the account is locked out of logging in
     const users = await query(
-      `SELECT id, username, email, name, bio, credit, role, created_at, updated_at
-       FROM users
-       ORDER BY created_at DESC`,
+      `SELECT u.id, u.username, u.email, u.name, u.bio, u.credit, u.role,
+              u.created_at, u.updated_at,
+              CASE WHEN lt.locked_until > NOW() THEN lt.locked_until END AS locked_until
+       FROM users u
+       LEFT JOIN login_throttles lt ON lt.key = ${accountThrottleKeySql("u")}
+       ORDER BY u.created_at DESC`,
     );
     res.json(users.rows);
   } catch (err) {
@@ -175,6 +445,9 @@ export const deleteUser = async (req, res) => {
 /**
  * Updates user account details (name, credit, role)
  * Admin-only operation for managing user accounts
+ *
+ * Credit is never written directly: a new balance is recorded as an
+ * ADMIN_ADJUSTMENT ledger entry for the difference (optional credit_memo)
  */
 export const updateUser = async (req, res) => {
   // Verify admin role
@@ -183,7 +456,7 @@ export const updateUser = async (req, res) => {
   }
 
   const { id } = req.params;
-  const { name, credit, role } = req.body;
+  const { name, credit, role, credit_memo } = req.body;
 
   try {
     // Prevent admins from downgrading their own role
@@ -193,23 +466,58 @@ export const updateUser = async (req, res) => {
         .json({ error: "Cannot downgrade your own admin role" });
     }
 
-    // Update user with new values (COALESCE keeps existing values for null inputs)
-    const result = await query(
-      `UPDATE users 
-       SET name = COALESCE($1, name), 
-           credit = COALESCE($2, credit), 
-           role = COALESCE($3, role), 
-           updated_at = NOW() 
-       WHERE id = $4 
-       RETURNING id, username, email, name, bio, credit, role, created_at, updated_at`,
-      [name ?? null, credit ?? null, role ?? null, id],
-    );
+    const result = await withTransaction(async (client) => {
+      // Previous role, so a change can be announced to the user
+      const previous = await client.query(
+        "SELECT role FROM users WHERE id = $1 FOR UPDATE",
+        [id],
+      );
+      if (previous.rows.length === 0) return { user: null };
 
-    if (result.rows.length === 0) {
+      // Update user with new values (COALESCE keeps existing values for null inputs)
+      const updated = await client.query(
+        `UPDATE users 
+         SET name = COALESCE($1, name), 
+             role = COALESCE($2, role), 
+             updated_at = NOW() 
+         WHERE id = $3 
+         RETURNING id, COALESCE(credit, 0) AS credit`,
+        [name ?? null, role ?? null, id],
+      );
+
+      // Record the balance change in the ledger (trigger updates users.credit)
+      if (credit != null) {
+        await recordCredit(client, {
+          userId: id,
+          amount: Number(credit) - updated.rows[0].credit,
+          reason: CREDIT_REASONS.ADMIN_ADJUSTMENT,
+          actorId: req.user.id,
+          memo: credit_memo || null,
+        });
+      }
+
+      const user = await client.query(
+        `SELECT id, username, email, name, bio, credit, role, created_at, updated_at
+         FROM users WHERE id = $1`,
+        [id],
+      );
+      return { user: user.rows[0], previousRole: previous.rows[0].role };
+    });
+
+    if (!result.user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    res.json(result.rows[0]);
+    res.json(result.user);
+
+    if (result.user.role !== result.previousRole) {
+      notify({
+        userId: id,
+        type: NOTIFICATION_TYPES.ROLE_CHANGED,
+        actorId: req.user.id,
+        data: { from: result.previousRole, to: result.user.role },
+      });
+    }
   } catch (err) {
     logError("userController.updateUser", err, { id });
     res.status(500).json({ error: "Failed to update user" });
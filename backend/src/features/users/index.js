@@ -1,3 +1,5 @@
 // Users Feature Exports
 export { default as userRoutes } from "./routes/userRoutes.js";
 export * from "./controllers/userController.js";
+export * from "./controllers/followController.js";
+export * from "./controllers/securityController.js";
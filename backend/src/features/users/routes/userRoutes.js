@@ -12,30 +12,111 @@ import {
   getAllUsers,
   deleteUser,
   updateUser,
+  getCreditHistory,
+  getEmailPreferences,
+  updateEmailPreferences,
 } from "../controllers/userController.js";
-import { authenticateToken } from "../../../shared/middleware/authMiddleware.js";
+import {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+} from "../controllers/followController.js";
+import {
+  getSecurityEvents,
+  unlockUser,
+} from "../controllers/securityController.js";
+import { validate } from "../../../shared/middleware/validateMiddleware.js";
+import {
+  authenticateToken,
+  optionalAuth,
+} from "../../../shared/middleware/authMiddleware.js";
 
 // Create Express router for user endpoints
 const router = express.Router();
 
+// ==========================================
+// VALIDATION SCHEMAS
+// ==========================================
+
+const id = { type: "uuid", required: true };
+// users.credit is an INT column, so larger balances are refused here
+const INT_RANGE = { min: -2147483648, max: 2147483647 };
+const page = {
+  limit: { type: "integer", min: 1 },
+  cursor: { type: "string", max: 500 },
+};
+
+const schemas = {
+  idParam: { params: { id } },
+  leaderboard: {
+    query: {
+      period: { type: "string", oneOf: ["week", "month", "all"] },
+      category: { type: "string", max: 50 },
+      limit: { type: "integer", min: 1 },
+      offset: { type: "integer", min: 0 },
+    },
+  },
+  updateProfile: {
+    params: { id },
+    body: {
+      name: { type: "string", max: 100 },
+      bio: { type: "string", max: 1000 },
+    },
+  },
+  creditHistory: { params: { id }, query: page },
+  updateUser: {
+    params: { id },
+    body: {
+      name: { type: "string", max: 100 },
+      credit: { type: "integer", ...INT_RANGE },
+      role: { type: "string", oneOf: ["member", "admin"] },
+      credit_memo: { type: "string", max: 200 },
+    },
+  },
+  securityEvents: {
+    query: { type: { type: "string", max: 30 }, ...page },
+  },
+};
+
 // ==========================================
 // PUBLIC USER ROUTES
 // ==========================================
 
 /**
  * GET /api/users/leaderboard
- * Retrieves top 10 users by credit score
- * Public endpoint - no authentication required
+ * Ranked users: all-time by credit, or by note credit for a period/category
+ * Public endpoint - a valid token adds the viewer's own rank ("me")
+ * Query: { period?: week|month|all, category?, limit?, offset? }
  */
-router.get("/leaderboard", getLeaderboard);
+router.get(
+  "/leaderboard",
+  optionalAuth,
+  validate(schemas.leaderboard),
+  getLeaderboard,
+);
 
 /**
  * GET /api/users/profile/:id
  * Retrieves user profile with activity statistics
- * Shows user info, total casts, and notes received
+ * Shows user info, total casts, notes received and follow counts
+ * Public endpoint - a valid token adds is_following for the viewer
+ */
+router.get("/profile/:id", optionalAuth, validate(schemas.idParam), getProfile);
+
+/**
+ * GET /api/users/:id/followers
+ * Lists users following this user (newest first)
+ * Public endpoint - no authentication required
+ */
+router.get("/:id/followers", validate(schemas.idParam), getFollowers);
+
+/**
+ * GET /api/users/:id/following
+ * Lists users this user follows (newest first)
  * Public endpoint - no authentication required
  */
-router.get("/profile/:id", getProfile);
+router.get("/:id/following", validate(schemas.idParam), getFollowing);
 
 // ==========================================
 // PROTECTED USER ROUTES
@@ -48,7 +129,77 @@ router.get("/profile/:id", getProfile);
  * Headers: Authorization: Bearer <accessToken>
  * Body: { name?, bio? }
  */
-router.put("/profile/:id", authenticateToken, updateProfile);
+router.put(
+  "/profile/:id",
+  authenticateToken,
+  validate(schemas.updateProfile),
+  updateProfile,
+);
+
+/**
+ * GET /api/users/:id/credits
+ * Retrieves the user's credit ledger (newest first) with running balance
+ * Visible to the user themselves or admins
+ * Headers: Authorization: Bearer <accessToken>
+ * Query: { limit?, cursor? }
+ */
+router.get(
+  "/:id/credits",
+  authenticateToken,
+  validate(schemas.creditHistory),
+  getCreditHistory,
+);
+
+/**
+ * GET /api/users/:id/email-preferences
+ * Which optional emails the user receives, plus the preference catalog
+ * Visible to the user themselves only
+ * Headers: Authorization: Bearer <accessToken>
+ */
+router.get(
+  "/:id/email-preferences",
+  authenticateToken,
+  validate(schemas.idParam),
+  getEmailPreferences,
+);
+
+/**
+ * PUT /api/users/:id/email-preferences
+ * Switches optional emails on or off (partial updates allowed)
+ * Headers: Authorization: Bearer <accessToken>
+ * Body: { note_digest?: boolean, cast_reminder?: boolean }
+ */
+router.put(
+  "/:id/email-preferences",
+  authenticateToken,
+  validate(schemas.idParam),
+  updateEmailPreferences,
+);
+
+/**
+ * POST /api/users/:id/follow
+ * Follows a user so their casts show in the "following" feed
+ * Idempotent - following twice is a no-op
+ * Headers: Authorization: Bearer <accessToken>
+ */
+router.post(
+  "/:id/follow",
+  authenticateToken,
+  validate(schemas.idParam),
+  followUser,
+);
+
+/**
+ * DELETE /api/users/:id/follow
+ * Unfollows a user (no-op if not following)
+ * Headers: Authorization: Bearer <accessToken>
+ */
+router.delete(
+  "/:id/follow",
+  authenticateToken,
+  validate(schemas.idParam),
+  unfollowUser,
+);
 
 // ==========================================
 // ADMIN-ONLY USER ROUTES
@@ -67,9 +218,40 @@ router.get("/admin/all", authenticateToken, getAllUsers);
  * Updates any user's account details (name, credit, role)
  * Admin-only operation for user management
  * Headers: Authorization: Bearer <accessToken> (admin role required)
- * Body: { name?, credit?, role? }
+ * Body: { name?, credit?, role?, credit_memo? }
+ * Credit changes are recorded as ADMIN_ADJUSTMENT ledger entries
+ */
+router.put(
+  "/admin/:id",
+  authenticateToken,
+  validate(schemas.updateUser),
+  updateUser,
+);
+
+/**
+ * GET /api/users/admin/security-events
+ * Security event log (failed logins, throttling, lockouts), newest first
+ * Headers: Authorization: Bearer <accessToken> (admin role required)
+ * Query: type? (LOGIN_FAILED, MFA_FAILED, LOGIN_THROTTLED, ACCOUNT_LOCKED, ACCOUNT_UNLOCKED), limit?, cursor?
+ */
+router.get(
+  "/admin/security-events",
+  authenticateToken,
+  validate(schemas.securityEvents),
+  getSecurityEvents,
+);
+
+/**
+ * POST /api/users/admin/:id/unlock
+ * Lifts a user's login lockout (and any backoff) before it expires
+ * Headers: Authorization: Bearer <accessToken> (admin role required)
  */
-router.put("/admin/:id", authenticateToken, updateUser);
+router.post(
+  "/admin/:id/unlock",
+  authenticateToken,
+  validate(schemas.idParam),
+  unlockUser,
+);
 
 /**
  * DELETE /api/users/:id
@@ -77,6 +259,6 @@ router.put("/admin/:id", authenticateToken, updateUser);
  * Admin-only operation with safety checks (cannot delete own account)
  * Headers: Authorization: Bearer <accessToken> (admin role required)
  */
-router.delete("/:id", authenticateToken, deleteUser);
+router.delete("/:id", authenticateToken, validate(schemas.idParam), deleteUser);
 
 export default router;
@@ -31,5 +31,34 @@ const pool = new Pool({
  */
 export const query = (text, params) => pool.query(text, params);
 
+/**
+ * Runs a callback inside a database transaction
+ * Commits when the callback resolves, rolls back if it throws
+ *
+ * @param {function} fn - async (client) => result; use client.query for every statement
+ * @returns {Promise} - Whatever the callback returns
+ *
+ * Example usage:
+ *   const note = await withTransaction(async (client) => {
+ *     const res = await client.query("INSERT INTO notes ... RETURNING *", [...]);
+ *     await recordCredit(client, { ... });
+ *     return res.rows[0];
+ *   });
+ */
+export const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 // Export the pool for advanced use cases
 export default pool;
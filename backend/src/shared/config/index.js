@@ -1,3 +1,3 @@
 // Shared Config Exports
 export { default as database } from "./db.js";
-export { query } from "./db.js";
+export { query, withTransaction } from "./db.js";
@@ -4,10 +4,14 @@
  */
 
 import jwt from "jsonwebtoken";
+import { query } from "../config/db.js";
+import { logError } from "../utils/logger.js";
 
 // JWT secret keys with fallback defaults for development
 // Must match the secrets used in authController.js
 const ACCESS_SECRET = process.env.JWT_SECRET || "dev_access_secret";
+// Pending two-factor logins (must match authSessions.js)
+const MFA_SECRET = `${ACCESS_SECRET}:mfa`;
 
 /**
  * Middleware to authenticate JWT tokens on protected routes
@@ -48,6 +52,79 @@ export const authenticateToken = (req, res, next) => {
   });
 };
 
+/**
+ * authenticateToken that also accepts a pending two-factor login
+ * Lets an admin who has just entered their password enroll in two-factor auth
+ * before they get a session: without an Authorization header, the body's
+ * mfa_token (from POST /api/auth/login) identifies the user and
+ * req.mfaPending is set
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+export const authenticateTokenOrMfa = (req, res, next) => {
+  const mfaToken = req.body?.mfa_token;
+  if (req.headers["authorization"] || !mfaToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  jwt.verify(mfaToken, MFA_SECRET, (err, payload) => {
+    if (err || payload.purpose !== "mfa") {
+      return res
+        .status(401)
+        .json({ error: "Login expired. Please log in again." });
+    }
+
+    req.user = { id: payload.id };
+    req.mfaPending = true;
+    next();
+  });
+};
+
+/**
+ * Middleware that identifies the user when a valid token is present
+ * Unlike authenticateToken, requests without a (valid) token still continue
+ * Used on public routes that personalize their response for logged-in users
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+export const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+
+  // No token - continue as an anonymous visitor
+  if (!token) return next();
+
+  jwt.verify(token, ACCESS_SECRET, (err, user) => {
+    // Invalid/expired tokens are ignored rather than rejected
+    if (!err) req.user = user;
+    next();
+  });
+};
+
+/**
+ * optionalAuth for Server-Sent Events streams
+ * The browser EventSource API cannot set headers, so the access token may
+ * also be passed as ?token= (only accepted on the event stream route)
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+export const optionalStreamAuth = (req, res, next) => {
+  const token = req.query.token;
+  if (!token || req.headers["authorization"])
+    return optionalAuth(req, res, next);
+
+  jwt.verify(token, ACCESS_SECRET, (err, user) => {
+    if (!err) req.user = user;
+    next();
+  });
+};
+
 /**
  * Middleware to restrict access to admin users only
  * Must be used AFTER authenticateToken middleware
@@ -64,3 +141,36 @@ export const isAdmin = (req, res, next) => {
     res.status(403).json({ error: "Access Denied: Admins only" });
   }
 };
+
+/**
+ * Middleware to restrict an action to users who verified their email
+ * Must be used AFTER authenticateToken middleware
+ * Reads users.email_verified_at on each request, so verifying takes effect
+ * without a new access token
+ *
+ * @param {object} req - Express request object (must contain req.user)
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+export const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const result = await query(
+      "SELECT email_verified_at FROM users WHERE id = $1",
+      [req.user.id],
+    );
+
+    if (!result.rows[0]?.email_verified_at) {
+      return res.status(403).json({
+        error: "Verify your email address first",
+        code: "EMAIL_UNVERIFIED",
+      });
+    }
+
+    next();
+  } catch (err) {
+    logError("authMiddleware.requireVerifiedEmail", err, {
+      userId: req.user?.id,
+    });
+    res.status(500).json({ error: "Failed to check email verification" });
+  }
+};
@@ -0,0 +1,58 @@
+/**
+ * CSRF MIDDLEWARE
+ * Double-submit check for cookie mode (AUTH_COOKIE_MODE=true)
+ *
+ * Once a browser holds the session cookies, every state-changing request
+ * (POST, PUT, PATCH, DELETE) must echo the CSRF cookie in the X-CSRF-Token
+ * header. Other sites can make the browser send the cookies, but can't read
+ * them to copy the value into a header.
+ */
+
+import crypto from "crypto";
+import {
+  AUTH_COOKIE_MODE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+} from "../utils/authCookies.js";
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/**
+ * Compares two tokens in constant time
+ *
+ * @param {string} a - Token from the cookie
+ * @param {string} b - Token from the header
+ * @returns {boolean} - Whether they match
+ */
+const tokensMatch = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Middleware that rejects state-changing requests without a matching CSRF token
+ * Requests from browsers without session cookies have nothing to forge and pass
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+export const csrfProtection = (req, res, next) => {
+  if (!AUTH_COOKIE_MODE || SAFE_METHODS.has(req.method)) return next();
+
+  const cookieToken = req.cookies?.[CSRF_COOKIE];
+  const hasSessionCookie = Boolean(req.cookies?.[REFRESH_COOKIE]);
+  if (!cookieToken && !hasSessionCookie) return next();
+
+  const headerToken = req.get(CSRF_HEADER);
+  if (!cookieToken || !headerToken || !tokensMatch(cookieToken, headerToken)) {
+    return res.status(403).json({
+      error: "Missing or invalid CSRF token",
+      code: "CSRF_INVALID",
+    });
+  }
+
+  next();
+};
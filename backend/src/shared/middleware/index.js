@@ -1,2 +1,17 @@
 // Shared Middleware Exports
-export { authenticateToken, isAdmin } from "./authMiddleware.js";
+export {
+  authenticateToken,
+  authenticateTokenOrMfa,
+  optionalAuth,
+  isAdmin,
+  requireVerifiedEmail,
+} from "./authMiddleware.js";
+export { csrfProtection } from "./csrfMiddleware.js";
+export {
+  RATE_LIMIT_POLICIES,
+  RATE_LIMIT_ROUTES,
+  createMemoryStore,
+  setRateLimitStore,
+  apiRateLimit,
+} from "./rateLimitMiddleware.js";
+export { PASSWORD_RULES, validate } from "./validateMiddleware.js";
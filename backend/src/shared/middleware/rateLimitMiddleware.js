@@ -0,0 +1,189 @@
+/**
+ * RATE LIMIT MIDDLEWARE
+ * Token-bucket rate limiting for the whole API, with a policy per route group
+ *
+ * Each client IP gets one bucket per policy. A bucket holds up to `burst`
+ * tokens and refills at `perMinute`; every request takes one token, and a
+ * request that finds the bucket empty gets 429. Each request is charged to
+ * exactly one policy: the first entry of RATE_LIMIT_ROUTES that matches it,
+ * else "default"
+ *
+ * Buckets live in memory by default. A shared store (e.g., Redis) can be
+ * plugged in with setRateLimitStore() when running several instances
+ *
+ * Responses carry the IETF draft RateLimit-* headers (RateLimit-Limit,
+ * RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy); 429s add Retry-After
+ */
+
+import { logError } from "../utils/logger.js";
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+
+/**
+ * Reads a policy from RATE_LIMIT_<NAME>_BURST / RATE_LIMIT_<NAME>_PER_MINUTE
+ *
+ * @param {string} name - Env name of the policy
+ * @param {number} burst - Default bucket size
+ * @param {number} perMinute - Default refill rate
+ * @returns {object} - { burst, perMinute }
+ */
+const policyFromEnv = (name, burst, perMinute) => ({
+  burst: Number(process.env[`RATE_LIMIT_${name}_BURST`]) || burst,
+  perMinute: Number(process.env[`RATE_LIMIT_${name}_PER_MINUTE`]) || perMinute,
+});
+
+// Tunable policies (see .env.example)
+export const RATE_LIMIT_POLICIES = {
+  default: policyFromEnv("DEFAULT", 120, 60),
+  auth: policyFromEnv("AUTH", 20, 10), // Logins, sign-ups, resets, refreshes
+  noteCreate: policyFromEnv("NOTE_CREATE", 10, 5), // Sending notes (they pay credit)
+  castFeed: policyFromEnv("CAST_FEED", 300, 120), // The cast feed, polled by every open tab
+};
+
+// Which policy a request is charged to (first match wins; paths include /api)
+export const RATE_LIMIT_ROUTES = [
+  { path: /^\/api\/auth(\/|$)/, policy: "auth" },
+  { method: "POST", path: /^\/api\/notes\/?$/, policy: "noteCreate" },
+  { method: "GET", path: /^\/api\/casts\/?$/, policy: "castFeed" },
+];
+
+/**
+ * Refills a bucket for the time elapsed since it was last used
+ *
+ * @param {object} bucket - { tokens, updatedAt, policy }
+ * @param {number} now - Current time (ms)
+ * @returns {number} - Tokens available now
+ */
+const refill = (bucket, now) =>
+  Math.min(
+    bucket.policy.burst,
+    bucket.tokens +
+      ((now - bucket.updatedAt) * bucket.policy.perMinute) / 60_000,
+  );
+
+/**
+ * In-memory token buckets for a single server process
+ * Full buckets are dropped on a timer, so idle clients cost nothing
+ *
+ * Every store has the same shape: consume(key, policy) takes one token if
+ * there is one and resolves to { allowed, remaining, resetSeconds }, where
+ * resetSeconds counts until the bucket is full again (or, when refused, until
+ * the next token)
+ *
+ * @param {object} [options] - { sweepIntervalMs }
+ * @returns {object} - { consume(key, policy) }
+ */
+export const createMemoryStore = ({ sweepIntervalMs = 60_000 } = {}) => {
+  const buckets = new Map();
+
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (refill(bucket, now) >= bucket.policy.burst) buckets.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweepTimer.unref();
+
+  return {
+    consume: async (key, policy) => {
+      const now = Date.now();
+      const bucket = buckets.get(key) ?? {
+        tokens: policy.burst,
+        updatedAt: now,
+        policy,
+      };
+
+      const tokens = refill(bucket, now);
+      const allowed = tokens >= 1;
+      bucket.tokens = allowed ? tokens - 1 : tokens;
+      bucket.updatedAt = now;
+      buckets.set(key, bucket);
+
+      const secondsPerToken = 60 / policy.perMinute;
+      return {
+        allowed,
+        remaining: Math.floor(bucket.tokens),
+        resetSeconds: Math.ceil(
+          (allowed ? policy.burst - bucket.tokens : 1 - bucket.tokens) *
+            secondsPerToken,
+        ),
+      };
+    },
+  };
+};
+
+let activeStore = null;
+
+/**
+ * Returns the configured store, creating the in-memory one on first use
+ *
+ * @returns {object} - { consume(key, policy) }
+ */
+const getStore = () => {
+  if (!activeStore) activeStore = createMemoryStore();
+  return activeStore;
+};
+
+/**
+ * Replaces the bucket store (e.g., with a shared one across instances)
+ *
+ * @param {object} store - { consume(key, policy) }
+ */
+export const setRateLimitStore = (store) => {
+  activeStore = store;
+};
+
+/**
+ * Picks the policy a request is charged to
+ *
+ * @param {object} req - Express request object
+ * @returns {string} - Key of RATE_LIMIT_POLICIES
+ */
+const resolvePolicy = (req) => {
+  const path = req.baseUrl + req.path;
+  const route = RATE_LIMIT_ROUTES.find(
+    (r) => (!r.method || r.method === req.method) && r.path.test(path),
+  );
+  return route?.policy ?? "default";
+};
+
+/**
+ * Middleware that charges each request to its policy's bucket and answers
+ * 429 once the bucket is empty. A failing store lets requests through
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+export const apiRateLimit = async (req, res, next) => {
+  if (!RATE_LIMIT_ENABLED || req.method === "OPTIONS") return next();
+
+  const name = resolvePolicy(req);
+  const policy = RATE_LIMIT_POLICIES[name];
+
+  let result;
+  try {
+    result = await getStore().consume(`${name}:${req.ip}`, policy);
+  } catch (err) {
+    logError("rateLimitMiddleware.apiRateLimit", err, { policy: name });
+    return next();
+  }
+
+  res.set({
+    "RateLimit-Limit": String(policy.burst),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(result.resetSeconds),
+    "RateLimit-Policy": `${policy.burst};w=${Math.ceil((policy.burst * 60) / policy.perMinute)}`,
+  });
+
+  if (!result.allowed) {
+    res.set("Retry-After", String(result.resetSeconds));
+    return res.status(429).json({
+      error: "Too many requests. Please slow down and try again.",
+      code: "RATE_LIMITED",
+      retry_after: result.resetSeconds,
+    });
+  }
+
+  next();
+};
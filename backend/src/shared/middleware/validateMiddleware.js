@@ -0,0 +1,230 @@
+/**
+ * VALIDATION MIDDLEWARE
+ * Declarative request validation for route definitions
+ *
+ * A schema lists the expected fields of req.params, req.query and req.body:
+ *
+ *   validate({
+ *     params: { id: { type: "uuid", required: true } },
+ *     body: { title: { type: "string", required: true, max: 100 } },
+ *     check: ({ body }) => ({ ends_at: "Must be after starts_at" }), // optional cross-field rules
+ *   })
+ *
+ * Field rules: type (see FIELD_TYPES), required, min / max (length for text,
+ * value for numbers, item count for lists), oneOf, pattern (+ message). Missing optional fields
+ * (undefined, null or "") are skipped and unknown fields are ignored; values
+ * are checked, never rewritten, so controllers still read the raw request
+ *
+ * Invalid requests get 400 with per-field messages (forms show them inline):
+ *   { error, code: "VALIDATION_FAILED", errors: { field: message } }
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Passwords: bcrypt only reads the first 72 bytes
+export const PASSWORD_RULES = { min: 8, max: 72 };
+
+/**
+ * Reads a whole number from a body value or query string
+ *
+ * @param {*} value - Raw value
+ * @returns {number|null} - The integer, or null if it isn't one
+ */
+const toInteger = (value) => {
+  const number =
+    typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  return Number.isInteger(number) ? number : null;
+};
+
+/**
+ * Message for a value outside min/max
+ *
+ * @param {object} rule - { min, max }
+ * @param {string} [unit] - e.g., " characters" for text lengths
+ * @returns {string} - Human-readable range
+ */
+const rangeMessage = ({ min, max }, unit = "") => {
+  if (min != null && max != null) return `Must be ${min}-${max}${unit}`;
+  if (min != null) return `Must be at least ${min}${unit}`;
+  return `Must be at most ${max}${unit}`;
+};
+
+/**
+ * Checks a length or value against the rule's min/max
+ *
+ * @param {object} rule - { min, max }
+ * @param {number} size - Length or value
+ * @returns {boolean} - Whether it is within range
+ */
+const inRange = ({ min, max }, size) =>
+  (min == null || size >= min) && (max == null || size <= max);
+
+/**
+ * Checks text length against the rule's min/max
+ *
+ * @param {object} rule - { min, max }
+ * @param {string} text - Value to measure
+ * @returns {string|null} - Error message, or null when within range
+ */
+const checkLength = (rule, text) =>
+  inRange(rule, text.length) ? null : rangeMessage(rule, " characters");
+
+// Type checks: each returns an error message, or null when the value is valid
+const FIELD_TYPES = {
+  string: (value, rule) => {
+    if (typeof value !== "string") return "Must be text";
+    if (rule.required && value.trim() === "") return "Required";
+    return checkLength(rule, value);
+  },
+
+  email: (value, rule) => {
+    if (typeof value !== "string" || !EMAIL_PATTERN.test(value.trim())) {
+      return "Must be a valid email address";
+    }
+    return checkLength({ max: 100, ...rule }, value);
+  },
+
+  password: (value) => {
+    if (typeof value !== "string") return "Must be text";
+    if (!inRange(PASSWORD_RULES, value.length)) {
+      return rangeMessage(PASSWORD_RULES, " characters");
+    }
+    if (!/[a-z]/i.test(value) || !/\d/.test(value)) {
+      return "Must include a letter and a number";
+    }
+    return null;
+  },
+
+  uuid: (value) =>
+    typeof value === "string" && UUID_PATTERN.test(value)
+      ? null
+      : "Must be a valid id",
+
+  url: (value, rule) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return "Must be a valid URL";
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      return "Must start with http:// or https://";
+    }
+    return checkLength({ max: 2048, ...rule }, value);
+  },
+
+  integer: (value, rule) => {
+    const number = toInteger(value);
+    if (number === null) return "Must be a whole number";
+    return inRange(rule, number) ? null : rangeMessage(rule);
+  },
+
+  number: (value, rule) => {
+    const number = typeof value === "string" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      return "Must be a number";
+    }
+    return inRange(rule, number) ? null : rangeMessage(rule);
+  },
+
+  boolean: (value) =>
+    typeof value === "boolean" || value === "true" || value === "false"
+      ? null
+      : "Must be true or false",
+
+  date: (value) =>
+    (typeof value === "string" || typeof value === "number") &&
+    !Number.isNaN(new Date(value).getTime())
+      ? null
+      : "Must be a valid date",
+
+  array: (value, rule) => {
+    if (!Array.isArray(value)) return "Must be a list";
+    return inRange(rule, value.length) ? null : rangeMessage(rule, " items");
+  },
+
+  object: (value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? null
+      : "Must be an object",
+};
+
+/**
+ * Checks one field against its rule
+ *
+ * @param {*} value - Raw value from the request
+ * @param {object} rule - Field rule
+ * @returns {string|null} - Error message, or null when valid
+ */
+const checkField = (value, rule) => {
+  if (value === undefined || value === null || value === "") {
+    return rule.required ? "Required" : null;
+  }
+
+  const typeError = FIELD_TYPES[rule.type](value, rule);
+  if (typeError) return typeError;
+
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return `Must be one of: ${rule.oneOf.join(", ")}`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.message || "Invalid format";
+  }
+  return null;
+};
+
+/**
+ * Builds middleware that validates a request against a schema
+ *
+ * @param {object} schema - { params?, query?, body?, check? }
+ * @returns {function} - Express middleware
+ */
+export const validate = (schema) => {
+  for (const source of ["params", "query", "body"]) {
+    for (const [field, rule] of Object.entries(schema[source] ?? {})) {
+      if (!FIELD_TYPES[rule.type]) {
+        throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+      }
+    }
+  }
+
+  return (req, res, next) => {
+    const errors = {};
+
+    for (const source of ["params", "query", "body"]) {
+      const values = req[source] ?? {};
+      for (const [field, rule] of Object.entries(schema[source] ?? {})) {
+        const message = checkField(values[field], rule);
+        if (message) errors[field] = message;
+      }
+    }
+
+    // Cross-field rules only run once every field is valid on its own
+    if (Object.keys(errors).length === 0 && schema.check) {
+      Object.assign(
+        errors,
+        schema.check({
+          params: req.params ?? {},
+          query: req.query ?? {},
+          body: req.body ?? {},
+        }),
+      );
+    }
+
+    const fields = Object.keys(errors);
+    if (fields.length > 0) {
+      return res.status(400).json({
+        error:
+          fields.length === 1
+            ? `${fields[0]}: ${errors[fields[0]]}`
+            : `Invalid fields: ${fields.join(", ")}`,
+        code: "VALIDATION_FAILED",
+        errors,
+      });
+    }
+
+    next();
+  };
+};
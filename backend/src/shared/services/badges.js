@@ -0,0 +1,159 @@
+/**
+ * BADGES SERVICE
+ * Achievements earned from cast and note activity, stored in user_badges
+ *
+ * checkBadges() runs after a cast or note is created; it reads each
+ * user's activity stats and awards any badge they newly qualify for.
+ * earnedBadges() and currentStreak() are pure so the rules can be tested alone
+ */
+
+import { query } from "../config/db.js";
+import { logError } from "../utils/logger.js";
+
+// Badge catalog - codes are stored in user_badges.badge
+export const BADGES = {
+  FIRST_CAST: {
+    label: "First Cast",
+    description: "Hosted a first cast",
+    qualifies: (stats) => stats.casts_hosted >= 1,
+  },
+  NOTES_RECEIVED_10: {
+    label: "Crowd Favourite",
+    description: "Received 10 notes across your casts",
+    qualifies: (stats) => stats.notes_received >= 10,
+  },
+  MULTI_CATEGORY_3: {
+    label: "Polymath",
+    description: "Hosted casts in 3 skill categories",
+    qualifies: (stats) => stats.categories_hosted >= 3,
+  },
+  STREAK_7: {
+    label: "On a Roll",
+    description: "Active 7 days in a row (hosting casts or sending notes)",
+    qualifies: (stats) => stats.streak_days >= 7,
+  },
+};
+
+// Longest streak worth looking back for
+const STREAK_LOOKBACK_DAYS = 30;
+
+/**
+ * Counts consecutive active days ending today (or yesterday, so a streak
+ * isn't lost before the user has had a chance to be active today)
+ *
+ * @param {string[]} activeDays - Distinct 'YYYY-MM-DD' dates with activity
+ * @param {string} today - Today's date as 'YYYY-MM-DD'
+ * @returns {number} - Length of the current streak in days
+ */
+export const currentStreak = (activeDays, today) => {
+  const days = new Set(activeDays);
+  const cursor = new Date(`${today}T00:00:00Z`);
+  const toKey = (date) => date.toISOString().slice(0, 10);
+
+  if (!days.has(toKey(cursor))) {
+    cursor.setUTCDate(cursor.getUTCDate() - 1);
+  }
+
+  let streak = 0;
+  while (days.has(toKey(cursor))) {
+    streak += 1;
+    cursor.setUTCDate(cursor.getUTCDate() - 1);
+  }
+  return streak;
+};
+
+/**
+ * Lists every badge code the stats qualify for
+ *
+ * @param {object} stats - { casts_hosted, notes_received, categories_hosted, streak_days }
+ * @returns {string[]} - Badge codes
+ */
+export const earnedBadges = (stats) =>
+  Object.entries(BADGES)
+    .filter(([, badge]) => badge.qualifies(stats))
+    .map(([code]) => code);
+
+/**
+ * Reads the activity numbers the badge rules need
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<object>} - Stats for earnedBadges
+ */
+const fetchBadgeStats = async (userId) => {
+  const result = await query(
+    `SELECT
+       (SELECT COUNT(*) FROM casts WHERE creator_id = $1)::int AS casts_hosted,
+       (SELECT COUNT(*) FROM notes n JOIN casts c ON n.cast_id = c.id
+        WHERE c.creator_id = $1)::int AS notes_received,
+       (SELECT COUNT(DISTINCT s.category) FROM casts c JOIN skills s ON c.skill_id = s.id
+        WHERE c.creator_id = $1)::int AS categories_hosted,
+       ARRAY(
+         SELECT DISTINCT to_char(day, 'YYYY-MM-DD') FROM (
+           SELECT created_at::date AS day FROM casts
+           WHERE creator_id = $1 AND created_at > NOW() - make_interval(days => $2)
+           UNION
+           SELECT created_at::date FROM notes
+           WHERE sender_id = $1 AND created_at > NOW() - make_interval(days => $2)
+         ) activity
+       ) AS active_days,
+       to_char(CURRENT_DATE, 'YYYY-MM-DD') AS today`,
+    [userId, STREAK_LOOKBACK_DAYS],
+  );
+
+  const { active_days, today, ...stats } = result.rows[0];
+  return { ...stats, streak_days: currentStreak(active_days, today) };
+};
+
+/**
+ * Awards any badges the user newly qualifies for
+ * Safe to call repeatedly - existing badges are left untouched
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<string[]>} - Codes of badges awarded by this call
+ */
+export const evaluateBadges = async (userId) => {
+  const stats = await fetchBadgeStats(userId);
+  const codes = earnedBadges(stats);
+  if (codes.length === 0) return [];
+
+  const result = await query(
+    `INSERT INTO user_badges (user_id, badge)
+     SELECT $1, unnest($2::text[])
+     ON CONFLICT DO NOTHING
+     RETURNING badge`,
+    [userId, codes],
+  );
+  return result.rows.map((r) => r.badge);
+};
+
+/**
+ * Re-evaluates badges for users after an activity, without blocking the request
+ * Failures are logged only - a missed badge is picked up on the next activity
+ *
+ * @param {...string} userIds - Users whose stats may have changed
+ */
+export const checkBadges = async (...userIds) => {
+  for (const userId of new Set(userIds.filter(Boolean))) {
+    try {
+      await evaluateBadges(userId);
+    } catch (err) {
+      logError("badges.checkBadges", err, { userId });
+    }
+  }
+};
+
+/**
+ * Attaches catalog labels to stored badge rows for API responses
+ *
+ * @param {object[]} rows - [{ badge, awarded_at }]
+ * @returns {object[]} - [{ code, label, description, awarded_at }]
+ */
+export const describeBadges = (rows) =>
+  rows
+    .filter((row) => BADGES[row.badge])
+    .map((row) => ({
+      code: row.badge,
+      label: BADGES[row.badge].label,
+      description: BADGES[row.badge].description,
+      awarded_at: row.awarded_at,
+    }));
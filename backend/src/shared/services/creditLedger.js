@@ -0,0 +1,81 @@
+/**
+ * CREDIT LEDGER SERVICE
+ * Every credit change is an append-only row in credit_transactions
+ * users.credit is a cached balance kept in sync by the tr_apply_credit trigger
+ *
+ * All writers take a transaction client so the ledger row commits
+ * (or rolls back) together with the change that caused it
+ */
+
+// Why a credit transaction happened (mirrors the CHECK constraint in schema.sql)
+export const CREDIT_REASONS = {
+  OPENING_BALANCE: "OPENING_BALANCE", // Starting credit for seeded/admin accounts
+  NOTE_RECEIVED: "NOTE_RECEIVED", // Host earned credit from a note
+  NOTE_REVERSED: "NOTE_REVERSED", // Note deleted, its reward clawed back
+  ADMIN_ADJUSTMENT: "ADMIN_ADJUSTMENT", // Admin changed a balance by hand
+  SEAT_PURCHASED: "SEAT_PURCHASED", // Learner spent credit on a premium cast
+  SEAT_SOLD: "SEAT_SOLD", // Host received credit for a premium cast seat
+};
+
+/**
+ * Appends a ledger entry (the trigger updates users.credit)
+ *
+ * @param {object} client - Transaction client from withTransaction
+ * @param {object} entry - { userId, amount, reason, noteId, castId, actorId, memo }
+ * @returns {Promise<object|null>} - Inserted row, or null for a zero amount
+ */
+export const recordCredit = async (
+  client,
+  {
+    userId,
+    amount,
+    reason,
+    noteId = null,
+    castId = null,
+    actorId = null,
+    memo = null,
+  },
+) => {
+  // Zero-amount rows carry no information - skip them
+  if (!amount) return null;
+
+  const result = await client.query(
+    `INSERT INTO credit_transactions (user_id, amount, reason, note_id, cast_id, actor_id, memo)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [userId, amount, reason, noteId, castId, actorId, memo],
+  );
+  return result.rows[0];
+};
+
+/**
+ * Claws back whatever a note earned its cast host
+ * Run it in the same transaction that deletes the note
+ *
+ * @param {object} client - Transaction client from withTransaction
+ * @param {string} noteId - Note being deleted
+ * @param {string} actorId - User deleting the note
+ * @returns {Promise<object|null>} - Reversal row, or null if the note earned nothing
+ */
+export const reverseNoteCredit = async (client, noteId, actorId) => {
+  // Net credit still standing for this note, per recipient
+  const earned = await client.query(
+    `SELECT user_id, cast_id, SUM(amount)::int AS amount
+     FROM credit_transactions
+     WHERE note_id = $1
+     GROUP BY user_id, cast_id`,
+    [noteId],
+  );
+
+  const row = earned.rows[0];
+  if (!row || row.amount === 0) return null;
+
+  return recordCredit(client, {
+    userId: row.user_id,
+    amount: -row.amount,
+    reason: CREDIT_REASONS.NOTE_REVERSED,
+    noteId,
+    castId: row.cast_id,
+    actorId,
+  });
+};
@@ -0,0 +1,155 @@
+/**
+ * CREDIT RULES
+ * Decides how much credit a note pays its cast host
+ * Rules live in app_settings under "credit_rules" and are edited by admins
+ *
+ * calculateNoteReward is a pure function of (rules, context) so every rule
+ * can be exercised without a database
+ */
+
+import { getSetting } from "./settings.js";
+
+export const CREDIT_RULES_KEY = "credit_rules";
+
+// Used for any rule an admin has not set (matches the original flat +10)
+export const DEFAULT_CREDIT_RULES = {
+  note_reward: 10, // Base credit per note
+  first_note_bonus: 0, // Extra credit for the first note a cast receives
+  category_multipliers: {}, // Skill category → multiplier, e.g. { "Tech": 1.5 }
+  decay: {
+    grace_days: 7, // Casts younger than this pay in full
+    half_life_days: 0, // Reward halves every N days after the grace period (0 = off)
+    min_multiplier: 0.25, // Decay never goes below this fraction
+  },
+};
+
+const MAX_REWARD = 1000;
+const MAX_MULTIPLIER = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isNumberInRange = (value, min, max) =>
+  typeof value === "number" &&
+  Number.isFinite(value) &&
+  value >= min &&
+  value <= max;
+
+/**
+ * Validates admin input and fills missing fields from the defaults
+ *
+ * @param {object} input - Partial or full rules object
+ * @returns {{ rules: object, errors: object }} - errors is keyed by field path, empty when valid
+ */
+export const validateCreditRules = (input = {}) => {
+  const errors = {};
+  const decayInput = input.decay || {};
+  const rules = {
+    note_reward: input.note_reward ?? DEFAULT_CREDIT_RULES.note_reward,
+    first_note_bonus:
+      input.first_note_bonus ?? DEFAULT_CREDIT_RULES.first_note_bonus,
+    category_multipliers:
+      input.category_multipliers ?? DEFAULT_CREDIT_RULES.category_multipliers,
+    decay: { ...DEFAULT_CREDIT_RULES.decay, ...decayInput },
+  };
+
+  if (
+    !Number.isInteger(rules.note_reward) ||
+    !isNumberInRange(rules.note_reward, 0, MAX_REWARD)
+  ) {
+    errors.note_reward = `Must be a whole number from 0 to ${MAX_REWARD}`;
+  }
+  if (
+    !Number.isInteger(rules.first_note_bonus) ||
+    !isNumberInRange(rules.first_note_bonus, 0, MAX_REWARD)
+  ) {
+    errors.first_note_bonus = `Must be a whole number from 0 to ${MAX_REWARD}`;
+  }
+
+  if (
+    typeof rules.category_multipliers !== "object" ||
+    rules.category_multipliers === null ||
+    Array.isArray(rules.category_multipliers)
+  ) {
+    errors.category_multipliers = "Must be an object of category → number";
+  } else {
+    for (const [category, multiplier] of Object.entries(
+      rules.category_multipliers,
+    )) {
+      if (!isNumberInRange(multiplier, 0, MAX_MULTIPLIER)) {
+        errors[`category_multipliers.${category}`] =
+          `Must be a number from 0 to ${MAX_MULTIPLIER}`;
+      }
+    }
+  }
+
+  if (!isNumberInRange(rules.decay.grace_days, 0, 3650)) {
+    errors["decay.grace_days"] = "Must be a number of days from 0 to 3650";
+  }
+  if (!isNumberInRange(rules.decay.half_life_days, 0, 3650)) {
+    errors["decay.half_life_days"] =
+      "Must be a number of days from 0 to 3650 (0 turns decay off)";
+  }
+  if (!isNumberInRange(rules.decay.min_multiplier, 0, 1)) {
+    errors["decay.min_multiplier"] = "Must be a number from 0 to 1";
+  }
+
+  return { rules, errors };
+};
+
+/**
+ * Computes the credit a note pays its cast host
+ *
+ * @param {object} rules - Validated credit rules
+ * @param {object} context - { category, castStartedAt, isFirstNote, now }
+ * @returns {{ amount: number, applied: string[] }} - Whole credit amount and the rules that changed it
+ *
+ * Example:
+ *   calculateNoteReward(rules, { category: "Tech", castStartedAt, isFirstNote: true })
+ *   // → { amount: 18, applied: ["first note +2", "Tech x1.5"] }
+ */
+export const calculateNoteReward = (
+  rules,
+  { category, castStartedAt, isFirstNote = false, now = new Date() },
+) => {
+  const applied = [];
+  let amount = rules.note_reward;
+
+  if (isFirstNote && rules.first_note_bonus > 0) {
+    amount += rules.first_note_bonus;
+    applied.push(`first note +${rules.first_note_bonus}`);
+  }
+
+  const categoryMultiplier = rules.category_multipliers?.[category];
+  if (categoryMultiplier !== undefined && categoryMultiplier !== 1) {
+    amount *= categoryMultiplier;
+    applied.push(`${category} x${categoryMultiplier}`);
+  }
+
+  // Exponential decay once the cast is older than the grace period
+  const { grace_days, half_life_days, min_multiplier } = rules.decay;
+  if (half_life_days > 0 && castStartedAt) {
+    const ageDays = (now - new Date(castStartedAt)) / DAY_MS;
+    if (ageDays > grace_days) {
+      const decay = Math.max(
+        min_multiplier,
+        0.5 ** ((ageDays - grace_days) / half_life_days),
+      );
+      amount *= decay;
+      applied.push(`decay x${decay.toFixed(2)}`);
+    }
+  }
+
+  return { amount: Math.max(0, Math.round(amount)), applied };
+};
+
+/**
+ * Loads the current rules, falling back to the defaults for anything unset
+ *
+ * @param {object} [client] - Transaction client; defaults to the pool
+ * @returns {Promise<object>} - Rules ready for calculateNoteReward
+ */
+export const loadCreditRules = async (client) => {
+  const setting = await getSetting(CREDIT_RULES_KEY, client);
+  const { rules, errors } = validateCreditRules(setting?.value);
+  // Stored rules are validated on write; fall back rather than pay out garbage
+  return Object.keys(errors).length === 0 ? rules : DEFAULT_CREDIT_RULES;
+};
@@ -0,0 +1,184 @@
+/**
+ * EMAILS SERVICE
+ * Email templates and per-user email preferences
+ *
+ * Preferences live in users.email_preferences (JSONB); missing keys fall
+ * back to the defaults below, so new email types are opt-out by default.
+ * Templates are pure: they return { to, subject, text } for sendMail()
+ */
+
+import { MAIL_CONFIG } from "./mailer.js";
+
+// Emails a user can switch off (the welcome email is always sent)
+export const EMAIL_PREFERENCES = {
+  note_digest: {
+    label: "Note digest",
+    description: "A summary of notes left on your casts",
+    default: true,
+  },
+  cast_reminder: {
+    label: "Cast reminders",
+    description: "A heads-up before casts you host or RSVP'd to start",
+    default: true,
+  },
+};
+
+/**
+ * Merges stored preferences over the defaults
+ *
+ * @param {object} stored - users.email_preferences
+ * @returns {object} - { [key]: boolean } for every known preference
+ */
+export const resolveEmailPreferences = (stored) =>
+  Object.fromEntries(
+    Object.entries(EMAIL_PREFERENCES).map(([key, pref]) => [
+      key,
+      typeof stored?.[key] === "boolean" ? stored[key] : pref.default,
+    ]),
+  );
+
+/**
+ * Validates a preferences update (partial updates allowed)
+ *
+ * @param {object} input - { [key]: boolean }
+ * @returns {object} { preferences, errors } - errors keyed by preference
+ */
+export const validateEmailPreferences = (input) => {
+  const errors = {};
+  const preferences = {};
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { preferences, errors: { _: "Preferences must be an object" } };
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in EMAIL_PREFERENCES)) {
+      errors[key] = "Unknown email preference";
+    } else if (typeof value !== "boolean") {
+      errors[key] = "Must be true or false";
+    } else {
+      preferences[key] = value;
+    }
+  }
+  return { preferences, errors };
+};
+
+/**
+ * SQL condition that is true when the user has a preference switched on
+ *
+ * @param {string} key - Key of EMAIL_PREFERENCES
+ * @param {string} alias - users table alias in the query
+ * @returns {string} - SQL boolean expression
+ */
+export const emailPreferenceEnabled = (key, alias = "u") =>
+  `COALESCE((${alias}.email_preferences->>'${key}')::boolean, ${EMAIL_PREFERENCES[key].default})`;
+
+const signOff = `\n\n—\nSkillCast · ${MAIL_CONFIG.appUrl}\nManage email preferences: ${MAIL_CONFIG.appUrl}/settings/profile`;
+
+const verifyLink = (token) =>
+  `${MAIL_CONFIG.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+/**
+ * Welcome email sent after registration, with the first verification link
+ * (no link when the address is already verified, e.g. by a sign-in provider)
+ *
+ * @param {object} user - { email, username, name }
+ * @param {string} [verifyToken] - Raw email verification token
+ */
+export const welcomeEmail = (user, verifyToken) => ({
+  to: user.email,
+  subject: "Welcome to SkillCast",
+  text:
+    `Hi ${user.name || user.username},\n\n` +
+    (verifyToken
+      ? "Your SkillCast account is ready. Confirm this email address to host " +
+        "casts and leave notes:\n\n" +
+        `${verifyLink(verifyToken)}\n\n` +
+        "Then host a cast to share what you know, or leave notes on casts you " +
+        "learn from to send their hosts credit."
+      : "Your SkillCast account is ready. Host a cast to share what you know, " +
+        "or leave notes on casts you learn from to send their hosts credit.") +
+    signOff,
+});
+
+/**
+ * Fresh verification link (sent when the user asks for another one)
+ *
+ * @param {object} user - { email, username, name }
+ * @param {string} token - Raw email verification token
+ * @param {number} ttlHours - How long the link stays valid
+ */
+export const verificationEmail = (user, token, ttlHours) => ({
+  to: user.email,
+  subject: "Confirm your SkillCast email",
+  text:
+    `Hi ${user.name || user.username},\n\n` +
+    `Confirm this email address within ${ttlHours} hours:\n\n` +
+    `${verifyLink(token)}\n\n` +
+    "Earlier verification links no longer work." +
+    signOff,
+});
+
+/**
+ * Digest of notes received since the last digest
+ *
+ * @param {object} user - { email, username, name }
+ * @param {object[]} notes - [{ sender_username, cast_title, content, reward }]
+ */
+export const noteDigestEmail = (user, notes) => {
+  const earned = notes.reduce((sum, n) => sum + (n.reward || 0), 0);
+  const lines = notes.map(
+    (n) => `- ${n.sender_username} on "${n.cast_title}": ${n.content}`,
+  );
+
+  return {
+    to: user.email,
+    subject: `You received ${notes.length} note${notes.length === 1 ? "" : "s"} on SkillCast`,
+    text:
+      `Hi ${user.name || user.username},\n\n` +
+      `Learners left ${notes.length} note${notes.length === 1 ? "" : "s"} on your casts` +
+      (earned > 0 ? ` and earned you +${earned} credit` : "") +
+      ":\n\n" +
+      lines.join("\n") +
+      signOff,
+  };
+};
+
+/**
+ * Password reset link (always sent - it's a response to the user's request)
+ *
+ * @param {object} user - { email, username, name }
+ * @param {string} token - Raw reset token
+ * @param {number} ttlMinutes - How long the link stays valid
+ */
+export const passwordResetEmail = (user, token, ttlMinutes) => ({
+  to: user.email,
+  subject: "Reset your SkillCast password",
+  text:
+    `Hi ${user.name || user.username},\n\n` +
+    "Someone (hopefully you) asked to reset your SkillCast password. " +
+    `Use this link within ${ttlMinutes} minutes:\n\n` +
+    `${MAIL_CONFIG.appUrl}/reset-password?token=${encodeURIComponent(token)}\n\n` +
+    "The link works once. If you didn't ask for it, ignore this email - " +
+    "your password stays the same." +
+    signOff,
+});
+
+/**
+ * Reminder sent shortly before a scheduled cast starts
+ *
+ * @param {object} user - { email, username, name }
+ * @param {object} cast - { title, starts_at, host_username }
+ * @param {boolean} isHost - Whether the recipient hosts the cast
+ */
+export const castReminderEmail = (user, cast, isHost) => ({
+  to: user.email,
+  subject: `Starting soon: ${cast.title}`,
+  text:
+    `Hi ${user.name || user.username},\n\n` +
+    (isHost
+      ? `Your cast "${cast.title}" goes live at ${new Date(cast.starts_at).toUTCString()}.`
+      : `"${cast.title}" by ${cast.host_username} starts at ${new Date(cast.starts_at).toUTCString()}.`) +
+    `\n\nOpen SkillCast to join: ${MAIL_CONFIG.appUrl}` +
+    signOff,
+});
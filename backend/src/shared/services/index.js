@@ -0,0 +1,78 @@
+// Shared Services Exports
+export {
+  CREDIT_REASONS,
+  recordCredit,
+  reverseNoteCredit,
+} from "./creditLedger.js";
+export {
+  NOTE_LIMITS,
+  ABUSE_KINDS,
+  flagAbuse,
+  checkNoteLimits,
+  detectCreditRing,
+} from "./noteAbuse.js";
+export { getSetting, setSetting } from "./settings.js";
+export {
+  MAIL_CONFIG,
+  assertMailConfig,
+  setMailTransport,
+  sendMail,
+} from "./mailer.js";
+export {
+  EMAIL_PREFERENCES,
+  resolveEmailPreferences,
+  validateEmailPreferences,
+  emailPreferenceEnabled,
+  welcomeEmail,
+  noteDigestEmail,
+  castReminderEmail,
+  passwordResetEmail,
+  verificationEmail,
+} from "./emails.js";
+export {
+  BADGES,
+  currentStreak,
+  earnedBadges,
+  evaluateBadges,
+  checkBadges,
+  describeBadges,
+} from "./badges.js";
+export {
+  CREDIT_RULES_KEY,
+  DEFAULT_CREDIT_RULES,
+  validateCreditRules,
+  calculateNoteReward,
+  loadCreditRules,
+} from "./creditRules.js";
+export {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_COLUMNS,
+  notify,
+  notifyFollowersLive,
+} from "./notifications.js";
+export {
+  OIDC_REDIRECT_URI,
+  listOidcProviders,
+  getOidcProvider,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+} from "./oidc.js";
+export {
+  LOGIN_LIMITS,
+  accountThrottleKeySql,
+  startLoginAttempt,
+  recordLoginSuccess,
+  recordLoginFailure,
+  unlockAccount,
+} from "./loginThrottle.js";
+export { SECURITY_EVENT_TYPES, recordSecurityEvent } from "./securityEvents.js";
+export {
+  MEETING_PLATFORMS_KEY,
+  MEETING_PLATFORMS,
+  DEFAULT_MEETING_PLATFORMS,
+  validateMeetingPlatforms,
+  detectMeetingPlatform,
+  checkMeetingLink,
+  loadMeetingPlatforms,
+} from "./meetingLinks.js";
@@ -0,0 +1,200 @@
+/**
+ * LOGIN THROTTLE
+ * Brute-force protection for password and two-factor logins
+ *
+ * Failures are counted per account (by email, so unknown emails are
+ * throttled the same way) and per client IP in login_throttles:
+ * - Backoff: after a few failures, each further attempt on the account must
+ *   wait twice as long as the last (capped)
+ * - Lockout: too many failures lock the account for a while (admins can unlock)
+ * - IP limit: one IP can fail only so often per window, across all accounts
+ * Counters reset once an account or IP has gone a full window without failing
+ *
+ * Every attempt is counted as a failure up front (rows locked while checking),
+ * so parallel guesses can't slip past the limits. A login that starts a
+ * session clears the account's count; a correct password that still needs
+ * its second factor only takes its own attempt back
+ */
+
+import { withTransaction } from "../config/db.js";
+
+// Tunable limits (see .env.example)
+export const LOGIN_LIMITS = {
+  freeAttempts: Number(process.env.LOGIN_BACKOFF_FREE_ATTEMPTS) || 3,
+  maxBackoffSeconds: Number(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 60,
+  lockoutThreshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+  lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  ipMaxFailures: Number(process.env.LOGIN_IP_MAX_FAILURES) || 50,
+  windowMinutes: Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+};
+
+/**
+ * login_throttles key of an account
+ *
+ * @param {string} email - Email used to log in
+ * @returns {string} - Throttle key
+ */
+const accountKey = (email) =>
+  `account:${String(email ?? "")
+    .trim()
+    .toLowerCase()}`;
+
+/**
+ * SQL expression for a users row's throttle key (e.g., to show lockouts)
+ *
+ * @param {string} alias - users table alias in the query
+ * @returns {string} - SQL text expression
+ */
+export const accountThrottleKeySql = (alias = "u") =>
+  `'account:' || LOWER(${alias}.email)`;
+
+/**
+ * Seconds an account must wait after its latest failure
+ *
+ * @param {number} failures - Failures in the current window
+ * @returns {number} - Delay in seconds (0 = no wait)
+ */
+const backoffSeconds = (failures) =>
+  failures < LOGIN_LIMITS.freeAttempts
+    ? 0
+    : Math.min(
+        2 ** (failures - LOGIN_LIMITS.freeAttempts),
+        LOGIN_LIMITS.maxBackoffSeconds,
+      );
+
+/**
+ * Checks whether a login attempt may go ahead and, if so, counts it
+ *
+ * @param {object} attempt - { email, ip }
+ * @returns {Promise<object>} - { allowed: true } or
+ *   { allowed: false, reason: "locked" | "backoff" | "ip", retryAfter (seconds) }
+ */
+export const startLoginAttempt = ({ email, ip }) =>
+  withTransaction(async (client) => {
+    const keys = [accountKey(email), `ip:${ip || "unknown"}`];
+
+    await client.query(
+      `INSERT INTO login_throttles (key) SELECT unnest($1::text[])
+       ON CONFLICT (key) DO NOTHING`,
+      [keys],
+    );
+    const result = await client.query(
+      `SELECT key, locked_until,
+              CASE WHEN last_failure_at > NOW() - make_interval(mins => $2)
+                   THEN failures ELSE 0 END AS failures,
+              EXTRACT(EPOCH FROM (locked_until - NOW()))::float8 AS locked_for,
+              EXTRACT(EPOCH FROM (NOW() - last_failure_at))::float8 AS since_failure
+       FROM login_throttles
+       WHERE key = ANY($1::text[])
+       ORDER BY key
+       FOR UPDATE`,
+      [keys, LOGIN_LIMITS.windowMinutes],
+    );
+    const account = result.rows.find((row) => row.key === keys[0]);
+    const ipRow = result.rows.find((row) => row.key === keys[1]);
+
+    if (account.locked_for > 0) {
+      return {
+        allowed: false,
+        reason: "locked",
+        retryAfter: Math.ceil(account.locked_for),
+      };
+    }
+    if (ipRow.failures >= LOGIN_LIMITS.ipMaxFailures) {
+      return {
+        allowed: false,
+        reason: "ip",
+        retryAfter: Math.ceil(
+          LOGIN_LIMITS.windowMinutes * 60 - ipRow.since_failure,
+        ),
+      };
+    }
+    const wait = backoffSeconds(account.failures) - account.since_failure;
+    if (account.failures > 0 && wait > 0) {
+      return { allowed: false, reason: "backoff", retryAfter: Math.ceil(wait) };
+    }
+
+    // Count the attempt now; a stale counter starts over
+    await client.query(
+      `UPDATE login_throttles
+       SET failures = CASE WHEN last_failure_at > NOW() - make_interval(mins => $2)
+                           THEN failures + 1 ELSE 1 END,
+           last_failure_at = NOW()
+       WHERE key = ANY($1::text[])`,
+      [keys, LOGIN_LIMITS.windowMinutes],
+    );
+    return { allowed: true };
+  });
+
+/**
+ * Takes back a successful attempt: clears the account's failures and
+ * uncounts it for the IP
+ *
+ * @param {object} attempt - { email, ip }
+ */
+export const recordLoginSuccess = ({ email, ip }) =>
+  withTransaction(async (client) => {
+    await client.query("DELETE FROM login_throttles WHERE key = $1", [
+      accountKey(email),
+    ]);
+    await client.query(
+      `UPDATE login_throttles SET failures = GREATEST(failures - 1, 0)
+       WHERE key = $1`,
+      [`ip:${ip || "unknown"}`],
+    );
+  });
+
+/**
+ * Takes back one attempt that passed but didn't start a session (password
+ * before the two-factor step, or a code checked from account settings)
+ * Earlier failures stay, so two-factor guesses still add up to a lockout
+ *
+ * @param {object} attempt - { email, ip }
+ */
+export const releaseLoginAttempt = ({ email, ip }) =>
+  withTransaction((client) =>
+    client.query(
+      `UPDATE login_throttles SET failures = GREATEST(failures - 1, 0)
+       WHERE key = ANY($1::text[])`,
+      [[accountKey(email), `ip:${ip || "unknown"}`]],
+    ),
+  );
+
+/**
+ * Locks the account once a (counted) failure brings it to the threshold
+ * The failure count starts over, so after the lockout the usual backoff applies
+ *
+ * @param {object} attempt - { email }
+ * @returns {Promise<Date|null>} - locked_until if this failure locked the account
+ */
+export const recordLoginFailure = async ({ email }) => {
+  const result = await withTransaction((client) =>
+    client.query(
+      `UPDATE login_throttles
+       SET locked_until = NOW() + make_interval(mins => $3), failures = 0
+       WHERE key = $1 AND failures >= $2
+       RETURNING locked_until`,
+      [
+        accountKey(email),
+        LOGIN_LIMITS.lockoutThreshold,
+        LOGIN_LIMITS.lockoutMinutes,
+      ],
+    ),
+  );
+  return result.rows[0]?.locked_until || null;
+};
+
+/**
+ * Lifts an account's lockout and backoff
+ *
+ * @param {object} db - Pool (query) or transaction client
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} - Whether the account was locked
+ */
+export const unlockAccount = async (db, email) => {
+  const result = await db.query(
+    "DELETE FROM login_throttles WHERE key = $1 RETURNING locked_until > NOW() AS was_locked",
+    [accountKey(email)],
+  );
+  return Boolean(result.rows[0]?.was_locked);
+};
@@ -0,0 +1,133 @@
+/**
+ * MAILER SERVICE
+ * Outgoing email with a pluggable transport, chosen by MAIL_TRANSPORT:
+ * - smtp:    real delivery via SMTP_HOST/SMTP_PORT (npm run mail:sink runs a local stand-in)
+ * - file:    writes each message as an .eml file under MAIL_FILE_DIR
+ * - console: prints each message to stdout (default, for development only -
+ *            refused when NODE_ENV=production, since it would put password
+ *            reset and verification links in the logs)
+ *
+ * Like notify(), sendMail() logs failures instead of throwing, so a mail
+ * outage never fails the request that triggered the email
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import { logError } from "../utils/logger.js";
+
+export const MAIL_CONFIG = {
+  transport: process.env.MAIL_TRANSPORT || "console",
+  from: process.env.MAIL_FROM || "SkillCast <no-reply@skillcast.local>",
+  fileDir: process.env.MAIL_FILE_DIR || "tmp/mail",
+  appUrl: process.env.APP_URL || "http://localhost:5173",
+};
+
+// Transport factories - each returns { send(message) } for a nodemailer message
+const TRANSPORTS = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT) || 2525,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+    return { send: (message) => transporter.sendMail(message) };
+  },
+
+  file: () => {
+    const transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: "unix",
+    });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        await fs.mkdir(MAIL_CONFIG.fileDir, { recursive: true });
+        const name = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`;
+        await fs.writeFile(path.join(MAIL_CONFIG.fileDir, name), info.message);
+        return info;
+      },
+    };
+  },
+
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        const { to, subject, text } = JSON.parse(info.message);
+        console.log(
+          `📧 [mail] to=${to.map((t) => t.address).join(",")} subject="${subject}"\n${text}`,
+        );
+        return info;
+      },
+    };
+  },
+};
+
+let activeTransport = null;
+
+/**
+ * Checks MAIL_TRANSPORT; app.js calls it at startup so a bad setting stops
+ * the server instead of the first email
+ *
+ * @throws {Error} - Unknown transport, or console in production
+ */
+export const assertMailConfig = () => {
+  if (!TRANSPORTS[MAIL_CONFIG.transport]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_CONFIG.transport}"`);
+  }
+  if (
+    process.env.NODE_ENV === "production" &&
+    MAIL_CONFIG.transport === "console"
+  ) {
+    throw new Error(
+      'MAIL_TRANSPORT "console" is not allowed in production; set MAIL_TRANSPORT to smtp or file',
+    );
+  }
+};
+
+/**
+ * Returns the configured transport, creating it on first use
+ *
+ * @returns {object} - { send(message) }
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    assertMailConfig();
+    activeTransport = TRANSPORTS[MAIL_CONFIG.transport]();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replaces the transport (e.g., with an in-memory one in scripts or tests)
+ *
+ * @param {object} transport - { send(message) }
+ */
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Sends one email
+ *
+ * @param {object} email
+ * @param {string} email.to - Recipient address
+ * @param {string} email.subject - Subject line
+ * @param {string} email.text - Plain-text body
+ * @returns {Promise<boolean>} - Whether the transport accepted the message
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  try {
+    await getTransport().send({ from: MAIL_CONFIG.from, to, subject, text });
+    return true;
+  } catch (err) {
+    logError("mailer.sendMail", err, { to, subject });
+    return false;
+  }
+};
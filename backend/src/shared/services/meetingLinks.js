@@ -0,0 +1,142 @@
+/**
+ * MEETING LINKS
+ * Checks cast meeting links against an allowlist of platforms and detects
+ * which platform a link belongs to (stored on casts.meeting_platform)
+ *
+ * Admins choose the allowed platforms; the choice lives in app_settings under
+ * "meeting_platforms". Only https links on a known platform's domain (or a
+ * subdomain of it, e.g. us02web.zoom.us) are accepted, which keeps
+ * javascript: URLs and look-alike phishing links out of the feed
+ */
+
+import { getSetting } from "./settings.js";
+
+export const MEETING_PLATFORMS_KEY = "meeting_platforms";
+
+// Known platforms: key → display label and the domains its links use
+export const MEETING_PLATFORMS = {
+  zoom: { label: "Zoom", domains: ["zoom.us"] },
+  meet: { label: "Google Meet", domains: ["meet.google.com"] },
+  teams: {
+    label: "Microsoft Teams",
+    domains: ["teams.microsoft.com", "teams.live.com"],
+  },
+  jitsi: { label: "Jitsi Meet", domains: ["meet.jit.si"] },
+  youtube: { label: "YouTube", domains: ["youtube.com", "youtu.be"] },
+  twitch: { label: "Twitch", domains: ["twitch.tv"] },
+  discord: { label: "Discord", domains: ["discord.gg", "discord.com"] },
+  vimeo: { label: "Vimeo", domains: ["vimeo.com"] },
+};
+
+// Every known platform is allowed until an admin narrows the list
+export const DEFAULT_MEETING_PLATFORMS = {
+  allowed: Object.keys(MEETING_PLATFORMS),
+};
+
+/**
+ * Validates admin input and fills missing fields from the defaults
+ *
+ * @param {object} input - { allowed: [platform key] }
+ * @returns {{ settings: object, errors: object }} - errors is keyed by field, empty when valid
+ */
+export const validateMeetingPlatforms = (input = {}) => {
+  const errors = {};
+  const allowed = input.allowed ?? DEFAULT_MEETING_PLATFORMS.allowed;
+
+  if (!Array.isArray(allowed)) {
+    errors.allowed = "Must be a list of platforms";
+  } else if (allowed.length === 0) {
+    errors.allowed = "Allow at least one platform";
+  } else {
+    // Own keys only, so inherited names like "constructor" are unknown
+    const unknown = allowed.filter(
+      (key) => !Object.hasOwn(MEETING_PLATFORMS, key),
+    );
+    if (unknown.length > 0) {
+      errors.allowed = `Unknown platform: ${unknown.join(", ")}`;
+    }
+  }
+
+  // Keep catalog order and drop duplicates
+  const settings = {
+    allowed: Array.isArray(allowed)
+      ? Object.keys(MEETING_PLATFORMS).filter((key) => allowed.includes(key))
+      : DEFAULT_MEETING_PLATFORMS.allowed,
+  };
+  if (!errors.allowed && settings.allowed.length === 0) {
+    errors.allowed = "Allow at least one platform";
+  }
+  return { settings, errors };
+};
+
+/**
+ * Finds the platform a link belongs to by its host name
+ *
+ * @param {string} link - Meeting URL
+ * @returns {string|null} - Key of MEETING_PLATFORMS, or null for unknown hosts and invalid URLs
+ *
+ * Example:
+ *   detectMeetingPlatform("https://us02web.zoom.us/j/123") // → "zoom"
+ *   detectMeetingPlatform("https://zoom.us.evil.example")  // → null
+ */
+export const detectMeetingPlatform = (link) => {
+  let host;
+  try {
+    host = new URL(link).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  if (host.startsWith("www.")) host = host.slice(4);
+
+  const match = Object.entries(MEETING_PLATFORMS).find(([, platform]) =>
+    platform.domains.some(
+      (domain) => host === domain || host.endsWith(`.${domain}`),
+    ),
+  );
+  return match ? match[0] : null;
+};
+
+/**
+ * Checks a meeting link against the allowed platforms
+ *
+ * @param {string} link - Meeting URL from the request
+ * @param {object} settings - Validated meeting platform settings
+ * @returns {{ platform: string }|{ error: string }} - Detected platform, or why the link was refused
+ */
+export const checkMeetingLink = (link, settings) => {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return { error: "Must be a valid URL" };
+  }
+  if (url.protocol !== "https:") {
+    return { error: "Must start with https://" };
+  }
+  // user:pass@host links hide the real host from a quick glance
+  if (url.username || url.password) {
+    return { error: "Must not contain a username or password" };
+  }
+
+  const platform = detectMeetingPlatform(link);
+  if (!platform || !settings.allowed.includes(platform)) {
+    const labels = settings.allowed.map((key) => MEETING_PLATFORMS[key].label);
+    return { error: `Use a link from: ${labels.join(", ")}` };
+  }
+  return { platform };
+};
+
+/**
+ * Loads the current settings, falling back to the defaults for anything unset
+ *
+ * @param {object} [client] - Transaction client; defaults to the pool
+ * @returns {Promise<object>} - Settings ready for checkMeetingLink
+ */
+export const loadMeetingPlatforms = async (client) => {
+  const setting = await getSetting(MEETING_PLATFORMS_KEY, client);
+  const { settings, errors } = validateMeetingPlatforms(setting?.value);
+  // Stored settings are validated on write; fall back rather than block every link
+  return Object.keys(errors).length === 0
+    ? settings
+    : DEFAULT_MEETING_PLATFORMS;
+};
@@ -0,0 +1,148 @@
+/**
+ * NOTE ABUSE GUARD
+ * Stops notes from being used to farm credit for a cast host
+ *
+ * - Per-cast cap: a sender can only leave so many notes on one cast
+ * - Daily limit: only so many of a sender's notes pay credit per 24 hours
+ * - Credit rings: two accounts repeatedly noting each other's casts
+ *
+ * Daily-limit hits and rings are written to abuse_flags for admin review
+ * All checks take the createNote transaction client
+ */
+
+// Tunable limits (see .env.example)
+export const NOTE_LIMITS = {
+  maxNotesPerCast: Number(process.env.NOTE_MAX_PER_CAST) || 3,
+  dailyCreditedNotes: Number(process.env.NOTE_DAILY_CREDIT_LIMIT) || 20,
+  ringMinNotes: Number(process.env.CREDIT_RING_MIN_NOTES) || 3,
+  ringWindowDays: Number(process.env.CREDIT_RING_WINDOW_DAYS) || 7,
+};
+
+// Kinds of flagged behaviour (mirrors the CHECK constraint in schema.sql)
+export const ABUSE_KINDS = {
+  DAILY_LIMIT: "DAILY_LIMIT", // Sender kept noting after the daily credited limit
+  CREDIT_RING: "CREDIT_RING", // Two users trading notes on each other's casts
+};
+
+/**
+ * Opens an abuse flag, or bumps the hit count of the matching open flag
+ * One open flag exists per kind and user pair (idx_abuse_flags_open)
+ *
+ * @param {object} client - Transaction client from withTransaction
+ * @param {object} flag - { kind, userId, relatedUserId, castId, details }
+ * @returns {Promise<object>} - The inserted or updated flag
+ */
+export const flagAbuse = async (
+  client,
+  { kind, userId, relatedUserId = null, castId = null, details = {} },
+) => {
+  const result = await client.query(
+    `INSERT INTO abuse_flags (kind, user_id, related_user_id, cast_id, details)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (kind, user_id, COALESCE(related_user_id, user_id)) WHERE status = 'OPEN'
+     DO UPDATE SET hits = abuse_flags.hits + 1,
+                   cast_id = EXCLUDED.cast_id,
+                   details = EXCLUDED.details,
+                   last_seen_at = NOW()
+     RETURNING *`,
+    [kind, userId, relatedUserId, castId, details],
+  );
+  return result.rows[0];
+};
+
+/**
+ * Decides whether a new note may be sent and whether it should pay credit
+ * Serializes notes per sender (advisory lock) so parallel requests can't slip past the counts
+ *
+ * @param {object} client - Transaction client from withTransaction
+ * @param {object} note - { senderId, castId }
+ * @returns {Promise<object>} - { allowed: false, error } or { allowed: true, credited }
+ */
+export const checkNoteLimits = async (client, { senderId, castId }) => {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+    `notes:${senderId}`,
+  ]);
+
+  const perCast = await client.query(
+    "SELECT COUNT(*)::int AS count FROM notes WHERE sender_id = $1 AND cast_id = $2",
+    [senderId, castId],
+  );
+  if (perCast.rows[0].count >= NOTE_LIMITS.maxNotesPerCast) {
+    return {
+      allowed: false,
+      error: `You can send at most ${NOTE_LIMITS.maxNotesPerCast} notes to one cast`,
+    };
+  }
+
+  // Rewards already paid on this sender's behalf in the last 24 hours
+  const daily = await client.query(
+    `SELECT COUNT(*)::int AS count
+     FROM credit_transactions
+     WHERE actor_id = $1
+       AND reason = 'NOTE_RECEIVED'
+       AND created_at > NOW() - INTERVAL '24 hours'`,
+    [senderId],
+  );
+  const creditedToday = daily.rows[0].count;
+  if (creditedToday >= NOTE_LIMITS.dailyCreditedNotes) {
+    await flagAbuse(client, {
+      kind: ABUSE_KINDS.DAILY_LIMIT,
+      userId: senderId,
+      castId,
+      details: {
+        credited_notes_24h: creditedToday,
+        limit: NOTE_LIMITS.dailyCreditedNotes,
+      },
+    });
+    return { allowed: true, credited: false };
+  }
+
+  return { allowed: true, credited: true };
+};
+
+/**
+ * Flags a credit ring when sender and host have both noted each other's casts
+ * at least ringMinNotes times within the ring window
+ * Detection only - the note still pays, admins decide what to do with the flag
+ *
+ * @param {object} client - Transaction client from withTransaction
+ * @param {object} pair - { senderId, creatorId, castId }
+ * @returns {Promise<object|null>} - The ring flag, or null if none was raised
+ */
+export const detectCreditRing = async (
+  client,
+  { senderId, creatorId, castId },
+) => {
+  if (senderId === creatorId) return null;
+
+  const result = await client.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE n.sender_id = $1 AND c.creator_id = $2)::int AS sent,
+       COUNT(*) FILTER (WHERE n.sender_id = $2 AND c.creator_id = $1)::int AS received
+     FROM notes n
+     JOIN casts c ON n.cast_id = c.id
+     WHERE n.created_at > NOW() - make_interval(days => $3)
+       AND ((n.sender_id = $1 AND c.creator_id = $2)
+         OR (n.sender_id = $2 AND c.creator_id = $1))`,
+    [senderId, creatorId, NOTE_LIMITS.ringWindowDays],
+  );
+
+  const { sent, received } = result.rows[0];
+  if (sent < NOTE_LIMITS.ringMinNotes || received < NOTE_LIMITS.ringMinNotes) {
+    return null;
+  }
+
+  // Order the pair so A→B and B→A share one open flag
+  const [userId, relatedUserId] = [senderId, creatorId].sort();
+  return flagAbuse(client, {
+    kind: ABUSE_KINDS.CREDIT_RING,
+    userId,
+    relatedUserId,
+    castId,
+    details: {
+      [senderId]: sent,
+      [creatorId]: received,
+      window_days: NOTE_LIMITS.ringWindowDays,
+    },
+  });
+};
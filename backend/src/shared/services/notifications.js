@@ -0,0 +1,113 @@
+/**
+ * NOTIFICATIONS SERVICE
+ * In-app notifications stored in the notifications table
+ *
+ * Producers call these helpers after the triggering request has succeeded.
+ * Each stored notification is also pushed to the recipient's open event
+ * streams as 'notification:created' so the navbar bell updates live.
+ * Like checkBadges(), failures are logged and never fail the request
+ */
+
+import { query } from "../config/db.js";
+import { sendToUser } from "../utils/realtime.js";
+import { logError } from "../utils/logger.js";
+
+// Notification types - stored in notifications.type
+export const NOTIFICATION_TYPES = {
+  NOTE_RECEIVED: "NOTE_RECEIVED", // Someone left a note on your cast
+  CAST_LIVE: "CAST_LIVE", // A creator you follow went live
+  ROLE_CHANGED: "ROLE_CHANGED", // An admin changed your role
+};
+
+// Columns returned to clients (joined with the actor and cast)
+export const NOTIFICATION_COLUMNS = `
+  n.id, n.type, n.data, n.read_at, n.created_at,
+  n.actor_id, a.username AS actor_username,
+  n.cast_id, c.title AS cast_title`;
+
+/**
+ * Loads notifications by id in the shape the API returns
+ *
+ * @param {string[]} ids - Notification UUIDs
+ * @returns {Promise<object[]>} - Joined notification rows
+ */
+const fetchNotifications = async (ids) => {
+  const result = await query(
+    `SELECT ${NOTIFICATION_COLUMNS}, n.user_id
+     FROM notifications n
+     LEFT JOIN users a ON n.actor_id = a.id
+     LEFT JOIN casts c ON n.cast_id = c.id
+     WHERE n.id = ANY($1::uuid[])`,
+    [ids],
+  );
+  return result.rows;
+};
+
+/**
+ * Pushes freshly stored notifications to their recipients
+ *
+ * @param {string[]} ids - Notification UUIDs
+ */
+const pushNotifications = async (ids) => {
+  if (ids.length === 0) return;
+  for (const { user_id, ...notification } of await fetchNotifications(ids)) {
+    sendToUser(user_id, "notification:created", notification);
+  }
+};
+
+/**
+ * Stores and pushes a notification for one user
+ * Actions a user takes on their own content don't notify them
+ *
+ * @param {object} notification
+ * @param {string} notification.userId - Recipient
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} [notification.actorId] - User who triggered it
+ * @param {string} [notification.castId] - Related cast
+ * @param {object} [notification.data] - Type-specific details
+ */
+export const notify = async ({
+  userId,
+  type,
+  actorId = null,
+  castId = null,
+  data = {},
+}) => {
+  if (!userId || userId === actorId) return;
+
+  try {
+    const result = await query(
+      `INSERT INTO notifications (user_id, type, actor_id, cast_id, data)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [userId, type, actorId, castId, data],
+    );
+    await pushNotifications(result.rows.map((r) => r.id));
+  } catch (err) {
+    logError("notifications.notify", err, { userId, type });
+  }
+};
+
+/**
+ * Tells a cast creator's followers that the cast is live
+ * Each follower hears about a cast once, even if it is paused and resumed
+ *
+ * @param {string} castId - Cast that just went LIVE
+ */
+export const notifyFollowersLive = async (castId) => {
+  try {
+    const result = await query(
+      `INSERT INTO notifications (user_id, type, actor_id, cast_id)
+       SELECT f.follower_id, $2, c.creator_id, c.id
+       FROM casts c
+       JOIN follows f ON f.followee_id = c.creator_id
+       WHERE c.id = $1 AND c.status = 'LIVE'
+       ON CONFLICT (user_id, cast_id) WHERE type = 'CAST_LIVE' DO NOTHING
+       RETURNING id`,
+      [castId, NOTIFICATION_TYPES.CAST_LIVE],
+    );
+    await pushNotifications(result.rows.map((r) => r.id));
+  } catch (err) {
+    logError("notifications.notifyFollowersLive", err, { castId });
+  }
+};
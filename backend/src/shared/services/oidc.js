@@ -0,0 +1,228 @@
+/**
+ * OPENID CONNECT CLIENT
+ * Generic "Sign in with ..." support for any OIDC provider (authorization
+ * code flow with PKCE), configured entirely through environment variables:
+ *
+ *   OIDC_PROVIDERS=google,mock          - Provider ids, in button order
+ *   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+ *   OIDC_GOOGLE_CLIENT_ID=...
+ *   OIDC_GOOGLE_CLIENT_SECRET=...       - Optional for public clients
+ *   OIDC_GOOGLE_NAME=Google             - Button label (default: the id)
+ *   OIDC_GOOGLE_SCOPES=openid email profile
+ *
+ * Endpoints come from the issuer's discovery document and ID tokens are
+ * verified against its JWKS, so nothing here is provider-specific
+ * (npm run oidc:mock runs a local issuer to test against)
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// The provider sends the browser back to this frontend route
+export const OIDC_REDIRECT_URI = `${process.env.APP_URL || "http://localhost:5173"}/auth/oidc/callback`;
+
+// Signature algorithms accepted on ID tokens
+const ID_TOKEN_ALGORITHMS = ["RS256", "ES256"];
+
+// Requests to the provider give up after this long
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Reads one provider's settings from OIDC_<ID>_* variables
+ *
+ * @param {string} id - Provider id from OIDC_PROVIDERS
+ * @returns {object|null} - Provider config, or null when incomplete
+ */
+const readProvider = (id) => {
+  const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+  const issuer = process.env[`${prefix}ISSUER`];
+  const clientId = process.env[`${prefix}CLIENT_ID`];
+  if (!issuer || !clientId) return null;
+
+  return {
+    id,
+    name: process.env[`${prefix}NAME`] || id,
+    issuer,
+    clientId,
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+    scopes: process.env[`${prefix}SCOPES`] || "openid email profile",
+  };
+};
+
+// Configured providers by id (incomplete entries are skipped)
+const PROVIDERS = new Map(
+  (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean)
+    .map(readProvider)
+    .filter(Boolean)
+    .map((provider) => [provider.id, provider]),
+);
+
+/**
+ * Lists the configured providers for the login buttons
+ *
+ * @returns {object[]} - [{ id, name }]
+ */
+export const listOidcProviders = () =>
+  [...PROVIDERS.values()].map(({ id, name }) => ({ id, name }));
+
+/**
+ * Looks up a configured provider
+ *
+ * @param {string} id - Provider id
+ * @returns {object|null} - Provider config
+ */
+export const getOidcProvider = (id) =>
+  PROVIDERS.get(String(id).toLowerCase()) || null;
+
+/**
+ * Fetches JSON from the provider
+ *
+ * @param {string} url - Request URL
+ * @param {object} [options] - fetch options
+ * @returns {Promise<object>} - Parsed body
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: "application/json", ...options.headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(
+      `OIDC request to ${url} failed (${response.status}): ${body.error_description || body.error || "no details"}`,
+    );
+  }
+  return body;
+};
+
+// Discovery documents and signing keys by provider id
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Loads the provider's discovery document (cached; retried after a failure)
+ *
+ * @param {object} provider - Provider config
+ * @returns {Promise<object>} - openid-configuration
+ */
+const discover = (provider) => {
+  if (!discoveryCache.has(provider.id)) {
+    const pending = fetchJson(
+      `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`,
+    ).catch((err) => {
+      discoveryCache.delete(provider.id);
+      throw err;
+    });
+    discoveryCache.set(provider.id, pending);
+  }
+  return discoveryCache.get(provider.id);
+};
+
+/**
+ * Finds the public key an ID token was signed with
+ * The JWKS is refetched once when the key id is unknown (key rotation)
+ *
+ * @param {object} provider - Provider config
+ * @param {string} kid - Key id from the token header
+ * @returns {Promise<crypto.KeyObject>} - Public key
+ */
+const getSigningKey = async (provider, kid) => {
+  for (const refresh of [false, true]) {
+    if (refresh || !jwksCache.has(provider.id)) {
+      const { jwks_uri } = await discover(provider);
+      jwksCache.set(provider.id, (await fetchJson(jwks_uri)).keys || []);
+    }
+    const jwk = jwksCache
+      .get(provider.id)
+      .find((key) => !kid || key.kid === kid);
+    if (jwk) return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+  throw new Error(`No signing key "${kid}" in ${provider.id} JWKS`);
+};
+
+/**
+ * Creates a PKCE verifier and its S256 challenge
+ *
+ * @returns {object} - { verifier, challenge }
+ */
+export const createPkcePair = () => {
+  const verifier = crypto.randomBytes(32).toString("base64url");
+  const challenge = crypto
+    .createHash("sha256")
+    .update(verifier)
+    .digest("base64url");
+  return { verifier, challenge };
+};
+
+/**
+ * Builds the URL that sends the browser to the provider's login page
+ *
+ * @param {object} provider - Provider config
+ * @param {object} params - { state, nonce, codeChallenge }
+ * @returns {Promise<string>} - Authorization URL
+ */
+export const buildAuthorizationUrl = async (
+  provider,
+  { state, nonce, codeChallenge },
+) => {
+  const { authorization_endpoint } = await discover(provider);
+  const url = new URL(authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+  return url.toString();
+};
+
+/**
+ * Exchanges an authorization code and returns the verified ID token claims
+ *
+ * @param {object} provider - Provider config
+ * @param {object} params - { code, codeVerifier, nonce } (nonce from the login state)
+ * @returns {Promise<object>} - Claims (sub, email, email_verified, name, ...)
+ */
+export const exchangeCode = async (provider, { code, codeVerifier, nonce }) => {
+  const { token_endpoint, issuer } = await discover(provider);
+
+  const tokens = await fetchJson(token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: OIDC_REDIRECT_URI,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier,
+      ...(provider.clientSecret
+        ? { client_secret: provider.clientSecret }
+        : {}),
+    }),
+  });
+  if (!tokens.id_token) {
+    throw new Error(`${provider.id} token response has no id_token`);
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) throw new Error(`${provider.id} returned a malformed id_token`);
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: issuer || provider.issuer,
+    audience: provider.clientId,
+  });
+  if (claims.nonce !== nonce) {
+    throw new Error(`${provider.id} id_token nonce mismatch`);
+  }
+  return claims;
+};
@@ -0,0 +1,54 @@
+/**
+ * SECURITY EVENTS
+ * Append-only log of authentication events for admins (failed logins,
+ * throttling, lockouts), stored in security_events
+ *
+ * Like notify(), recording never fails the request that triggered it
+ */
+
+import { query } from "../config/db.js";
+import { logError } from "../utils/logger.js";
+
+// Event types - stored in security_events.type
+export const SECURITY_EVENT_TYPES = {
+  LOGIN_FAILED: "LOGIN_FAILED", // Wrong password or unknown email
+  MFA_FAILED: "MFA_FAILED", // Wrong two-factor or recovery code
+  LOGIN_THROTTLED: "LOGIN_THROTTLED", // Attempt refused by backoff, lockout or the IP limit
+  ACCOUNT_LOCKED: "ACCOUNT_LOCKED", // Too many failures - account locked for a while
+  ACCOUNT_UNLOCKED: "ACCOUNT_UNLOCKED", // An admin lifted a lockout
+};
+
+/**
+ * Stores one security event
+ *
+ * @param {object} event
+ * @param {string} event.type - One of SECURITY_EVENT_TYPES
+ * @param {string} [event.userId] - Account involved, when known
+ * @param {string} [event.email] - Email the attempt used
+ * @param {object} [event.req] - Request, for the client IP and user agent
+ * @param {object} [event.details] - Type-specific details
+ */
+export const recordSecurityEvent = async ({
+  type,
+  userId = null,
+  email = null,
+  req = null,
+  details = {},
+}) => {
+  try {
+    await query(
+      `INSERT INTO security_events (type, user_id, email, ip, user_agent, details)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        type,
+        userId,
+        email,
+        req?.ip || null,
+        (req?.get("user-agent") || "").slice(0, 512) || null,
+        details,
+      ],
+    );
+  } catch (err) {
+    logError("securityEvents.recordSecurityEvent", err, { type, userId });
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * APP SETTINGS SERVICE
+ * Admin-tunable configuration stored as JSONB rows in app_settings
+ * Callers supply their own defaults - a missing row means "use the defaults"
+ */
+
+import { query } from "../config/db.js";
+
+/**
+ * Reads one setting
+ *
+ * @param {string} key - Setting key (e.g., "credit_rules")
+ * @param {object} [client] - Transaction client; defaults to the pool
+ * @returns {Promise<object|null>} - { value, updated_at, updated_by }, or null if never set
+ */
+export const getSetting = async (key, client) => {
+  const run = client ? client.query.bind(client) : query;
+  const result = await run(
+    "SELECT value, updated_at, updated_by FROM app_settings WHERE key = $1",
+    [key],
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Creates or replaces one setting
+ *
+ * @param {string} key - Setting key
+ * @param {object} value - JSON-serializable value
+ * @param {string} actorId - Admin making the change
+ * @returns {Promise<object>} - Stored row
+ */
+export const setSetting = async (key, value, actorId) => {
+  const result = await query(
+    `INSERT INTO app_settings (key, value, updated_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (key) DO UPDATE
+       SET value = EXCLUDED.value,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = NOW()
+     RETURNING *`,
+    [key, JSON.stringify(value), actorId],
+  );
+  return result.rows[0];
+};
@@ -0,0 +1,106 @@
+/**
+ * AUTH COOKIE HELPERS
+ * Cookie mode (AUTH_COOKIE_MODE=true) keeps the refresh token out of
+ * JavaScript: login/refresh set it as an httpOnly cookie scoped to /api/auth,
+ * and logout clears it. A readable CSRF cookie is set alongside it for the
+ * double-submit check in csrfMiddleware.js.
+ *
+ * With cookie mode off, tokens travel in request/response bodies as before
+ *
+ * The OpenID Connect binding cookie is set in both modes: it ties a started
+ * provider sign-in to the browser that started it (see oidcController.js)
+ */
+
+import { generateToken } from "./tokens.js";
+
+export const AUTH_COOKIE_MODE = process.env.AUTH_COOKIE_MODE === "true";
+
+export const REFRESH_COOKIE = "skillcast_refresh";
+export const CSRF_COOKIE = "skillcast_csrf";
+export const CSRF_HEADER = "x-csrf-token";
+export const OIDC_BINDING_COOKIE = "skillcast_oidc";
+
+// Matches the refresh token lifetime in authController.js
+const COOKIE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const baseCookieOptions = () => ({
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || "strict",
+  secure: process.env.NODE_ENV === "production",
+});
+
+/**
+ * Sets the refresh token and CSRF cookies (cookie mode only)
+ * An existing CSRF token is kept so in-flight requests stay valid
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {string} refreshToken - Newly issued refresh token
+ */
+export const setAuthCookies = (req, res, refreshToken) => {
+  if (!AUTH_COOKIE_MODE) return;
+
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    path: "/api/auth",
+    maxAge: COOKIE_MAX_AGE_MS,
+  });
+  res.cookie(CSRF_COOKIE, req.cookies?.[CSRF_COOKIE] || generateToken(), {
+    ...baseCookieOptions(),
+    httpOnly: false, // The frontend reads it and echoes it in X-CSRF-Token
+    path: "/",
+    maxAge: COOKIE_MAX_AGE_MS,
+  });
+};
+
+/**
+ * Clears the refresh token and CSRF cookies (cookie mode only)
+ *
+ * @param {object} res - Express response object
+ */
+export const clearAuthCookies = (res) => {
+  if (!AUTH_COOKIE_MODE) return;
+
+  res.clearCookie(REFRESH_COOKIE, {
+    ...baseCookieOptions(),
+    path: "/api/auth",
+  });
+  res.clearCookie(CSRF_COOKIE, { ...baseCookieOptions(), path: "/" });
+};
+
+/**
+ * Reads the refresh token from the cookie (cookie mode) or the request body
+ *
+ * @param {object} req - Express request object
+ * @returns {string|undefined} - Refresh token, if any
+ */
+export const readRefreshToken = (req) =>
+  (AUTH_COOKIE_MODE && req.cookies?.[REFRESH_COOKIE]) || req.body?.token;
+
+/**
+ * Sets the cookie that binds a started provider sign-in to this browser
+ *
+ * @param {object} res - Express response object
+ * @param {string} value - Random binding value (its hash is kept with the state)
+ * @param {number} maxAgeMs - How long the sign-in may take
+ */
+export const setOidcBindingCookie = (res, value, maxAgeMs) => {
+  res.cookie(OIDC_BINDING_COOKIE, value, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    path: "/api/auth/oidc",
+    maxAge: maxAgeMs,
+  });
+};
+
+/**
+ * Clears the provider sign-in binding cookie
+ *
+ * @param {object} res - Express response object
+ */
+export const clearOidcBindingCookie = (res) => {
+  res.clearCookie(OIDC_BINDING_COOKIE, {
+    ...baseCookieOptions(),
+    path: "/api/auth/oidc",
+  });
+};
@@ -1,3 +1,18 @@
 // Shared Utils Exports
 export { logError } from "./logger.js";
 export { default as logError } from "./logger.js";
+export { addClient, removeClient, broadcast, sendToUser } from "./realtime.js";
+export { encodeCursor, decodeCursor, parseLimit } from "./pagination.js";
+export {
+  HEADLINE_OPTIONS,
+  toPrefixTsQuery,
+  omitSearchVector,
+} from "./search.js";
+export { generateToken, hashToken } from "./tokens.js";
+export { generateTotpSecret, verifyTotp, totpUri } from "./totp.js";
+export {
+  AUTH_COOKIE_MODE,
+  setAuthCookies,
+  clearAuthCookies,
+  readRefreshToken,
+} from "./authCookies.js";
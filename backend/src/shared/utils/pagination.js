@@ -0,0 +1,78 @@
+/**
+ * CURSOR PAGINATION HELPERS
+ * Opaque cursors for keyset ("seek") pagination
+ * A cursor is the sort key of the last row on the previous page, base64url encoded
+ */
+
+// Cursor fields end up in ::timestamptz / ::uuid / ::int casts, so they are
+// checked here rather than left for Postgres to reject with a 500
+const TIMESTAMP_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})[ T]([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2}){0,2})?$/;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_INT = 2147483647;
+
+/**
+ * Checks a timestamp as Postgres prints it (timestamptz::text) or as ISO 8601
+ *
+ * @param {*} value - Cursor ts field
+ * @returns {boolean} - True for a real calendar date and time
+ */
+const isTimestamp = (value) => {
+  const match = typeof value === "string" && TIMESTAMP_PATTERN.exec(value);
+  if (!match) return false;
+
+  // Reject days the month doesn't have (e.g. 2026-02-31)
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Encodes sort key values into an opaque cursor string
+ *
+ * @param {object} values - Sort key of the last row (e.g., { ts, id })
+ * @returns {string} - base64url cursor
+ */
+export const encodeCursor = (values) =>
+  Buffer.from(JSON.stringify(values)).toString("base64url");
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * Every cursor carries ts (timestamp) and id (UUID); sorted feeds add k (integer)
+ *
+ * @param {string} cursor - base64url cursor from the client
+ * @returns {object|null} - Sort key values, or null if malformed
+ */
+export const decodeCursor = (cursor) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch {
+    return null;
+  }
+  if (!values || typeof values !== "object") return null;
+  if (!isTimestamp(values.ts) || !UUID_PATTERN.test(values.id)) return null;
+  if (
+    values.k !== undefined &&
+    !(Number.isInteger(values.k) && Math.abs(values.k) <= MAX_INT)
+  ) {
+    return null;
+  }
+  return values;
+};
+
+/**
+ * Parses a page size, falling back to a default and capping at a maximum
+ *
+ * @param {string|number} limit - Requested page size
+ * @param {number} fallback - Default page size
+ * @param {number} max - Largest allowed page size
+ * @returns {number} - Page size between 1 and max
+ */
+export const parseLimit = (limit, fallback = 20, max = 50) => {
+  const n = parseInt(limit, 10);
+  if (Number.isNaN(n) || n < 1) return fallback;
+  return Math.min(n, max);
+};
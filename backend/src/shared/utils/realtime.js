@@ -0,0 +1,94 @@
+/**
+ * REAL-TIME EVENT HUB
+ * Server-Sent Events (SSE) connection registry and broadcaster
+ * Controllers publish events here; connected browsers receive them instantly
+ *
+ * Streams opened with a valid token also receive that user's private events
+ * (see sendToUser)
+ *
+ * Wire format (one event):
+ *   event: cast:updated
+ *   data: {"id":"...","status":"LIVE"}
+ */
+
+import { randomUUID } from "crypto";
+
+// Connected clients: id -> { res, userId }
+const clients = new Map();
+
+// Keep-alive interval so proxies don't close idle connections
+const HEARTBEAT_MS = 25 * 1000;
+let heartbeat = null;
+
+/**
+ * Writes a single SSE frame to a response stream
+ *
+ * @param {object} res - Express response object (open event stream)
+ * @param {string} event - Event name (e.g., 'cast:updated')
+ * @param {object} data - JSON-serializable payload
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Starts the shared heartbeat timer when the first client connects
+ */
+const ensureHeartbeat = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    for (const { res } of clients.values()) res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+  // Don't keep the process alive just for heartbeats
+  heartbeat.unref();
+};
+
+/**
+ * Registers an open SSE response as a client
+ *
+ * @param {object} res - Express response object with SSE headers sent
+ * @param {string} userId - Authenticated user id, if known
+ * @returns {string} - Client id (pass to removeClient on disconnect)
+ */
+export const addClient = (res, userId = null) => {
+  const id = randomUUID();
+  clients.set(id, { res, userId });
+  ensureHeartbeat();
+  return id;
+};
+
+/**
+ * Removes a client after its connection closes
+ *
+ * @param {string} id - Client id returned by addClient
+ */
+export const removeClient = (id) => {
+  clients.delete(id);
+  if (clients.size === 0 && heartbeat) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+/**
+ * Sends an event to every connected client
+ *
+ * @param {string} event - Event name (e.g., 'cast:created')
+ * @param {object} data - JSON-serializable payload
+ */
+export const broadcast = (event, data) => {
+  for (const { res } of clients.values()) writeEvent(res, event, data);
+};
+
+/**
+ * Sends an event only to the streams opened by one user
+ *
+ * @param {string} userId - Recipient user id
+ * @param {string} event - Event name (e.g., 'notification:created')
+ * @param {object} data - JSON-serializable payload
+ */
+export const sendToUser = (userId, event, data) => {
+  for (const client of clients.values()) {
+    if (client.userId === userId) writeEvent(client.res, event, data);
+  }
+};
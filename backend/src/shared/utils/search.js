@@ -0,0 +1,45 @@
+/**
+ * FULL-TEXT SEARCH HELPERS
+ * Builds Postgres tsquery strings from free-text user input
+ * Used by /api/search and the cast feed's `q` filter
+ */
+
+// Highlight markers returned by ts_headline (the frontend renders them as text, never HTML)
+export const HEADLINE_OPTIONS =
+  "StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10, MaxFragments=2";
+
+// Longest search input we turn into query terms
+const MAX_TERMS = 8;
+
+/**
+ * Converts free text into a prefix-matching tsquery
+ * Only letters and digits survive, so tsquery operators typed by users can't break the query
+ *
+ * Example: "react hoo" -> "react:* & hoo:*"
+ *
+ * @param {string} text - Raw search input
+ * @returns {string|null} - tsquery for to_tsquery('english', ...), or null if nothing searchable
+ */
+export const toPrefixTsQuery = (text) => {
+  const terms = String(text || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+
+  if (!terms) return null;
+  return terms
+    .slice(0, MAX_TERMS)
+    .map((term) => `${term}:*`)
+    .join(" & ");
+};
+
+/**
+ * Removes the generated search_vector column from a row before it is sent to clients
+ *
+ * @param {object} row - Database row (e.g., from SELECT c.*)
+ * @returns {object} - Row without search_vector
+ */
+export const omitSearchVector = (row) => {
+  if (!row) return row;
+  const { search_vector, ...rest } = row;
+  return rest;
+};
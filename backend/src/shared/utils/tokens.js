@@ -0,0 +1,25 @@
+/**
+ * ONE-TIME TOKEN HELPERS
+ * Random tokens for emailed links (e.g., password reset)
+ * Only the SHA-256 hash is stored, so a leaked table can't be replayed
+ */
+
+import crypto from "crypto";
+
+/**
+ * Generates a random URL-safe token
+ *
+ * @param {number} bytes - Random bytes (default 32 = 256 bits)
+ * @returns {string} - base64url token to send to the user
+ */
+export const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+/**
+ * Hashes a token for storage and lookup
+ *
+ * @param {string} token - Token from generateToken (or from the user)
+ * @returns {string} - Hex SHA-256 digest
+ */
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
@@ -0,0 +1,229 @@
+/**
+ * CREDIT RULES TESTS
+ * Covers calculateNoteReward and validateCreditRules (no database needed)
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_CREDIT_RULES,
+  calculateNoteReward,
+  validateCreditRules,
+} from "../src/shared/services/creditRules.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date("2026-01-31T12:00:00Z");
+
+/**
+ * Builds validated rules on top of the defaults
+ *
+ * @param {object} overrides - Fields to change
+ * @returns {object} - Rules ready for calculateNoteReward
+ */
+const makeRules = (overrides = {}) => {
+  const { rules, errors } = validateCreditRules(overrides);
+  assert.deepEqual(errors, {});
+  return rules;
+};
+
+/**
+ * Start time of a cast that is a number of days old at NOW
+ *
+ * @param {number} days - Cast age in days
+ * @returns {Date} - castStartedAt
+ */
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS);
+
+describe("calculateNoteReward", () => {
+  it("pays the base reward with the default rules", () => {
+    const result = calculateNoteReward(DEFAULT_CREDIT_RULES, {
+      category: "Tech",
+      castStartedAt: daysAgo(1),
+      isFirstNote: true,
+      now: NOW,
+    });
+    assert.deepEqual(result, { amount: 10, applied: [] });
+  });
+
+  describe("first-note bonus", () => {
+    const rules = makeRules({ first_note_bonus: 5 });
+
+    it("adds the bonus to the first note a cast receives", () => {
+      const result = calculateNoteReward(rules, {
+        isFirstNote: true,
+        now: NOW,
+      });
+      assert.deepEqual(result, { amount: 15, applied: ["first note +5"] });
+    });
+
+    it("pays later notes the base reward", () => {
+      const result = calculateNoteReward(rules, {
+        isFirstNote: false,
+        now: NOW,
+      });
+      assert.deepEqual(result, { amount: 10, applied: [] });
+    });
+  });
+
+  describe("category multiplier", () => {
+    const rules = makeRules({
+      category_multipliers: { Tech: 1.5, Music: 1, Cooking: 0 },
+    });
+
+    it("scales the reward for a matching category", () => {
+      const result = calculateNoteReward(rules, {
+        category: "Tech",
+        now: NOW,
+      });
+      assert.deepEqual(result, { amount: 15, applied: ["Tech x1.5"] });
+    });
+
+    it("ignores categories without a multiplier and multipliers of 1", () => {
+      for (const category of ["Art", "Music"]) {
+        const result = calculateNoteReward(rules, { category, now: NOW });
+        assert.deepEqual(result, { amount: 10, applied: [] });
+      }
+    });
+
+    it("applies the multiplier after the first-note bonus", () => {
+      const result = calculateNoteReward(
+        { ...rules, first_note_bonus: 2 },
+        { category: "Tech", isFirstNote: true, now: NOW },
+      );
+      assert.deepEqual(result, {
+        amount: 18,
+        applied: ["first note +2", "Tech x1.5"],
+      });
+    });
+
+    it("can switch rewards off for a category", () => {
+      const result = calculateNoteReward(rules, {
+        category: "Cooking",
+        now: NOW,
+      });
+      assert.deepEqual(result, { amount: 0, applied: ["Cooking x0"] });
+    });
+  });
+
+  describe("decay", () => {
+    const rules = makeRules({
+      decay: { grace_days: 7, half_life_days: 7, min_multiplier: 0.25 },
+    });
+
+    it("pays in full during the grace period", () => {
+      const result = calculateNoteReward(rules, {
+        castStartedAt: daysAgo(7),
+        now: NOW,
+      });
+      assert.deepEqual(result, { amount: 10, applied: [] });
+    });
+
+    it("halves the reward every half-life after the grace period", () => {
+      const result = calculateNoteReward(rules, {
+        castStartedAt: daysAgo(14),
+        now: NOW,
+      });
+      assert.deepEqual(result, { amount: 5, applied: ["decay x0.50"] });
+    });
+
+    it("never goes below the minimum multiplier", () => {
+      const result = calculateNoteReward(rules, {
+        castStartedAt: daysAgo(365),
+        now: NOW,
+      });
+      assert.deepEqual(result, { amount: 3, applied: ["decay x0.25"] });
+    });
+
+    it("is off when half_life_days is 0", () => {
+      const result = calculateNoteReward(
+        makeRules({ decay: { half_life_days: 0 } }),
+        { castStartedAt: daysAgo(365), now: NOW },
+      );
+      assert.deepEqual(result, { amount: 10, applied: [] });
+    });
+
+    it("skips casts without a start time", () => {
+      const result = calculateNoteReward(rules, { now: NOW });
+      assert.deepEqual(result, { amount: 10, applied: [] });
+    });
+  });
+});
+
+describe("validateCreditRules", () => {
+  it("fills every missing field from the defaults", () => {
+    assert.deepEqual(validateCreditRules(), {
+      rules: DEFAULT_CREDIT_RULES,
+      errors: {},
+    });
+  });
+
+  it("keeps default decay fields that were not given", () => {
+    const { rules } = validateCreditRules({ decay: { half_life_days: 3 } });
+    assert.deepEqual(rules.decay, {
+      ...DEFAULT_CREDIT_RULES.decay,
+      half_life_days: 3,
+    });
+  });
+
+  const invalidCases = [
+    {
+      name: "note_reward that is not a whole number",
+      input: { note_reward: 2.5 },
+      field: "note_reward",
+    },
+    {
+      name: "note_reward above the maximum",
+      input: { note_reward: 1001 },
+      field: "note_reward",
+    },
+    {
+      name: "negative first_note_bonus",
+      input: { first_note_bonus: -1 },
+      field: "first_note_bonus",
+    },
+    {
+      name: "first_note_bonus given as a string",
+      input: { first_note_bonus: "5" },
+      field: "first_note_bonus",
+    },
+    {
+      name: "category_multipliers that is not an object",
+      input: { category_multipliers: [1.5] },
+      field: "category_multipliers",
+    },
+    {
+      name: "category multiplier above the maximum",
+      input: { category_multipliers: { Tech: 11 } },
+      field: "category_multipliers.Tech",
+    },
+    {
+      name: "category multiplier that is not a number",
+      input: { category_multipliers: { Tech: "2" } },
+      field: "category_multipliers.Tech",
+    },
+    {
+      name: "negative grace_days",
+      input: { decay: { grace_days: -1 } },
+      field: "decay.grace_days",
+    },
+    {
+      name: "half_life_days above the maximum",
+      input: { decay: { half_life_days: 3651 } },
+      field: "decay.half_life_days",
+    },
+    {
+      name: "min_multiplier above 1",
+      input: { decay: { min_multiplier: 1.5 } },
+      field: "decay.min_multiplier",
+    },
+  ];
+
+  for (const { name, input, field } of invalidCases) {
+    it(`rejects ${name}`, () => {
+      const { errors } = validateCreditRules(input);
+      assert.deepEqual(Object.keys(errors), [field]);
+    });
+  }
+});
@@ -16,7 +16,7 @@
  * - Context providers at the top level for global state
  *
  * ROUTING STRUCTURE:
- * - Public: Home, Login, Public Profiles
+ * - Public: Home, Login, Password Reset, Email Verification, Public Profiles
  * - Protected: Create Cast, Profile Settings
  * - Admin: User Management
  *
@@ -39,15 +39,22 @@ import Protected from "../shared/layout/Protected";
 // LAYOUT COMPONENTS
 // Navbar: Main navigation bar with user controls
 import Navbar from "../shared/layout/Navbar";
+// VerifyEmailBanner: Reminder (with resend) while the user's email is unverified
+import VerifyEmailBanner from "../features/auth/components/VerifyEmailBanner";
 
 // PAGE COMPONENTS - Organized by feature
 import Home from "./Home"; // Landing page with feed
 import Login from "../features/auth/pages/Login"; // User authentication
+import ForgotPassword from "../features/auth/pages/ForgotPassword"; // Request a reset link
+import ResetPassword from "../features/auth/pages/ResetPassword"; // Set a new password
+import VerifyEmail from "../features/auth/pages/VerifyEmail"; // Confirm email address
+import OidcCallback from "../features/auth/pages/OidcCallback"; // Return from a sign-in provider
 import Profile from "../features/users/pages/Profile"; // Public user profiles
 import EditProfile from "../features/users/pages/EditProfile"; // User settings
 import CreateCast from "../features/casts/pages/CreateCast"; // Create new skill posts
 import AdminUsers from "../features/users/pages/AdminUsers"; // Admin user management
 import AdminSkills from "../features/skills/pages/AdminSkills"; // Admin skill management
+import AdminSettings from "../features/settings/pages/AdminSettings"; // Admin credit rules
 /**
  * Main App Component - Application Entry Point
  *
@@ -81,6 +88,9 @@ function App() {
           {/* Progressive padding: 4px mobile → 6px tablet → 10px desktop */}
           {/* Progressive spacing: 8px mobile → 10px desktop vertical */}
           <main className="max-w-layout mx-auto px-4 md:px-6 lg:px-10 py-8 md:py-10">
+            {/* 📧 EMAIL VERIFICATION REMINDER */}
+            <VerifyEmailBanner />
+
             {/* 🛤️ APPLICATION ROUTES */}
             <Routes>
               {/* ================== PUBLIC ROUTES ================== */}
@@ -91,6 +101,14 @@ function App() {
 
               {/* 🔑 LOGIN PAGE - User authentication */}
               <Route path="/login" element={<Login />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+
+              {/* 📧 EMAIL VERIFICATION - Target of the emailed link */}
+              <Route path="/verify-email" element={<VerifyEmail />} />
+
+              {/* 🌐 PROVIDER SIGN-IN - Providers redirect here with ?code=&state= */}
+              <Route path="/auth/oidc/callback" element={<OidcCallback />} />
 
               {/* 👤 PUBLIC PROFILES - View other users' profiles */}
               <Route path="/profile/:id" element={<Profile />} />
@@ -134,6 +152,16 @@ function App() {
                 }
               />
 
+              {/* 💰 CREDIT RULES - Admin settings for note rewards */}
+              <Route
+                path="/admin/settings"
+                element={
+                  <Protected>
+                    <AdminSettings />
+                  </Protected>
+                }
+              />
+
               {/* ==================== 404 FALLBACK =================== */}
               {/* Catch-all route for undefined URLs */}
               {/* Uses path="*" to match any unmatched route */}
@@ -29,7 +29,7 @@
  */
 
 import React, { useState, useEffect } from "react";
-import { Link } from "react-router-dom";
+import { Link, useSearchParams } from "react-router-dom";
 import { Search, Award } from "lucide-react";
 
 // CONTEXT & HOOKS
@@ -60,7 +60,7 @@ import { Button } from "../shared/ui/Button";
  * STATE MANAGEMENT:
  * - user: Current user data from AuthContext
  * - activeChannel: Future feature for channel filtering (currently unused)
- * - searchQuery: Live search input for filtering casts
+ * - searchQuery: Live search input for filtering casts (synced to ?q= in the URL)
  */
 const Home = () => {
   // 🔐 ACCESS GLOBAL USER STATE
@@ -92,8 +92,11 @@ const Home = () => {
   const [activeChannel] = useState(null);
 
   // 🔍 SEARCH FUNCTIONALITY
-  // Live search state for filtering the cast feed
-  const [searchQuery, setSearchQuery] = useState("");
+  // Search text lives in the URL (?q=) so the navbar search can link into the feed
+  const [searchParams, setSearchParams] = useSearchParams();
+  const searchQuery = searchParams.get("q") || "";
+  const setSearchQuery = (q) =>
+    setSearchParams(q ? { q } : {}, { replace: true });
 
   // 📊 DISPLAY DATA
   // Use freshly fetched data if available, fall back to AuthContext user
@@ -0,0 +1,144 @@
+/**
+ * SKILLCAST LINKED ACCOUNTS - Profile Settings Card
+ *
+ * Lists the sign-in providers linked to the account (GET /api/auth/identities)
+ * and lets the user link more or unlink one. Linking leaves the app for the
+ * provider and comes back through /auth/oidc/callback (OidcCallback).
+ * Hidden when the backend has no providers configured.
+ */
+
+import React, { useEffect, useState } from "react";
+
+// AUTHENTICATION CONTEXT
+import { useAuth } from "../context/AuthContext";
+
+// API CLIENT
+import api from "../../../shared/api/axios";
+
+// UI COMPONENTS
+import { Button } from "../../../shared/ui/Button";
+
+// ICONS
+import { Link2 } from "lucide-react";
+
+/**
+ * LinkedAccounts Component - Linked providers with LINK / UNLINK actions
+ */
+export const LinkedAccounts = () => {
+  const { user } = useAuth();
+
+  // 🔗 IDENTITY STATE
+  const [providers, setProviders] = useState([]);
+  const [identities, setIdentities] = useState(null);
+  const [error, setError] = useState("");
+
+  // 📡 LOAD PROVIDERS + LINKED IDENTITIES (per logged-in user)
+  useEffect(() => {
+    const fetchIdentities = async () => {
+      try {
+        const [providersRes, identitiesRes] = await Promise.all([
+          api.get("/auth/oidc/providers"),
+          api.get("/auth/identities"),
+        ]);
+        setProviders(providersRes.data);
+        setIdentities(identitiesRes.data);
+      } catch (err) {
+        console.error("Error fetching linked accounts:", err);
+        setError("UNABLE_TO_LOAD_LINKED_ACCOUNTS");
+      }
+    };
+    if (user?.id) fetchIdentities();
+  }, [user?.id]);
+
+  if (providers.length === 0 && !error) return null;
+
+  const handleLink = async (provider) => {
+    setError("");
+    try {
+      // withCredentials: keeps the cookie binding the link to this browser
+      const res = await api.post(
+        `/auth/oidc/${provider.id}/link`,
+        {},
+        { withCredentials: true },
+      );
+      window.location.assign(res.data.url);
+    } catch (err) {
+      console.error("Error starting account link:", err);
+      setError(err.response?.data?.error || "PROVIDER_UNAVAILABLE");
+    }
+  };
+
+  const handleUnlink = async (identity) => {
+    setError("");
+    try {
+      await api.delete(`/auth/identities/${identity.id}`);
+      setIdentities((prev) => prev.filter((i) => i.id !== identity.id));
+    } catch (err) {
+      console.error("Error unlinking account:", err);
+      setError(err.response?.data?.error || "UNABLE_TO_UNLINK_ACCOUNT");
+    }
+  };
+
+  return (
+    <div className="bg-white border-3 border-ink p-8 rounded-[2.5rem] shadow-brutal-lg">
+      <header className="mb-8">
+        <h2 className="text-3xl font-black italic uppercase tracking-tighter flex items-center gap-3">
+          <Link2 size={26} /> LINKED_ACCOUNTS
+        </h2>
+        <p className="text-ink/50 font-bold text-xs uppercase tracking-widest">
+          SIGN_IN_WITH_OTHER_PROVIDERS
+        </p>
+      </header>
+
+      {error && (
+        <div className="mb-4 p-4 bg-pink text-white border-3 border-ink rounded-xl font-black text-xs uppercase">
+          {error}
+        </div>
+      )}
+
+      {identities && (
+        <ul className="space-y-4">
+          {identities.map((identity) => (
+            <li
+              key={identity.id}
+              className="flex items-center justify-between gap-4 p-4 border-3 border-ink rounded-xl"
+            >
+              <div className="flex flex-col min-w-0">
+                <span className="font-black uppercase text-sm">
+                  {identity.provider_name}
+                </span>
+                <span className="text-xs font-bold text-ink/60 truncate">
+                  {identity.email || "NO_EMAIL"} · LINKED{" "}
+                  {new Date(identity.created_at).toLocaleDateString()}
+                </span>
+              </div>
+              <Button
+                type="button"
+                variant="danger"
+                className="px-4 py-2 text-xs shrink-0"
+                onClick={() => handleUnlink(identity)}
+              >
+                UNLINK
+              </Button>
+            </li>
+          ))}
+
+          {providers.map((provider) => (
+            <li key={provider.id}>
+              <Button
+                type="button"
+                variant="outline"
+                className="w-full py-3 text-xs"
+                onClick={() => handleLink(provider)}
+              >
+                LINK_{provider.name.toUpperCase()}
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LinkedAccounts;
@@ -0,0 +1,90 @@
+/**
+ * SKILLCAST OIDC BUTTONS - "Sign in with <provider>" on the Login Page
+ *
+ * Lists the providers the backend has configured (GET /api/auth/oidc/providers)
+ * and renders nothing when there are none. A click asks the backend for the
+ * provider's authorization URL and leaves the app; the provider then sends the
+ * browser to /auth/oidc/callback (OidcCallback), which finishes the sign-in.
+ * The same buttons sign up new users.
+ */
+
+import React, { useEffect, useState } from "react";
+
+// API CLIENT
+import api from "../../../shared/api/axios";
+
+// UI COMPONENTS
+import { Button } from "../../../shared/ui/Button";
+
+// ICONS
+import { KeySquare } from "lucide-react";
+
+/**
+ * OidcButtons Component - One button per configured provider
+ *
+ * @param {string} returnTo - Path to open once signed in
+ * @param {Function} onError - Receives an error message
+ */
+export const OidcButtons = ({ returnTo, onError }) => {
+  // 🌐 PROVIDER STATE
+  const [providers, setProviders] = useState([]);
+  const [redirecting, setRedirecting] = useState(null);
+
+  // 📡 LOAD PROVIDERS
+  useEffect(() => {
+    const fetchProviders = async () => {
+      try {
+        const res = await api.get("/auth/oidc/providers");
+        setProviders(res.data);
+      } catch (err) {
+        console.error("Error fetching sign-in providers:", err);
+      }
+    };
+    fetchProviders();
+  }, []);
+
+  if (providers.length === 0) return null;
+
+  const handleClick = async (provider) => {
+    setRedirecting(provider.id);
+    try {
+      // withCredentials: the response sets the cookie that binds the sign-in
+      // to this browser, and the callback has to send it back
+      const res = await api.get(`/auth/oidc/${provider.id}/authorize`, {
+        withCredentials: true,
+      });
+      // Read back by OidcCallback after the provider redirects
+      sessionStorage.setItem("oidc_return_to", returnTo);
+      window.location.assign(res.data.url);
+    } catch (err) {
+      console.error("Error starting provider sign-in:", err);
+      onError(err.response?.data?.error || "PROVIDER_UNAVAILABLE");
+      setRedirecting(null);
+    }
+  };
+
+  return (
+    <div className="mt-6 space-y-3">
+      <p className="text-center text-[10px] font-black uppercase tracking-[0.2em] text-ink/50">
+        OR_CONTINUE_WITH
+      </p>
+      {providers.map((provider) => (
+        <Button
+          key={provider.id}
+          type="button"
+          variant="outline"
+          className="w-full py-3"
+          onClick={() => handleClick(provider)}
+          disabled={redirecting !== null}
+        >
+          <KeySquare size={18} />
+          {redirecting === provider.id
+            ? "REDIRECTING..."
+            : provider.name.toUpperCase()}
+        </Button>
+      ))}
+    </div>
+  );
+};
+
+export default OidcButtons;
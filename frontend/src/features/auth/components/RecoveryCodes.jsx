@@ -0,0 +1,72 @@
+/**
+ * SKILLCAST RECOVERY CODES - One-Time Display of Two-Factor Backup Codes
+ *
+ * The API returns recovery codes only when they are created (enabling
+ * two-factor auth or regenerating), so this is the user's one chance to
+ * save them. Each code logs in once in place of an authenticator code.
+ */
+
+import React, { useState } from "react";
+
+// UI COMPONENTS
+import { Button } from "../../../shared/ui/Button";
+
+// ICONS
+import { Copy, Check } from "lucide-react";
+
+/**
+ * RecoveryCodes Component - Code grid, copy button and a done action
+ *
+ * @param {string[]} codes - Recovery codes from the API
+ * @param {Function} onDone - Called when the user confirms they saved them
+ */
+export const RecoveryCodes = ({ codes, onDone }) => {
+  // 📋 COPY STATE
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+      setCopied(true);
+    } catch (err) {
+      console.error("Error copying recovery codes:", err);
+    }
+  };
+
+  return (
+    <div className="space-y-5">
+      <p className="text-xs font-bold text-ink/70">
+        Save these recovery codes somewhere safe. Each one works once if you
+        lose your authenticator app. They won't be shown again.
+      </p>
+
+      <ul className="grid grid-cols-2 gap-2 p-4 bg-offwhite border-3 border-ink rounded-xl font-mono font-bold text-sm">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+
+      <div className="flex gap-3">
+        <Button
+          type="button"
+          variant="outline"
+          className="flex-1 py-3"
+          onClick={handleCopy}
+        >
+          {copied ? <Check size={18} /> : <Copy size={18} />}
+          {copied ? "COPIED" : "COPY"}
+        </Button>
+        <Button
+          type="button"
+          variant="neon"
+          className="flex-1 py-3"
+          onClick={onDone}
+        >
+          I_SAVED_THEM
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,120 @@
+/**
+ * SKILLCAST TWO-FACTOR CHALLENGE - Second Login Step
+ *
+ * Shown by Login after the password checks out for an account with
+ * two-factor auth. Takes the authenticator app's code, or a recovery code
+ * if the app is lost, and finishes the login via completeMfaLogin.
+ */
+
+import React, { useState } from "react";
+
+// AUTHENTICATION CONTEXT
+import { useAuth } from "../context/AuthContext";
+
+// UI COMPONENTS
+import { Button } from "../../../shared/ui/Button";
+
+// ICONS
+import { KeyRound, ShieldCheck } from "lucide-react";
+
+/**
+ * TwoFactorChallenge Component - Code form with a recovery code fallback
+ *
+ * @param {string} mfaToken - mfa_token returned by login
+ * @param {Function} onSuccess - Called once the session has started
+ * @param {Function} onCancel - Back to the password form
+ */
+export const TwoFactorChallenge = ({ mfaToken, onSuccess, onCancel }) => {
+  const { completeMfaLogin } = useAuth();
+
+  // 🔢 FORM STATE
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [value, setValue] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setBusy(true);
+    try {
+      await completeMfaLogin(
+        mfaToken,
+        useRecovery ? { recovery_code: value } : { code: value },
+      );
+      onSuccess();
+    } catch (err) {
+      console.error("Two-factor login failed:", err);
+      setError(err.response?.data?.error || "INVALID_CODE");
+      setBusy(false);
+    }
+  };
+
+  const toggleRecovery = () => {
+    setUseRecovery((prev) => !prev);
+    setValue("");
+    setError("");
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {error && (
+        <div className="p-4 bg-pink text-white border-3 border-ink rounded-xl font-black text-xs uppercase animate-shake">
+          ERROR: {error}
+        </div>
+      )}
+
+      <p className="text-xs font-bold text-ink/70">
+        {useRecovery
+          ? "Enter one of your recovery codes. Each code works once."
+          : "Enter the 6-digit code from your authenticator app."}
+      </p>
+
+      <div className="relative">
+        <KeyRound
+          className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
+          size={18}
+        />
+        <input
+          type="text"
+          inputMode={useRecovery ? "text" : "numeric"}
+          autoComplete="one-time-code"
+          placeholder={useRecovery ? "xxxxx-xxxxx" : "6_digit_code"}
+          required
+          autoFocus
+          className="input-brutal pl-12"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+        />
+      </div>
+
+      <Button
+        type="submit"
+        variant="violet"
+        className="w-full py-4 text-lg"
+        disabled={busy}
+      >
+        <ShieldCheck size={20} /> {busy ? "CHECKING..." : "VERIFY"}
+      </Button>
+
+      <div className="flex justify-between">
+        <button
+          type="button"
+          onClick={toggleRecovery}
+          className="font-black uppercase text-[10px] tracking-[0.2em] underline decoration-violet decoration-2 underline-offset-4"
+        >
+          {useRecovery ? "USE_AUTHENTICATOR_CODE" : "USE_RECOVERY_CODE"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="font-black uppercase text-[10px] tracking-[0.2em] underline decoration-violet decoration-2 underline-offset-4"
+        >
+          BACK
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
@@ -0,0 +1,256 @@
+/**
+ * SKILLCAST TWO-FACTOR SETTINGS - Profile Settings Card
+ *
+ * Shows whether two-factor auth is on (GET /api/auth/2fa) and lets the user:
+ * - ENABLE it (TwoFactorSetup)
+ * - NEW_RECOVERY_CODES - replace the backup codes (needs a current code)
+ * - DISABLE it (needs a code; not offered to admins, who must keep it on)
+ */
+
+import React, { useEffect, useState } from "react";
+
+// AUTHENTICATION CONTEXT
+import { useAuth } from "../context/AuthContext";
+
+// API CLIENT
+import api from "../../../shared/api/axios";
+
+// UI COMPONENTS
+import { Button } from "../../../shared/ui/Button";
+import { TwoFactorSetup } from "./TwoFactorSetup";
+import { RecoveryCodes } from "./RecoveryCodes";
+
+// ICONS
+import { ShieldCheck, KeyRound } from "lucide-react";
+
+/**
+ * TwoFactorSettings Component - Status, setup and management actions
+ */
+export const TwoFactorSettings = () => {
+  const { user, setUser } = useAuth();
+
+  // 🛡️ STATUS STATE
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState("");
+
+  // 🧭 ACTION STATE - null | "setup" | "disable" | "regenerate"
+  const [mode, setMode] = useState(null);
+  const [code, setCode] = useState("");
+  const [newCodes, setNewCodes] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const res = await api.get("/auth/2fa");
+      setStatus(res.data);
+    } catch (err) {
+      console.error("Error fetching two-factor status:", err);
+      setError("UNABLE_TO_LOAD_TWO_FACTOR_STATUS");
+    }
+  };
+
+  // 📡 LOAD STATUS (per logged-in user)
+  useEffect(() => {
+    if (user?.id) fetchStatus();
+  }, [user?.id]);
+
+  // Keep the stored user's totp_enabled flag in sync
+  const updateStoredUser = (enabled) => {
+    setUser((prev) => {
+      const next = { ...prev, totp_enabled: enabled };
+      localStorage.setItem("user", JSON.stringify(next));
+      return next;
+    });
+  };
+
+  const openMode = (next) => {
+    setMode(next);
+    setCode("");
+    setError("");
+  };
+
+  const handleSetupComplete = () => {
+    openMode(null);
+    updateStoredUser(true);
+    fetchStatus();
+  };
+
+  const handleCodeAction = async (e) => {
+    e.preventDefault();
+    setError("");
+    setBusy(true);
+    try {
+      if (mode === "disable") {
+        // Six digits is an authenticator code; anything else a recovery code
+        await api.post(
+          "/auth/2fa/disable",
+          /^\d{6}$/.test(code) ? { code } : { recovery_code: code },
+        );
+        updateStoredUser(false);
+      } else {
+        const res = await api.post("/auth/2fa/recovery-codes", { code });
+        setNewCodes(res.data.recovery_codes);
+      }
+      openMode(null);
+      fetchStatus();
+    } catch (err) {
+      console.error("Error updating two-factor auth:", err);
+      setError(err.response?.data?.error || "INVALID_CODE");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (newCodes) {
+      return (
+        <RecoveryCodes codes={newCodes} onDone={() => setNewCodes(null)} />
+      );
+    }
+
+    if (mode === "setup") {
+      return (
+        <TwoFactorSetup
+          onComplete={handleSetupComplete}
+          onCancel={() => openMode(null)}
+        />
+      );
+    }
+
+    if (mode) {
+      return (
+        <form onSubmit={handleCodeAction} className="space-y-5">
+          <p className="text-xs font-bold text-ink/70">
+            {mode === "disable"
+              ? "Enter a code from your authenticator app (or a recovery code) to turn two-factor auth off."
+              : "Enter a code from your authenticator app. Your old recovery codes will stop working."}
+          </p>
+          <div className="relative">
+            <KeyRound
+              className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
+              size={18}
+            />
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              placeholder="code"
+              required
+              className="input-brutal pl-12"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          </div>
+          <div className="flex gap-3">
+            <Button
+              type="button"
+              variant="outline"
+              className="flex-1 py-3"
+              onClick={() => openMode(null)}
+            >
+              CANCEL
+            </Button>
+            <Button
+              type="submit"
+              variant={mode === "disable" ? "danger" : "cyan"}
+              className="flex-1 py-3"
+              disabled={busy}
+            >
+              {mode === "disable" ? "DISABLE" : "REGENERATE"}
+            </Button>
+          </div>
+        </form>
+      );
+    }
+
+    if (!status) {
+      return (
+        !error && (
+          <p className="text-xs font-black uppercase tracking-widest text-ink/50">
+            LOADING_TWO_FACTOR...
+          </p>
+        )
+      );
+    }
+
+    if (!status.enabled) {
+      return (
+        <div className="space-y-4">
+          <p className="text-xs font-bold text-ink/70">
+            Two-factor auth is off. Turn it on to require a code from your phone
+            when you log in.
+          </p>
+          <Button
+            type="button"
+            variant="violet"
+            className="w-full py-3"
+            onClick={() => openMode("setup")}
+          >
+            ENABLE_TWO_FACTOR
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <p className="font-black uppercase text-sm flex items-center gap-2">
+          <span className="px-2 py-0.5 bg-neon border-2 border-ink text-[0.6rem] tracking-widest">
+            ON
+          </span>
+          SINCE {new Date(status.enabled_at).toLocaleDateString()}
+        </p>
+        <p className="text-xs font-bold text-ink/60">
+          {status.recovery_codes_remaining} RECOVERY_CODES_LEFT
+        </p>
+        <div className="flex gap-3">
+          <Button
+            type="button"
+            variant="cyan"
+            className="flex-1 py-3 text-xs"
+            onClick={() => openMode("regenerate")}
+          >
+            NEW_RECOVERY_CODES
+          </Button>
+          {!status.required && (
+            <Button
+              type="button"
+              variant="danger"
+              className="flex-1 py-3 text-xs"
+              onClick={() => openMode("disable")}
+            >
+              DISABLE
+            </Button>
+          )}
+        </div>
+        {status.required && (
+          <p className="text-[0.6rem] font-black uppercase tracking-widest text-ink/50">
+            REQUIRED_FOR_ADMIN_ACCOUNTS
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white border-3 border-ink p-8 rounded-[2.5rem] shadow-brutal-lg">
+      <header className="mb-8">
+        <h2 className="text-3xl font-black italic uppercase tracking-tighter flex items-center gap-3">
+          <ShieldCheck size={26} /> TWO_FACTOR_AUTH
+        </h2>
+        <p className="text-ink/50 font-bold text-xs uppercase tracking-widest">
+          A_CODE_FROM_YOUR_PHONE_ON_EVERY_LOGIN
+        </p>
+      </header>
+
+      {error && (
+        <div className="mb-4 p-4 bg-pink text-white border-3 border-ink rounded-xl font-black text-xs uppercase">
+          {error}
+        </div>
+      )}
+
+      {renderBody()}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,171 @@
+/**
+ * SKILLCAST TWO-FACTOR SETUP - Authenticator App Enrollment
+ *
+ * 1. START_SETUP → POST /api/auth/2fa/enroll returns a secret + otpauth:// link
+ * 2. The user adds it to an authenticator app and types the current code
+ * 3. POST /api/auth/2fa/verify enables two-factor auth and returns recovery codes
+ *
+ * Works for a logged-in user (settings page) and for an admin mid-login:
+ * with mfaToken, requests send it instead of an access token and the verify
+ * response also carries the new session, which onComplete receives.
+ */
+
+import React, { useState } from "react";
+
+// API CLIENT
+import api from "../../../shared/api/axios";
+
+// UI COMPONENTS
+import { Button } from "../../../shared/ui/Button";
+import { RecoveryCodes } from "./RecoveryCodes";
+
+// ICONS
+import { KeyRound, Smartphone } from "lucide-react";
+
+/**
+ * TwoFactorSetup Component - Enroll → verify → recovery codes
+ *
+ * @param {string} [mfaToken] - Pending login token (admin setup during login)
+ * @param {Function} onComplete - Receives the verify response once codes are saved
+ * @param {Function} [onCancel] - Shown as a CANCEL link when given
+ */
+export const TwoFactorSetup = ({ mfaToken, onComplete, onCancel }) => {
+  // 🔑 ENROLLMENT STATE
+  const [enrollment, setEnrollment] = useState(null); // { secret, otpauth_url }
+  const [code, setCode] = useState("");
+  const [result, setResult] = useState(null); // Verify response
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  // Mid-login requests identify the user by mfa_token
+  const authBody = mfaToken ? { mfa_token: mfaToken } : {};
+
+  const handleStart = async () => {
+    setError("");
+    setBusy(true);
+    try {
+      const res = await api.post("/auth/2fa/enroll", authBody);
+      setEnrollment(res.data);
+    } catch (err) {
+      console.error("Error starting two-factor setup:", err);
+      setError(err.response?.data?.error || "UNABLE_TO_START_SETUP");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError("");
+    setBusy(true);
+    try {
+      const res = await api.post("/auth/2fa/verify", { ...authBody, code });
+      setResult(res.data);
+    } catch (err) {
+      console.error("Error verifying two-factor code:", err);
+      setError(err.response?.data?.error || "INVALID_CODE");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // 🧾 STEP 3: RECOVERY CODES
+  if (result) {
+    return (
+      <RecoveryCodes
+        codes={result.recovery_codes}
+        onDone={() => onComplete(result)}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-5">
+      {error && (
+        <div className="p-4 bg-pink text-white border-3 border-ink rounded-xl font-black text-xs uppercase">
+          {error}
+        </div>
+      )}
+
+      {!enrollment ? (
+        /* 🚀 STEP 1: START */
+        <>
+          <p className="text-xs font-bold text-ink/70">
+            Use an authenticator app (Google Authenticator, 1Password, Authy…)
+            to get a 6-digit code each time you log in.
+          </p>
+          <Button
+            type="button"
+            variant="violet"
+            className="w-full py-3"
+            onClick={handleStart}
+            disabled={busy}
+          >
+            <Smartphone size={18} /> {busy ? "STARTING..." : "START_SETUP"}
+          </Button>
+        </>
+      ) : (
+        /* 📱 STEP 2: ADD TO APP + VERIFY */
+        <form onSubmit={handleVerify} className="space-y-5">
+          <p className="text-xs font-bold text-ink/70">
+            Add this key to your authenticator app (or open the link on your
+            phone), then enter the code it shows.
+          </p>
+          <div className="p-4 bg-offwhite border-3 border-ink rounded-xl">
+            <span className="block text-[0.6rem] font-black uppercase tracking-widest text-ink/50 mb-1">
+              SETUP_KEY
+            </span>
+            <code className="font-mono font-bold text-sm break-all">
+              {enrollment.secret.match(/.{1,4}/g).join(" ")}
+            </code>
+          </div>
+          <a
+            href={enrollment.otpauth_url}
+            className="block font-black uppercase text-[10px] tracking-[0.2em] underline decoration-violet decoration-2 underline-offset-4"
+          >
+            OPEN_IN_AUTHENTICATOR_APP
+          </a>
+
+          <div className="relative">
+            <KeyRound
+              className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
+              size={18}
+            />
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="6_digit_code"
+              required
+              maxLength={6}
+              className="input-brutal pl-12"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+            />
+          </div>
+
+          <Button
+            type="submit"
+            variant="violet"
+            className="w-full py-3"
+            disabled={busy}
+          >
+            {busy ? "VERIFYING..." : "ENABLE_TWO_FACTOR"}
+          </Button>
+        </form>
+      )}
+
+      {onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          className="w-full font-black uppercase text-[10px] tracking-[0.2em] underline decoration-violet decoration-2 underline-offset-4"
+        >
+          CANCEL
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
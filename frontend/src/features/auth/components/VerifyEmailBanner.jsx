@@ -0,0 +1,66 @@
+/**
+ * SKILLCAST VERIFY EMAIL BANNER - Reminder for Unverified Accounts
+ *
+ * Shown above every page while the logged-in user's email is unverified
+ * (user.email_verified_at === null). Unverified accounts can't host casts or
+ * send notes. RESEND_LINK calls POST /api/auth/resend-verification, which the
+ * backend limits to one email per minute.
+ */
+
+import React, { useState } from "react";
+
+// AUTHENTICATION CONTEXT
+import { useAuth } from "../context/AuthContext";
+
+// API CLIENT
+import api from "../../../shared/api/axios";
+
+// ICONS
+import { MailWarning } from "lucide-react";
+
+/**
+ * VerifyEmailBanner Component - Notice with a resend button
+ */
+export const VerifyEmailBanner = () => {
+  const { user } = useAuth();
+
+  // 📨 RESEND STATE
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState("");
+
+  // Users restored from before verification existed have no field - treat as unknown
+  if (!user || user.email_verified_at !== null) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const res = await api.post("/auth/resend-verification");
+      setMessage(res.data.message);
+    } catch (err) {
+      console.error("Error resending verification email:", err);
+      setMessage(err.response?.data?.error || "FAILED_TO_SEND");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mb-8 p-4 bg-yellow border-3 border-ink shadow-brutal flex flex-col md:flex-row md:items-center gap-3">
+      <MailWarning size={22} className="shrink-0" />
+      <p className="flex-1 text-xs font-black uppercase tracking-widest">
+        {message ||
+          "VERIFY_YOUR_EMAIL_TO_HOST_CASTS_AND_SEND_NOTES - CHECK_YOUR_INBOX"}
+      </p>
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={sending}
+        className="font-black uppercase text-[10px] tracking-[0.2em] underline decoration-violet decoration-2 underline-offset-4 disabled:opacity-50"
+      >
+        {sending ? "SENDING..." : "RESEND_LINK"}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -12,13 +12,17 @@
  *
  * AUTHENTICATION FLOW:
  * 1. User logs in → tokens stored in localStorage + user state set
+ *    (with two-factor auth, login returns a challenge and completeMfaLogin
+ *    finishes it; admins without it enroll first - see TwoFactorSetup)
  * 2. App reload → attempts to refresh token if available
  * 3. API calls → automatically include access token (via axios interceptor)
- * 4. Token refresh → happens automatically when access token expires
+ * 4. Token refresh → happens automatically when access token expires;
+ *    each refresh also rotates the refresh token (see refreshSession)
  * 5. Logout → clears all local storage and resets state
  *
  * SECURITY CONSIDERATIONS:
- * - Tokens stored in localStorage (consider httpOnly cookies for production)
+ * - Tokens stored in localStorage, or in cookie mode (VITE_AUTH_COOKIE_MODE)
+ *   an httpOnly refresh cookie plus an in-memory access token
  * - Refresh tokens have longer expiration than access tokens
  * - All auth API calls go through configured axios instance
  * - Graceful handling of network failures during refresh
@@ -34,13 +38,13 @@
  * const { username, role, credit } = user;
  *
  * // Login/logout actions
- * await login(email, password);
+ * const challenge = await login(email, password); // null, or { mfa_token, ... }
+ * await completeMfaLogin(challenge.mfa_token, { code });
  * await logout();
  * ```
  *
  * TO EXTEND:
  * - Add role-based permission checks
- * - Implement password reset functionality
  * - Add user profile update methods
  * - Integrate with external auth providers (OAuth)
  */
@@ -50,7 +54,12 @@ import React, { createContext, useContext, useEffect, useState } from "react";
 // API CLIENT
 // Configured axios instance with base URL and interceptors
 // Automatically attaches auth tokens to requests
-import api from "../../../shared/api/axios";
+import api, {
+  AUTH_COOKIE_MODE,
+  refreshSession,
+  storeTokens,
+  clearTokens,
+} from "../../../shared/api/axios";
 
 // Create authentication context - will be provided at app root level
 const AuthContext = createContext(null);
@@ -89,7 +98,10 @@ export const AuthProvider = ({ children }) => {
     // 💾 RESTORE USER FROM STORAGE
     // Get previously stored user data (if any)
     const storedUser = localStorage.getItem("user");
-    const refreshToken = localStorage.getItem("refreshToken");
+    // Cookie mode can't see its httpOnly refresh cookie - a stored user means one may exist
+    const hasSession = AUTH_COOKIE_MODE
+      ? Boolean(storedUser)
+      : Boolean(localStorage.getItem("refreshToken"));
 
     // If we have user data, restore it immediately for fast UI
     if (storedUser) {
@@ -100,19 +112,15 @@ export const AuthProvider = ({ children }) => {
     // Try to refresh access token to ensure we're still authenticated
     const tryRefresh = async () => {
       // No refresh token = definitely not authenticated
-      if (!refreshToken) {
+      if (!hasSession) {
         setLoading(false);
         return;
       }
 
       try {
         // 📡 REFRESH ACCESS TOKEN
-        // Send refresh token to get new access token
-        const res = await api.post("/auth/refresh", { token: refreshToken });
-
-        // 💾 STORE NEW ACCESS TOKEN
-        // Keep user logged in with fresh token
-        localStorage.setItem("accessToken", res.data.accessToken);
+        // Rotates the refresh token and stores both new tokens
+        await refreshSession();
 
         // User data already restored above, just need token
       } catch (err) {
@@ -120,6 +128,7 @@ export const AuthProvider = ({ children }) => {
         console.error("Token refresh failed:", err);
         // Tokens are invalid/expired, force re-
         localStorage.clear();
+        clearTokens();
         setUser(null);
       } finally {
         // ✅ INITIALIZATION COMPLETE
@@ -132,6 +141,24 @@ export const AuthProvider = ({ children }) => {
     tryRefresh();
   }, []); // Empty dependency array = run once on mount
 
+  /**
+   * Start Session - Store a login response
+   * Used by login, completeMfaLogin and two-factor setup during login
+   *
+   * @param {Object} data - { accessToken, refreshToken, user } from the API
+   *   (cookie mode: no refreshToken - it was set as an httpOnly cookie)
+   */
+  const startSession = ({ accessToken, refreshToken, user: userPayload }) => {
+    // 💾 PERSIST TOKENS AND USER
+    // Store tokens and user data for session persistence
+    storeTokens({ accessToken, refreshToken });
+    localStorage.setItem("user", JSON.stringify(userPayload));
+
+    // 🔄 UPDATE REACT STATE
+    // Trigger re-render across app with user data
+    setUser(userPayload);
+  };
+
   /**
    * Login Method - Authenticate user with email and password
    *
@@ -141,8 +168,12 @@ export const AuthProvider = ({ children }) => {
    * 3. Store tokens and user data in localStorage
    * 4. Update React state with user data
    *
+   * TWO-FACTOR: when the backend answers { mfa_required | mfa_setup_required,
+   * mfa_token } nothing is stored and the challenge is returned instead
+   *
    * @param {string} email - User's email address
    * @param {string} password - User's password
+   * @returns {Promise<Object|null>} Two-factor challenge, or null when logged in
    * @throws {Error} Login API error (wrong credentials, network issues, etc.)
    */
   const login = async (email, password) => {
@@ -150,19 +181,11 @@ export const AuthProvider = ({ children }) => {
       // 📡 SEND LOGIN REQUEST
       const res = await api.post("/auth/login", { email, password });
 
-      // 📦 EXTRACT RESPONSE DATA
-      // Backend returns: { accessToken, refreshToken, user }
-      const { accessToken, refreshToken, user: userPayload } = res.data;
-
-      // 💾 PERSIST TO LOCAL STORAGE
-      // Store tokens and user data for session persistence
-      localStorage.setItem("accessToken", accessToken);
-      localStorage.setItem("refreshToken", refreshToken);
-      localStorage.setItem("user", JSON.stringify(userPayload));
+      // 🔐 SECOND STEP NEEDED
+      if (res.data.mfa_token) return res.data;
 
-      // 🔄 UPDATE REACT STATE
-      // Trigger re-render across app with user data
-      setUser(userPayload);
+      startSession(res.data);
+      return null;
     } catch (err) {
       // 🚫 LOGIN FAILED - Re-throw for component error handling
       console.error("Login failed:", err);
@@ -170,6 +193,21 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Complete MFA Login - Second login step with an authenticator or recovery code
+   *
+   * @param {string} mfaToken - mfa_token returned by login
+   * @param {Object} factor - { code } or { recovery_code }
+   * @throws {Error} Invalid code or expired login
+   */
+  const completeMfaLogin = async (mfaToken, factor) => {
+    const res = await api.post("/auth/login/2fa", {
+      mfa_token: mfaToken,
+      ...factor,
+    });
+    startSession(res.data);
+  };
+
   /**
    * Logout Method - Clear user session and invalidate tokens
    *
@@ -186,12 +224,15 @@ export const AuthProvider = ({ children }) => {
    */
   const logout = async () => {
     // 🎟️ GET REFRESH TOKEN for server invalidation
+    // (cookie mode: the server reads and clears the refresh cookie itself)
     const refreshToken = localStorage.getItem("refreshToken");
 
     try {
       // 📡 ATTEMPT SERVER LOGOUT
       // Tell server to invalidate the refresh token
-      if (refreshToken) {
+      if (AUTH_COOKIE_MODE) {
+        await api.post("/auth/logout");
+      } else if (refreshToken) {
         await api.post("/auth/logout", { token: refreshToken });
       }
     } catch (error) {
@@ -206,6 +247,7 @@ export const AuthProvider = ({ children }) => {
       // 🧹 ALWAYS CLEAR LOCAL DATA
       // This happens regardless of server response
       localStorage.clear(); // Remove all stored data
+      clearTokens(); // Forget the in-memory access token (cookie mode)
       setUser(null); // Reset user state to trigger re-render
     }
   };
@@ -213,7 +255,17 @@ export const AuthProvider = ({ children }) => {
   // 🎁 PROVIDE CONTEXT VALUE
   // Make auth state and methods available to all child components
   return (
-    <AuthContext.Provider value={{ user, setUser, login, logout, loading }}>
+    <AuthContext.Provider
+      value={{
+        user,
+        setUser,
+        login,
+        completeMfaLogin,
+        startSession,
+        logout,
+        loading,
+      }}
+    >
       {children}
     </AuthContext.Provider>
   );
@@ -228,7 +280,9 @@ export const AuthProvider = ({ children }) => {
  * RETURNS:
  * - user: Current user object or null
  * - setUser: Function to update user state (rarely used directly)
- * - login: Function to authenticate user
+ * - login: Function to authenticate user (returns a two-factor challenge if needed)
+ * - completeMfaLogin: Function to finish a two-factor login
+ * - startSession: Function to store a login response (two-factor setup)
  * - logout: Function to clear user session
  * - loading: Boolean indicating if initial auth check is in progress
  *
@@ -1,3 +1,13 @@
 // Auth Feature Exports
 export { AuthProvider, useAuth } from "./context/AuthContext";
 export { default as Login } from "./pages/Login";
+export { default as ForgotPassword } from "./pages/ForgotPassword";
+export { default as ResetPassword } from "./pages/ResetPassword";
+export { default as VerifyEmail } from "./pages/VerifyEmail";
+export { VerifyEmailBanner } from "./components/VerifyEmailBanner";
+export { TwoFactorChallenge } from "./components/TwoFactorChallenge";
+export { TwoFactorSetup } from "./components/TwoFactorSetup";
+export { TwoFactorSettings } from "./components/TwoFactorSettings";
+export { default as OidcCallback } from "./pages/OidcCallback";
+export { OidcButtons } from "./components/OidcButtons";
+export { LinkedAccounts } from "./components/LinkedAccounts";
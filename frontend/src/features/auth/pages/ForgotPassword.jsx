@@ -0,0 +1,126 @@
+/**
+ * SKILLCAST FORGOT PASSWORD PAGE - Request a Reset Link
+ *
+ * Sends the email to POST /api/auth/forgot-password. The backend answers the
+ * same way whether or not the account exists, so this page always shows the
+ * same confirmation - it never reveals which emails are registered.
+ *
+ * FLOW:
+ * 1. User enters their email
+ * 2. Backend emails a single-use link to /reset-password?token=...
+ * 3. ResetPassword page sets the new password
+ */
+
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+
+// API CLIENT
+import api from "../../../shared/api/axios";
+
+// UI COMPONENTS
+import { Button } from "../../../shared/ui/Button";
+
+// ICONS
+import { Mail, Send, KeyRound } from "lucide-react";
+
+/**
+ * ForgotPassword Component - Email form and confirmation
+ */
+const ForgotPassword = () => {
+  // 📝 FORM STATE
+  const [email, setEmail] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  // ✅ RESULT STATE - Confirmation message from the backend
+  const [sentMessage, setSentMessage] = useState("");
+
+  // ❌ ERROR HANDLING
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSubmitting(true);
+
+    try {
+      const res = await api.post("/auth/forgot-password", { email });
+      setSentMessage(res.data.message);
+    } catch (err) {
+      console.error("Password reset request failed:", err);
+      setError(err.response?.data?.error || "RESET_REQUEST_FAILED");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-[85vh] flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-white border-3 border-ink p-8 md:p-10 rounded-[2.5rem] shadow-brutal-lg relative overflow-hidden">
+        <div className="absolute top-[1rem] right-[1rem] w-[4.5rem] h-[4.5rem] bg-yellow border-3 border-ink rounded-full flex items-center justify-center shadow-brutal">
+          <KeyRound size={28} />
+        </div>
+
+        <header className="text-center mb-10">
+          <h2 className="text-4xl font-black italic uppercase tracking-tighter">
+            LOST_KEYS
+          </h2>
+          <p className="text-ink/60 font-bold text-xs uppercase mt-2 tracking-widest">
+            WE_WILL_EMAIL_A_RESET_LINK
+          </p>
+        </header>
+
+        {sentMessage ? (
+          /* ✅ CONFIRMATION - Same for every email */
+          <div className="p-4 bg-neon border-3 border-ink rounded-xl font-black text-xs uppercase">
+            {sentMessage}
+          </div>
+        ) : (
+          <>
+            {error && (
+              <div className="mb-6 p-4 bg-pink text-white border-3 border-ink rounded-xl font-black text-xs uppercase animate-shake">
+                ERROR: {error}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <div className="relative">
+                <Mail
+                  className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
+                  size={18}
+                />
+                <input
+                  type="email"
+                  placeholder="email"
+                  required
+                  value={email}
+                  className="input-brutal pl-12"
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+              </div>
+
+              <Button
+                type="submit"
+                variant="violet"
+                className="w-full py-4 mt-4 text-lg"
+                disabled={submitting}
+              >
+                <Send size={20} /> {submitting ? "SENDING..." : "SEND_LINK"}
+              </Button>
+            </form>
+          </>
+        )}
+
+        <div className="mt-10 pt-6 border-t-3 border-ink/10 text-center">
+          <Link
+            to="/login"
+            className="text-cyan font-black uppercase text-xs tracking-widest hover:underline decoration-cyan decoration-4 underline-offset-4"
+          >
+            BACK_TO_LOGIN
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
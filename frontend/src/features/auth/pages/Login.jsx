@@ -6,18 +6,25 @@
  * 2. User registration (new accounts)
  * 3. User logout (when already authenticated)
  * 4. Redirect handling (return to intended page after login)
+ * 5. Two-factor step (code/recovery code, or setup for admins without it)
+ * 6. Provider sign-in ("Sign in with ..." buttons for configured OIDC providers)
  *
  * KEY FEATURES:
  * - DUAL MODE: Toggle between login and registration
  * - ALREADY AUTHENTICATED: Shows logout option if user already logged in
- * - FORM VALIDATION: Required fields with error handling
+ * - FORM VALIDATION: Required fields, with the API's per-field messages
+ *   shown under each input
  * - REDIRECT LOGIC: Returns users to their intended destination
+ * - PASSWORD RESET: Links to /forgot-password in login mode
+ * - PROVIDER SIGN-IN: OidcButtons below the form (sign in and sign up)
  * - NEO-BRUTALIST UI: Bold, animated design consistent with app theme
  * - ACCESSIBILITY: Form labels, semantic HTML, keyboard navigation
  *
  * AUTHENTICATION STATES:
  * 1. Logged Out + Login Mode: Email/password fields + login button
  * 2. Logged Out + Register Mode: Username/name/email/password + registration
+ * 2b. Password Accepted + Two-Factor: TwoFactorChallenge, or TwoFactorSetup
+ *     when an admin has to enable it before getting a session
  * 3. Logged In: Session active message + logout button + nav to home
  *
  * FORM HANDLING:
@@ -31,14 +38,11 @@
  * - After logout: stay on login page
  *
  * TO EXTEND:
- * - Add password reset functionality
- * - Implement OAuth providers (Google, GitHub, etc.)
  * - Add remember me checkbox
- * - Implement account verification flow
  */
 
 import React, { useState } from "react";
-import { useNavigate, useLocation } from "react-router-dom";
+import { Link, useNavigate, useLocation } from "react-router-dom";
 
 // AUTHENTICATION CONTEXT
 // Access global auth state and login/logout methods
@@ -51,6 +55,10 @@ import api from "../../../shared/api/axios";
 // UI COMPONENTS
 // Consistent button styling throughout app
 import { Button } from "../../../shared/ui/Button";
+import { FieldError } from "../../../shared/ui/FieldError";
+import { TwoFactorChallenge } from "../components/TwoFactorChallenge";
+import { TwoFactorSetup } from "../components/TwoFactorSetup";
+import { OidcButtons } from "../components/OidcButtons";
 
 // ICONS
 // Lucide React icons for visual enhancement and accessibility
@@ -88,7 +96,7 @@ import {
 const Login = () => {
   // 🔐 AUTHENTICATION STATE
   // Access current user and auth methods from global context
-  const { user: activeUser, login, logout } = useAuth();
+  const { user: activeUser, login, startSession, logout } = useAuth();
 
   // 🔄 UI STATE MANAGEMENT
   // Toggle between login and registration modes
@@ -97,6 +105,8 @@ const Login = () => {
   // ❌ ERROR HANDLING
   // Display user-friendly error messages for failed auth attempts
   const [error, setError] = useState("");
+  // Per-field messages from a 400 VALIDATION_FAILED response
+  const [fieldErrors, setFieldErrors] = useState({});
 
   // 📝 FORM DATA STATE
   // Controlled form inputs for all authentication fields
@@ -111,6 +121,13 @@ const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
 
+  // 🔐 TWO-FACTOR STEP
+  // Challenge from login: { mfa_required | mfa_setup_required, mfa_token }
+  // (provider sign-ins arrive here with it from OidcCallback)
+  const [mfaChallenge, setMfaChallenge] = useState(
+    location.state?.mfaChallenge || null,
+  );
+
   // 🔄 REDIRECT LOGIC
   // After successful login, return user to their intended destination
   // Defaults to home page if no specific destination was intended
@@ -144,12 +161,19 @@ const Login = () => {
 
     // 🧹 CLEAR PREVIOUS ERRORS
     setError("");
+    setFieldErrors({});
 
     try {
       if (isLogin) {
         // 🔑 LOGIN FLOW
         // Use AuthContext login method for consistent token handling
-        await login(formData.email, formData.password);
+        const challenge = await login(formData.email, formData.password);
+
+        // 🔐 PASSWORD OK - SECOND FACTOR STILL NEEDED
+        if (challenge) {
+          setMfaChallenge(challenge);
+          return;
+        }
 
         // ✅ LOGIN SUCCESS - REDIRECT TO INTENDED DESTINATION
         // replace: true prevents back button from returning to login
@@ -161,12 +185,13 @@ const Login = () => {
 
         // ✅ REGISTRATION SUCCESS - SWITCH TO LOGIN MODE
         setIsLogin(true);
-        alert("Account created. Please log in.");
+        alert("Account created. Check your email to verify it, then log in.");
       }
     } catch (err) {
       // ❌ AUTHENTICATION FAILED
       console.error("Authentication failed:", err);
       // Display user-friendly error message in app's style
+      setFieldErrors(err.response?.data?.errors || {});
       setError(err.response?.data?.error || "ACCESS_DENIED_CHECK_CREDENTIALS");
     }
   };
@@ -231,6 +256,37 @@ const Login = () => {
               RETURN_TO_FEED
             </button>
           </div>
+        ) : mfaChallenge ? (
+          /* VIEW C: PASSWORD ACCEPTED (Two-factor code or admin setup) */
+          <>
+            <header className="text-center mb-10">
+              <h2 className="text-4xl font-black italic uppercase tracking-tighter">
+                {mfaChallenge.mfa_required ? "ONE_MORE_STEP" : "SECURE_ADMIN"}
+              </h2>
+              <p className="text-ink/60 font-bold text-xs uppercase mt-2 tracking-widest">
+                {mfaChallenge.mfa_required
+                  ? "TWO_FACTOR_CODE"
+                  : "ADMINS_MUST_ENABLE_TWO_FACTOR"}
+              </p>
+            </header>
+
+            {mfaChallenge.mfa_required ? (
+              <TwoFactorChallenge
+                mfaToken={mfaChallenge.mfa_token}
+                onSuccess={() => navigate(from, { replace: true })}
+                onCancel={() => setMfaChallenge(null)}
+              />
+            ) : (
+              <TwoFactorSetup
+                mfaToken={mfaChallenge.mfa_token}
+                onComplete={(session) => {
+                  startSession(session);
+                  navigate(from, { replace: true });
+                }}
+                onCancel={() => setMfaChallenge(null)}
+              />
+            )}
+          </>
         ) : (
           /* VIEW B: USER IS LOGGED OUT (Show Login/Signup) */
           <>
@@ -256,70 +312,94 @@ const Login = () => {
             <form onSubmit={handleSubmit} className="space-y-5">
               {!isLogin && (
                 <>
-                  <div className="relative">
-                    <UserIcon
-                      className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
-                      size={18}
-                    />
-                    <input
-                      type="text"
-                      placeholder="username"
-                      required
-                      className="input-brutal pl-12"
-                      onChange={(e) =>
-                        setFormData({ ...formData, username: e.target.value })
-                      }
-                    />
+                  <div>
+                    <div className="relative">
+                      <UserIcon
+                        className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
+                        size={18}
+                      />
+                      <input
+                        type="text"
+                        placeholder="username"
+                        required
+                        className="input-brutal pl-12"
+                        onChange={(e) =>
+                          setFormData({ ...formData, username: e.target.value })
+                        }
+                      />
+                    </div>
+                    <FieldError errors={fieldErrors} name="username" />
                   </div>
-                  <div className="relative">
-                    <UserIcon
-                      className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
-                      size={18}
-                    />
-                    <input
-                      type="text"
-                      placeholder="full_name"
-                      className="input-brutal pl-12"
-                      onChange={(e) =>
-                        setFormData({ ...formData, name: e.target.value })
-                      }
-                    />
+                  <div>
+                    <div className="relative">
+                      <UserIcon
+                        className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
+                        size={18}
+                      />
+                      <input
+                        type="text"
+                        placeholder="full_name"
+                        className="input-brutal pl-12"
+                        onChange={(e) =>
+                          setFormData({ ...formData, name: e.target.value })
+                        }
+                      />
+                    </div>
+                    <FieldError errors={fieldErrors} name="name" />
                   </div>
                 </>
               )}
 
-              <div className="relative">
-                <Mail
-                  className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
-                  size={18}
-                />
-                <input
-                  type="email"
-                  placeholder="email"
-                  required
-                  className="input-brutal pl-12"
-                  onChange={(e) =>
-                    setFormData({ ...formData, email: e.target.value })
-                  }
-                />
+              <div>
+                <div className="relative">
+                  <Mail
+                    className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
+                    size={18}
+                  />
+                  <input
+                    type="email"
+                    placeholder="email"
+                    required
+                    className="input-brutal pl-12"
+                    onChange={(e) =>
+                      setFormData({ ...formData, email: e.target.value })
+                    }
+                  />
+                </div>
+                <FieldError errors={fieldErrors} name="email" />
               </div>
 
-              <div className="relative">
-                <Lock
-                  className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
-                  size={18}
-                />
-                <input
-                  type="password"
-                  placeholder="password"
-                  required
-                  className="input-brutal pl-12"
-                  onChange={(e) =>
-                    setFormData({ ...formData, password: e.target.value })
-                  }
-                />
+              <div>
+                <div className="relative">
+                  <Lock
+                    className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
+                    size={18}
+                  />
+                  <input
+                    type="password"
+                    placeholder="password"
+                    required
+                    className="input-brutal pl-12"
+                    onChange={(e) =>
+                      setFormData({ ...formData, password: e.target.value })
+                    }
+                  />
+                </div>
+                <FieldError errors={fieldErrors} name="password" />
               </div>
 
+              {/* 🔑 PASSWORD RESET LINK (login mode only) */}
+              {isLogin && (
+                <div className="text-right">
+                  <Link
+                    to="/forgot-password"
+                    className="font-black uppercase text-[10px] tracking-[0.2em] underline decoration-violet decoration-2 underline-offset-4"
+                  >
+                    FORGOT_PASSWORD
+                  </Link>
+                </div>
+              )}
+
               <Button
                 type="submit"
                 variant="violet"
@@ -337,9 +417,15 @@ const Login = () => {
               </Button>
             </form>
 
+            {/* 🌐 PROVIDER SIGN-IN (signs up new users too) */}
+            <OidcButtons returnTo={from} onError={setError} />
+
             <div className="mt-10 pt-6 border-t-3 border-ink/10 text-center">
               <button
-                onClick={() => setIsLogin(!isLogin)}
+                onClick={() => {
+                  setIsLogin(!isLogin);
+                  setFieldErrors({});
+                }}
                 className="text-cyan font-black uppercase text-xs tracking-widest hover:underline decoration-cyan decoration-4 underline-offset-4"
               >
                 {isLogin
@@ -0,0 +1,117 @@
+/**
+ * SKILLCAST OIDC CALLBACK PAGE - Return From a Sign-In Provider
+ *
+ * The provider redirects here (/auth/oidc/callback?code=...&state=...). The
+ * code and state are posted to POST /api/auth/oidc/callback once (with the
+ * cookie that binds the sign-in to this browser, and after the stored
+ * session is restored, since a link must come from the user who started it), then:
+ * - LINKED      - a provider was linked from the profile → back to settings
+ * - TWO-FACTOR  - the account needs a code → Login shows the second step
+ * - SIGNED IN   - session stored → the page the user started from
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+
+// AUTHENTICATION CONTEXT
+import { useAuth } from "../context/AuthContext";
+
+// API CLIENT
+import api from "../../../shared/api/axios";
+
+// ICONS
+import { Loader2, ShieldX } from "lucide-react";
+
+/**
+ * OidcCallback Component - Finishes the sign-in on load
+ */
+const OidcCallback = () => {
+  const { startSession, loading } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const code = searchParams.get("code");
+  const state = searchParams.get("state");
+  const providerError = searchParams.get("error");
+
+  // ❌ ERROR STATE - Set when the provider or the API says no
+  const [error, setError] = useState(
+    providerError === "access_denied"
+      ? "SIGN_IN_CANCELLED"
+      : providerError || (!code || !state ? "SIGN_IN_LINK_INCOMPLETE" : ""),
+  );
+
+  // 🔒 SINGLE SUBMIT - Codes and states are single-use
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!code || !state || providerError || loading || submittedRef.current) {
+      return;
+    }
+    submittedRef.current = true;
+
+    // Set by OidcButtons before leaving for the provider
+    const returnTo = sessionStorage.getItem("oidc_return_to") || "/";
+    sessionStorage.removeItem("oidc_return_to");
+
+    const finish = async () => {
+      try {
+        const res = await api.post(
+          "/auth/oidc/callback",
+          { code, state },
+          { withCredentials: true },
+        );
+
+        if (res.data.linked) {
+          navigate("/settings/profile", { replace: true });
+        } else if (res.data.mfa_token) {
+          navigate("/login", {
+            replace: true,
+            state: { mfaChallenge: res.data, from: { pathname: returnTo } },
+          });
+        } else {
+          startSession(res.data);
+          navigate(returnTo, { replace: true });
+        }
+      } catch (err) {
+        console.error("Provider sign-in failed:", err);
+        setError(err.response?.data?.error || "SIGN_IN_FAILED");
+      }
+    };
+    finish();
+  }, [code, state, providerError, loading, navigate, startSession]);
+
+  return (
+    <div className="min-h-[85vh] flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-white border-3 border-ink p-8 md:p-10 rounded-[2.5rem] shadow-brutal-lg text-center">
+        {error ? (
+          <>
+            <div className="w-20 h-20 bg-pink text-white border-3 border-ink rounded-full flex items-center justify-center mx-auto mb-6 shadow-brutal">
+              <ShieldX size={40} />
+            </div>
+            <h2 className="text-3xl font-black italic uppercase tracking-tighter mb-2">
+              NOT_SIGNED_IN
+            </h2>
+            <p className="text-ink/60 font-bold text-xs uppercase mb-8 tracking-widest">
+              {error}
+            </p>
+            <Link
+              to="/login"
+              className="font-black uppercase text-[10px] tracking-[0.2em] underline decoration-violet decoration-2 underline-offset-4"
+            >
+              GO_TO_LOGIN
+            </Link>
+          </>
+        ) : (
+          <>
+            <Loader2 size={40} className="mx-auto mb-6 animate-spin" />
+            <h2 className="text-3xl font-black italic uppercase tracking-tighter">
+              SIGNING_IN...
+            </h2>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallback;
@@ -0,0 +1,197 @@
+/**
+ * SKILLCAST RESET PASSWORD PAGE - Set a New Password
+ *
+ * Opened from the emailed link (/reset-password?token=...). Posts the token
+ * and new password to POST /api/auth/reset-password. The token works once and
+ * expires; a successful reset signs the account out everywhere, so the user
+ * logs in again with the new password.
+ */
+
+import React, { useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+
+// API CLIENT
+import api from "../../../shared/api/axios";
+
+// UI COMPONENTS
+import { Button } from "../../../shared/ui/Button";
+import { FieldError } from "../../../shared/ui/FieldError";
+
+// ICONS
+import { Lock, KeyRound, ShieldCheck } from "lucide-react";
+
+/**
+ * ResetPassword Component - New password form
+ */
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  // 📝 FORM STATE
+  const [formData, setFormData] = useState({
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [submitting, setSubmitting] = useState(false);
+
+  // ✅ RESULT STATE
+  const [done, setDone] = useState(false);
+
+  // ❌ ERROR HANDLING
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setFieldErrors({});
+
+    // 🔍 CLIENT-SIDE CHECKS (the backend enforces the same minimum)
+    if (formData.newPassword.length < 8) {
+      setError("PASSWORD_MIN_8_CHARS");
+      return;
+    }
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError("PASSWORDS_DO_NOT_MATCH");
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await api.post("/auth/reset-password", {
+        token,
+        newPassword: formData.newPassword,
+      });
+      setDone(true);
+    } catch (err) {
+      console.error("Password reset failed:", err);
+      setFieldErrors(err.response?.data?.errors || {});
+      setError(err.response?.data?.error || "RESET_FAILED");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-[85vh] flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-white border-3 border-ink p-8 md:p-10 rounded-[2.5rem] shadow-brutal-lg relative overflow-hidden">
+        {done ? (
+          /* ✅ VIEW A: PASSWORD CHANGED */
+          <div className="text-center py-6">
+            <div className="w-20 h-20 bg-neon border-3 border-ink rounded-full flex items-center justify-center mx-auto mb-6 shadow-brutal">
+              <ShieldCheck size={40} />
+            </div>
+            <h2 className="text-3xl font-black italic uppercase tracking-tighter mb-2">
+              PASSWORD_RESET
+            </h2>
+            <p className="text-ink/60 font-bold text-xs uppercase mb-8 tracking-widest">
+              ALL_SESSIONS_SIGNED_OUT
+            </p>
+            <Button
+              variant="violet"
+              className="w-full py-4 text-lg"
+              onClick={() => navigate("/login", { replace: true })}
+            >
+              GO_TO_LOGIN
+            </Button>
+          </div>
+        ) : (
+          /* 🔑 VIEW B: NEW PASSWORD FORM */
+          <>
+            <div className="absolute top-[1rem] right-[1rem] w-[4.5rem] h-[4.5rem] bg-yellow border-3 border-ink rounded-full flex items-center justify-center shadow-brutal">
+              <KeyRound size={28} />
+            </div>
+
+            <header className="text-center mb-10">
+              <h2 className="text-4xl font-black italic uppercase tracking-tighter">
+                NEW_KEYS
+              </h2>
+              <p className="text-ink/60 font-bold text-xs uppercase mt-2 tracking-widest">
+                CHOOSE_A_NEW_PASSWORD
+              </p>
+            </header>
+
+            {!token ? (
+              <div className="p-4 bg-pink text-white border-3 border-ink rounded-xl font-black text-xs uppercase">
+                ERROR: RESET_LINK_MISSING_TOKEN
+              </div>
+            ) : (
+              <>
+                {error && (
+                  <div className="mb-6 p-4 bg-pink text-white border-3 border-ink rounded-xl font-black text-xs uppercase animate-shake">
+                    ERROR: {error}
+                  </div>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-5">
+                  <div>
+                    <div className="relative">
+                      <Lock
+                        className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
+                        size={18}
+                      />
+                      <input
+                        type="password"
+                        placeholder="new_password"
+                        required
+                        className="input-brutal pl-12"
+                        onChange={(e) =>
+                          setFormData({
+                            ...formData,
+                            newPassword: e.target.value,
+                          })
+                        }
+                      />
+                    </div>
+                    <FieldError errors={fieldErrors} name="newPassword" />
+                  </div>
+
+                  <div className="relative">
+                    <Lock
+                      className="absolute left-4 top-1/2 -translate-y-1/2 text-ink"
+                      size={18}
+                    />
+                    <input
+                      type="password"
+                      placeholder="confirm_password"
+                      required
+                      className="input-brutal pl-12"
+                      onChange={(e) =>
+                        setFormData({
+                          ...formData,
+                          confirmPassword: e.target.value,
+                        })
+                      }
+                    />
+                  </div>
+
+                  <Button
+                    type="submit"
+                    variant="violet"
+                    className="w-full py-4 mt-4 text-lg"
+                    disabled={submitting}
+                  >
+                    <KeyRound size={20} />{" "}
+                    {submitting ? "SAVING..." : "RESET_PASSWORD"}
+                  </Button>
+                </form>
+              </>
+            )}
+
+            <div className="mt-10 pt-6 border-t-3 border-ink/10 text-center">
+              <Link
+                to="/forgot-password"
+                className="text-cyan font-black uppercase text-xs tracking-widest hover:underline decoration-cyan decoration-4 underline-offset-4"
+              >
+                REQUEST_A_NEW_LINK
+              </Link>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,118 @@
+/**
+ * SKILLCAST VERIFY EMAIL PAGE - Confirm an Email Address
+ *
+ * Opened from the emailed link (/verify-email?token=...). Posts the token to
+ * POST /api/auth/verify-email as soon as the page loads. Verified accounts can
+ * host casts and send notes; if the logged-in user is the one verified, the
+ * stored user is updated so the verification banner disappears.
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+
+// AUTHENTICATION CONTEXT
+import { useAuth } from "../context/AuthContext";
+
+// API CLIENT
+import api from "../../../shared/api/axios";
+
+// ICONS
+import { MailCheck, MailX, Loader2 } from "lucide-react";
+
+/**
+ * VerifyEmail Component - Verifies on load and shows the outcome
+ */
+const VerifyEmail = () => {
+  const { user, setUser } = useAuth();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  // 📊 RESULT STATE - "pending" | "verified" | "failed"
+  const [status, setStatus] = useState(token ? "pending" : "failed");
+  const [error, setError] = useState(
+    token ? "" : "VERIFICATION_LINK_MISSING_TOKEN",
+  );
+
+  // 🔒 SINGLE SUBMIT - Tokens are single-use, so never post twice
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    const verify = async () => {
+      try {
+        const res = await api.post("/auth/verify-email", { token });
+        setStatus("verified");
+
+        // 💾 UPDATE THE LOGGED-IN USER (if it's the same account)
+        setUser((prev) => {
+          if (!prev || prev.id !== res.data.id) return prev;
+          const next = {
+            ...prev,
+            email_verified_at: res.data.email_verified_at,
+          };
+          localStorage.setItem("user", JSON.stringify(next));
+          return next;
+        });
+      } catch (err) {
+        console.error("Email verification failed:", err);
+        setStatus("failed");
+        setError(err.response?.data?.error || "VERIFICATION_FAILED");
+      }
+    };
+    verify();
+  }, [token, setUser]);
+
+  return (
+    <div className="min-h-[85vh] flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-white border-3 border-ink p-8 md:p-10 rounded-[2.5rem] shadow-brutal-lg text-center">
+        {status === "pending" && (
+          <>
+            <Loader2 size={40} className="mx-auto mb-6 animate-spin" />
+            <h2 className="text-3xl font-black italic uppercase tracking-tighter">
+              VERIFYING...
+            </h2>
+          </>
+        )}
+
+        {status === "verified" && (
+          <>
+            <div className="w-20 h-20 bg-neon border-3 border-ink rounded-full flex items-center justify-center mx-auto mb-6 shadow-brutal">
+              <MailCheck size={40} />
+            </div>
+            <h2 className="text-3xl font-black italic uppercase tracking-tighter mb-2">
+              EMAIL_VERIFIED
+            </h2>
+            <p className="text-ink/60 font-bold text-xs uppercase mb-8 tracking-widest">
+              YOU_CAN_NOW_HOST_CASTS_AND_SEND_NOTES
+            </p>
+          </>
+        )}
+
+        {status === "failed" && (
+          <>
+            <div className="w-20 h-20 bg-pink text-white border-3 border-ink rounded-full flex items-center justify-center mx-auto mb-6 shadow-brutal">
+              <MailX size={40} />
+            </div>
+            <h2 className="text-3xl font-black italic uppercase tracking-tighter mb-2">
+              NOT_VERIFIED
+            </h2>
+            <p className="text-ink/60 font-bold text-xs uppercase mb-8 tracking-widest">
+              {error}
+            </p>
+          </>
+        )}
+
+        <Link
+          to={user ? "/" : "/login"}
+          className="font-black uppercase text-[10px] tracking-[0.2em] underline decoration-violet decoration-2 underline-offset-4"
+        >
+          {user ? "RETURN_TO_FEED" : "GO_TO_LOGIN"}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
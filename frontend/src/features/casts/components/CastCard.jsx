@@ -6,9 +6,11 @@
  *
  * KEY FEATURES:
  * 1. CAST INFORMATION DISPLAY - Title, description, creator, skill, credit total
- * 2. LIVE STATUS INDICATOR - Visual indicator for active casts
+ * 2. LIVE STATUS INDICATOR - Visual indicator for active and scheduled casts
+ * 2b. PLATFORM BADGE - Icon for the meeting platform the API detected
  * 3. JOIN FUNCTIONALITY - Direct link to meeting/video call
  * 4. CREDIT SYSTEM - Allow users to give credit/appreciation to casters
+ * 4b. RSVP - "Going" toggle and attendee count for scheduled/live casts
  * 5. OWNER CONTROLS - Edit and delete functionality for cast creators
  * 6. ADMIN CONTROLS - Admin users can manage any cast
  * 7. RESPONSIVE DESIGN - Adapts to different screen sizes
@@ -16,7 +18,7 @@
  *
  * USER INTERACTIONS BY ROLE:
  * - GUEST/VISITOR: View cast info, join cast (if link available)
- * - LOGGED-IN USER: Everything above + give credit via heart button
+ * - LOGGED-IN USER: Everything above + give credit via heart button + RSVP
  * - CAST OWNER: Everything above + edit/delete controls (no credit form)
  * - ADMIN: Full access to all cast management functions
  *
@@ -36,6 +38,7 @@ import React, { useState } from "react";
 import { Link } from "react-router-dom";
 import { useAuth } from "../../auth/context/AuthContext";
 import { Button } from "../../../shared/ui/Button";
+import { FieldError } from "../../../shared/ui/FieldError";
 import NotesForm from "./NotesForm";
 import api from "../../../shared/api/axios";
 import {
@@ -49,8 +52,31 @@ import {
   Play,
   Pause,
   StopCircle,
+  CalendarClock,
+  Users,
+  UserCheck,
+  UserPlus,
+  Lock,
+  Video,
+  Youtube,
+  Twitch,
+  MessageCircle,
+  Film,
 } from "lucide-react";
 
+// 🎥 MEETING PLATFORMS - cast.meeting_platform → badge icon and label
+// (keys match MEETING_PLATFORMS in the backend's meetingLinks.js)
+const MEETING_PLATFORMS = {
+  zoom: { icon: Video, label: "ZOOM" },
+  meet: { icon: Video, label: "GOOGLE_MEET" },
+  teams: { icon: Video, label: "TEAMS" },
+  jitsi: { icon: Video, label: "JITSI" },
+  youtube: { icon: Youtube, label: "YOUTUBE" },
+  twitch: { icon: Twitch, label: "TWITCH" },
+  discord: { icon: MessageCircle, label: "DISCORD" },
+  vimeo: { icon: Film, label: "VIMEO" },
+};
+
 /**
  * CastCard Component - Interactive Cast Display
  *
@@ -67,7 +93,7 @@ import {
  */
 const CastCard = ({ cast, onUpdate, onDelete }) => {
   // 🔐 AUTHENTICATION & PERMISSIONS
-  const { user } = useAuth();
+  const { user, setUser } = useAuth();
 
   const formatSnakeIfMultiWord = (value) => {
     const raw = value?.toString().trim();
@@ -79,11 +105,34 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
       .toUpperCase();
   };
 
+  // 🗓️ SCHEDULE FORMATTING - e.g. "MON_12_FEB_18:30"
+  const formatStartTime = (value) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return "";
+    const weekday = date
+      .toLocaleDateString(undefined, { weekday: "short" })
+      .toUpperCase();
+    const day = String(date.getDate()).padStart(2, "0");
+    const month = date
+      .toLocaleDateString(undefined, { month: "short" })
+      .toUpperCase();
+    const hours = String(date.getHours()).padStart(2, "0");
+    const minutes = String(date.getMinutes()).padStart(2, "0");
+    return `${weekday}_${day}_${month}_${hours}:${minutes}`;
+  };
+
+  const isScheduled = cast.status === "SCHEDULED";
+  // RSVPs are open until the cast has ended
+  const canRsvp = isScheduled || cast.status === "LIVE";
+
   // 🎛️ UI STATE MANAGEMENT
   const [showCreditForm, setShowCreditForm] = useState(false); // Credit interface visibility
   const [editMode, setEditMode] = useState(false); // Edit form visibility
   const [saving, setSaving] = useState(false); // Save operation loading
   const [deleting, setDeleting] = useState(false); // Delete operation loading
+  const [rsvpLoading, setRsvpLoading] = useState(false); // RSVP toggle loading
+  const [redeeming, setRedeeming] = useState(false); // Credit redemption loading
+  const [fieldErrors, setFieldErrors] = useState({}); // Per-field API errors in edit mode
 
   // 📝 EDIT FORM STATE
   // Controlled inputs for inline cast editing
@@ -91,6 +140,7 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
     title: cast.title,
     description: cast.description,
     meeting_link: cast.meeting_link,
+    credit_cost: cast.credit_cost ?? 0,
   });
 
   // 🔐 PERMISSION CHECK
@@ -98,11 +148,19 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
   const isOwner =
     user?.id === cast.creator_id || (user && user.role === "admin");
 
+  // 💳 PREMIUM ACCESS
+  // Premium casts hide meeting_link until the viewer redeems credit
+  const isPremium = (cast.credit_cost ?? 0) > 0;
+  const isLocked = isPremium && !cast.meeting_link && !isOwner;
+
+  // 🎥 PLATFORM - Known even when a premium cast hides its link
+  const platform = MEETING_PLATFORMS[cast.meeting_platform];
+
   /**
    * Status Update Handlers - Manage Cast Status
    *
    * SECURITY: Only owners/admins can change status
-   * STATES: LIVE (active), PAUSED (temporarily stopped), ENDED (finished)
+   * STATES: SCHEDULED (upcoming), LIVE (active), PAUSED (temporarily stopped), ENDED (finished)
    */
 
   const handleStatusChange = async (newStatus) => {
@@ -119,6 +177,58 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
     }
   };
 
+  /**
+   * RSVP Toggle - Join or leave the attendee list
+   * Server returns the fresh count so concurrent RSVPs stay accurate
+   */
+  const handleRsvp = async () => {
+    setRsvpLoading(true);
+    try {
+      const res = cast.is_going
+        ? await api.delete(`/casts/${cast.id}/rsvp`)
+        : await api.post(`/casts/${cast.id}/rsvp`);
+      onUpdate?.({
+        id: cast.id,
+        is_going: res.data.is_going,
+        attendee_count: res.data.attendee_count,
+      });
+    } catch (err) {
+      console.error("Error updating RSVP:", err);
+      alert(err.response?.data?.error || "Unable to RSVP");
+    } finally {
+      setRsvpLoading(false);
+    }
+  };
+
+  /**
+   * Redeem Handler - Spend credit to unlock a premium cast
+   * The server transfers credit to the host and returns the meeting link
+   */
+  const handleRedeem = async () => {
+    if (
+      !window.confirm(
+        `Spend ${cast.credit_cost} credit to reserve a seat in this cast?`,
+      )
+    )
+      return;
+    setRedeeming(true);
+    try {
+      const res = await api.post(`/casts/${cast.id}/redeem`);
+      onUpdate?.({
+        id: cast.id,
+        meeting_link: res.data.meeting_link,
+        is_going: res.data.is_going,
+      });
+      // Keep the navbar/sidebar balance in sync with the spend
+      setUser?.((prev) => (prev ? { ...prev, credit: res.data.credit } : prev));
+    } catch (err) {
+      console.error("Error redeeming cast:", err);
+      alert(err.response?.data?.error || "Unable to redeem");
+    } finally {
+      setRedeeming(false);
+    }
+  };
+
   const handleDelete = async () => {
     if (!window.confirm("Delete this cast?")) return;
     setDeleting(true);
@@ -136,13 +246,18 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
   const handleUpdate = async (e) => {
     e.preventDefault();
     setSaving(true);
+    setFieldErrors({});
     try {
       const res = await api.put(`/casts/${cast.id}`, formData);
       onUpdate?.(res.data);
       setEditMode(false);
     } catch (err) {
       console.error("Error updating cast:", err);
-      alert("Update failed. Check fields.");
+      if (err.response?.data?.errors) {
+        setFieldErrors(err.response.data.errors);
+      } else {
+        alert("Update failed. Check fields.");
+      }
     } finally {
       setSaving(false);
     }
@@ -151,9 +266,26 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
   return (
     <div className="bg-white border-4 border-ink p-6 shadow-brutal hover:shadow-none hover:translate-x-1 hover:translate-y-1 transition-all flex flex-col h-full">
       <div className="flex justify-between items-start mb-4">
-        <span className="bg-ink text-offwhite px-2 py-1 text-[0.6rem] font-black uppercase tracking-widest">
-          {formatSnakeIfMultiWord(cast.category) || "GENERAL"}
-        </span>
+        <div className="flex items-center gap-2">
+          <span className="bg-ink text-offwhite px-2 py-1 text-[0.6rem] font-black uppercase tracking-widest">
+            {formatSnakeIfMultiWord(cast.category) || "GENERAL"}
+          </span>
+          {/* PREMIUM badge: seat price in credit */}
+          {isPremium && (
+            <span className="flex items-center gap-1 bg-yellow text-white border-2 border-ink px-2 py-0.5 text-[0.6rem] font-black uppercase tracking-widest">
+              <Lock size={10} /> {cast.credit_cost}_CREDIT
+            </span>
+          )}
+          {/* PLATFORM badge: where the cast is hosted */}
+          {platform && (
+            <span
+              className="flex items-center gap-1 bg-white text-ink border-2 border-ink px-2 py-0.5 text-[0.6rem] font-black uppercase tracking-widest"
+              title={platform.label}
+            >
+              <platform.icon size={10} /> {platform.label}
+            </span>
+          )}
+        </div>
         {/* LIVE status: green animated dot (neon color) */}
         {cast.status === "LIVE" && (
           <div className="h-3 w-3 bg-neon rounded-full animate-pulse border-2 border-ink" />
@@ -162,15 +294,38 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
         {cast.status === "ENDED" && (
           <div className="h-3 w-3 bg-danger rounded-full border-2 border-ink" />
         )}
+        {/* PAUSED status: yellow static dot (host took a break) */}
+        {cast.status === "PAUSED" && (
+          <div className="h-3 w-3 bg-yellow rounded-full border-2 border-ink" />
+        )}
+        {/* SCHEDULED status: calendar badge (violet color) */}
+        {isScheduled && (
+          <span className="flex items-center gap-1 bg-violet text-white border-2 border-ink px-2 py-0.5 text-[0.6rem] font-black uppercase tracking-widest">
+            <CalendarClock size={12} /> UPCOMING
+          </span>
+        )}
       </div>
 
       <h3 className="text-2xl font-black uppercase leading-none mb-2">
         {formatSnakeIfMultiWord(cast.title)}
       </h3>
+      {isScheduled && cast.starts_at && (
+        <p className="text-[0.7rem] font-black uppercase tracking-widest text-violet mb-2">
+          STARTS_{formatStartTime(cast.starts_at)}
+          {cast.ends_at && ` → ${formatStartTime(cast.ends_at)}`}
+        </p>
+      )}
       <p className="text-sm font-bold text-ink/70 mb-6 line-clamp-3">
         {cast.description}
       </p>
 
+      {/* ATTENDEE COUNT - RSVPs for scheduled/live casts */}
+      {canRsvp && (
+        <p className="flex items-center gap-1.5 text-[0.65rem] font-black uppercase tracking-widest text-ink/60 mb-4">
+          <Users size={12} /> {cast.attendee_count ?? 0}_GOING
+        </p>
+      )}
+
       <div className="flex items-center justify-between mb-4 text-[0.85rem] font-black uppercase tracking-tighter">
         <Link
           to={`/profile/${cast.creator_id}`}
@@ -198,8 +353,31 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
       {/* VIEWER BUTTONS - One line layout */}
       {!isOwner && (
         <div className="flex gap-1.5">
-          {/* Show JOIN_CAST for LIVE casts, INACTIVE_CAST for ENDED casts */}
-          {cast.status === "LIVE" ? (
+          {/* Show UNLOCK for unredeemed premium casts, JOIN_CAST for LIVE casts, INACTIVE_CAST for ENDED casts */}
+          {isLocked && canRsvp ? (
+            user ? (
+              <Button
+                variant="yellow"
+                className="flex-1 min-w-0 text-[0.65rem] px-3 py-2 gap-1.5"
+                onClick={handleRedeem}
+                disabled={redeeming}
+              >
+                <Lock size={12} />
+                {redeeming
+                  ? "UNLOCKING..."
+                  : `UNLOCK_${cast.credit_cost}_CREDIT`}
+              </Button>
+            ) : (
+              <Link to="/login" className="flex-1 min-w-0">
+                <Button
+                  variant="yellow"
+                  className="w-full text-[0.65rem] px-3 py-2 gap-1.5"
+                >
+                  <Lock size={12} /> LOG_IN_TO_UNLOCK
+                </Button>
+              </Link>
+            )
+          ) : cast.status === "LIVE" ? (
             <a
               href={cast.meeting_link}
               target="_blank"
@@ -221,7 +399,28 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
             >
               INACTIVE_CAST
             </Button>
+          ) : isScheduled ? (
+            <Button
+              variant="outline"
+              className="flex-1 min-w-0 text-[0.65rem] px-3 py-2 cursor-not-allowed opacity-60 gap-1.5"
+              disabled
+            >
+              <CalendarClock size={12} /> NOT_STARTED_YET
+            </Button>
           ) : null}
+          {/* RSVP toggle - available for SCHEDULED and LIVE casts */}
+          {user && canRsvp && !isLocked && (
+            <Button
+              variant={cast.is_going ? "neon" : "outline"}
+              className="px-2.5 py-2 text-[0.65rem] gap-1"
+              onClick={handleRsvp}
+              disabled={rsvpLoading}
+              title={cast.is_going ? "CANCEL_RSVP" : "RSVP"}
+            >
+              {cast.is_going ? <UserCheck size={14} /> : <UserPlus size={14} />}
+              {cast.is_going ? "GOING" : "RSVP"}
+            </Button>
+          )}
           {/* Heart button for sending notes - available for both LIVE and ENDED */}
           {user && (cast.status === "LIVE" || cast.status === "ENDED") && (
             <Button
@@ -238,7 +437,7 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
         </div>
       )}
 
-      {/* OWNER BUTTONS - 3 buttons: EDIT, END_CAST/RESUME_CAST, DELETE_CAST */}
+      {/* OWNER BUTTONS - 3 buttons: EDIT, END_CAST/RESUME_CAST/GO_LIVE_NOW, DELETE_CAST */}
       {isOwner && !editMode && (
         <div className="flex gap-1.5">
           {/* Button 1: EDIT */}
@@ -250,8 +449,17 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
             <PencilLine size={12} /> EDIT_CAST
           </Button>
 
-          {/* Button 2: END_CAST (when LIVE) or RESUME_CAST (when PAUSED/ENDED) */}
-          {cast.status === "LIVE" ? (
+          {/* Button 2: END_CAST (when LIVE), GO_LIVE_NOW (when SCHEDULED) or RESUME_CAST (when PAUSED/ENDED) */}
+          {isScheduled ? (
+            <Button
+              variant="neon"
+              className="flex-1 min-w-0 text-[0.65rem] px-2 py-2 gap-1"
+              onClick={() => handleStatusChange("LIVE")}
+              disabled={saving}
+            >
+              <Play size={12} /> GO_LIVE_NOW
+            </Button>
+          ) : cast.status === "LIVE" ? (
             <Button
               variant="danger"
               className="flex-1 min-w-0 text-[0.65rem] px-2 py-2 gap-1"
@@ -310,6 +518,7 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
               placeholder="cast_title"
               required
             />
+            <FieldError errors={fieldErrors} name="title" />
             <textarea
               className="input-brutal h-24 resize-none"
               value={formData.description}
@@ -328,6 +537,23 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
               placeholder="meeting_link"
               required
             />
+            <FieldError errors={fieldErrors} name="meeting_link" />
+            <label className="flex items-center gap-2 text-[0.65rem] font-black uppercase tracking-widest">
+              <Lock size={12} /> CREDIT_COST
+              <input
+                type="number"
+                min="0"
+                step="1"
+                className="input-brutal flex-1"
+                value={formData.credit_cost}
+                onChange={(e) =>
+                  setFormData({
+                    ...formData,
+                    credit_cost: parseInt(e.target.value, 10) || 0,
+                  })
+                }
+              />
+            </label>
             <div className="flex gap-2">
               <Button
                 type="submit"
@@ -341,7 +567,10 @@ const CastCard = ({ cast, onUpdate, onDelete }) => {
                 type="button"
                 variant="outline"
                 className="flex-1 text-xs"
-                onClick={() => setEditMode(false)}
+                onClick={() => {
+                  setEditMode(false);
+                  setFieldErrors({});
+                }}
               >
                 <X size={14} /> CANCEL
               </Button>
@@ -11,6 +11,10 @@
  * 4. LOADING STATES - Provides feedback during data operations
  * 5. EMPTY STATES - Encourages content creation when no casts exist
  * 6. RESPONSIVE GRID - Adapts layout for different screen sizes
+ * 7. UPCOMING SECTION - Scheduled casts listed alongside the live feed
+ * 8. INFINITE SCROLL - Next page loads when the bottom of the feed is reached
+ * 9. SORTING - Newest, most noted, or highest-credit creator first
+ * 10. FOLLOWING TAB - Logged-in users can narrow the feed to creators they follow
  *
  * FILTERING CAPABILITIES:
  * - Search by title/description via searchQuery prop
@@ -18,12 +22,14 @@
  * - Combines multiple filters for precise content discovery
  *
  * STATE MANAGEMENT:
- * - Local state for casts array and loading status
+ * - Local state for a single casts array (split into live/upcoming on render)
+ * - nextCursor from the API drives the next page request
  * - Props-driven filtering updates trigger API refetch
  * - Parent component callbacks for cast updates/deletions
  *
  * REAL-TIME FEATURES:
  * - Automatic refetch when search/filter parameters change
+ * - Server-Sent Events push status changes, new casts and note credit
  * - Optimistic UI updates when casts are modified
  * - Consistent loading and error state handling
  *
@@ -36,19 +42,49 @@
  * ```
  *
  * TO EXTEND:
- * - Add pagination for large cast lists
- * - Implement infinite scroll or "Load More" functionality
- * - Add sorting options (date, popularity, credit)
- * - Integrate WebSocket for real-time updates
  * - Cache previous searches for better performance
  */
 
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+
+// UI COMPONENTS
+import Button from "../../../shared/ui/Button";
 
 // API CLIENT
 // Configured axios instance with authentication headers
 import api from "../../../shared/api/axios";
 
+// REAL-TIME EVENTS
+// Server push channel for live cast and note updates
+import { subscribeToEvents } from "../../../shared/api/events";
+
+// AUTH CONTEXT
+// The FOLLOWING tab needs a logged-in viewer
+import { useAuth } from "../../auth/context/AuthContext";
+
+// 🧭 FEED SCOPES
+// Values match the backend's `feed` query parameter
+const FEED_OPTIONS = [
+  { value: "all", label: "ALL" },
+  { value: "following", label: "FOLLOWING" },
+];
+
+// 🔀 SORT MODES
+// Values match the backend's `sort` query parameter
+const SORT_OPTIONS = [
+  { value: "newest", label: "NEWEST" },
+  { value: "most_noted", label: "MOST_NOTED" },
+  { value: "top_creator", label: "TOP_CREATOR" },
+];
+
+// 📄 PAGE SIZE
+// Casts requested per infinite-scroll page
+const PAGE_SIZE = 20;
+
+// 📺 FEED STATUSES
+// Casts in any other status (PAUSED, ARCHIVED) are dropped from the feed
+const FEED_STATUSES = ["LIVE", "ENDED", "SCHEDULED"];
+
 // CAST COMPONENTS
 // Individual cast display component with interaction features
 import CastCard from "./CastCard";
@@ -67,14 +103,62 @@ import CastCard from "./CastCard";
  * - Conditional rendering for loading/empty/populated states
  */
 const CastFeed = ({ selectedChannel, searchQuery }) => {
+  const { user } = useAuth();
+
   // 📋 CAST DATA STATE
-  // Array of cast objects from the API
+  // Single list of live and scheduled casts - split for display below
+  // One list means pushed updates never need to know which section a cast is in
   const [casts, setCasts] = useState([]);
 
   // ⏳ LOADING STATE
   // Indicates when API request is in progress
   const [loading, setLoading] = useState(true);
 
+  // 🔀 SORT STATE
+  // Active sort mode for the live feed
+  const [sort, setSort] = useState("newest");
+
+  // 🧭 FEED SCOPE STATE
+  // "following" falls back to "all" once the viewer logs out
+  const [feedChoice, setFeedChoice] = useState("all");
+  const feed = user ? feedChoice : "all";
+
+  // 👥 FOLLOWED CREATORS
+  // Ids of creators the viewer follows - lets pushed casts respect the FOLLOWING tab
+  const followingIdsRef = useRef(new Set());
+
+  // 📄 PAGINATION STATE
+  // Cursor for the next page (null when the last page has been loaded)
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // 👀 SCROLL SENTINEL
+  // Invisible element below the feed; loads the next page when it scrolls into view
+  const sentinelRef = useRef(null);
+
+  // 🔢 REQUEST GENERATION
+  // Bumped on every fresh fetch so late "load more" responses for old filters are ignored
+  const generationRef = useRef(0);
+
+  // 🎛️ CURRENT FILTERS
+  // Kept in a ref so the long-lived event stream always sees the latest values
+  const filtersRef = useRef({ selectedChannel, searchQuery, sort, feed });
+  useEffect(() => {
+    filtersRef.current = { selectedChannel, searchQuery, sort, feed };
+  }, [selectedChannel, searchQuery, sort, feed]);
+
+  /**
+   * Build Feed Params - Shared query parameters for every page
+   */
+  const buildParams = useCallback(() => {
+    // Only include parameters that have values
+    const params = { sort, limit: PAGE_SIZE };
+    if (feed === "following") params.feed = feed;
+    if (selectedChannel) params.category = selectedChannel;
+    if (searchQuery) params.q = searchQuery;
+    return params;
+  }, [selectedChannel, searchQuery, sort, feed]);
+
   // 🔄 DATA FETCHING EFFECT
   // Triggers API call when component mounts or filter props change
   useEffect(() => {
@@ -94,51 +178,192 @@ const CastFeed = ({ selectedChannel, searchQuery }) => {
      * - Graceful degradation maintains app functionality
      */
     const fetchCasts = async () => {
+      const generation = ++generationRef.current;
       setLoading(true);
 
       try {
-        // 🔍 BUILD QUERY PARAMETERS
-        // Only include parameters that have values
-        const params = {};
-        if (selectedChannel) params.category = selectedChannel;
-        if (searchQuery) params.q = searchQuery;
+        // 📡 API REQUESTS WITH FILTERS
+        // First live page and upcoming schedule are fetched side by side
+        // The FOLLOWING tab also loads who the viewer follows
+        const upcomingParams = {};
+        if (feed === "following") upcomingParams.feed = feed;
+        if (selectedChannel) upcomingParams.category = selectedChannel;
+
+        const [liveRes, upcomingRes, followingRes] = await Promise.all([
+          api.get("/casts", { params: buildParams() }),
+          api.get("/casts/upcoming", { params: upcomingParams }),
+          feed === "following"
+            ? api.get(`/users/${user.id}/following`)
+            : Promise.resolve({ data: [] }),
+        ]);
+        if (generation !== generationRef.current) return;
 
-        // 📡 API REQUEST WITH FILTERS
-        const res = await api.get("/casts", { params });
+        followingIdsRef.current = new Set(followingRes.data.map((u) => u.id));
 
         // ✅ SUCCESS - UPDATE CAST LIST
-        setCasts(res.data);
+        setCasts([...liveRes.data.items, ...upcomingRes.data]);
+        setNextCursor(liveRes.data.nextCursor);
       } catch (err) {
         // ❌ ERROR - RESET TO EMPTY STATE
         console.error("Error fetching casts:", err);
         // Don't show error to user, just empty feed
         setCasts([]);
+        setNextCursor(null);
       } finally {
         // 🏁 ALWAYS CLEAR LOADING STATE
-        setLoading(false);
+        if (generation === generationRef.current) setLoading(false);
       }
     };
 
     fetchCasts();
 
     // 🔗 DEPENDENCY ARRAY
-    // Refetch data when search or channel filters change
-  }, [selectedChannel, searchQuery]);
+    // Refetch from the first page when search, channel, sort or feed changes
+  }, [buildParams, selectedChannel, feed, user?.id]);
+
+  /**
+   * Load More - Fetch the next page of the live feed
+   *
+   * Appends the page after the current cursor. Casts already in the list
+   * (e.g. pushed in real time) are skipped to avoid duplicate cards.
+   */
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+
+    const generation = generationRef.current;
+    setLoadingMore(true);
+
+    try {
+      const res = await api.get("/casts", {
+        params: { ...buildParams(), cursor: nextCursor },
+      });
+      if (generation !== generationRef.current) return;
+
+      setCasts((prev) => {
+        const seen = new Set(prev.map((c) => c.id));
+        return [...prev, ...res.data.items.filter((c) => !seen.has(c.id))];
+      });
+      setNextCursor(res.data.nextCursor);
+    } catch (err) {
+      console.error("Error loading more casts:", err);
+      // Stop paging on failure; a filter/sort change starts over
+      setNextCursor(null);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [buildParams, nextCursor, loadingMore]);
+
+  // 👀 INFINITE SCROLL EFFECT
+  // Watches the sentinel and requests the next page when it becomes visible
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: "400px" }, // Start loading before the user hits the bottom
+    );
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [loadMore, nextCursor, loading]);
+
+  /**
+   * Upsert Cast - Merge a cast into the list
+   *
+   * Existing casts are merged so joined fields (username, skill_name,
+   * is_going) survive partial updates. New casts are only added when
+   * `insert` is set, so RSVP toggles never add cards by accident.
+   *
+   * @param {Object} incoming - Full or partial cast object
+   * @param {boolean} insert - Add the cast if it isn't listed yet
+   */
+  const upsertCast = useCallback((incoming, insert = false) => {
+    setCasts((prev) => {
+      if (prev.some((c) => c.id === incoming.id)) {
+        return prev.map((c) =>
+          c.id === incoming.id ? { ...c, ...incoming } : c,
+        );
+      }
+      return insert ? [incoming, ...prev] : prev;
+    });
+  }, []);
+
+  // 📡 REAL-TIME EFFECT
+  // Subscribes once to the server push channel and updates cards in place
+  useEffect(() => {
+    /**
+     * Matches Filters - Mirrors the feed's server-side filters
+     * Pushed casts that don't match the current channel/search/feed are skipped
+     */
+    const matchesFilters = (cast) => {
+      const { selectedChannel, searchQuery, feed } = filtersRef.current;
+      if (feed === "following" && !followingIdsRef.current.has(cast.creator_id))
+        return false;
+      if (selectedChannel && cast.category !== selectedChannel) return false;
+      if (!searchQuery) return true;
+
+      const q = searchQuery.toLowerCase();
+      return [cast.title, cast.description, cast.username, cast.skill_name]
+        .filter(Boolean)
+        .some((field) => field.toLowerCase().includes(q));
+    };
+
+    return subscribeToEvents({
+      // 🆕 NEW CAST - Prepend if it belongs in the current view
+      // Other sort modes pick it up on the next refetch instead of jumping to the top
+      "cast:created": (cast) => {
+        const isNewestFirst = filtersRef.current.sort === "newest";
+        if (
+          matchesFilters(cast) &&
+          (isNewestFirst || cast.status === "SCHEDULED")
+        ) {
+          upsertCast(cast, true);
+        }
+      },
+      // ✏️ CAST CHANGED - Status flips (LIVE/PAUSED/ENDED) and RSVP counts
+      // Only casts that just went live are added; other updates patch listed cards
+      "cast:updated": ({ went_live: wentLive, ...cast }) => {
+        if (!FEED_STATUSES.includes(cast.status)) {
+          setCasts((prev) => prev.filter((c) => c.id !== cast.id));
+          return;
+        }
+        const isNewestFirst = filtersRef.current.sort === "newest";
+        upsertCast(cast, wentLive && isNewestFirst && matchesFilters(cast));
+      },
+      // 🗄️ CAST ARCHIVED - Drop it from the feed
+      "cast:archived": ({ id }) => {
+        setCasts((prev) => prev.filter((c) => c.id !== id));
+      },
+      // 💌 NOTE SENT - Refresh the creator's credit on all their cards
+      "note:created": ({ creator_id, credit }) => {
+        setCasts((prev) =>
+          prev.map((c) => (c.creator_id === creator_id ? { ...c, credit } : c)),
+        );
+      },
+    });
+  }, [upsertCast]);
+
+  // 🗂️ SPLIT INTO SECTIONS
+  // Scheduled casts go to Upcoming (soonest first), everything else is live feed
+  const liveCasts = casts.filter((c) => c.status !== "SCHEDULED");
+  const upcomingCasts = casts
+    .filter((c) => c.status === "SCHEDULED")
+    .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
 
   /**
    * Cast Update Handler - Optimistic UI Updates
    *
    * When a cast is updated (edited, credit added, etc.), this function
    * immediately updates the local state to reflect the changes without
-   * needing to refetch all data.
+   * needing to refetch all data. A scheduled cast that goes live moves
+   * from Upcoming into the live feed automatically.
    *
    * @param {Object} updatedCast - Cast object with new data
    */
-  const handleCastUpdate = (updatedCast) => {
-    setCasts((prev) =>
-      prev.map((c) => (c.id === updatedCast.id ? updatedCast : c)),
-    );
-  };
+  const handleCastUpdate = (updatedCast) => upsertCast(updatedCast);
 
   /**
    * Cast Delete Handler - Remove from UI
@@ -152,43 +377,128 @@ const CastFeed = ({ selectedChannel, searchQuery }) => {
     setCasts((prev) => prev.filter((c) => c.id !== castId));
   };
 
+  // 🔀 SORT BAR
+  // Switching sort or feed scope refetches the feed from the first page
+  const sortBar = (
+    <div className="flex flex-wrap gap-3">
+      {user && (
+        <div className="flex gap-3 pr-3 mr-1 border-r-3 border-ink">
+          {FEED_OPTIONS.map((option) => (
+            <Button
+              key={option.value}
+              variant={feed === option.value ? "pink" : "outline"}
+              className="text-[0.65rem] px-3 py-1"
+              onClick={() => setFeedChoice(option.value)}
+            >
+              {option.label}
+            </Button>
+          ))}
+        </div>
+      )}
+      {SORT_OPTIONS.map((option) => (
+        <Button
+          key={option.value}
+          variant={sort === option.value ? "violet" : "outline"}
+          className="text-[0.65rem] px-3 py-1"
+          onClick={() => setSort(option.value)}
+        >
+          {option.label}
+        </Button>
+      ))}
+    </div>
+  );
+
   // ⏳ LOADING STATE DISPLAY
   // Shows animated loading message consistent with app's typography
   if (loading) {
     return (
-      <div className="flex justify-center py-20 font-black italic text-violet animate-pulse text-xl">
-        SYNCING_LIVE_CASTS...
+      <div className="space-y-[2.5rem]">
+        {sortBar}
+        <div className="flex justify-center py-20 font-black italic text-violet animate-pulse text-xl">
+          SYNCING_LIVE_CASTS...
+        </div>
       </div>
     );
   }
 
+  // 🗓️ UPCOMING SECTION
+  // Scheduled casts announced ahead of time, shown next to the live feed
+  const upcomingSection = upcomingCasts.length > 0 && (
+    <section className="space-y-[1.5rem]">
+      <div className="flex items-center justify-between">
+        <h3 className="text-2xl font-black italic uppercase tracking-tighter">
+          UPCOMING_CASTS
+        </h3>
+        <span className="bg-violet text-white text-[0.6rem] px-2 py-1 font-black uppercase tracking-widest border-2 border-ink">
+          {upcomingCasts.length}_SCHEDULED
+        </span>
+      </div>
+      <div className="grid grid-cols-1 gap-8">
+        {upcomingCasts.map((cast) => (
+          <CastCard
+            key={cast.id}
+            cast={cast}
+            onUpdate={handleCastUpdate}
+            onDelete={handleCastDelete}
+          />
+        ))}
+      </div>
+    </section>
+  );
+
   // 📭 EMPTY STATE DISPLAY
   // Encourages content creation with neo-brutalist design
-  if (!casts.length) {
+  if (!liveCasts.length) {
     return (
-      <div className="bg-white border-3 border-ink border-dashed rounded-3xl p-12 text-center shadow-brutal">
-        <p className="font-black text-ink/80 uppercase tracking-widest mb-4">
-          NO_LIVE_CASTS
-        </p>
-        <p className="text-ink font-bold italic underline decoration-violet decoration-4">
-          BE_THE_FIRST_TO_CAST
-        </p>
+      <div className="space-y-[2.5rem]">
+        {upcomingSection}
+        {sortBar}
+        <div className="bg-white border-3 border-ink border-dashed rounded-3xl p-12 text-center shadow-brutal">
+          <p className="font-black text-ink/80 uppercase tracking-widest mb-4">
+            {feed === "following"
+              ? "NO_LIVE_CASTS_FROM_PEOPLE_YOU_FOLLOW"
+              : "NO_LIVE_CASTS"}
+          </p>
+          <p className="text-ink font-bold italic underline decoration-violet decoration-4">
+            {feed === "following"
+              ? "FOLLOW_CREATORS_FROM_THEIR_PROFILES"
+              : "BE_THE_FIRST_TO_CAST"}
+          </p>
+        </div>
       </div>
     );
   }
 
   // 📋 CAST GRID DISPLAY
   // Responsive grid layout with consistent spacing
+  // Upcoming sits above the live grid so infinite scroll never pushes it away
   return (
-    <div className="grid grid-cols-1 gap-8">
-      {casts.map((cast) => (
-        <CastCard
-          key={cast.id}
-          cast={cast}
-          onUpdate={handleCastUpdate} // Pass update handler for optimistic updates
-          onDelete={handleCastDelete} // Pass delete handler for immediate UI update
-        />
-      ))}
+    <div className="space-y-[2.5rem]">
+      {upcomingSection}
+      {sortBar}
+      <div className="grid grid-cols-1 gap-8">
+        {liveCasts.map((cast) => (
+          <CastCard
+            key={cast.id}
+            cast={cast}
+            onUpdate={handleCastUpdate} // Pass update handler for optimistic updates
+            onDelete={handleCastDelete} // Pass delete handler for immediate UI update
+          />
+        ))}
+      </div>
+
+      {/* 👀 SCROLL SENTINEL - Triggers the next page when visible */}
+      <div ref={sentinelRef} />
+      {loadingMore && (
+        <div className="flex justify-center py-6 font-black italic text-violet animate-pulse">
+          LOADING_MORE_CASTS...
+        </div>
+      )}
+      {!nextCursor && liveCasts.length >= PAGE_SIZE && (
+        <p className="text-center text-[0.7rem] font-black uppercase tracking-widest text-ink/50">
+          END_OF_FEED
+        </p>
+      )}
     </div>
   );
 };
@@ -2,15 +2,18 @@ import React, { useState } from "react";
 import api from "../../../shared/api/axios";
 import { Heart, Send } from "lucide-react";
 import { Button } from "../../../shared/ui/Button";
+import { FieldError } from "../../../shared/ui/FieldError";
 
 const NotesForm = ({ castId, onNoteSent }) => {
   const [content, setContent] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [message, setMessage] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSubmitting(true);
+    setFieldErrors({});
     try {
       // Posts data to the notesController
       const res = await api.post("/notes", {
@@ -24,7 +27,12 @@ const NotesForm = ({ castId, onNoteSent }) => {
       if (onNoteSent) onNoteSent();
     } catch (err) {
       console.error("Error sending note:", err);
-      setMessage(err.response?.data?.error || "FAILED_TO_SEND");
+      // Validation errors keep the form open with the message under the note
+      if (err.response?.data?.errors) {
+        setFieldErrors(err.response.data.errors);
+      } else {
+        setMessage(err.response?.data?.error || "FAILED_TO_SEND");
+      }
     } finally {
       setIsSubmitting(false);
     }
@@ -36,7 +44,7 @@ const NotesForm = ({ castId, onNoteSent }) => {
         <Heart size={18} className="text-danger" /> SEND_NOTES
       </h4>
       <p className="text-xs text-ink/70 mb-4 font-bold uppercase tracking-wide">
-        LEAVING_A_NOTE_AWARDS_THE_HOST_PLUS_10_CREDIT
+        LEAVING_A_NOTE_AWARDS_THE_HOST_CREDIT
       </p>
 
       {message ? (
@@ -53,6 +61,7 @@ const NotesForm = ({ castId, onNoteSent }) => {
             value={content}
             onChange={(e) => setContent(e.target.value)}
           />
+          <FieldError errors={fieldErrors} name="content" />
           <Button
             type="submit"
             disabled={isSubmitting}
@@ -2,7 +2,16 @@ import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import api from "../../../shared/api/axios";
 import { Button } from "../../../shared/ui/Button";
-import { Zap, Link as LinkIcon, Info, Layers, Heading3 } from "lucide-react";
+import { FieldError } from "../../../shared/ui/FieldError";
+import {
+  Zap,
+  Link as LinkIcon,
+  Info,
+  Layers,
+  Heading3,
+  CalendarClock,
+  Lock,
+} from "lucide-react";
 
 const CreateCast = () => {
   // DB States
@@ -15,7 +24,15 @@ const CreateCast = () => {
     description: "",
     skill_id: "",
     meeting_link: "",
+    starts_at: "",
+    ends_at: "",
+    credit_cost: 0,
   });
+  // Schedule toggle: off = go LIVE immediately, on = announce for later
+  const [isScheduled, setIsScheduled] = useState(false);
+  // API errors: a summary line plus per-field messages shown under each input
+  const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const navigate = useNavigate();
 
@@ -54,12 +71,22 @@ const CreateCast = () => {
   // 2. BROADCAST LOGIC: Posts to castController.js
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // datetime-local values are local time; send ISO strings to the API
+    const { starts_at, ends_at, ...castData } = formData;
+    const payload = isScheduled
+      ? {
+          ...castData,
+          starts_at: starts_at ? new Date(starts_at).toISOString() : undefined,
+          ends_at: ends_at ? new Date(ends_at).toISOString() : undefined,
+        }
+      : castData;
     try {
-      await api.post("/casts", formData);
+      await api.post("/casts", payload);
       navigate("/"); // Redirect back to feed on success
     } catch (err) {
       console.error("Error creating cast:", err);
-      alert("Check all fields");
+      setFieldErrors(err.response?.data?.errors || {});
+      setError(err.response?.data?.error || "COULD_NOT_LAUNCH_CAST");
     }
   };
 
@@ -76,6 +103,12 @@ const CreateCast = () => {
           </p>
         </header>
 
+        {error && (
+          <div className="mb-6 p-4 bg-pink text-white border-3 border-ink rounded-xl font-black text-xs uppercase">
+            ERROR: {error}
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="space-y-6">
           {/* CATEGORY SELECT: Choose category first to filter skills */}
           <div>
@@ -118,6 +151,7 @@ const CreateCast = () => {
                   </option>
                 ))}
               </select>
+              <FieldError errors={fieldErrors} name="skill_id" />
             </div>
           )}
 
@@ -135,6 +169,7 @@ const CreateCast = () => {
                 setFormData({ ...formData, title: e.target.value })
               }
             />
+            <FieldError errors={fieldErrors} name="title" />
           </div>
 
           {/* MEETING LINK: Essential for the 'Join' logic */}
@@ -152,6 +187,7 @@ const CreateCast = () => {
                 setFormData({ ...formData, meeting_link: e.target.value })
               }
             />
+            <FieldError errors={fieldErrors} name="meeting_link" />
           </div>
 
           {/* DESCRIPTION TEXTAREA */}
@@ -166,6 +202,78 @@ const CreateCast = () => {
                 setFormData({ ...formData, description: e.target.value })
               }
             />
+            <FieldError errors={fieldErrors} name="description" />
+          </div>
+
+          {/* CREDIT COST: 0 = free, otherwise learners redeem credit to get the link */}
+          <div>
+            <label className="flex items-center gap-2 mb-2 font-black uppercase text-xs italic">
+              <Lock size={14} /> CREDIT_COST
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              className="input-brutal"
+              value={formData.credit_cost}
+              onChange={(e) =>
+                setFormData({
+                  ...formData,
+                  credit_cost: parseInt(e.target.value, 10) || 0,
+                })
+              }
+            />
+            <FieldError errors={fieldErrors} name="credit_cost" />
+            <p className="mt-2 font-bold uppercase text-[0.6rem] tracking-widest text-ink/60">
+              0 = FREE_CAST. PAID_SEATS_HIDE_THE_LINK_UNTIL_REDEEMED
+            </p>
+          </div>
+
+          {/* SCHEDULE: Optional future start time for announcing casts ahead */}
+          <div>
+            <label className="flex items-center gap-2 mb-2 font-black uppercase text-xs italic cursor-pointer">
+              <input
+                type="checkbox"
+                className="h-4 w-4 accent-violet"
+                checked={isScheduled}
+                onChange={(e) => setIsScheduled(e.target.checked)}
+              />
+              <CalendarClock size={14} /> SCHEDULE_FOR_LATER
+            </label>
+            {isScheduled && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+                <div>
+                  <p className="mb-2 font-black uppercase text-[0.65rem] tracking-widest text-ink/60">
+                    STARTS_AT
+                  </p>
+                  <input
+                    type="datetime-local"
+                    required
+                    className="input-brutal"
+                    value={formData.starts_at}
+                    onChange={(e) =>
+                      setFormData({ ...formData, starts_at: e.target.value })
+                    }
+                  />
+                  <FieldError errors={fieldErrors} name="starts_at" />
+                </div>
+                <div>
+                  <p className="mb-2 font-black uppercase text-[0.65rem] tracking-widest text-ink/60">
+                    ENDS_AT_OPTIONAL
+                  </p>
+                  <input
+                    type="datetime-local"
+                    className="input-brutal"
+                    min={formData.starts_at}
+                    value={formData.ends_at}
+                    onChange={(e) =>
+                      setFormData({ ...formData, ends_at: e.target.value })
+                    }
+                  />
+                  <FieldError errors={fieldErrors} name="ends_at" />
+                </div>
+              </div>
+            )}
           </div>
 
           {/* SUBMIT BUTTON: Cyber Yellow for High Visibility */}
@@ -176,7 +284,11 @@ const CreateCast = () => {
               className="w-full py-5 text-xl shadow-brutal"
               disabled={loading}
             >
-              {loading ? "SYNCING..." : "LAUNCH_BROADCAST"}
+              {loading
+                ? "SYNCING..."
+                : isScheduled
+                  ? "SCHEDULE_BROADCAST"
+                  : "LAUNCH_BROADCAST"}
             </Button>
           </div>
         </form>
@@ -0,0 +1,223 @@
+/**
+ * SKILLCAST NOTIFICATION BELL - Navbar Notification Center
+ *
+ * Shows the logged-in user's notifications (GET /api/notifications) with an
+ * unread badge. New notifications arrive over the event stream as
+ * `notification:created`, so the badge updates without a reload.
+ *
+ * NOTIFICATION TYPES:
+ * - NOTE_RECEIVED - Someone left a note on your cast → your profile
+ * - CAST_LIVE     - A creator you follow went live → feed filtered to the cast
+ * - ROLE_CHANGED  - An admin changed your role → your profile
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Bell } from "lucide-react";
+
+// API CLIENT
+import api from "../../../shared/api/axios";
+import { subscribeToEvents } from "../../../shared/api/events";
+
+// AUTHENTICATION CONTEXT
+import { useAuth } from "../../auth/context/AuthContext";
+
+// 📄 PAGE SIZE
+const PAGE_SIZE = 10;
+
+/**
+ * Builds the display text for a notification
+ *
+ * @param {Object} n - Notification from the API
+ * @returns {string} - One-line message
+ */
+const messageFor = (n) => {
+  const actor = n.actor_username || "SOMEONE";
+  switch (n.type) {
+    case "NOTE_RECEIVED":
+      return n.data.reward > 0
+        ? `${actor} left a note on "${n.cast_title}" (+${n.data.reward} credit)`
+        : `${actor} left a note on "${n.cast_title}"`;
+    case "CAST_LIVE":
+      return `${actor} is live: "${n.cast_title}"`;
+    case "ROLE_CHANGED":
+      return `${actor} changed your role to ${n.data.to}`;
+    default:
+      return n.type;
+  }
+};
+
+/**
+ * NotificationBell Component - Bell icon, unread badge and dropdown
+ */
+export const NotificationBell = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  // 🔔 NOTIFICATION STATE
+  const [items, setItems] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  // 📦 CONTAINER REF - Used to close the dropdown on outside clicks
+  const containerRef = useRef(null);
+
+  // 📡 INITIAL FETCH + LIVE UPDATES (per logged-in user)
+  useEffect(() => {
+    const fetchNotifications = async () => {
+      try {
+        const res = await api.get("/notifications", {
+          params: { limit: PAGE_SIZE },
+        });
+        setItems(res.data.items);
+        setUnread(res.data.unread_count);
+        setNextCursor(res.data.nextCursor);
+      } catch (err) {
+        console.error("Error fetching notifications:", err);
+      }
+    };
+    fetchNotifications();
+
+    return subscribeToEvents({
+      "notification:created": (notification) => {
+        setItems((prev) => [notification, ...prev]);
+        setUnread((count) => count + 1);
+      },
+    });
+  }, [user?.id]);
+
+  // 🖱️ OUTSIDE CLICK EFFECT - Closes the dropdown
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, []);
+
+  const loadMore = async () => {
+    try {
+      const res = await api.get("/notifications", {
+        params: { limit: PAGE_SIZE, cursor: nextCursor },
+      });
+      setItems((prev) => [...prev, ...res.data.items]);
+      setNextCursor(res.data.nextCursor);
+    } catch (err) {
+      console.error("Error loading more notifications:", err);
+      setNextCursor(null);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await api.post("/notifications/read-all");
+      const now = new Date().toISOString();
+      setItems((prev) =>
+        prev.map((n) => ({ ...n, read_at: n.read_at || now })),
+      );
+      setUnread(0);
+    } catch (err) {
+      console.error("Error marking notifications read:", err);
+    }
+  };
+
+  /**
+   * Notification Click Handler - Marks it read and opens what it is about
+   */
+  const handleSelect = async (notification) => {
+    setOpen(false);
+    if (!notification.read_at) {
+      try {
+        const res = await api.patch(`/notifications/${notification.id}/read`);
+        setItems((prev) =>
+          prev.map((n) =>
+            n.id === notification.id ? { ...n, read_at: res.data.read_at } : n,
+          ),
+        );
+        setUnread(res.data.unread_count);
+      } catch (err) {
+        console.error("Error marking notification read:", err);
+      }
+    }
+
+    if (notification.type === "CAST_LIVE" && notification.cast_title) {
+      navigate(`/?q=${encodeURIComponent(notification.cast_title)}`);
+    } else {
+      navigate(`/profile/${user.id}`);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      {/* 🔔 BELL BUTTON + UNREAD BADGE */}
+      <button
+        type="button"
+        onClick={() => setOpen((prev) => !prev)}
+        className="relative flex items-center hover:text-violet"
+        aria-label={`Notifications (${unread} unread)`}
+      >
+        <Bell size={20} />
+        {unread > 0 && (
+          <span className="absolute -top-2 -right-2 min-w-[1.1rem] h-[1.1rem] px-1 bg-pink text-white text-[0.6rem] font-black rounded-full border-2 border-ink flex items-center justify-center">
+            {unread > 99 ? "99+" : unread}
+          </span>
+        )}
+      </button>
+
+      {/* 📋 NOTIFICATION DROPDOWN */}
+      {open && (
+        <div className="absolute right-0 mt-3 w-80 bg-white border-3 border-ink shadow-brutal max-h-96 overflow-y-auto z-50">
+          <div className="flex items-center justify-between p-3 border-b-3 border-ink">
+            <span className="text-xs font-black uppercase tracking-widest">
+              NOTIFICATIONS
+            </span>
+            {unread > 0 && (
+              <button
+                type="button"
+                onClick={markAllRead}
+                className="text-[0.6rem] font-black uppercase tracking-widest text-violet hover:underline"
+              >
+                MARK_ALL_READ
+              </button>
+            )}
+          </div>
+
+          {items.length === 0 ? (
+            <p className="p-4 text-xs font-black uppercase tracking-widest text-ink/50">
+              NOTHING_YET
+            </p>
+          ) : (
+            items.map((n) => (
+              <button
+                key={n.id}
+                type="button"
+                onClick={() => handleSelect(n)}
+                className={`w-full text-left p-3 border-b-2 border-ink/10 hover:bg-offwhite flex flex-col gap-1 ${
+                  n.read_at ? "" : "bg-violet/10"
+                }`}
+              >
+                <span className="text-xs font-bold">{messageFor(n)}</span>
+                <span className="text-[0.6rem] font-black uppercase tracking-widest text-ink/50">
+                  {new Date(n.created_at).toLocaleString()}
+                </span>
+              </button>
+            ))
+          )}
+
+          {nextCursor && (
+            <button
+              type="button"
+              onClick={loadMore}
+              className="w-full py-2 font-black text-[0.65rem] tracking-widest hover:bg-yellow-muted/20"
+            >
+              LOAD_MORE
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,2 @@
+// Notifications Feature Exports
+export { default as NotificationBell } from "./components/NotificationBell";
@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from "react";
+import { Video, Save } from "lucide-react";
+import api from "../../../shared/api/axios";
+import Button from "../../../shared/ui/Button";
+import { FieldError } from "../../../shared/ui/FieldError";
+
+/**
+ * Admin allowlist of the platforms cast meeting links may point to
+ * Backed by GET/PUT /settings/meeting-platforms; links are checked when a
+ * cast is created or its link changes, so existing casts keep their links
+ */
+export default function MeetingPlatforms() {
+  const [platforms, setPlatforms] = useState(null);
+  const [allowed, setAllowed] = useState([]);
+  const [meta, setMeta] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Fetch the catalog of known platforms and the current allowlist
+  useEffect(() => {
+    const fetchPlatforms = async () => {
+      try {
+        const res = await api.get("/settings/meeting-platforms");
+        setPlatforms(res.data.platforms);
+        setAllowed(res.data.settings.allowed);
+        setMeta(res.data);
+      } catch (err) {
+        setError(err.response?.data?.error || "FAILED_TO_FETCH_PLATFORMS");
+        console.error("Error fetching meeting platforms:", err);
+      }
+    };
+    fetchPlatforms();
+  }, []);
+
+  const togglePlatform = (key) => {
+    setSaved(false);
+    setAllowed((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key],
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await api.put("/settings/meeting-platforms", { allowed });
+      setAllowed(res.data.settings.allowed);
+      setMeta(res.data);
+      setFieldErrors({});
+      setError(null);
+      setSaved(true);
+    } catch (err) {
+      setFieldErrors(err.response?.data?.errors || {});
+      setError(err.response?.data?.error || "FAILED_TO_SAVE_PLATFORMS");
+      console.error("Error saving meeting platforms:", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="mt-12">
+      <h2 className="text-3xl font-black text-ink mb-2 flex items-center gap-3">
+        <Video size={28} /> MEETING_PLATFORMS
+      </h2>
+      <p className="text-sm font-mono text-ink mb-6">
+        {meta.updated_at
+          ? `LAST_CHANGED ${new Date(meta.updated_at).toLocaleString()} BY ${meta.updated_by_username || "UNKNOWN"}`
+          : "ALL_KNOWN_PLATFORMS_ALLOWED"}
+      </p>
+
+      {error && (
+        <div className="mb-6 p-4 bg-pink border-4 border-ink text-ink font-bold">
+          ERROR_MESSAGE: {error}
+        </div>
+      )}
+
+      {platforms ? (
+        <form
+          onSubmit={handleSubmit}
+          className="space-y-6 border-4 border-ink bg-white p-8 shadow-brutal-lg"
+        >
+          <p className="text-xs font-mono text-ink/60">
+            casts_may_only_link_to_https_urls_on_these_platforms
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {Object.entries(platforms).map(([key, platform]) => (
+              <label
+                key={key}
+                className="flex items-start gap-3 font-bold text-sm text-ink cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  className="mt-1 h-4 w-4 accent-violet"
+                  checked={allowed.includes(key)}
+                  onChange={() => togglePlatform(key)}
+                />
+                <span>
+                  <span className="block uppercase">{platform.label}</span>
+                  <span className="block text-xs font-mono text-ink/60">
+                    {platform.domains.join(", ")}
+                  </span>
+                </span>
+              </label>
+            ))}
+          </div>
+          <FieldError errors={fieldErrors} name="allowed" />
+
+          <Button
+            type="submit"
+            variant="neon"
+            disabled={saving}
+            className="w-full flex items-center justify-center gap-2"
+          >
+            <Save size={16} />
+            {saving ? "SAVING..." : saved ? "SAVED" : "SAVE_PLATFORMS"}
+          </Button>
+        </form>
+      ) : (
+        !error && <p className="text-ink font-bold">LOADING_PLATFORMS...</p>
+      )}
+    </section>
+  );
+}
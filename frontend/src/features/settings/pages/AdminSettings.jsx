@@ -0,0 +1,287 @@
+import { useEffect, useState } from "react";
+import { useAuth } from "../../auth/context/AuthContext";
+import axios from "../../../shared/api/axios";
+import Button from "../../../shared/ui/Button";
+import { FieldError } from "../../../shared/ui/FieldError";
+import MeetingPlatforms from "../components/MeetingPlatforms";
+import { Coins, RotateCcw, Save } from "lucide-react";
+
+/**
+ * Converts API rules into form state (inputs hold strings)
+ */
+const toForm = (rules, categories) => ({
+  note_reward: String(rules.note_reward),
+  first_note_bonus: String(rules.first_note_bonus),
+  category_multipliers: Object.fromEntries(
+    [...new Set([...categories, ...Object.keys(rules.category_multipliers)])]
+      .sort()
+      .map((c) => [c, String(rules.category_multipliers[c] ?? "")]),
+  ),
+  grace_days: String(rules.decay.grace_days),
+  half_life_days: String(rules.decay.half_life_days),
+  min_multiplier: String(rules.decay.min_multiplier),
+});
+
+/**
+ * Converts form state back into the rules payload
+ * Blank category multipliers are dropped (= x1)
+ */
+const toRules = (form) => ({
+  note_reward: Number(form.note_reward),
+  first_note_bonus: Number(form.first_note_bonus),
+  category_multipliers: Object.fromEntries(
+    Object.entries(form.category_multipliers)
+      .filter(([, value]) => value !== "")
+      .map(([category, value]) => [category, Number(value)]),
+  ),
+  decay: {
+    grace_days: Number(form.grace_days),
+    half_life_days: Number(form.half_life_days),
+    min_multiplier: Number(form.min_multiplier),
+  },
+});
+
+/**
+ * Admin page for the credit rules that decide note rewards
+ * (GET/PUT /settings/credit-rules) and the meeting platform allowlist
+ */
+export default function AdminSettings() {
+  const { user } = useAuth();
+  const [form, setForm] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [meta, setMeta] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Redirect if not admin
+  useEffect(() => {
+    if (user && user.role !== "admin") {
+      window.location.href = "/";
+    }
+  }, [user]);
+
+  // Fetch current rules and the skill categories they can target
+  useEffect(() => {
+    const fetchRules = async () => {
+      try {
+        const [rulesRes, skillsRes] = await Promise.all([
+          axios.get("/settings/credit-rules"),
+          axios.get("/skills"),
+        ]);
+        const skillCategories = [
+          ...new Set(skillsRes.data.map((s) => s.category)),
+        ];
+        setCategories(skillCategories);
+        setDefaults(rulesRes.data.defaults);
+        setMeta(rulesRes.data);
+        setForm(toForm(rulesRes.data.rules, skillCategories));
+      } catch (err) {
+        setError(err.response?.data?.error || "FAILED_TO_FETCH_RULES");
+        console.error("Error fetching credit rules:", err);
+      }
+    };
+
+    if (user?.role === "admin") {
+      fetchRules();
+    }
+  }, [user]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setSaved(false);
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleMultiplierChange = (category, value) => {
+    setSaved(false);
+    setForm((prev) => ({
+      ...prev,
+      category_multipliers: { ...prev.category_multipliers, [category]: value },
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await axios.put("/settings/credit-rules", toRules(form));
+      setMeta(response.data);
+      setForm(toForm(response.data.rules, categories));
+      setFieldErrors({});
+      setError(null);
+      setSaved(true);
+    } catch (err) {
+      setFieldErrors(err.response?.data?.errors || {});
+      setError(err.response?.data?.error || "FAILED_TO_SAVE_RULES");
+      console.error("Error saving credit rules:", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!form) {
+    return (
+      <div className="flex justify-center items-center h-screen bg-offwhite">
+        <div className="text-ink font-bold">
+          {error ? `ERROR_MESSAGE: ${error}` : "LOADING_RULES..."}
+        </div>
+      </div>
+    );
+  }
+
+  // Labeled number input with its per-field error from the API
+  const renderField = (name, label, hint, errorKey = name, step = "1") => (
+    <div>
+      <label className="block text-sm font-bold text-ink mb-1">{label}</label>
+      <p className="text-xs font-mono text-ink/60 mb-2">{hint}</p>
+      <input
+        type="number"
+        name={name}
+        step={step}
+        min="0"
+        value={form[name]}
+        onChange={handleChange}
+        className="w-full px-4 py-3 border-2 border-ink font-mono"
+      />
+      <FieldError errors={fieldErrors} name={errorKey} />
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-offwhite p-8">
+      <div className="max-w-3xl mx-auto">
+        {/* Header */}
+        <div className="mb-12">
+          <h1 className="text-4xl font-black text-ink mb-2 flex items-center gap-3">
+            <Coins size={32} /> CREDIT_RULES
+          </h1>
+          <p className="text-sm font-mono text-ink">
+            {meta.updated_at
+              ? `LAST_CHANGED ${new Date(meta.updated_at).toLocaleString()} BY ${meta.updated_by_username || "UNKNOWN"}`
+              : "USING_DEFAULT_RULES"}
+          </p>
+        </div>
+
+        {/* Error Alert */}
+        {error && (
+          <div className="mb-6 p-4 bg-pink border-4 border-ink text-ink font-bold">
+            ERROR_MESSAGE: {error}
+          </div>
+        )}
+
+        <form
+          onSubmit={handleSubmit}
+          className="space-y-10 border-4 border-ink bg-white p-8 shadow-brutal-lg"
+        >
+          {/* 💰 BASE REWARD */}
+          <section className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {renderField(
+              "note_reward",
+              "NOTE_REWARD",
+              "credit_per_note_sent_to_a_host",
+            )}
+            {renderField(
+              "first_note_bonus",
+              "FIRST_NOTE_BONUS",
+              "extra_credit_for_a_casts_first_note",
+            )}
+          </section>
+
+          {/* 🏷️ CATEGORY MULTIPLIERS */}
+          <section>
+            <h2 className="text-lg font-black text-ink mb-1">
+              CATEGORY_MULTIPLIERS
+            </h2>
+            <p className="text-xs font-mono text-ink/60 mb-4">
+              blank_means_x1. applied_to_reward_plus_bonus
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {Object.entries(form.category_multipliers).map(
+                ([category, value]) => (
+                  <div key={category}>
+                    <label className="flex items-center gap-3 font-bold text-sm text-ink">
+                      <span className="flex-1 uppercase">{category}</span>
+                      <input
+                        type="number"
+                        step="0.1"
+                        min="0"
+                        placeholder="1"
+                        value={value}
+                        onChange={(e) =>
+                          handleMultiplierChange(category, e.target.value)
+                        }
+                        className="w-28 px-3 py-2 border-2 border-ink font-mono"
+                      />
+                    </label>
+                    <FieldError
+                      errors={fieldErrors}
+                      name={`category_multipliers.${category}`}
+                    />
+                  </div>
+                ),
+              )}
+            </div>
+          </section>
+
+          {/* ⏳ DECAY FOR OLD CASTS */}
+          <section>
+            <h2 className="text-lg font-black text-ink mb-1">OLD_CAST_DECAY</h2>
+            <p className="text-xs font-mono text-ink/60 mb-4">
+              after_the_grace_period_rewards_halve_every_half_life_days
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              {renderField(
+                "grace_days",
+                "GRACE_DAYS",
+                "full_reward_until",
+                "decay.grace_days",
+              )}
+              {renderField(
+                "half_life_days",
+                "HALF_LIFE_DAYS",
+                "0_turns_decay_off",
+                "decay.half_life_days",
+              )}
+              {renderField(
+                "min_multiplier",
+                "MIN_MULTIPLIER",
+                "floor_between_0_and_1",
+                "decay.min_multiplier",
+                "0.05",
+              )}
+            </div>
+          </section>
+
+          <div className="flex gap-4">
+            <Button
+              type="button"
+              variant="cyan"
+              onClick={() => {
+                setSaved(false);
+                setForm(toForm(defaults, categories));
+              }}
+              className="flex-1 flex items-center justify-center gap-2"
+            >
+              <RotateCcw size={16} /> RESET_TO_DEFAULTS
+            </Button>
+            <Button
+              type="submit"
+              variant="neon"
+              disabled={saving}
+              className="flex-1 flex items-center justify-center gap-2"
+            >
+              <Save size={16} />
+              {saving ? "SAVING..." : saved ? "SAVED" : "SAVE_RULES"}
+            </Button>
+          </div>
+        </form>
+
+        {/* 🎥 MEETING PLATFORM ALLOWLIST */}
+        <MeetingPlatforms />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { ShieldAlert, Check, X } from "lucide-react";
+import api from "../../../shared/api/axios";
+import { Button } from "../../../shared/ui/Button";
+
+// Display labels for flag kinds (see ABUSE_KINDS on the backend)
+const KIND_LABELS = {
+  DAILY_LIMIT: "DAILY_LIMIT_HIT",
+  CREDIT_RING: "CREDIT_RING",
+};
+
+/**
+ * One-line explanation of why a flag was raised
+ */
+const describeFlag = (flag) => {
+  if (flag.kind === "CREDIT_RING") {
+    const sent = flag.details?.[flag.user_id] ?? "?";
+    const received = flag.details?.[flag.related_user_id] ?? "?";
+    return `${sent} ↔ ${received} notes traded in ${flag.details?.window_days ?? "?"}d`;
+  }
+  return `${flag.details?.credited_notes_24h ?? "?"} credited notes in 24h (limit ${flag.details?.limit ?? "?"})`;
+};
+
+/**
+ * Admin review queue for suspected note-based credit farming
+ * Lists open flags from /notes/admin/flags with DISMISS / RESOLVE actions
+ */
+const AbuseFlags = () => {
+  const [flags, setFlags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchFlags = async () => {
+      try {
+        const res = await api.get("/notes/admin/flags");
+        setFlags(res.data);
+      } catch (err) {
+        console.error("Error fetching abuse flags:", err);
+        setError(err.response?.data?.error || "FAILED_TO_FETCH_FLAGS");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchFlags();
+  }, []);
+
+  const handleReview = async (flagId, status) => {
+    try {
+      await api.patch(`/notes/admin/flags/${flagId}`, { status });
+      setFlags((prev) => prev.filter((f) => f.id !== flagId));
+    } catch (err) {
+      console.error("Error reviewing abuse flag:", err);
+      setError(err.response?.data?.error || "FAILED_TO_UPDATE_FLAG");
+    }
+  };
+
+  return (
+    <section className="mb-12 border-4 border-ink bg-white shadow-brutal-lg">
+      <header className="flex items-center gap-3 bg-pink text-white border-b-4 border-ink p-4">
+        <ShieldAlert size={20} />
+        <h2 className="text-xl font-black">CREDIT_FARMING_FLAGS</h2>
+        <span className="ml-auto font-mono text-sm">{flags.length} OPEN</span>
+      </header>
+
+      {error && (
+        <div className="p-4 border-b-2 border-ink text-ink font-bold">
+          ERROR_MESSAGE: {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="p-4 font-black italic text-violet animate-pulse">
+          LOADING_FLAGS...
+        </p>
+      ) : flags.length === 0 ? (
+        <p className="p-4 font-mono text-sm text-ink/60">NO_OPEN_FLAGS</p>
+      ) : (
+        <ul>
+          {flags.map((flag) => (
+            <li
+              key={flag.id}
+              className="flex flex-wrap items-center gap-4 p-4 border-b-2 border-ink last:border-b-0"
+            >
+              <span className="font-black text-xs px-2 py-1 border-2 border-ink bg-yellow text-white">
+                {KIND_LABELS[flag.kind] || flag.kind}
+              </span>
+              <div className="flex-1 min-w-0">
+                <p className="font-bold text-ink">
+                  <Link to={`/profile/${flag.user_id}`} className="underline">
+                    {flag.username}
+                  </Link>
+                  {flag.related_username && (
+                    <>
+                      {" ↔ "}
+                      <Link
+                        to={`/profile/${flag.related_user_id}`}
+                        className="underline"
+                      >
+                        {flag.related_username}
+                      </Link>
+                    </>
+                  )}
+                </p>
+                <p className="font-mono text-xs text-ink/70">
+                  {describeFlag(flag)}
+                  {flag.cast_title && ` · LAST_CAST: ${flag.cast_title}`}
+                  {` · HITS: ${flag.hits} · ${new Date(flag.last_seen_at).toLocaleString()}`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <Button
+                  variant="cyan"
+                  className="text-xs px-3 py-2 gap-1"
+                  onClick={() => handleReview(flag.id, "DISMISSED")}
+                >
+                  <X size={14} /> DISMISS
+                </Button>
+                <Button
+                  variant="neon"
+                  className="text-xs px-3 py-2 gap-1"
+                  onClick={() => handleReview(flag.id, "RESOLVED")}
+                >
+                  <Check size={14} /> RESOLVE
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default AbuseFlags;
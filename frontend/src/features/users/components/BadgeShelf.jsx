@@ -0,0 +1,87 @@
+import React from "react";
+import { Radio, Heart, Layers, Flame, Award } from "lucide-react";
+
+// Icon and colour per badge code (labels/rules live in the backend BADGES catalog)
+const BADGE_STYLES = {
+  FIRST_CAST: { icon: Radio, className: "bg-violet", label: "First Cast" },
+  NOTES_RECEIVED_10: {
+    icon: Heart,
+    className: "bg-pink",
+    label: "Crowd Favourite",
+  },
+  MULTI_CATEGORY_3: { icon: Layers, className: "bg-cyan", label: "Polymath" },
+  STREAK_7: { icon: Flame, className: "bg-yellow", label: "On a Roll" },
+};
+
+const styleFor = (code) =>
+  BADGE_STYLES[code] || { icon: Award, className: "bg-ink", label: code };
+
+/**
+ * Compact badge icons for tight spaces (leaderboard rows)
+ * Takes badge codes, shows the label on hover
+ */
+export const BadgeIcons = ({ codes = [] }) => {
+  if (codes.length === 0) return null;
+  return (
+    <span className="inline-flex items-center gap-[0.2rem] shrink-0">
+      {codes.map((code) => {
+        const { icon: Icon, className, label } = styleFor(code);
+        return (
+          <span
+            key={code}
+            title={label}
+            className={`inline-flex items-center justify-center w-[1.1rem] h-[1.1rem] border-2 border-ink rounded-full text-white ${className}`}
+          >
+            <Icon size={9} strokeWidth={3} />
+          </span>
+        );
+      })}
+    </span>
+  );
+};
+
+/**
+ * Badge shelf for profiles
+ * Takes the profile's badges: [{ code, label, description, awarded_at }]
+ */
+const BadgeShelf = ({ badges = [] }) => (
+  <section className="bg-white border-3 border-ink p-6 rounded-3xl shadow-brutal">
+    <h2 className="font-black uppercase tracking-widest text-sm mb-4 flex items-center gap-2">
+      <Award size={18} /> BADGES
+    </h2>
+    {badges.length === 0 ? (
+      <p className="text-xs font-bold uppercase tracking-widest text-ink/50">
+        no_badges_yet. host_a_cast_to_earn_the_first_one
+      </p>
+    ) : (
+      <ul className="flex flex-wrap gap-4">
+        {badges.map((badge) => {
+          const { icon: Icon, className } = styleFor(badge.code);
+          return (
+            <li
+              key={badge.code}
+              title={badge.description}
+              className="flex items-center gap-3 border-3 border-ink rounded-2xl px-4 py-3 bg-offwhite"
+            >
+              <span
+                className={`flex items-center justify-center w-10 h-10 border-3 border-ink rounded-full text-white ${className}`}
+              >
+                <Icon size={18} strokeWidth={3} />
+              </span>
+              <span className="flex flex-col">
+                <span className="font-black uppercase text-xs tracking-wide">
+                  {badge.label}
+                </span>
+                <span className="text-[10px] font-bold uppercase tracking-widest text-ink/50">
+                  {new Date(badge.awarded_at).toLocaleDateString()}
+                </span>
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    )}
+  </section>
+);
+
+export default BadgeShelf;
@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import api from "../../../shared/api/axios";
+import { Button } from "../../../shared/ui/Button";
+
+// Display labels for ledger reasons (see CREDIT_REASONS on the backend)
+const REASON_LABELS = {
+  OPENING_BALANCE: "OPENING_BALANCE",
+  NOTE_RECEIVED: "NOTE_RECEIVED",
+  NOTE_REVERSED: "NOTE_DELETED",
+  ADMIN_ADJUSTMENT: "ADMIN_ADJUSTMENT",
+};
+
+/**
+ * Credit ledger for one user, newest first, with running balance
+ * Pages through /users/:id/credits with a LOAD_MORE button
+ */
+const CreditHistory = ({ userId }) => {
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        const res = await api.get(`/users/${userId}/credits`);
+        setEntries(res.data.items);
+        setNextCursor(res.data.nextCursor);
+      } catch (err) {
+        console.error("Error fetching credit history:", err);
+        setEntries([]);
+        setNextCursor(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchHistory();
+  }, [userId]);
+
+  const loadMore = async () => {
+    try {
+      const res = await api.get(`/users/${userId}/credits`, {
+        params: { cursor: nextCursor },
+      });
+      setEntries((prev) => [...prev, ...res.data.items]);
+      setNextCursor(res.data.nextCursor);
+    } catch (err) {
+      console.error("Error loading more credit history:", err);
+      setNextCursor(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <p className="font-black italic text-violet animate-pulse p-4">
+        LOADING_LEDGER...
+      </p>
+    );
+  }
+
+  if (entries.length === 0) {
+    return (
+      <p className="text-ink/60 font-bold italic p-4">
+        no_credit_movements_yet
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {entries.map((entry) => (
+        <div
+          key={entry.id}
+          className="border-3 border-ink rounded-2xl p-4 bg-white shadow-brutal flex items-center justify-between gap-4"
+        >
+          <div className="min-w-0 space-y-1">
+            <span className="text-[0.6rem] font-black uppercase tracking-widest text-violet block">
+              {REASON_LABELS[entry.reason] || entry.reason}
+            </span>
+            {entry.cast_title && (
+              <p className="font-black text-ink uppercase truncate">
+                {entry.cast_title}
+              </p>
+            )}
+            {entry.memo && (
+              <p className="text-sm font-bold text-ink/70 italic">
+                {entry.memo}
+              </p>
+            )}
+            <p className="text-[0.65rem] font-bold text-ink/40 uppercase">
+              {new Date(entry.created_at).toLocaleString()}
+              {entry.actor_username && (
+                <>
+                  {" · BY "}
+                  <Link
+                    to={`/profile/${entry.actor_id}`}
+                    className="hover:underline"
+                  >
+                    @{entry.actor_username}
+                  </Link>
+                </>
+              )}
+            </p>
+          </div>
+          <div className="text-right shrink-0">
+            <p
+              className={`text-2xl font-black tabular-nums ${entry.amount > 0 ? "text-neon" : "text-danger"}`}
+            >
+              {entry.amount > 0 ? `+${entry.amount}` : entry.amount}
+            </p>
+            <p className="text-[0.6rem] font-black uppercase tracking-widest text-ink/60">
+              BAL_{entry.balance_after}
+            </p>
+          </div>
+        </div>
+      ))}
+
+      {nextCursor && (
+        <Button variant="outline" className="w-full" onClick={loadMore}>
+          LOAD_MORE
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default CreditHistory;
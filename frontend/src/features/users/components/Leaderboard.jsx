@@ -1,45 +1,204 @@
 import React, { useEffect, useState } from "react";
 import api from "../../../shared/api/axios";
 import { Link } from "react-router-dom";
+import { useAuth } from "../../auth/context/AuthContext";
+import { BadgeIcons } from "./BadgeShelf";
+
+// Leaderboard views: rolling windows are computed from note timestamps
+const PERIOD_TABS = [
+  { value: "week", label: "WEEK" },
+  { value: "month", label: "MONTH" },
+  { value: "all", label: "ALL_TIME" },
+];
+
+const PAGE_SIZE = 10;
+
+/**
+ * One ranked row; `highlight` marks the viewer's own entry
+ */
+const LeaderRow = ({ leader, showScore, highlight = false }) => (
+  <Link
+    to={`/profile/${leader.id}`}
+    className={`group grid grid-cols-[1.75rem_1fr_auto] items-center gap-[0.6rem] p-[1rem] hover:bg-yellow-muted/20 transition-all min-w-0 ${
+      highlight ? "bg-violet/10" : ""
+    }`}
+  >
+    <span className="font-black italic text-ink/40 text-[1rem] xl:text-[1.125rem] leading-none text-center">
+      {leader.rank}
+    </span>
+
+    <div className="flex flex-col min-w-0">
+      <span className="flex items-center gap-[0.35rem] min-w-0">
+        <span className="font-black uppercase text-[0.95rem] xl:text-[1rem] leading-none tracking-tighter truncate">
+          {leader.username}
+        </span>
+        <BadgeIcons codes={leader.badges} />
+      </span>
+      <span className="text-[0.6rem] xl:text-[0.625rem] font-black uppercase tracking-widest text-ink/70 mt-[0.25rem] leading-tight">
+        Level_{Math.floor(leader.credit / 100) + 1}
+      </span>
+    </div>
+
+    {/* Period/category boards rank by earned credit - show it */}
+    {showScore && (
+      <span className="font-black text-[0.75rem] text-violet">
+        +{leader.score}
+      </span>
+    )}
+  </Link>
+);
 
 const Leaderboard = () => {
+  const { user } = useAuth();
+  const [period, setPeriod] = useState("week");
+  const [category, setCategory] = useState("");
+  const [categories, setCategories] = useState([]);
   const [leaders, setLeaders] = useState([]);
+  const [me, setMe] = useState(null);
+  const [nextOffset, setNextOffset] = useState(null);
+
+  // Skill categories for the category filter
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const res = await api.get("/skills");
+        setCategories([...new Set(res.data.map((s) => s.category))].sort());
+      } catch (err) {
+        console.error("Error fetching categories:", err);
+      }
+    };
+    fetchCategories();
+  }, []);
 
+  // Refetch the first page whenever the view (or viewer) changes
   useEffect(() => {
     const fetchLeaders = async () => {
       try {
-        const res = await api.get("/users/leaderboard");
-        setLeaders(res.data);
+        const res = await api.get("/users/leaderboard", {
+          params: {
+            period,
+            category: category || undefined,
+            limit: PAGE_SIZE,
+          },
+        });
+        setLeaders(res.data.items);
+        setMe(res.data.me);
+        setNextOffset(res.data.nextOffset);
       } catch (err) {
         console.error("Error fetching leaderboard:", err);
         setLeaders([]);
+        setMe(null);
+        setNextOffset(null);
       }
     };
     fetchLeaders();
-  }, []);
+  }, [period, category, user?.id]);
+
+  const loadMore = async () => {
+    try {
+      const res = await api.get("/users/leaderboard", {
+        params: {
+          period,
+          category: category || undefined,
+          limit: PAGE_SIZE,
+          offset: nextOffset,
+        },
+      });
+      setLeaders((prev) => [...prev, ...res.data.items]);
+      setNextOffset(res.data.nextOffset);
+    } catch (err) {
+      console.error("Error loading more leaders:", err);
+      setNextOffset(null);
+    }
+  };
+
+  const showScore = period !== "all" || Boolean(category);
+  const meListed = me && leaders.some((l) => l.id === me.id);
 
   return (
-    <div className="divide-y-2 divide-black">
-      {leaders.map((leader, index) => (
-        <Link
-          key={leader.id}
-          to={`/profile/${leader.id}`}
-          className="group grid grid-cols-[1.75rem_1fr_auto] items-center gap-[0.6rem] p-[1rem] hover:bg-yellow-muted/20 transition-all min-w-0"
+    <div>
+      {/* 🗂️ PERIOD TABS + CATEGORY FILTER */}
+      <div className="border-b-2 border-ink">
+        <div className="grid grid-cols-3">
+          {PERIOD_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              type="button"
+              onClick={() => setPeriod(tab.value)}
+              className={`py-2 text-[0.65rem] font-black tracking-widest border-r-2 border-ink last:border-r-0 transition-colors ${
+                period === tab.value
+                  ? "bg-ink text-offwhite"
+                  : "bg-white text-ink hover:bg-yellow-muted/20"
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        <select
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          className="w-full px-3 py-2 border-t-2 border-ink bg-white font-black uppercase text-[0.65rem] tracking-widest"
+          aria-label="LEADERBOARD_CATEGORY"
         >
-          <span className="font-black italic text-ink/40 text-[1rem] xl:text-[1.125rem] leading-none text-center">
-            {index + 1}
-          </span>
-
-          <div className="flex flex-col min-w-0">
-            <span className="font-black uppercase text-[0.95rem] xl:text-[1rem] leading-none tracking-tighter truncate">
-              {leader.username}
-            </span>
-            <span className="text-[0.6rem] xl:text-[0.625rem] font-black uppercase tracking-widest text-ink/70 mt-[0.25rem] leading-tight">
-              Level_{Math.floor(leader.credit / 100) + 1}
-            </span>
-          </div>
-        </Link>
-      ))}
+          <option value="">ALL_CATEGORIES</option>
+          {categories.map((c) => (
+            <option key={c} value={c}>
+              {c}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {leaders.length === 0 ? (
+        <p className="p-[1rem] text-[0.65rem] font-black uppercase tracking-widest text-ink/60">
+          NO_NOTES_YET. BE_THE_FIRST_ON_THE_BOARD
+        </p>
+      ) : (
+        <div className="divide-y-2 divide-black">
+          {leaders.map((leader) => (
+            <LeaderRow
+              key={leader.id}
+              leader={leader}
+              showScore={showScore}
+              highlight={leader.id === me?.id}
+            />
+          ))}
+        </div>
+      )}
+
+      {nextOffset !== null && (
+        <button
+          type="button"
+          onClick={loadMore}
+          className="w-full py-2 border-t-2 border-ink font-black text-[0.65rem] tracking-widest hover:bg-yellow-muted/20"
+        >
+          LOAD_MORE
+        </button>
+      )}
+
+      {/* 🎯 YOUR RANK - pinned when the viewer is off the visible page */}
+      {user && (
+        <div className="border-t-4 border-ink">
+          <p className="px-[1rem] pt-[0.75rem] text-[0.6rem] font-black uppercase tracking-widest text-ink/60">
+            YOUR_RANK
+          </p>
+          {me ? (
+            !meListed && (
+              <LeaderRow leader={me} showScore={showScore} highlight />
+            )
+          ) : (
+            <p className="px-[1rem] pb-[1rem] pt-[0.25rem] text-[0.65rem] font-black uppercase tracking-widest">
+              UNRANKED. HOST_A_CAST_TO_EARN_NOTES
+            </p>
+          )}
+          {meListed && (
+            <p className="px-[1rem] pb-[1rem] pt-[0.25rem] text-[0.65rem] font-black uppercase tracking-widest text-violet">
+              #{me.rank} ON_THIS_BOARD
+            </p>
+          )}
+        </div>
+      )}
     </div>
   );
 };
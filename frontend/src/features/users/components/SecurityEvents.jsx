@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { ShieldX } from "lucide-react";
+import api from "../../../shared/api/axios";
+
+// 📄 PAGE SIZE
+const PAGE_SIZE = 20;
+
+// Display labels and badge colors for event types (see SECURITY_EVENT_TYPES on the backend)
+const TYPE_STYLES = {
+  LOGIN_FAILED: { label: "LOGIN_FAILED", className: "bg-yellow text-white" },
+  MFA_FAILED: { label: "2FA_FAILED", className: "bg-yellow text-white" },
+  LOGIN_THROTTLED: { label: "THROTTLED", className: "bg-violet text-white" },
+  ACCOUNT_LOCKED: { label: "LOCKED", className: "bg-pink text-white" },
+  ACCOUNT_UNLOCKED: { label: "UNLOCKED", className: "bg-neon text-white" },
+};
+
+/**
+ * One-line detail for an event (why it was refused, until when, ...)
+ */
+const describeEvent = (event) => {
+  switch (event.type) {
+    case "LOGIN_THROTTLED":
+      return `${event.details?.reason?.toUpperCase() ?? "?"} · RETRY_IN ${event.details?.retry_after ?? "?"}s`;
+    case "ACCOUNT_LOCKED":
+      return `UNTIL ${new Date(event.details?.locked_until).toLocaleString()}`;
+    case "ACCOUNT_UNLOCKED":
+      return event.details?.was_locked
+        ? "BY_ADMIN"
+        : "BY_ADMIN (WAS_NOT_LOCKED)";
+    default:
+      return null;
+  }
+};
+
+/**
+ * Admin log of failed logins, throttled attempts and lockouts
+ * Reads /users/admin/security-events, filterable by type, newest first
+ *
+ * @param {number} refreshKey - Bumped by the parent to reload (e.g., after an unlock)
+ */
+const SecurityEvents = ({ refreshKey = 0 }) => {
+  const [events, setEvents] = useState([]);
+  const [type, setType] = useState("");
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      try {
+        const res = await api.get("/users/admin/security-events", {
+          params: { limit: PAGE_SIZE, type: type || undefined },
+        });
+        setEvents(res.data.items);
+        setNextCursor(res.data.nextCursor);
+        setError(null);
+      } catch (err) {
+        console.error("Error fetching security events:", err);
+        setError(err.response?.data?.error || "FAILED_TO_FETCH_EVENTS");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchEvents();
+  }, [type, refreshKey]);
+
+  const loadMore = async () => {
+    try {
+      const res = await api.get("/users/admin/security-events", {
+        params: {
+          limit: PAGE_SIZE,
+          type: type || undefined,
+          cursor: nextCursor,
+        },
+      });
+      setEvents((prev) => [...prev, ...res.data.items]);
+      setNextCursor(res.data.nextCursor);
+    } catch (err) {
+      console.error("Error loading more security events:", err);
+      setNextCursor(null);
+    }
+  };
+
+  return (
+    <section className="mb-12 border-4 border-ink bg-white shadow-brutal-lg">
+      <header className="flex items-center gap-3 bg-ink text-offwhite border-b-4 border-ink p-4">
+        <ShieldX size={20} />
+        <h2 className="text-xl font-black">SECURITY_EVENTS</h2>
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="ml-auto px-2 py-1 border-2 border-offwhite bg-ink font-mono text-sm"
+          aria-label="Filter security events"
+        >
+          <option value="">ALL_EVENTS</option>
+          {Object.entries(TYPE_STYLES).map(([value, { label }]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </header>
+
+      {error && (
+        <div className="p-4 border-b-2 border-ink text-ink font-bold">
+          ERROR_MESSAGE: {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="p-4 font-black italic text-violet animate-pulse">
+          LOADING_EVENTS...
+        </p>
+      ) : events.length === 0 ? (
+        <p className="p-4 font-mono text-sm text-ink/60">NO_SECURITY_EVENTS</p>
+      ) : (
+        <ul className="max-h-96 overflow-y-auto">
+          {events.map((event) => {
+            const style = TYPE_STYLES[event.type] || {
+              label: event.type,
+              className: "bg-offwhite text-ink",
+            };
+            const detail = describeEvent(event);
+            return (
+              <li
+                key={event.id}
+                className="flex flex-wrap items-center gap-4 p-4 border-b-2 border-ink last:border-b-0"
+              >
+                <span
+                  className={`font-black text-xs px-2 py-1 border-2 border-ink ${style.className}`}
+                >
+                  {style.label}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <p className="font-bold text-ink truncate">
+                    {event.user_id && event.username ? (
+                      <Link
+                        to={`/profile/${event.user_id}`}
+                        className="underline"
+                      >
+                        {event.username}
+                      </Link>
+                    ) : (
+                      event.email || "UNKNOWN"
+                    )}
+                    {event.username && event.email && (
+                      <span className="font-mono text-xs text-ink/60">
+                        {` · ${event.email}`}
+                      </span>
+                    )}
+                  </p>
+                  <p className="font-mono text-xs text-ink/70 truncate">
+                    {`IP: ${event.ip || "?"}`}
+                    {detail && ` · ${detail}`}
+                    {` · ${new Date(event.created_at).toLocaleString()}`}
+                  </p>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {nextCursor && (
+        <button
+          type="button"
+          onClick={loadMore}
+          className="w-full py-2 border-t-2 border-ink font-black text-xs tracking-widest hover:bg-yellow-muted/20"
+        >
+          LOAD_MORE
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default SecurityEvents;
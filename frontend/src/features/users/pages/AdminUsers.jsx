@@ -2,7 +2,9 @@ import { useEffect, useState } from "react";
 import { useAuth } from "../../auth/context/AuthContext";
 import axios from "../../../shared/api/axios";
 import Button from "../../../shared/ui/Button";
-import { Trash2, Edit, Plus } from "lucide-react";
+import AbuseFlags from "../components/AbuseFlags";
+import SecurityEvents from "../components/SecurityEvents";
+import { Trash2, Edit, Plus, Lock, Unlock } from "lucide-react";
 
 export default function AdminUsers() {
   const { user } = useAuth();
@@ -12,6 +14,8 @@ export default function AdminUsers() {
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
   const [deletingUserId, setDeletingUserId] = useState(null);
+  // Bumped after an unlock so the security log shows the new event
+  const [eventsKey, setEventsKey] = useState(0);
 
   // Redirect if not admin
   useEffect(() => {
@@ -52,6 +56,20 @@ export default function AdminUsers() {
     }
   };
 
+  // Lifts a login lockout before it expires
+  const handleUnlockUser = async (userId) => {
+    try {
+      await axios.post(`/users/admin/${userId}/unlock`);
+      setUsers(
+        users.map((u) => (u.id === userId ? { ...u, locked_until: null } : u)),
+      );
+      setEventsKey((key) => key + 1);
+    } catch (err) {
+      console.error("Error unlocking user:", err);
+      setError(err.response?.data?.error || "FAILED_TO_UNLOCK_USER");
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-screen bg-offwhite">
@@ -89,6 +107,12 @@ export default function AdminUsers() {
           </div>
         )}
 
+        {/* Credit Farming Flags: review queue from the note abuse guard */}
+        <AbuseFlags />
+
+        {/* Security Events: failed logins, throttling and lockouts */}
+        <SecurityEvents refreshKey={eventsKey} />
+
         {/* Users Table */}
         <div className="overflow-x-auto border-4 border-ink bg-white shadow-brutal-lg">
           <table className="w-full">
@@ -109,6 +133,14 @@ export default function AdminUsers() {
                 >
                   <td className="p-4 text-center">
                     <span className="font-bold text-ink">{u.username}</span>
+                    {u.locked_until && (
+                      <span
+                        className="ml-2 inline-flex items-center gap-1 font-black text-xs px-2 py-1 border-2 border-ink bg-pink text-white"
+                        title={`LOCKED_UNTIL ${new Date(u.locked_until).toLocaleString()}`}
+                      >
+                        <Lock size={12} /> LOCKED
+                      </span>
+                    )}
                   </td>
                   <td className="p-4 text-sm text-center text-ink">
                     {u.email}
@@ -133,6 +165,15 @@ export default function AdminUsers() {
                   </td>
                   <td className="p-4 text-center">
                     <div className="flex justify-center gap-2">
+                      {u.locked_until && (
+                        <button
+                          onClick={() => handleUnlockUser(u.id)}
+                          className="p-2 bg-neon border-2 border-ink hover:shadow-brutal transition"
+                          title="UNLOCK_USER"
+                        >
+                          <Unlock size={16} className="text-white" />
+                        </button>
+                      )}
                       <button
                         onClick={() => setEditingUser(u)}
                         className="p-2 bg-danger border-2 border-ink hover:shadow-brutal transition"
@@ -200,7 +241,9 @@ export default function AdminUsers() {
             onClose={() => setEditingUser(null)}
             onSave={(updatedUser) => {
               setUsers(
-                users.map((u) => (u.id === updatedUser.id ? updatedUser : u)),
+                users.map((u) =>
+                  u.id === updatedUser.id ? { ...u, ...updatedUser } : u,
+                ),
               );
               setEditingUser(null);
             }}
@@ -230,6 +273,7 @@ function EditUserModal({ user, onClose, onSave }) {
     name: user.name || "",
     email: user.email || "",
     credit: user.credit || 0,
+    credit_memo: "",
     role: user.role || "member",
   });
   const [loading, setLoading] = useState(false);
@@ -250,6 +294,7 @@ function EditUserModal({ user, onClose, onSave }) {
       const response = await axios.put(`/users/admin/${user.id}`, {
         name: formData.name,
         credit: formData.credit,
+        credit_memo: formData.credit_memo,
         role: formData.role,
       });
       onSave(response.data);
@@ -313,6 +358,23 @@ function EditUserModal({ user, onClose, onSave }) {
             />
           </div>
 
+          {/* Credit changes are logged in the user's ledger - say why */}
+          {formData.credit !== (user.credit || 0) && (
+            <div>
+              <label className="block text-sm font-bold text-ink mb-3">
+                ADJUSTMENT_REASON
+              </label>
+              <input
+                type="text"
+                name="credit_memo"
+                value={formData.credit_memo}
+                onChange={handleChange}
+                className="w-full px-4 py-3 border-2 border-ink font-mono"
+                placeholder="why_is_credit_changing"
+              />
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-bold text-ink mb-3">
               ROLE
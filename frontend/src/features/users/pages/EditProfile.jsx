@@ -2,11 +2,45 @@ import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import api from "../../../shared/api/axios";
 import { useAuth } from "../../auth/context/AuthContext";
+import { TwoFactorSettings } from "../../auth/components/TwoFactorSettings";
+import { LinkedAccounts } from "../../auth/components/LinkedAccounts";
 import Button from "../../../shared/ui/Button";
-import { Save, ChevronLeft, User, FileText, Lock } from "lucide-react";
+import { FieldError } from "../../../shared/ui/FieldError";
+import {
+  Save,
+  ChevronLeft,
+  User,
+  FileText,
+  Lock,
+  Mail,
+  MonitorSmartphone,
+} from "lucide-react";
+
+// Short "Browser on OS" label for a session's user agent
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "UNKNOWN_DEVICE";
+  const browser =
+    [
+      ["Edg/", "Edge"],
+      ["OPR/", "Opera"],
+      ["Firefox/", "Firefox"],
+      ["Chrome/", "Chrome"],
+      ["Safari/", "Safari"],
+    ].find(([token]) => userAgent.includes(token))?.[1] || "Browser";
+  const os =
+    [
+      ["Windows", "Windows"],
+      ["iPhone", "iOS"],
+      ["iPad", "iPadOS"],
+      ["Android", "Android"],
+      ["Mac OS", "macOS"],
+      ["Linux", "Linux"],
+    ].find(([token]) => userAgent.includes(token))?.[1] || "unknown OS";
+  return `${browser} on ${os}`;
+};
 
 const EditProfile = () => {
-  const { user, setUser } = useAuth();
+  const { user, setUser, logout } = useAuth();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [formData, setFormData] = useState({
@@ -18,8 +52,14 @@ const EditProfile = () => {
     newPassword: "",
     confirmPassword: "",
   });
+  const [profileErrors, setProfileErrors] = useState({});
   const [passStatus, setPassStatus] = useState({ message: "", error: "" });
+  const [passErrors, setPassErrors] = useState({});
   const [pwLoading, setPwLoading] = useState(false);
+  const [emailPrefs, setEmailPrefs] = useState(null);
+  const [emailPrefsError, setEmailPrefsError] = useState("");
+  const [sessions, setSessions] = useState(null);
+  const [sessionsError, setSessionsError] = useState("");
 
   // Load existing data into form
   useEffect(() => {
@@ -31,9 +71,72 @@ const EditProfile = () => {
     }
   }, [user]);
 
+  // Load which optional emails the user receives
+  useEffect(() => {
+    const fetchEmailPrefs = async () => {
+      try {
+        const res = await api.get(`/users/${user.id}/email-preferences`);
+        setEmailPrefs(res.data);
+      } catch (err) {
+        console.error("Error fetching email preferences:", err);
+        setEmailPrefsError("UNABLE_TO_LOAD_EMAIL_PREFERENCES");
+      }
+    };
+    if (user?.id) fetchEmailPrefs();
+  }, [user?.id]);
+
+  // Load the devices signed in to this account
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const res = await api.get("/auth/sessions");
+        setSessions(res.data);
+      } catch (err) {
+        console.error("Error fetching sessions:", err);
+        setSessionsError("UNABLE_TO_LOAD_SESSIONS");
+      }
+    };
+    if (user?.id) fetchSessions();
+  }, [user?.id]);
+
+  // Revoking this device's own session is the same as logging out
+  const handleRevokeSession = async (session) => {
+    setSessionsError("");
+    if (session.current) {
+      await logout();
+      navigate("/login");
+      return;
+    }
+    try {
+      await api.delete(`/auth/sessions/${session.id}`);
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    } catch (err) {
+      console.error("Error revoking session:", err);
+      setSessionsError(err.response?.data?.error || "UNABLE_TO_REVOKE_SESSION");
+    }
+  };
+
+  // Each toggle saves immediately (the API accepts partial updates)
+  const handleEmailPrefToggle = async (key) => {
+    const value = !emailPrefs.preferences[key];
+    setEmailPrefsError("");
+    try {
+      const res = await api.put(`/users/${user.id}/email-preferences`, {
+        [key]: value,
+      });
+      setEmailPrefs(res.data);
+    } catch (err) {
+      console.error("Error updating email preferences:", err);
+      setEmailPrefsError(
+        err.response?.data?.error || "UNABLE_TO_UPDATE_EMAIL_PREFERENCES",
+      );
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
+    setProfileErrors({});
     try {
       // Hits your backend update route
       const res = await api.put(`/users/profile/${user.id}`, formData);
@@ -44,7 +147,11 @@ const EditProfile = () => {
       navigate(`/profile/${user.id}`);
     } catch (err) {
       console.error("Error updating profile:", err);
-      alert("Failed to update profile");
+      if (err.response?.data?.errors) {
+        setProfileErrors(err.response.data.errors);
+      } else {
+        alert("Failed to update profile");
+      }
     } finally {
       setLoading(false);
     }
@@ -53,6 +160,7 @@ const EditProfile = () => {
   const handlePasswordChange = async (e) => {
     e.preventDefault();
     setPassStatus({ message: "", error: "" });
+    setPassErrors({});
 
     if (passwords.newPassword !== passwords.confirmPassword) {
       setPassStatus({ message: "", error: "PASSWORDS_DO_NOT_MATCH" });
@@ -81,6 +189,7 @@ const EditProfile = () => {
       });
     } catch (err) {
       console.error("Error changing password:", err);
+      setPassErrors(err.response?.data?.errors || {});
       setPassStatus({
         message: "",
         error:
@@ -125,6 +234,7 @@ const EditProfile = () => {
                 setFormData({ ...formData, name: e.target.value })
               }
             />
+            <FieldError errors={profileErrors} name="name" />
           </div>
 
           {/* BIO TEXTAREA */}
@@ -140,6 +250,7 @@ const EditProfile = () => {
                 setFormData({ ...formData, bio: e.target.value })
               }
             />
+            <FieldError errors={profileErrors} name="bio" />
           </div>
 
           <Button
@@ -190,6 +301,7 @@ const EditProfile = () => {
               }
               required
             />
+            <FieldError errors={passErrors} name="currentPassword" />
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -207,6 +319,7 @@ const EditProfile = () => {
                 }
                 required
               />
+              <FieldError errors={passErrors} name="newPassword" />
             </div>
             <div>
               <label className="flex items-center gap-2 mb-2 font-black uppercase text-xs italic">
@@ -239,6 +352,117 @@ const EditProfile = () => {
           </Button>
         </form>
       </div>
+
+      <div className="bg-white border-3 border-ink p-8 rounded-[2.5rem] shadow-brutal-lg">
+        <header className="mb-8">
+          <h2 className="text-3xl font-black italic uppercase tracking-tighter flex items-center gap-3">
+            <Mail size={26} /> EMAIL_PREFERENCES
+          </h2>
+          <p className="text-ink/50 font-bold text-xs uppercase tracking-widest">
+            CHOOSE_WHICH_SIGNALS_REACH_YOUR_INBOX
+          </p>
+        </header>
+
+        {emailPrefsError && (
+          <div className="mb-4 p-4 bg-pink text-white border-3 border-ink rounded-xl font-black text-xs uppercase">
+            {emailPrefsError}
+          </div>
+        )}
+
+        {emailPrefs ? (
+          <ul className="space-y-4">
+            {emailPrefs.options.map((option) => (
+              <li key={option.key}>
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="mt-1 w-5 h-5 accent-violet"
+                    checked={emailPrefs.preferences[option.key]}
+                    onChange={() => handleEmailPrefToggle(option.key)}
+                  />
+                  <span className="flex flex-col">
+                    <span className="font-black uppercase text-sm">
+                      {option.label}
+                    </span>
+                    <span className="text-xs font-bold text-ink/60">
+                      {option.description}
+                    </span>
+                  </span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          !emailPrefsError && (
+            <p className="text-xs font-black uppercase tracking-widest text-ink/50">
+              LOADING_PREFERENCES...
+            </p>
+          )
+        )}
+      </div>
+
+      <TwoFactorSettings />
+
+      <LinkedAccounts />
+
+      <div className="bg-white border-3 border-ink p-8 rounded-[2.5rem] shadow-brutal-lg">
+        <header className="mb-8">
+          <h2 className="text-3xl font-black italic uppercase tracking-tighter flex items-center gap-3">
+            <MonitorSmartphone size={26} /> SESSIONS
+          </h2>
+          <p className="text-ink/50 font-bold text-xs uppercase tracking-widest">
+            DEVICES_SIGNED_IN_TO_YOUR_ACCOUNT
+          </p>
+        </header>
+
+        {sessionsError && (
+          <div className="mb-4 p-4 bg-pink text-white border-3 border-ink rounded-xl font-black text-xs uppercase">
+            {sessionsError}
+          </div>
+        )}
+
+        {sessions ? (
+          <ul className="space-y-4">
+            {sessions.map((session) => (
+              <li
+                key={session.id}
+                className="flex items-center justify-between gap-4 p-4 border-3 border-ink rounded-xl"
+              >
+                <div className="flex flex-col min-w-0">
+                  <span className="font-black uppercase text-sm flex items-center gap-2">
+                    {describeDevice(session.user_agent)}
+                    {session.current && (
+                      <span className="px-2 py-0.5 bg-neon border-2 border-ink text-[0.6rem] tracking-widest">
+                        THIS_DEVICE
+                      </span>
+                    )}
+                  </span>
+                  <span className="text-xs font-bold text-ink/60 truncate">
+                    {session.ip || "UNKNOWN_IP"} · LAST_ACTIVE{" "}
+                    {new Date(
+                      session.last_used_at || session.created_at,
+                    ).toLocaleString()}
+                  </span>
+                </div>
+                <Button
+                  type="button"
+                  variant="danger"
+                  className="px-4 py-2 text-xs shrink-0"
+                  onClick={() => handleRevokeSession(session)}
+                >
+                  {session.current ? "LOG_OUT" : "REVOKE"}
+                </Button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          !sessionsError && (
+            <p className="text-xs font-black uppercase tracking-widest text-ink/50">
+              LOADING_SESSIONS...
+            </p>
+          )
+        )}
+      </div>
     </div>
   );
 };
@@ -3,6 +3,8 @@ import { useParams, useNavigate, Link } from "react-router-dom";
 import api from "../../../shared/api/axios";
 import { useAuth } from "../../auth/context/AuthContext";
 import { Button } from "../../../shared/ui/Button";
+import CreditHistory from "../components/CreditHistory";
+import BadgeShelf from "../components/BadgeShelf";
 import {
   User,
   Award,
@@ -14,6 +16,9 @@ import {
   Archive,
   RotateCcw,
   CalendarDays,
+  Users,
+  UserPlus,
+  UserMinus,
 } from "lucide-react";
 
 const Profile = () => {
@@ -24,8 +29,11 @@ const Profile = () => {
   const [sentNotes, setSentNotes] = useState([]);
   const [receivedNotes, setReceivedNotes] = useState([]);
   const [archivedCasts, setArchivedCasts] = useState([]);
+  const [attendees, setAttendees] = useState([]);
   const [editingNoteId, setEditingNoteId] = useState(null);
   const [editingContent, setEditingContent] = useState("");
+  const [activeTab, setActiveTab] = useState("activity");
+  const [followBusy, setFollowBusy] = useState(false);
 
   const formatDateSnake = (value) => {
     const date = new Date(value);
@@ -69,6 +77,26 @@ const Profile = () => {
     }
   };
 
+  // Follow/unfollow toggle - the response carries the fresh follower count
+  const handleFollowToggle = async () => {
+    setFollowBusy(true);
+    try {
+      const res = profile.is_following
+        ? await api.delete(`/users/${id}/follow`)
+        : await api.post(`/users/${id}/follow`);
+      setProfile((prev) => ({
+        ...prev,
+        is_following: res.data.is_following,
+        follower_count: res.data.follower_count,
+      }));
+    } catch (err) {
+      console.error("Error updating follow:", err);
+      alert(err.response?.data?.error || "Failed to update follow");
+    } finally {
+      setFollowBusy(false);
+    }
+  };
+
   useEffect(() => {
     const fetchProfile = async () => {
       try {
@@ -80,7 +108,8 @@ const Profile = () => {
       }
     };
     fetchProfile();
-  }, [id]);
+    // Viewer change refetches is_following
+  }, [id, currentUser?.id]);
 
   useEffect(() => {
     const fetchSent = async () => {
@@ -124,6 +153,37 @@ const Profile = () => {
     fetchArchivedCasts();
   }, [id, isOwnProfile, currentUser?.role]);
 
+  useEffect(() => {
+    const fetchAttendees = async () => {
+      if (!isOwnProfile && currentUser?.role !== "admin") return;
+      try {
+        const res = await api.get(`/casts/attendees/${id}`);
+        setAttendees(res.data);
+      } catch (err) {
+        console.error("Error fetching attendees:", err);
+        setAttendees([]);
+      }
+    };
+    fetchAttendees();
+  }, [id, isOwnProfile, currentUser?.role]);
+
+  // Group RSVP rows by cast for the "who signed up" section
+  const attendeesByCast = attendees.reduce((groups, row) => {
+    const group = groups.find((g) => g.cast_id === row.cast_id);
+    if (group) {
+      group.people.push(row);
+    } else {
+      groups.push({
+        cast_id: row.cast_id,
+        cast_title: row.cast_title,
+        cast_status: row.cast_status,
+        starts_at: row.starts_at,
+        people: [row],
+      });
+    }
+    return groups;
+  }, []);
+
   const joinDate = profile?.created_at
     ? formatDateSnake(profile.created_at)
     : "unknown";
@@ -163,6 +223,17 @@ const Profile = () => {
             </Link>
           </p>
 
+          <p className="flex gap-4 justify-center md:justify-start text-xs font-black uppercase tracking-widest">
+            <span>
+              <span className="text-violet">{profile.follower_count}</span>{" "}
+              FOLLOWERS
+            </span>
+            <span>
+              <span className="text-violet">{profile.following_count}</span>{" "}
+              FOLLOWING
+            </span>
+          </p>
+
           <div className="pt-4 max-w-2xl mx-auto md:mx-0 space-y-2">
             <h2 className="text-[10px] font-black uppercase text-ink/80 tracking-[0.2em] mb-1">
               NEURAL_BIO
@@ -185,6 +256,27 @@ const Profile = () => {
           </Button>
         </div>
       )}
+      {/* FOLLOW BUTTON: Logged-in viewers on someone else's profile */}
+      {currentUser && !isOwnProfile && (
+        <div className="flex">
+          <Button
+            variant={profile.is_following ? "outline" : "violet"}
+            onClick={handleFollowToggle}
+            disabled={followBusy}
+            className="flex items-center gap-2 py-3 px-6 shadow-brutal w-full justify-center"
+          >
+            {profile.is_following ? (
+              <>
+                <UserMinus size={18} /> UNFOLLOW
+              </>
+            ) : (
+              <>
+                <UserPlus size={18} /> FOLLOW
+              </>
+            )}
+          </Button>
+        </div>
+      )}
       {/* STATS GRID: Data pulled from users table */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
         <div className="bg-yellow border-3 border-ink p-6 rounded-3xl shadow-brutal flex flex-col items-center text-center gap-3">
@@ -228,7 +320,45 @@ const Profile = () => {
         </div>
       </div>
 
-      <div className="space-y-10">
+      {/* BADGE SHELF: Achievements from cast and note activity */}
+      <BadgeShelf badges={profile.badges} />
+
+      {/* TABS: Activity sections vs credit ledger (ledger is owner/admin only) */}
+      {canManageReceived && (
+        <div className="flex gap-4">
+          <Button
+            variant={activeTab === "activity" ? "violet" : "outline"}
+            onClick={() => setActiveTab("activity")}
+            className="py-2 px-5 text-xs"
+          >
+            <Activity size={14} /> ACTIVITY
+          </Button>
+          <Button
+            variant={activeTab === "credits" ? "violet" : "outline"}
+            onClick={() => setActiveTab("credits")}
+            className="py-2 px-5 text-xs"
+          >
+            <Award size={14} /> CREDIT_HISTORY
+          </Button>
+        </div>
+      )}
+
+      {/* TAB: CREDIT HISTORY (Visible to owner and admins) */}
+      {canManageReceived && activeTab === "credits" && (
+        <div className="bg-white border-3 border-ink p-6 rounded-[2rem] shadow-brutal-lg space-y-4">
+          <div className="flex items-center justify-between pb-2">
+            <h3 className="text-2xl font-black uppercase tracking-tighter">
+              CREDIT_LEDGER
+            </h3>
+            <span className="bg-yellow text-white text-[0.65rem] px-2 py-1 font-black rounded-full border-2 border-ink">
+              BALANCE_{displayCredit}
+            </span>
+          </div>
+          <CreditHistory userId={id} />
+        </div>
+      )}
+
+      <div className={activeTab === "activity" ? "space-y-10" : "hidden"}>
         {/* SECTION: NOTES SENT (Only visible to the profile owner) */}
         {isOwnProfile && (
           <div className="bg-white border-3 border-ink p-6 rounded-[2rem] shadow-brutal-lg space-y-4">
@@ -450,6 +580,62 @@ const Profile = () => {
           </div>
         )}
 
+        {/* SECTION: CAST RSVPS (Visible to owner and admins) */}
+        {(isOwnProfile || currentUser?.role === "admin") && (
+          <div className="bg-white border-3 border-ink p-6 rounded-[2rem] shadow-brutal-lg space-y-4">
+            <div className="flex items-center justify-between pb-2">
+              <h3 className="text-2xl font-black uppercase tracking-tighter">
+                CAST_RSVPS
+              </h3>
+              <span className="bg-neon text-white text-[0.65rem] px-2 py-1 font-black rounded-full border-2 border-ink">
+                EXPECTED_LEARNERS
+              </span>
+            </div>
+
+            {attendeesByCast.length === 0 ? (
+              <p className="text-ink/60 font-bold italic p-4">
+                no_one_has_signed_up_yet
+              </p>
+            ) : (
+              <div className="space-y-4">
+                {attendeesByCast.map((group) => (
+                  <div
+                    key={group.cast_id}
+                    className="border-3 border-ink rounded-2xl p-5 bg-white shadow-brutal flex flex-col gap-3"
+                  >
+                    <div className="flex justify-between items-start border-b-2 border-ink/20 pb-2 gap-3">
+                      <div className="min-w-0">
+                        <span className="text-[0.6rem] font-black uppercase tracking-widest text-neon block mb-1">
+                          {group.cast_status}
+                          {group.starts_at &&
+                            ` · ${new Date(group.starts_at).toLocaleString()}`}
+                        </span>
+                        <p className="font-black text-ink uppercase truncate">
+                          {toSnakeCase(group.cast_title)}
+                        </p>
+                      </div>
+                      <p className="flex items-center gap-1 text-sm font-black shrink-0">
+                        <Users size={14} /> {group.people.length}
+                      </p>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      {group.people.map((person) => (
+                        <Link
+                          key={person.user_id}
+                          to={`/profile/${person.user_id}`}
+                          className="text-[0.7rem] font-black uppercase border-2 border-ink px-2 py-1 rounded-full hover:bg-neon-muted/30"
+                        >
+                          @{person.username}
+                        </Link>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* SECTION: ARCHIVED CASTS (Visible to owner and admins) */}
         {(isOwnProfile || currentUser?.role === "admin") && (
           <div className="bg-white border-3 border-ink p-6 rounded-[2rem] shadow-brutal-lg space-y-4">
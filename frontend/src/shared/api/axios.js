@@ -15,8 +15,20 @@
  * 1. Request interceptor adds Bearer token from localStorage
  * 2. Response interceptor catches 401 (unauthorized) responses
  * 3. Attempts automatic token refresh using refresh token
- * 4. Retries original request with new access token
- * 5. If refresh fails, redirects user to login page
+ * 4. Stores the new access token AND the rotated refresh token
+ * 5. Retries original request with new access token
+ * 6. If refresh fails, redirects user to login page
+ *
+ * REFRESH TOKEN ROTATION:
+ * - Every refresh returns a new refresh token; the old one stops working
+ * - Presenting an old token again makes the backend revoke the whole session
+ * - refreshSession() shares one in-flight refresh between concurrent callers
+ * - If another tab rotated the token first, its stored tokens are used instead
+ *
+ * COOKIE MODE (VITE_AUTH_COOKIE_MODE=true, backend AUTH_COOKIE_MODE=true):
+ * - The refresh token lives in an httpOnly cookie that JavaScript can't read
+ * - The access token is kept in memory only, and restored by a refresh on load
+ * - State-changing requests echo the CSRF cookie in the X-CSRF-Token header
  *
  * USAGE:
  * ```jsx
@@ -42,7 +54,7 @@
  * - Token refresh happens transparently
  *
  * SECURITY CONSIDERATIONS:
- * - Tokens stored in localStorage (consider httpOnly cookies for production)
+ * - Tokens stored in localStorage unless cookie mode is on (recommended for production)
  * - Automatic logout on token refresh failure
  * - No sensitive data logged in console
  */
@@ -56,19 +68,143 @@ const api = axios.create({
   // Uses environment variable if set, otherwise defaults to local backend
   // VITE_API_URL allows easy switching between dev/staging/production
   baseURL: import.meta.env.VITE_API_URL || "http://localhost:5001/api",
+  // 🍪 COOKIES - Needed in cookie mode for the refresh and CSRF cookies
+  withCredentials: import.meta.env.VITE_AUTH_COOKIE_MODE === "true",
 });
 
+// 🍪 COOKIE MODE - Refresh token in an httpOnly cookie, access token in memory
+export const AUTH_COOKIE_MODE =
+  import.meta.env.VITE_AUTH_COOKIE_MODE === "true";
+
+// Must match the backend's shared/utils/authCookies.js
+const CSRF_COOKIE = "skillcast_csrf";
+const SAFE_METHODS = ["get", "head", "options"];
+
+// 🧠 IN-MEMORY ACCESS TOKEN (cookie mode only)
+let memoryAccessToken = null;
+
+/**
+ * Returns the current access token
+ *
+ * @returns {string|null} - Access token, if logged in
+ */
+export const getAccessToken = () =>
+  AUTH_COOKIE_MODE ? memoryAccessToken : localStorage.getItem("accessToken");
+
+/**
+ * Stores tokens from a login or refresh response
+ * In cookie mode the refresh token is a cookie and never reaches JavaScript
+ *
+ * @param {Object} tokens - { accessToken, refreshToken? }
+ */
+export const storeTokens = ({ accessToken, refreshToken }) => {
+  if (AUTH_COOKIE_MODE) {
+    memoryAccessToken = accessToken;
+    return;
+  }
+  localStorage.setItem("accessToken", accessToken);
+  localStorage.setItem("refreshToken", refreshToken);
+};
+
+/**
+ * Forgets the access token held in memory (localStorage is cleared by callers)
+ */
+export const clearTokens = () => {
+  memoryAccessToken = null;
+};
+
+/**
+ * Reads the CSRF cookie the backend sets in cookie mode
+ *
+ * @returns {string|null} - CSRF token, if present
+ */
+const readCsrfToken = () => {
+  const match = document.cookie.match(
+    new RegExp(`(?:^|; )${CSRF_COOKIE}=([^;]*)`),
+  );
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Headers cookie mode needs on a state-changing request
+ *
+ * @param {string} method - HTTP method
+ * @returns {Object} - { "X-CSRF-Token": ... } or {}
+ */
+const csrfHeaders = (method = "get") => {
+  const csrfToken = AUTH_COOKIE_MODE && readCsrfToken();
+  return csrfToken && !SAFE_METHODS.includes(method.toLowerCase())
+    ? { "X-CSRF-Token": csrfToken }
+    : {};
+};
+
+// 🔁 IN-FLIGHT REFRESH - Shared so concurrent 401s don't each rotate the token
+let refreshPromise = null;
+
+/**
+ * Sends one refresh request (token in the body, or the cookie in cookie mode)
+ * Uses base axios (not api instance) to avoid infinite recursion
+ *
+ * @param {string|null} token - Stored refresh token (localStorage mode)
+ * @returns {Promise<Object>} - { accessToken, refreshToken? }
+ */
+const postRefresh = async (token) => {
+  const res = await axios.post(
+    `${api.defaults.baseURL}/auth/refresh`,
+    AUTH_COOKIE_MODE ? {} : { token },
+    { withCredentials: AUTH_COOKIE_MODE, headers: csrfHeaders("post") },
+  );
+  return res.data;
+};
+
+/**
+ * Exchanges the refresh token for new tokens and stores them
+ * Concurrent calls share one request, since each refresh token works only once
+ *
+ * @returns {Promise<void>} - Rejects when the session can't be refreshed
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const sentToken = AUTH_COOKIE_MODE
+        ? null
+        : localStorage.getItem("refreshToken");
+      try {
+        storeTokens(await postRefresh(sentToken));
+      } catch (err) {
+        // 🗂️ ANOTHER TAB ROTATED FIRST
+        if (AUTH_COOKIE_MODE) {
+          // The shared cookie already holds the newer token - use it once
+          if (err.response?.status !== 409) throw err;
+          storeTokens(await postRefresh(null));
+          return;
+        }
+        // Its new tokens are already in localStorage
+        const storedToken = localStorage.getItem("refreshToken");
+        if (storedToken && storedToken !== sentToken) return;
+        throw err;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // 🔑 REQUEST INTERCEPTOR - Automatic Authentication
 // Automatically attach JWT access token to every outgoing request
 api.interceptors.request.use((config) => {
-  // 📥 GET ACCESS TOKEN FROM STORAGE
-  const token = localStorage.getItem("accessToken");
+  // 📥 GET ACCESS TOKEN (localStorage, or memory in cookie mode)
+  const token = getAccessToken();
 
   // 🎫 ATTACH BEARER TOKEN IF AVAILABLE
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
 
+  // 🛡️ ATTACH CSRF TOKEN (cookie mode, state-changing requests)
+  Object.assign(config.headers, csrfHeaders(config.method));
+
   return config;
 });
 
@@ -84,22 +220,18 @@ api.interceptors.response.use(
 
     // 🚫 TOKEN EXPIRED (401) - Attempt Refresh
     // Only try refresh once per request to prevent infinite loops
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    // Login steps answer 401 for wrong credentials/codes, not expired tokens
+    if (
+      error.response?.status === 401 &&
+      !originalRequest._retry &&
+      !originalRequest.url?.startsWith("/auth/login")
+    ) {
       // 🔄 MARK REQUEST AS RETRIED
       originalRequest._retry = true;
 
       try {
-        // 🎟️ GET REFRESH TOKEN
-        const refreshToken = localStorage.getItem("refreshToken");
-
-        // 📡 REQUEST NEW ACCESS TOKEN
-        // Use base axios (not api instance) to avoid infinite recursion
-        const res = await axios.post(`${api.defaults.baseURL}/auth/refresh`, {
-          token: refreshToken,
-        });
-
-        // 💾 STORE NEW ACCESS TOKEN
-        localStorage.setItem("accessToken", res.data.accessToken);
+        // 📡 ROTATE TOKENS - Stores the new access and refresh tokens
+        await refreshSession();
 
         // 🔁 RETRY ORIGINAL REQUEST
         // Original request will now have new token via request interceptor
@@ -109,6 +241,7 @@ api.interceptors.response.use(
         console.error("Token refresh failed, forcing logout:", refreshError);
         // Clear all local data and redirect to login
         localStorage.clear();
+        clearTokens();
         window.location.href = "/login";
       }
     }
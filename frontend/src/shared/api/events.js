@@ -0,0 +1,68 @@
+/**
+ * SKILLCAST REAL-TIME EVENTS - Server-Sent Events Client
+ *
+ * Subscribes to the backend push channel (GET /api/events) so the feed
+ * updates in place when casts change or notes are sent.
+ *
+ * EVENTS:
+ * - cast:created  - New LIVE or SCHEDULED cast (full feed row)
+ * - cast:updated  - Status/details/RSVP count changed (full feed row,
+ *                   plus went_live: true when it just went LIVE)
+ * - cast:archived - Cast removed from feeds ({ id })
+ * - note:created  - Note sent ({ cast_id, creator_id, credit })
+ * - notification:created - New notification (logged-in recipient only)
+ *
+ * USAGE:
+ * ```jsx
+ * useEffect(() => subscribeToEvents({ "cast:updated": (cast) => ... }), []);
+ * ```
+ *
+ * EventSource cannot send an Authorization header, so the access token
+ * rides along as ?token=. The stream is reopened by hand after an error so
+ * each reconnect picks up the latest (refreshed) token.
+ */
+
+import api, { getAccessToken } from "./axios";
+
+// ⏱️ RECONNECT DELAY
+// Matches the server's `retry:` hint
+const RECONNECT_MS = 5000;
+
+/**
+ * Opens the event stream and routes each event to its handler
+ *
+ * @param {Object} handlers - Map of event name to callback(data)
+ * @returns {Function} - Unsubscribe function (closes the stream)
+ */
+export const subscribeToEvents = (handlers) => {
+  let source = null;
+  let retryTimer = null;
+  let closed = false;
+
+  const open = () => {
+    // 📡 OPEN STREAM - Same base URL as the REST API, token adds private events
+    const token = getAccessToken();
+    const query = token ? `?token=${encodeURIComponent(token)}` : "";
+    source = new EventSource(`${api.defaults.baseURL}/events${query}`);
+
+    // 🎧 REGISTER HANDLERS - Payloads are JSON encoded
+    Object.entries(handlers).forEach(([event, handler]) => {
+      source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+    });
+
+    // 🔁 RECONNECT - With a fresh token rather than EventSource's stale URL
+    source.onerror = () => {
+      source.close();
+      if (!closed) retryTimer = setTimeout(open, RECONNECT_MS);
+    };
+  };
+
+  open();
+
+  // 🧹 CLEANUP - Close the connection when the caller unmounts
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    source.close();
+  };
+};
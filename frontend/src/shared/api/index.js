@@ -1,2 +1,3 @@
 // Shared API Exports
 export { default } from "./axios";
+export { subscribeToEvents } from "./events";
@@ -11,12 +11,16 @@
  * 4. STICKY POSITIONING - Stays at top when scrolling
  * 5. RESPONSIVE DESIGN - Adapts to different screen sizes
  * 6. LOGOUT FUNCTIONALITY - Secure session termination
+ * 7. GLOBAL SEARCH - Ranked search over casts, users and skills
+ * 8. NOTIFICATION BELL - Unread badge and dropdown for logged-in users
  *
  * NAVIGATION STRUCTURE:
  * - Brand Logo (always visible) → Links to Home
+ * - Search Box (medium screens and up) → Casts, users, skills
  * - Feed Link (always visible) → Main content page
+ * - Notification Bell (authenticated users) → Notes, followed casts going live, role changes
  * - Profile Link (authenticated users) → User's own profile
- * - Admin Link (admin users only) → User management
+ * - Admin Links (admin users only) → User management, skills, credit rules
  * - Logout Button (authenticated) / Login Button (unauthenticated)
  *
  * AUTHENTICATION STATES:
@@ -37,8 +41,6 @@
  * - Icon + text labels for clarity
  *
  * TO EXTEND:
- * - Add search functionality
- * - Implement notification badges
  * - Add mobile menu for smaller screens
  * - Include user avatar/profile picture
  */
@@ -54,6 +56,14 @@ import { useAuth } from "../../features/auth/context/AuthContext";
 // Consistent button styling across the app
 import { Button } from "../ui/Button";
 
+// LAYOUT COMPONENTS
+// Global search with typed, highlighted results
+import SearchBox from "./SearchBox";
+
+// NOTIFICATIONS
+// Bell with unread badge, updated live over the event stream
+import NotificationBell from "../../features/notifications/components/NotificationBell";
+
 // ICONS
 // Lucide React icons for visual navigation cues
 import {
@@ -124,6 +134,12 @@ export const Navbar = () => {
           SKILL<span className="text-violet">CAST</span>
         </Link>
 
+        {/* 🔍 GLOBAL SEARCH */}
+        {/* Hidden on small screens to keep the nav on one line */}
+        <div className="hidden md:flex flex-1 justify-center px-8">
+          <SearchBox />
+        </div>
+
         {/* 🔗 NAVIGATION LINKS */}
         {/* Right-aligned navigation items with responsive spacing */}
         <div className="flex items-center gap-4 md:gap-8">
@@ -143,6 +159,9 @@ export const Navbar = () => {
           {/* ================ AUTHENTICATED USER NAVIGATION ================ */}
           {user ? (
             <>
+              {/* 🔔 NOTIFICATION BELL */}
+              <NotificationBell />
+
               {/* 👤 PROFILE LINK - Links to user's own profile */}
               {/* Uses dynamic user.id from authentication context */}
               <Link
@@ -181,6 +200,17 @@ export const Navbar = () => {
                   >
                     <AdminIcon size={16} /> SKILLS
                   </Link>
+
+                  <Link
+                    to="/admin/settings"
+                    className={`font-black uppercase text-sm tracking-tight flex items-center gap-2 ${
+                      pathname === "/admin/settings"
+                        ? "text-violet underline decoration-4 underline-offset-4"
+                        : "hover:text-violet"
+                    }`}
+                  >
+                    <AdminIcon size={16} /> RULES
+                  </Link>
                 </>
               )}
 
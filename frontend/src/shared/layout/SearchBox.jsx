@@ -0,0 +1,190 @@
+/**
+ * SKILLCAST SEARCH BOX - Global Navbar Search
+ *
+ * Searches casts, users and skills from anywhere in the app using the
+ * ranked full-text endpoint (GET /api/search).
+ *
+ * KEY FEATURES:
+ * 1. DEBOUNCED QUERIES - Waits for typing to pause before calling the API
+ * 2. TYPED RESULTS - Each result shows its type (CAST / USER / SKILL)
+ * 3. HIGHLIGHTED MATCHES - Matched words are marked in titles and snippets
+ * 4. KEYBOARD SUPPORT - Enter opens the feed search, Escape closes results
+ *
+ * NAVIGATION:
+ * - USER results → that user's profile
+ * - CAST / SKILL results → home feed filtered by the title/name
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Search } from "lucide-react";
+
+// API CLIENT
+import api from "../api/axios";
+
+// UI COMPONENTS
+import { Highlight } from "../ui/Highlight";
+
+// ⏱️ DEBOUNCE DELAY
+// Milliseconds to wait after the last keystroke before searching
+const DEBOUNCE_MS = 250;
+
+// 🏷️ RESULT TYPE BADGE COLORS
+const TYPE_STYLES = {
+  cast: "bg-violet text-white",
+  user: "bg-cyan text-ink",
+  skill: "bg-yellow text-white",
+};
+
+/**
+ * Strips <mark> markers so highlighted titles can be used as plain text
+ *
+ * @param {string} text - ts_headline output
+ * @returns {string} - Plain text
+ */
+const plainText = (text) => (text || "").replace(/<\/?mark>/g, "");
+
+/**
+ * SearchBox Component - Global search with result dropdown
+ */
+export const SearchBox = () => {
+  const navigate = useNavigate();
+
+  // 🔍 SEARCH STATE
+  const [term, setTerm] = useState("");
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  // 📦 CONTAINER REF - Used to close the dropdown on outside clicks
+  const containerRef = useRef(null);
+
+  // 📡 DEBOUNCED SEARCH EFFECT
+  // Waits for typing to pause, then fetches ranked results
+  useEffect(() => {
+    const q = term.trim();
+    if (!q) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get("/search", { params: { q, limit: 8 } });
+        if (!cancelled) setResults(res.data.results);
+      } catch (err) {
+        console.error("Search failed:", err);
+        if (!cancelled) setResults([]);
+      }
+    }, DEBOUNCE_MS);
+
+    // 🧹 CLEANUP - Drop stale responses when the term changes
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [term]);
+
+  // 🖱️ OUTSIDE CLICK EFFECT - Closes the dropdown
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, []);
+
+  /**
+   * Go To Feed - Filter the home feed by a search term
+   *
+   * @param {string} q - Text to search for in the feed
+   */
+  const goToFeed = (q) => {
+    setOpen(false);
+    navigate(`/?q=${encodeURIComponent(q)}`);
+  };
+
+  /**
+   * Result Click Handler - Routes each result type to its page
+   *
+   * @param {Object} result - Search result from the API
+   */
+  const handleSelect = (result) => {
+    if (result.type === "user") {
+      setOpen(false);
+      navigate(`/profile/${result.id}`);
+      return;
+    }
+    goToFeed(plainText(result.title));
+  };
+
+  /**
+   * Keyboard Handler - Enter searches the feed, Escape closes results
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && term.trim()) goToFeed(term.trim());
+    if (e.key === "Escape") setOpen(false);
+  };
+
+  const showResults = open && term.trim();
+
+  return (
+    <div ref={containerRef} className="relative w-full max-w-xs">
+      {/* 🔍 SEARCH INPUT */}
+      <input
+        type="text"
+        placeholder="search_everything"
+        value={term}
+        onChange={(e) => {
+          setTerm(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={handleKeyDown}
+        className="input-brutal w-full py-2 pr-10 text-sm"
+        aria-label="Search casts, users and skills"
+      />
+      <Search
+        size={16}
+        className="absolute right-3 top-1/2 -translate-y-1/2 opacity-40"
+      />
+
+      {/* 📋 RESULTS DROPDOWN */}
+      {showResults && (
+        <div className="absolute left-0 right-0 mt-2 bg-white border-3 border-ink shadow-brutal max-h-96 overflow-y-auto z-50">
+          {results.length === 0 ? (
+            <p className="p-4 text-xs font-black uppercase tracking-widest text-ink/50">
+              NO_MATCHES
+            </p>
+          ) : (
+            results.map((result) => (
+              <button
+                key={`${result.type}-${result.id}`}
+                type="button"
+                onClick={() => handleSelect(result)}
+                className="w-full text-left p-3 border-b-2 border-ink/10 hover:bg-offwhite flex flex-col gap-1"
+              >
+                <div className="flex items-center gap-2">
+                  <span
+                    className={`text-[0.55rem] px-1.5 py-0.5 font-black uppercase tracking-widest border-2 border-ink ${TYPE_STYLES[result.type]}`}
+                  >
+                    {result.type}
+                  </span>
+                  <Highlight
+                    text={result.title}
+                    className="font-black uppercase text-sm truncate"
+                  />
+                </div>
+                {result.snippet && (
+                  <Highlight
+                    text={result.snippet}
+                    className="text-xs font-bold text-ink/60 line-clamp-2"
+                  />
+                )}
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
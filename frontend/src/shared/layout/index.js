@@ -1,3 +1,4 @@
 // Shared Layout Exports
 export { default as Navbar } from "./Navbar";
 export { default as Protected } from "./Protected";
+export { default as SearchBox } from "./SearchBox";
@@ -0,0 +1,30 @@
+/**
+ * SKILLCAST FIELD ERROR - Inline Form Field Message
+ *
+ * Shows the API's message for one form field. Invalid requests come back as
+ * 400 { error, code: "VALIDATION_FAILED", errors: { field: message } }, so a
+ * form keeps `err.response?.data?.errors` in state and renders one of these
+ * under each input.
+ *
+ * USAGE:
+ * ```jsx
+ * <FieldError errors={fieldErrors} name="title" />
+ * ```
+ */
+
+import React from "react";
+
+/**
+ * FieldError Component
+ *
+ * @param {Object} errors - { field: message } from the API (may be empty)
+ * @param {string} name - Field to show the message for
+ */
+export const FieldError = ({ errors, name }) => {
+  const message = errors?.[name];
+  if (!message) return null;
+
+  return <p className="mt-1 text-xs font-bold text-danger">{message}</p>;
+};
+
+export default FieldError;
@@ -0,0 +1,47 @@
+/**
+ * SKILLCAST HIGHLIGHT - Search Match Renderer
+ *
+ * Renders text returned by /api/search where matches are wrapped in
+ * <mark></mark> by Postgres ts_headline.
+ *
+ * SECURITY:
+ * - The text is split on the markers and rendered as plain React text
+ * - Never uses dangerouslySetInnerHTML, so user content can't inject HTML
+ *
+ * USAGE:
+ * ```jsx
+ * <Highlight text="Intro to <mark>React</mark> hooks" />
+ * ```
+ */
+
+import React from "react";
+
+// Splits "a <mark>b</mark> c" into ["a ", "b", " c"] - odd indexes are matches
+const MARK_PATTERN = /<mark>(.*?)<\/mark>/g;
+
+/**
+ * Highlight Component
+ *
+ * @param {string} text - ts_headline output with <mark> markers
+ * @param {string} className - Extra classes for the wrapper span
+ */
+export const Highlight = ({ text, className }) => {
+  if (!text) return null;
+
+  return (
+    <span className={className}>
+      {text.split(MARK_PATTERN).map((part, i) =>
+        i % 2 === 1 ? (
+          // 🖍️ MATCHED TERM - Yellow highlighter look
+          <mark key={i} className="bg-yellow/40 text-ink px-0.5">
+            {part}
+          </mark>
+        ) : (
+          <React.Fragment key={i}>{part}</React.Fragment>
+        ),
+      )}
+    </span>
+  );
+};
+
+export default Highlight;
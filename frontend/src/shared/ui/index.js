@@ -1,2 +1,4 @@
 // Shared UI Exports
 export { Button } from "./Button";
+export { Highlight } from "./Highlight";
+export { FieldError } from "./FieldError";